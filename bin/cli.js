@@ -7,16 +7,37 @@
  *   Single entry point for the Testronaut CLI:
  *   - Parses flags (e.g., --model, --turns, --init, help).
  *   - Runs mission files (single or all), aggregates results, and writes HTML/JSON reports.
- *   - Provides subcommands: login, upload (report + screenshots), serve/view (static file server).
+ *   - Provides subcommands: login, upload (report + screenshots), serve/view (static file server),
+ *     replay (re-run a recorded run without LLM calls), auth (refresh/clear the stored login),
+ *     baseline update (accept new visual baselines).
  *
  * Key flags:
  *   --model <id> / --model=<id>         → sets TESTRONAUT_MODEL env (wins over config file)
  *   --provider <id> / --provider=<id>   → sets TESTRONAUT_PROVIDER env (wins over config file)
  *   --turns <n> / --turns=<n>           → sets TESTRONAUT_TURNS env (wins over config file)
+ *   --workers <n> / --workers=<n>       → sets TESTRONAUT_WORKERS env (wins over config.concurrency)
+ *   --mission-retries=<n>                → sets TESTRONAUT_MISSION_RETRIES env (wins over config.missionRetries)
+ *   --reporter <list> / --reporter=<list> → sets TESTRONAUT_REPORTERS env (wins over config.reporters)
+ *   --summary-json <path>                → sets TESTRONAUT_SUMMARY_JSON env (compact run summary for CI gates)
+ *   --record / --record=<bool>           → sets TESTRONAUT_RECORD env (save replayable browser actions)
+ *   --browser <list> / --browser=<list> → sets TESTRONAUT_BROWSER env (chromium, firefox, webkit; wins over config.browser)
+ *   --device <name> / --device=<name>   → sets TESTRONAUT_DEVICE env (config profile or Playwright device; wins over mission/config)
+ *   --headed / --slow-mo <ms> / --pause-on-failure → set TESTRONAUT_HEADED / TESTRONAUT_SLOW_MO / TESTRONAUT_PAUSE_ON_FAILURE env
+ *   --trace[=<mode>] / --video[=<mode>]  → set TESTRONAUT_TRACE / TESTRONAUT_VIDEO env (off|on|retain-on-failure)
+ *   --har[=<mode>]                       → sets TESTRONAUT_HAR env (off|on|retain-on-failure)
+ *   --vision[=<mode>] / --no-vision      → sets TESTRONAUT_VISION env (off|look|auto; screenshots for multimodal models)
+ *   --shared-rate-limits[=<dir>]         → sets TESTRONAUT_SHARED_RATE_LIMITS (+ TESTRONAUT_RATE_LIMIT_DIR) env
+ *   --tag / --exclude-tag / --grep       → set TESTRONAUT_TAGS / TESTRONAUT_EXCLUDE_TAGS / TESTRONAUT_GREP (mission selection)
+ *   replay <runId> [files...]            → replay recorded actions from missions/recordings/<runId>
+ *   auth refresh [files...] / auth clear → re-create or delete the stored login (config.auth)
+ *   baseline update [missions...]        → accept the screenshots of the last visual mismatches as baselines
  *   --init                               → scaffolds project + optional Playwright browsers
  *   --dev                                → use staging API base URL
  *   --help                               → prints help
  *
+ * Exit codes (mission runs):
+ *   0 all passed • 1 some failed • 2 infrastructure/LLM error • 3 configuration error
+ *
  * Notable helpers (defined below):
  *   parseJsonSafe(res, label)            → tolerant JSON parse with good error messages
  *   pkgManagerForCwd(cwd)                → detects npm/pnpm/yarn/bun
@@ -40,17 +61,29 @@ import { fileURLToPath } from 'url';
 import { initializeTestronautProject } from './init.js';
 import { createWelcomeMission } from './createWelcomeMission.js';
 import { generateHtmlReport } from '../tools/generateHtmlReport.js';
+import { generateJunitReport } from '../tools/generateJunitReport.js';
 import inquirer from 'inquirer';
 import fetch from 'node-fetch';
 import crypto from 'crypto';
 import http from 'http';
-import { resolveProviderModel } from '../llm/modelResolver.js';
+import { resolveProviderModel, resolveRateLimitAccount } from '../llm/modelResolver.js';
 import { exec as execCmd } from 'child_process';
 import { promisify } from 'util';
 const exec = promisify(execCmd);
 import url from 'url';
 import { ensureBrowsers } from '../tools/playwrightSetup.js';
-import { discoverMissionFiles } from '../core/missionDiscovery.js';
+import { discoverMissionFiles, hasMissionFilters, selectMissionFiles, normalizeMissionMeta } from '../core/missionDiscovery.js';
+import { loadConfig, getConcurrency, getDebugBrowserConfig, getReporters, getMissionFilters, getBrowserEngines, getAuthStateConfig, getVisualConfig, getRateLimitConfig } from '../core/config.js';
+import { runWithConcurrency } from '../core/workerPool.js';
+import { EXIT_CODES, asConfigError, makeErroredEntry, buildRunSummary } from '../core/runSummary.js';
+import { RECORDINGS_DIR } from '../core/replay.js';
+import { normalizeArtifactMode } from '../core/artifacts.js';
+import { readAuthState, clearAuthState } from '../core/authState.js';
+import { A11Y_IMPACTS, summarizeAccessibility } from '../tools/a11yAudit.js';
+import { acceptBaselines } from '../tools/visualDiff.js';
+import { VISION_MODES } from '../tools/vision.js';
+import { formatUsd, summarizeRunCost } from '../tools/costControl.js';
+import { configureSharedLimiter, sharedLimiterScope } from '../tools/sharedLimiter.js';
 
 // Keep PW browsers inside the project to avoid global cache skew
 process.env.PLAYWRIGHT_BROWSERS_PATH = process.env.PLAYWRIGHT_BROWSERS_PATH || '0';
@@ -146,7 +179,7 @@ function parseProviderArgs(argsList) {
       provider = provider.trim();
     }
 
-    const supportedProviders = new Set(['openai', 'gemini']);
+    const supportedProviders = new Set(['openai', 'gemini', 'anthropic', 'openai-compatible']);
     const isValid = (v) => !!v && supportedProviders.has(String(v).toLowerCase());
     if (!isValid(provider)) {
       invalid = true;
@@ -210,6 +243,268 @@ function parseRunOptionsArgs(argsList) {
   return { options, args: nextArgs, invalid };
 }
 
+/**
+ * Pull a single `--flag <value>` / `--flag=<value>` pair out of argv.
+ * The flag and its value are removed so they aren’t treated as filenames.
+ *
+ * @param {string[]} argsList
+ * @param {string[]} names - accepted spellings, e.g. ['--workers', '--worker']
+ * @returns {{ found:boolean, value:string|undefined, args:string[] }}
+ */
+function extractFlagValue(argsList, names) {
+  const nextArgs = [...argsList];
+  const idx = nextArgs.findIndex(a => names.some(n => a === n || a.startsWith(`${n}=`)));
+  if (idx < 0) return { found: false, value: undefined, args: nextArgs };
+
+  const rawArg = nextArgs[idx];
+  const hasInline = rawArg.includes('=');
+  const nextVal = !hasInline && nextArgs[idx + 1] && !nextArgs[idx + 1].startsWith('-') ? nextArgs[idx + 1] : undefined;
+  const value = hasInline ? rawArg.slice(rawArg.indexOf('=') + 1).trim() : nextVal?.trim();
+
+  nextArgs.splice(idx, hasInline ? 1 : (nextVal ? 2 : 1));
+  return { found: true, value: value || undefined, args: nextArgs };
+}
+
+function parseWorkersArgs(argsList) {
+  const { found, value, args: nextArgs } = extractFlagValue(argsList, ['--workers', '--concurrency']);
+  if (!found) return { workers: undefined, args: nextArgs, invalid: false };
+
+  const n = Number(value);
+  const invalid = !value || !Number.isInteger(n) || n < 1;
+  return { workers: invalid ? undefined : n, args: nextArgs, invalid };
+}
+
+// Pausing opens one stdin REPL (tools/debugRepl.js), so parallel missions would fight over it
+function planWorkers(requested, fileCount, { pauseOnFailure = false } = {}) {
+  const workers = Math.min(requested, Math.max(1, fileCount));
+  if (pauseOnFailure && workers > 1) return { workers: 1, serialForPause: true };
+  return { workers, serialForPause: false };
+}
+
+function parseMissionRetriesArgs(argsList) {
+  const { found, value, args: nextArgs } = extractFlagValue(argsList, ['--mission-retries', '--mission_retries']);
+  if (!found) return { retries: undefined, args: nextArgs, invalid: false };
+
+  const n = Number(value);
+  const invalid = !value || !Number.isInteger(n) || n < 0;
+  return { retries: invalid ? undefined : n, args: nextArgs, invalid };
+}
+
+const SUPPORTED_REPORTERS = new Set(['json', 'html', 'junit']);
+
+function parseSummaryJsonArgs(argsList) {
+  const { found, value, args: nextArgs } = extractFlagValue(argsList, ['--summary-json', '--summary_json']);
+  return { path: value, args: nextArgs, invalid: found && !value };
+}
+
+function parseReporterArgs(argsList) {
+  const { found, value, args: nextArgs } = extractFlagValue(argsList, ['--reporter', '--reporters']);
+  if (!found) return { reporters: undefined, args: nextArgs, invalid: false };
+
+  const reporters = String(value || '')
+    .split(',')
+    .map(r => r.trim().toLowerCase())
+    .filter(Boolean);
+  const invalid = !reporters.length || reporters.some(r => !SUPPORTED_REPORTERS.has(r));
+  return { reporters: invalid ? undefined : reporters, args: nextArgs, invalid };
+}
+
+// Bare --record never consumes the next arg: it is usually a mission file.
+function parseRecordArgs(argsList) {
+  const nextArgs = [...argsList];
+  const idx = nextArgs.findIndex(a => a === '--record' || a.startsWith('--record=') || a === '--no-record');
+  if (idx < 0) return { record: undefined, args: nextArgs, invalid: false };
+
+  const rawArg = nextArgs[idx];
+  nextArgs.splice(idx, 1);
+  if (rawArg === '--no-record') return { record: false, args: nextArgs, invalid: false };
+  if (!rawArg.includes('=')) return { record: true, args: nextArgs, invalid: false };
+
+  const record = parseBool(rawArg.slice(rawArg.indexOf('=') + 1));
+  return { record: record ?? undefined, args: nextArgs, invalid: record === null };
+}
+
+// Repeatable --browser (comma lists allowed); engine names are validated by getBrowserEngines()
+function parseBrowserArgs(argsList) {
+  let nextArgs = [...argsList];
+  let invalid = false;
+  const browsers = [];
+  for (;;) {
+    const res = extractFlagValue(nextArgs, ['--browser', '--browsers']);
+    if (!res.found) break;
+    nextArgs = res.args;
+    const list = String(res.value || '').split(',').map(b => b.trim().toLowerCase()).filter(Boolean);
+    if (!list.length) invalid = true;
+    browsers.push(...list);
+  }
+  return { browsers: [...new Set(browsers)], args: nextArgs, invalid };
+}
+
+// --device <name>: a config profile or a Playwright device descriptor (quote names with spaces)
+function parseDeviceArgs(argsList) {
+  const { found, value, args: nextArgs } = extractFlagValue(argsList, ['--device', '--profile']);
+  return { device: value, args: nextArgs, invalid: found && !value };
+}
+
+// --headed / --pause-on-failure (bare or =<bool>, never consuming the next arg) and --slow-mo <ms>
+function parseDebugBrowserArgs(argsList) {
+  let nextArgs = [...argsList];
+  let invalid = false;
+  const takeBool = (flag) => {
+    const idx = nextArgs.findIndex(a => a === flag || a.startsWith(`${flag}=`));
+    if (idx < 0) return undefined;
+    const rawArg = nextArgs[idx];
+    nextArgs.splice(idx, 1);
+    if (!rawArg.includes('=')) return true;
+    const value = parseBool(rawArg.slice(rawArg.indexOf('=') + 1));
+    if (value === null) invalid = true;
+    return value ?? undefined;
+  };
+  const headed = takeBool('--headed');
+  const pauseOnFailure = takeBool('--pause-on-failure');
+
+  const slowRes = extractFlagValue(nextArgs, ['--slow-mo', '--slowmo', '--slow_mo']);
+  nextArgs = slowRes.args;
+  const ms = Number(slowRes.value);
+  const slowMoInvalid = slowRes.found && (!slowRes.value || !Number.isFinite(ms) || ms < 0);
+  if (slowMoInvalid) invalid = true;
+  const slowMo = slowRes.found && !slowMoInvalid ? Math.trunc(ms) : undefined;
+
+  return { headed, slowMo, pauseOnFailure, args: nextArgs, invalid };
+}
+
+// --trace / --video / --har: bare flag → 'on'; `--trace=<mode>` or `--trace <mode>` for off|on|retain-on-failure.
+// The next arg is only consumed when it is a valid mode, so `--trace mission.js` still works.
+function parseArtifactArgs(argsList) {
+  const nextArgs = [...argsList];
+  let invalid = false;
+  const take = (flag) => {
+    const idx = nextArgs.findIndex(a => a === flag || a.startsWith(`${flag}=`));
+    if (idx < 0) return undefined;
+    const rawArg = nextArgs[idx];
+    if (rawArg.includes('=')) {
+      nextArgs.splice(idx, 1);
+      const mode = normalizeArtifactMode(rawArg.slice(rawArg.indexOf('=') + 1));
+      if (!mode) invalid = true;
+      return mode ?? undefined;
+    }
+    const mode = normalizeArtifactMode(nextArgs[idx + 1]);
+    nextArgs.splice(idx, mode ? 2 : 1);
+    return mode || 'on';
+  };
+  const trace = take('--trace');
+  const video = take('--video');
+  const har = take('--har');
+  return { trace, video, har, args: nextArgs, invalid };
+}
+
+// --vision: bare flag → 'look'; `--vision=<mode>` or `--vision <mode>` for off|look|auto; --no-vision → 'off'.
+// Like --trace, the next arg is only consumed when it is a valid mode.
+function parseVisionArgs(argsList) {
+  const nextArgs = [...argsList];
+  const idx = nextArgs.findIndex(a => a === '--vision' || a.startsWith('--vision=') || a === '--no-vision');
+  if (idx < 0) return { vision: undefined, args: nextArgs, invalid: false };
+
+  const rawArg = nextArgs[idx];
+  if (rawArg === '--no-vision') {
+    nextArgs.splice(idx, 1);
+    return { vision: 'off', args: nextArgs, invalid: false };
+  }
+  if (rawArg.includes('=')) {
+    nextArgs.splice(idx, 1);
+    const mode = rawArg.slice(rawArg.indexOf('=') + 1).trim().toLowerCase();
+    const valid = VISION_MODES.includes(mode);
+    return { vision: valid ? mode : undefined, args: nextArgs, invalid: !valid };
+  }
+  const next = String(nextArgs[idx + 1] || '').toLowerCase();
+  const mode = VISION_MODES.includes(next) ? next : undefined;
+  nextArgs.splice(idx, mode ? 2 : 1);
+  return { vision: mode || 'look', args: nextArgs, invalid: false };
+}
+
+// --shared-rate-limits / --shared-rate-limits=<dir> (the directory only via '=' so a
+// following mission file is never taken for it)
+function parseSharedRateLimitArgs(argsList) {
+  const nextArgs = [...argsList];
+  const idx = nextArgs.findIndex(a => a === '--shared-rate-limits' || a.startsWith('--shared-rate-limits='));
+  if (idx < 0) return { shared: undefined, dir: undefined, args: nextArgs, invalid: false };
+
+  const rawArg = nextArgs[idx];
+  nextArgs.splice(idx, 1);
+  if (!rawArg.includes('=')) return { shared: true, dir: undefined, args: nextArgs, invalid: false };
+  const dir = rawArg.slice(rawArg.indexOf('=') + 1).trim();
+  return dir
+    ? { shared: true, dir, args: nextArgs, invalid: false }
+    : { shared: undefined, dir: undefined, args: nextArgs, invalid: true };
+}
+
+// Repeatable --tag / --exclude-tag (comma lists allowed) plus a single --grep
+function parseMissionFilterArgs(argsList) {
+  let nextArgs = [...argsList];
+  let invalid = false;
+  const collect = (names) => {
+    const values = [];
+    for (;;) {
+      const res = extractFlagValue(nextArgs, names);
+      if (!res.found) break;
+      nextArgs = res.args;
+      const list = String(res.value || '').split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      if (!list.length) invalid = true;
+      values.push(...list);
+    }
+    return [...new Set(values)];
+  };
+
+  const tags = collect(['--tag', '--tags']);
+  const excludeTags = collect(['--exclude-tag', '--exclude-tags', '--exclude_tag']);
+  const grepRes = extractFlagValue(nextArgs, ['--grep']);
+  nextArgs = grepRes.args;
+  if (grepRes.found && !grepRes.value) invalid = true;
+
+  return { tags, excludeTags, grep: grepRes.value, args: nextArgs, invalid };
+}
+
+// `replay <runId> [files...]` → { runId, args: [files...] }
+function parseReplayArgs(argsList) {
+  if (argsList[0] !== 'replay') return { runId: undefined, args: [...argsList], invalid: false };
+  const candidate = argsList[1];
+  const runId = candidate && !candidate.startsWith('-') && /^[\w.-]+$/.test(candidate) ? candidate : undefined;
+  return { runId, args: argsList.slice(runId ? 2 : 1), invalid: !runId };
+}
+
+// `auth <refresh|clear> [files...]` → { action, args: [files...] }
+function parseAuthArgs(argsList) {
+  if (argsList[0] !== 'auth') return { action: undefined, args: [...argsList], invalid: false };
+  const action = ['refresh', 'clear'].includes(argsList[1]) ? argsList[1] : undefined;
+  return { action, args: argsList.slice(action ? 2 : 1), invalid: !action };
+}
+
+// `baseline update [missions...]` → { action, args: [missions...] }
+function parseBaselineArgs(argsList) {
+  if (argsList[0] !== 'baseline') return { action: undefined, args: [...argsList], invalid: false };
+  const action = argsList[1] === 'update' ? 'update' : undefined;
+  return { action, args: argsList.slice(action ? 2 : 1), invalid: !action };
+}
+
+/**
+ * Pull config.auth.setupMission out of the run so it can go first, on its own.
+ * It runs when the stored state is missing/stale and other missions will use it,
+ * or when it was asked for by name.
+ *
+ * @param {string[]} files - mission files for this run (relative to root)
+ * @param {{ setupMission:string|null, stateValid:boolean, explicit:boolean, root:string }} opts
+ * @returns {{ setupFile:string|null, files:string[] }}
+ */
+function planSetupMission(files, { setupMission, stateValid, explicit, root }) {
+  if (!setupMission) return { setupFile: null, files: [...files] };
+  const setupPath = path.resolve(root, setupMission);
+  const isSetup = (f) => path.resolve(root, f) === setupPath;
+  const rest = files.filter(f => !isSetup(f));
+  const requested = explicit && rest.length < files.length;
+  const run = requested || (rest.length > 0 && !stateValid);
+  return { setupFile: run ? setupMission : null, files: rest };
+}
+
 
 const vercelBypassResult = parseVercelBypassArgs(args);
 if (vercelBypassResult.invalid) {
@@ -307,6 +602,24 @@ export const __test__ = {
   createVercelBypassHeader,
   parseProviderArgs,
   parseRunOptionsArgs,
+  parseWorkersArgs,
+  planWorkers,
+  parseMissionRetriesArgs,
+  parseReporterArgs,
+  parseSummaryJsonArgs,
+  parseRecordArgs,
+  parseArtifactArgs,
+  parseVisionArgs,
+  parseSharedRateLimitArgs,
+  removeOwnTmpFiles,
+  parseDebugBrowserArgs,
+  parseBrowserArgs,
+  parseDeviceArgs,
+  parseReplayArgs,
+  parseAuthArgs,
+  parseBaselineArgs,
+  planSetupMission,
+  parseMissionFilterArgs,
   detectCliName,
   isDirectInvocation,
 };
@@ -517,9 +830,167 @@ if (humanInputTimeoutFlagIndex >= 0) {
   args.splice(humanInputTimeoutFlagIndex, humanInputTimeoutOverride ? 2 : 1);
 }
 
+// Look for --workers=<n> / --concurrency=<n>
+const workersResult = parseWorkersArgs(args);
+if (workersResult.invalid) {
+  console.warn('⚠️ Invalid --workers value. Provide a whole number of 1 or more.');
+}
+args = workersResult.args;
+if (workersResult.workers) {
+  process.env.TESTRONAUT_WORKERS = String(workersResult.workers);
+  console.log(`🧵 Worker override: ${process.env.TESTRONAUT_WORKERS}`);
+}
+
+// Look for --mission-retries=<n>
+const missionRetriesResult = parseMissionRetriesArgs(args);
+if (missionRetriesResult.invalid) {
+  console.warn('⚠️ Invalid --mission-retries value. Provide a whole number of 0 or more.');
+}
+args = missionRetriesResult.args;
+if (missionRetriesResult.retries !== undefined) {
+  process.env.TESTRONAUT_MISSION_RETRIES = String(missionRetriesResult.retries);
+  console.log(`🔁 Mission retries override: ${process.env.TESTRONAUT_MISSION_RETRIES} (allowed 0-5)`);
+}
+
+// Look for --reporter=<list> (e.g. --reporter=junit)
+const reporterResult = parseReporterArgs(args);
+if (reporterResult.invalid) {
+  console.warn('⚠️ Invalid --reporter value. Supported reporters: json, html, junit.');
+}
+args = reporterResult.args;
+if (reporterResult.reporters) {
+  process.env.TESTRONAUT_REPORTERS = reporterResult.reporters.join(',');
+  console.log(`🧾 Reporter override: ${process.env.TESTRONAUT_REPORTERS}`);
+}
+
+// Look for --summary-json=<path>
+const summaryJsonResult = parseSummaryJsonArgs(args);
+if (summaryJsonResult.invalid) {
+  console.warn('⚠️ Invalid --summary-json value. Provide an output file path.');
+}
+args = summaryJsonResult.args;
+if (summaryJsonResult.path) {
+  process.env.TESTRONAUT_SUMMARY_JSON = summaryJsonResult.path;
+  console.log(`📊 Summary JSON: ${process.env.TESTRONAUT_SUMMARY_JSON}`);
+}
+
+// Look for --record / --record=<bool> / --no-record
+const recordResult = parseRecordArgs(args);
+if (recordResult.invalid) {
+  console.warn('⚠️ Invalid --record value. Use true/false, 1/0, yes/no.');
+}
+args = recordResult.args;
+if (recordResult.record !== undefined) {
+  process.env.TESTRONAUT_RECORD = recordResult.record ? '1' : '0';
+  console.log(`📼 Recording ${recordResult.record ? 'enabled' : 'disabled'} (--record)`);
+}
+
+// Look for --browser=<chromium|firefox|webkit> (repeatable or comma-separated)
+const browserResult = parseBrowserArgs(args);
+if (browserResult.invalid) {
+  console.warn('⚠️ Invalid --browser value. Use chromium, firefox or webkit.');
+}
+args = browserResult.args;
+if (browserResult.browsers.length) {
+  process.env.TESTRONAUT_BROWSER = browserResult.browsers.join(',');
+  console.log(`🌐 Browser override: ${process.env.TESTRONAUT_BROWSER}`);
+}
+
+// Look for --device=<profile or Playwright device>
+const deviceResult = parseDeviceArgs(args);
+if (deviceResult.invalid) {
+  console.warn('⚠️ Invalid --device value. Provide a profile name or a device such as "iPhone 14".');
+}
+args = deviceResult.args;
+if (deviceResult.device) {
+  process.env.TESTRONAUT_DEVICE = deviceResult.device;
+  console.log(`📱 Device override: ${process.env.TESTRONAUT_DEVICE}`);
+}
+
+// Look for --headed / --slow-mo / --pause-on-failure (interactive debugging)
+const debugBrowserResult = parseDebugBrowserArgs(args);
+if (debugBrowserResult.invalid) {
+  console.warn('⚠️ Invalid --headed/--slow-mo/--pause-on-failure value. Use true/false for flags and milliseconds for --slow-mo.');
+}
+args = debugBrowserResult.args;
+if (debugBrowserResult.headed !== undefined) {
+  process.env.TESTRONAUT_HEADED = debugBrowserResult.headed ? '1' : '0';
+  console.log(`🖥️ Headed browser ${debugBrowserResult.headed ? 'enabled' : 'disabled'}`);
+}
+if (debugBrowserResult.slowMo !== undefined) {
+  process.env.TESTRONAUT_SLOW_MO = String(debugBrowserResult.slowMo);
+  console.log(`🐢 Slow-mo: ${debugBrowserResult.slowMo}ms per browser action`);
+}
+if (debugBrowserResult.pauseOnFailure !== undefined) {
+  process.env.TESTRONAUT_PAUSE_ON_FAILURE = debugBrowserResult.pauseOnFailure ? '1' : '0';
+  console.log(`⏸️ Pause on failure ${debugBrowserResult.pauseOnFailure ? 'enabled' : 'disabled'}`);
+}
+
+// Look for --trace / --video / --har (Playwright artifacts)
+const artifactResult = parseArtifactArgs(args);
+if (artifactResult.invalid) {
+  console.warn('⚠️ Invalid --trace/--video/--har value. Use off, on or retain-on-failure.');
+}
+args = artifactResult.args;
+if (artifactResult.trace !== undefined) {
+  process.env.TESTRONAUT_TRACE = artifactResult.trace;
+  console.log(`🧵 Trace capture: ${artifactResult.trace}`);
+}
+if (artifactResult.video !== undefined) {
+  process.env.TESTRONAUT_VIDEO = artifactResult.video;
+  console.log(`🎥 Video capture: ${artifactResult.video}`);
+}
+if (artifactResult.har !== undefined) {
+  process.env.TESTRONAUT_HAR = artifactResult.har;
+  console.log(`📡 HAR capture: ${artifactResult.har}`);
+}
+
+// Look for --vision / --vision=<mode> / --no-vision
+const visionResult = parseVisionArgs(args);
+if (visionResult.invalid) {
+  console.warn('⚠️ Invalid --vision value. Use off, look or auto.');
+}
+args = visionResult.args;
+if (visionResult.vision !== undefined) {
+  process.env.TESTRONAUT_VISION = visionResult.vision;
+  console.log(`👁️ Vision mode: ${visionResult.vision}`);
+}
+
+// Look for --shared-rate-limits[=<dir>] (share TPM/RPM with other processes)
+const sharedRateLimitResult = parseSharedRateLimitArgs(args);
+if (sharedRateLimitResult.invalid) {
+  console.warn('⚠️ Invalid --shared-rate-limits value. Provide a directory, e.g. --shared-rate-limits=/tmp/testronaut-limits.');
+}
+args = sharedRateLimitResult.args;
+if (sharedRateLimitResult.shared) {
+  process.env.TESTRONAUT_SHARED_RATE_LIMITS = 'true';
+  if (sharedRateLimitResult.dir) process.env.TESTRONAUT_RATE_LIMIT_DIR = sharedRateLimitResult.dir;
+}
+
+// Look for --tag / --exclude-tag / --grep (mission selection)
+const missionFilterResult = parseMissionFilterArgs(args);
+if (missionFilterResult.invalid) {
+  console.warn('⚠️ Invalid --tag/--exclude-tag/--grep value. Provide a non-empty value.');
+}
+args = missionFilterResult.args;
+if (missionFilterResult.tags.length) {
+  process.env.TESTRONAUT_TAGS = missionFilterResult.tags.join(',');
+  console.log(`🏷️ Tag filter: ${process.env.TESTRONAUT_TAGS}`);
+}
+if (missionFilterResult.excludeTags.length) {
+  process.env.TESTRONAUT_EXCLUDE_TAGS = missionFilterResult.excludeTags.join(',');
+  console.log(`🏷️ Excluding tags: ${process.env.TESTRONAUT_EXCLUDE_TAGS}`);
+}
+if (missionFilterResult.grep) {
+  process.env.TESTRONAUT_GREP = missionFilterResult.grep;
+  console.log(`🔎 Name filter: /${process.env.TESTRONAUT_GREP}/i`);
+}
+
 const allResults = [];
 const runId = `run_${Date.now()}`;
 const startTime = new Date();
+// Recordings are stored per run: missions/recordings/<runId>/
+process.env.TESTRONAUT_RUN_ID = runId;
 
 const HELP_TEXT = `
 🧑‍🚀 testronaut - Autonomous Agent Mission Runner
@@ -531,6 +1002,10 @@ Usage:
   ${cliName} upload         Upload the most recent report JSON
   ${cliName} serve        Serve & open the most recent HTML report (read-only)
   ${cliName} view         Alias of 'serve'
+  ${cliName} replay <runId> [file]  Replay a recorded run without LLM calls
+  ${cliName} auth refresh [file]   Delete the stored login and run the setup mission to save a new one
+  ${cliName} auth clear            Delete the stored login (config.auth.storageState)
+  ${cliName} baseline update [mission]  Accept the screenshots from the last visual mismatches as new baselines
 
 Options:
   --init                    Scaffold project folders and a welcome mission
@@ -545,6 +1020,28 @@ Options:
   --human-input-timeout=<s> Override human input wait timeout in seconds (default: 60)
   --help                    Show this help message
   --retry_limit=<n>         Override agent turn retry limits (minimum 1, maximum 10)
+  --workers=<n>             Run up to <n> mission files in parallel (default: 1, maximum 16)
+  --mission-retries=<n>     Rerun failed missions in a fresh browser up to <n> times (default: 0, maximum 5)
+  --reporter=<list>         Extra report formats, comma-separated (e.g., --reporter=junit)
+  --summary-json=<path>     Write a compact pass/fail summary for CI gates
+  --record                  Save replayable browser actions to missions/recordings/<runId>
+  --browser=<list>          Browser engine(s): chromium, firefox, webkit (comma-separated runs each mission on each)
+  --device=<name>           Context profile from config.profiles, or a Playwright device (e.g. --device="iPhone 14")
+  --headed                  Show the browser window instead of running headless
+  --slow-mo=<ms>            Slow every browser action down by <ms> milliseconds (maximum 5000)
+  --pause-on-failure        Pause in a REPL when a browser tool fails (implies --headed and --workers=1)
+  --trace[=<mode>]          Save Playwright traces per submission (on, off, retain-on-failure; default when bare: on)
+  --video[=<mode>]          Save a video per mission browser (on, off, retain-on-failure; default when bare: on)
+  --har[=<mode>]            Save a redacted HAR file per submission (on, off, retain-on-failure; default when bare: on)
+  --vision[=<mode>]         Send screenshots to image-capable models (look, auto, off; default when bare: look)
+  --shared-rate-limits[=<dir>]  Share the API rate limits with other testronaut processes on this machine (default dir: <os tmpdir>/testronaut-rate-limits)
+  --tag=<tag>               Only run missions tagged <tag> (repeatable or comma-separated)
+  --exclude-tag=<tag>       Skip missions tagged <tag> (repeatable or comma-separated)
+  --grep=<pattern>          Only run missions whose file or meta.name matches (regex, case-insensitive)
+
+Exit codes:
+  0  all missions passed      1  one or more missions failed
+  2  infrastructure/LLM error 3  configuration error
 
 Examples:
   ${cliName}
@@ -552,6 +1049,15 @@ Examples:
   ${cliName} upload
   ${cliName} serve
   ${cliName} --init
+  ${cliName} --record
+  ${cliName} --tag=smoke --exclude-tag=slow
+  ${cliName} --trace=retain-on-failure --video
+  ${cliName} login.mission.js --pause-on-failure --slow-mo=250
+  ${cliName} --browser=chromium,webkit
+  ${cliName} --device="Pixel 7"
+  ${cliName} replay run_1718000000000
+  ${cliName} auth refresh
+  ${cliName} baseline update Checkout
 `;
 
 async function main() {
@@ -618,68 +1124,244 @@ if (args.includes('serve') || args.includes('view')) {
   await new Promise(() => {}); // ✅ never resolves; Ctrl+C will terminate
 }
 
+// Handle the replay command: run as usual, but replay recorded actions first
+if (args[0] === 'replay') {
+  const replayResult = parseReplayArgs(args);
+  if (replayResult.invalid) {
+    console.error(`❌ Usage: ${cliName} replay <runId> [files...]`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  const recordingDir = path.resolve(process.cwd(), RECORDINGS_DIR, replayResult.runId);
+  if (!fs.existsSync(recordingDir)) {
+    console.error(`❌ No recording found for ${replayResult.runId} (${path.relative(process.cwd(), recordingDir)}). Record one with --record.`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  process.env.TESTRONAUT_REPLAY_RUN_ID = replayResult.runId;
+  args = replayResult.args;
+  console.log(`⏩ Replaying recorded run ${replayResult.runId}`);
+}
+
+// Handle the baseline command: promote the candidates written by compare_screenshot
+// mismatches (<name>.actual.png) to baselines, for all missions or the ones named
+if (args[0] === 'baseline') {
+  const baselineResult = parseBaselineArgs(args);
+  if (baselineResult.invalid) {
+    console.error(`❌ Usage: ${cliName} baseline update [missions...]`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  let visualConfig;
+  try {
+    visualConfig = getVisualConfig(await loadConfig());
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  const accepted = acceptBaselines(visualConfig.baselineDir, { missions: baselineResult.args });
+  const baselineDir = path.relative(process.cwd(), visualConfig.baselineDir) || '.';
+  if (!accepted.length) {
+    console.log(`🖼️ No new screenshots to accept in ${baselineDir}`);
+  } else {
+    console.log(`🖼️ Accepted ${accepted.length} new baseline(s):`);
+    for (const file of accepted) console.log(`   ${path.relative(process.cwd(), file)}`);
+  }
+  process.exit(0);
+}
+
+// Handle the auth command: clear the stored login, and for `refresh` re-create it
+// by running the setup mission (or the given files) in setup mode
+let authRefresh = false;
+if (args[0] === 'auth') {
+  const authResult = parseAuthArgs(args);
+  if (authResult.invalid) {
+    console.error(`❌ Usage: ${cliName} auth <refresh|clear> [files...]`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  let authConfig;
+  try {
+    authConfig = getAuthStateConfig(await loadConfig());
+  } catch (err) {
+    console.error(`❌ ${err.message}`);
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  const statePath = path.relative(process.cwd(), authConfig.path);
+  const removed = clearAuthState(authConfig.path);
+  console.log(removed ? `🔐 Removed stored auth state: ${statePath}` : `🔐 No stored auth state at ${statePath}`);
+  if (authResult.action === 'clear') process.exit(0);
+
+  args = authResult.args.length ? authResult.args : authConfig.setupMission ? [authConfig.setupMission] : [];
+  if (!args.length) {
+    console.error('❌ Nothing to refresh with: pass a mission file or set auth.setupMission in testronaut-config.json');
+    process.exit(EXIT_CODES.CONFIG);
+  }
+  process.env.TESTRONAUT_AUTH_MODE = 'setup';
+  authRefresh = true;
+  console.log(`🔐 Refreshing stored auth state with: ${args.join(', ')}`);
+}
+
 const { root: missionsRoot, files: discoveredMissions } = await discoverMissionFiles({ cwd: process.cwd() });
 
 if (!fs.existsSync(missionsRoot)) {
   console.error(`❌ Missions directory not found: ${path.relative(process.cwd(), missionsRoot)}`);
-  process.exit(1);
+  process.exit(EXIT_CODES.CONFIG);
 }
 
+// Every file yields a report entry: crashes and missing results become `errored`
+// so they count toward the exit code instead of disappearing from the report.
 const runFile = async (filePath) => {
+  const startedAt = Date.now();
+  let meta = missionMeta[filePath] ?? null;
   try {
     const modulePath = path.resolve(missionsRoot, filePath);
     const missionsModule = await import(`file://${modulePath}`);
+    if (missionsModule.meta) meta = normalizeMissionMeta(missionsModule.meta);
 
-    if (typeof missionsModule.executeMission === 'function') {
-      const result = await missionsModule.executeMission();
-      allResults.push({
-        file: filePath,
-        result
-      });
+    if (typeof missionsModule.executeMission !== 'function') {
+      throw asConfigError(new Error(`${filePath} does not export an executeMission() function`));
+    }
+    const result = await missionsModule.executeMission();
+    if (!result || (Array.isArray(result) && !result.length)) {
+      throw asConfigError(new Error(`executeMission() in ${filePath} returned no results (did it return runMissions(...)?)`));
     }
+    return { file: filePath, result, meta };
   } catch (err) {
     console.error(`❌ Error running mission: ${filePath}`);
     console.error(err);
+    return { file: filePath, result: [makeErroredEntry({ file: filePath, startTime: startedAt }, err)], meta };
   }
 };
 
-if (args.length > 0) {
-  // Run specific file(s)
-  for (const file of args) {
-    await runFile(file);
-  }
-} else {
-  // Run missions discovered from config (or default behavior)
-  for (const file of discoveredMissions) {
-    await runFile(file);
+const cfg = await loadConfig();
+let missionFilters;
+let browserEngines;
+let authConfig;
+let rateLimitConfig;
+try {
+  missionFilters = getMissionFilters(cfg);
+  browserEngines = getBrowserEngines(cfg);
+  authConfig = getAuthStateConfig(cfg);
+  rateLimitConfig = getRateLimitConfig(cfg);
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(EXIT_CODES.CONFIG);
+}
+// Read provider/model from config (allow env override)
+const { provider: llmProvider, model: llmModel } = resolveProviderModel({ cwd: process.cwd() });
+
+// Token/request budgets shared with other testronaut processes (same API key)
+const sharedLimitsDir = configureSharedLimiter({
+  enabled: rateLimitConfig.shared,
+  dir: rateLimitConfig.dir,
+  scope: sharedLimiterScope(llmProvider, resolveRateLimitAccount(llmProvider, { cwd: process.cwd() })),
+});
+if (sharedLimitsDir) {
+  console.log(`🤝 Sharing rate limits with other processes via ${path.relative(process.cwd(), sharedLimitsDir) || '.'}`);
+}
+
+// Specific file(s) from argv, otherwise missions discovered from config (or default behavior)
+const candidateFiles = args.length > 0 ? args : discoveredMissions;
+let missionFiles = candidateFiles;
+let missionMeta = {};
+const filtersActive = hasMissionFilters(missionFilters);
+if (filtersActive) {
+  // Same URL form as runFile so each module is only evaluated once
+  ({ files: missionFiles, meta: missionMeta } = await selectMissionFiles(candidateFiles, {
+    root: missionsRoot,
+    filters: missionFilters,
+    importer: (p) => import(`file://${p}`),
+  }));
+  console.log(`🏷️ Selected ${missionFiles.length}/${candidateFiles.length} mission file(s) by tag/name filters.`);
+}
+if (!missionFiles.length) {
+  console.error(filtersActive && candidateFiles.length
+    ? '❌ No mission files match the --tag/--exclude-tag/--grep filters'
+    : `❌ No mission files found in ${path.relative(process.cwd(), missionsRoot) || '.'}`);
+}
+
+// Setup mission: log in once, before (and never alongside) the missions that reuse the state
+if (!authRefresh && authConfig.setupMission) {
+  const authStatus = readAuthState(authConfig.path, { maxAgeMinutes: authConfig.maxAgeMinutes });
+  const setupPlan = planSetupMission(missionFiles, {
+    setupMission: authConfig.setupMission,
+    stateValid: authStatus.valid,
+    explicit: args.length > 0,
+    root: missionsRoot,
+  });
+  missionFiles = setupPlan.files;
+  if (setupPlan.setupFile) {
+    console.log(`🔐 Running setup mission ${setupPlan.setupFile} (stored auth state: ${authStatus.reason})`);
+    process.env.TESTRONAUT_AUTH_MODE = 'setup';
+    allResults.push(await runFile(setupPlan.setupFile));
+    delete process.env.TESTRONAUT_AUTH_MODE;
+  } else if (missionFiles.length) {
+    console.log(`🔐 Reusing stored auth state; skipping setup mission ${authConfig.setupMission}`);
   }
 }
+if (browserEngines.value.length > 1) {
+  console.log(`🌐 Each mission runs on: ${browserEngines.value.join(', ')}`);
+}
+const concurrency = getConcurrency(cfg);
+if (concurrency.clamped) {
+  console.warn(`⚠️ Worker count clamped to ${concurrency.value} (allowed 1-16).`);
+}
+const { workers, serialForPause } = planWorkers(concurrency.value, missionFiles.length, {
+  pauseOnFailure: getDebugBrowserConfig(cfg).pauseOnFailure,
+});
+if (serialForPause) {
+  console.warn(`⚠️ Pause on failure needs the terminal to itself; running with 1 worker instead of ${concurrency.value}.`);
+}
+if (workers > 1) {
+  console.log(`🧵 Running ${missionFiles.length} mission file(s) across ${workers} workers.`);
+}
+
+// Each mission launches its own browser/context, so files can run side by side.
+// Results are collected in input order so the merged report stays stable.
+const fileResults = await runWithConcurrency(missionFiles, workers, runFile);
+for (const { value } of fileResults) {
+  if (value) allResults.push(value);
+}
 
 const endTime = new Date();
 
+// Full step history lives in each attempt's JSONL file
+const stepsFor = (m) => {
+  if (m.stepFile && fs.existsSync(m.stepFile)) {
+    const fromJsonl = readJsonlSteps(m.stepFile);
+    if (fromJsonl && fromJsonl.length) return mergeDuplicateTurns(fromJsonl);
+  }
+  return m.steps;
+};
+
 const flatMissions = allResults.flatMap(entry => {
   const result = entry.result;
   const missions = Array.isArray(result) ? result : [result];
 
   return missions.map(m => {
-    let steps = m.steps;
-    if (m.stepFile && fs.existsSync(m.stepFile)) {
-      const fromJsonl = readJsonlSteps(m.stepFile);
-      if (fromJsonl && fromJsonl.length) {
-        steps = mergeDuplicateTurns(fromJsonl);
-      }
-    }
+    const steps = stepsFor(m);
     return {
       ...m,
       steps,
+      ...(Array.isArray(m.previousAttempts)
+        ? { previousAttempts: m.previousAttempts.map(a => ({ ...a, steps: stepsFor(a) })) }
+        : {}),
       file: entry.file,
+      ...(entry.meta ? { meta: entry.meta } : {}),
     };
   });
 });
 
-// Read provider/model from config (allow env override)
-const { provider: llmProvider, model: llmModel } = resolveProviderModel({ cwd: process.cwd() });
+// Violation counts by impact from audit_accessibility (null when no audit ran)
+const accessibilitySummary = summarizeAccessibility(flatMissions);
+if (accessibilitySummary) {
+  const counts = A11Y_IMPACTS.map(i => `${accessibilitySummary[i]} ${i}`).join(', ');
+  console.log(`♿ Accessibility: ${accessibilitySummary.audits} audit(s) — ${counts}`);
+}
 
+// LLM spend, counting earlier attempts of retried missions
+const runCost = summarizeRunCost(flatMissions);
+if (runCost.promptTokens || runCost.completionTokens) {
+  const budgetStops = flatMissions.filter(m => m.budgetExceeded).length;
+  console.log(`💵 LLM cost: ${runCost.costUsd == null ? 'unknown (no price for this model)' : formatUsd(runCost.costUsd)} — ${runCost.promptTokens} prompt / ${runCost.completionTokens} completion tokens${budgetStops ? `; ${budgetStops} submission(s) stopped by the budget` : ''}`);
+}
 
 const report = {
   runId,
@@ -693,7 +1375,21 @@ const report = {
     totalMissions: flatMissions.length,
     passed: flatMissions.filter(m => m.status === 'passed').length,
     failed: flatMissions.filter(m => m.status === 'failed').length,
+    errored: flatMissions.filter(m => m.status === 'errored').length,
+    flaky: flatMissions.filter(m => m.flaky).length,
+    promptTokens: runCost.promptTokens,
+    completionTokens: runCost.completionTokens,
+    costUsd: runCost.costUsd,
+    ...(accessibilitySummary ? { accessibility: accessibilitySummary } : {}),
   },
+  ...(filtersActive ? {
+    filters: {
+      tags: missionFilters.tags,
+      excludeTags: missionFilters.excludeTags,
+      grep: missionFilters.grep?.source ?? null,
+    },
+  } : {}),
+  browsers: browserEngines.value,
   missions: flatMissions
 };
 
@@ -702,9 +1398,35 @@ fs.mkdirSync(outputDir, { recursive: true });
 fs.writeFileSync(`${outputDir}/${runId}.json`, JSON.stringify(report, null, 2));
 generateHtmlReport(report, `${outputDir}/${runId}.html`);
 
+const reporters = getReporters(cfg);
+if (reporters.unknown.length) {
+  console.warn(`⚠️ Unknown reporter(s) ignored: ${reporters.unknown.join(', ')}`);
+}
+if (reporters.value.includes('junit')) {
+  generateJunitReport(report, `${outputDir}/${runId}.xml`);
+}
+
+const runSummary = buildRunSummary(report);
+const summaryJsonPath = process.env.TESTRONAUT_SUMMARY_JSON?.trim();
+if (summaryJsonPath) {
+  try {
+    const out = path.resolve(process.cwd(), summaryJsonPath);
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+    fs.writeFileSync(out, JSON.stringify(runSummary, null, 2));
+    console.log(`📊 Summary written to: ${out}`);
+  } catch (err) {
+    console.warn(`⚠️ Could not write summary JSON: ${err.message}`);
+  }
+}
+
   try {
     if (!process.env.TN_KEEP_TMP && fs.existsSync(TMP_DIR)) {
-      fs.rmSync(TMP_DIR, { recursive: true, force: true });
+      if (sharedLimitsDir) {
+        // Processes sharing the rate limits may still be running missions here
+        removeOwnTmpFiles(TMP_DIR);
+      } else {
+        fs.rmSync(TMP_DIR, { recursive: true, force: true });
+      }
       console.log('🧹 Cleaned up temporary files.');
     } else {
       console.log('⚠️ Skipped tmp cleanup (TN_KEEP_TMP set).');
@@ -712,6 +1434,12 @@ generateHtmlReport(report, `${outputDir}/${runId}.html`);
   } catch (err) {
     console.warn(`⚠️ Could not remove tmp folder: ${err.message}`);
   }
+
+  // exitCode (not exit()) so pending stdout/stderr writes still flush
+  const { totals, outcome, exitCode } = runSummary;
+  const flakyNote = totals.flaky ? ` (${totals.flaky} flaky)` : '';
+  console.log(`🏁 ${totals.passed} passed${flakyNote}, ${totals.failed} failed, ${totals.errored} errored → ${outcome} (exit ${exitCode})`);
+  process.exitCode = exitCode;
 }
 
 /**
@@ -740,6 +1468,24 @@ async function parseJsonSafe(res, urlLabel) {
   return data;
 }
 
+/**
+ * Remove the step logs this process wrote to the tmp folder, leaving other
+ * processes' files (core/agent.js names them `<mission>_<ts>_<pid>_<seq>_steps.jsonl`).
+ * @param {string} dir
+ * @param {number} [pid=process.pid]
+ * @returns {number} files removed
+ */
+function removeOwnTmpFiles(dir, pid = process.pid) {
+  const own = new RegExp(`_\\d+_${pid}_\\d+_steps\\.jsonl$`);
+  let removed = 0;
+  for (const name of fs.readdirSync(dir)) {
+    if (!own.test(name)) continue;
+    fs.rmSync(path.join(dir, name), { force: true });
+    removed += 1;
+  }
+  return removed;
+}
+
 /**
  * Detect the local package manager based on lockfiles.
  * @param {string} [cwd=process.cwd()]
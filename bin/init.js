@@ -6,7 +6,8 @@
  *   writing a provider/model-aware config, and scaffolding a .env file.
  *
  * Responsibilities:
- *   1) Ask the user for an LLM provider (OpenAI or Gemini).
+ *   1) Ask the user for an LLM provider (OpenAI, Gemini, Anthropic, or an
+ *      OpenAI-compatible endpoint such as Ollama / LM Studio / vLLM).
  *   2) Ask for a provider-specific model (keeps prior choice when re-run).
  *   3) Write `testronaut-config.json` and an initial `.env` placeholder.
  *   4) Ensure folder structure and create a welcome mission.
@@ -34,6 +35,8 @@ import {
   makeEnvTemplate,
   openAIModels,
   geminiModels,
+  anthropicModels,
+  openAICompatibleDefaults,
   pickInitialIndex
 } from './initHelpers.js';
 
@@ -70,10 +73,12 @@ export async function initializeTestronautProject() {
       choices: [
         { title: 'OpenAI (GPT family)', value: 'openai' },
         { title: 'Google Gemini', value: 'gemini' },
-        // Future: add Anthropic, Mistral, etc.
+        { title: 'Anthropic Claude', value: 'anthropic' },
+        { title: 'OpenAI-compatible endpoint (Ollama, LM Studio, vLLM)', value: 'openai-compatible' },
+        // Future: add Mistral, etc.
       ],
       // If user re-runs init before writing config, preselect known value.
-      initial: ['openai', 'gemini'].indexOf(config.provider ?? 'openai')
+      initial: Math.max(0, ['openai', 'gemini', 'anthropic', 'openai-compatible'].indexOf(config.provider ?? 'openai'))
     });
 
     // Persist provider explicitly to config.
@@ -129,6 +134,43 @@ export async function initializeTestronautProject() {
       });
 
       config.model = geminiModel;
+    } else if (llmProvider === 'anthropic') {
+      const models = anthropicModels();
+      const { anthropicModel } = await prompts({
+        type: 'select',
+        name: 'anthropicModel',
+        message: 'Select an Anthropic Claude model:',
+        choices: [
+          { title: 'Claude Sonnet 4.5 (balanced, strong tool use)', value: 'claude-sonnet-4-5' },
+          { title: 'Claude Opus 4.1 (highest quality)', value: 'claude-opus-4-1' },
+          { title: 'Claude Haiku 4.5 (fast, cost-efficient)', value: 'claude-haiku-4-5' },
+          { title: 'Claude Sonnet 4', value: 'claude-sonnet-4-0' },
+          { title: 'Claude 3.7 Sonnet', value: 'claude-3-7-sonnet-latest' },
+        ],
+        // Keep prior selection if present; default to Sonnet.
+        initial: pickInitialIndex(models, config.model, 'claude-sonnet-4-5')
+      });
+
+      config.model = anthropicModel;
+    } else if (llmProvider === 'openai-compatible') {
+      const defaults = openAICompatibleDefaults();
+      const { baseURL, localModel } = await prompts([
+        {
+          type: 'text',
+          name: 'baseURL',
+          message: 'Base URL of your OpenAI-compatible server:',
+          initial: config.openaiCompatible?.baseURL || defaults.baseURL,
+        },
+        {
+          type: 'text',
+          name: 'localModel',
+          message: 'Model name to request (must support tool calling):',
+          initial: config.model || defaults.model,
+        },
+      ]);
+
+      config.model = localModel;
+      config.openaiCompatible = { ...(config.openaiCompatible || {}), baseURL };
     }
 
     // ─────────────────────────────────────────────
@@ -181,6 +223,36 @@ export async function initializeTestronautProject() {
 
 📌 If you plan to use tools/function-calling or images, make sure your account has access to those features.
 
+✅ Ready to write missions in \`missions/\`. Try:
+
+    testronaut welcome.mission.js
+`);
+    } else if (config.provider === 'anthropic') {
+      console.log(`
+🔧 Setup Complete!
+
+👉 Ensure your .env file contains your Anthropic key:
+
+    ANTHROPIC_API_KEY=sk-ant-...
+
+📌 New Anthropic accounts start with low token-per-minute limits; Testronaut throttles automatically.
+
+✅ Ready to write missions in \`missions/\`. Try:
+
+    testronaut welcome.mission.js
+`);
+    } else if (config.provider === 'openai-compatible') {
+      console.log(`
+🔧 Setup Complete!
+
+👉 Testronaut will call: ${config.openaiCompatible?.baseURL}
+
+    Start your server first (e.g. \`ollama serve\`) and make sure
+    "${config.model}" is pulled and supports tool calling.
+    If the server needs a key, add OPENAI_COMPATIBLE_API_KEY to .env.
+
+📌 Token throttling is off for this provider. Set openaiCompatible.tokensPerMinute to enable it.
+
 ✅ Ready to write missions in \`missions/\`. Try:
 
     testronaut welcome.mission.js
@@ -23,6 +23,7 @@
  *   const defaults = defaultConfig(path.basename(process.cwd()));
  *   const envTemplate = makeEnvTemplate('gemini');
  *   const models = openAIModels();
+ *   const claude = anthropicModels();
  */
 
 /**
@@ -71,7 +72,7 @@ export function defaultConfig(rootBasename) {
  * Returns a provider-specific .env template string.
  * This scaffolds a safe placeholder API key for the user to fill in manually.
  *
- * @param {'openai'|'gemini'} provider - The chosen LLM provider
+ * @param {'openai'|'gemini'|'anthropic'|'openai-compatible'} provider - The chosen LLM provider
  * @returns {string} A multiline template for the .env file
  */
 export function makeEnvTemplate(provider) {
@@ -83,6 +84,18 @@ OPENAI_API_KEY=sk-...
   if (provider === 'gemini') {
     return `# Add your Google Gemini API key below
 GEMINI_API_KEY=AIza...
+`;
+  }
+  if (provider === 'anthropic') {
+    return `# Add your Anthropic API key below
+ANTHROPIC_API_KEY=sk-ant-...
+`;
+  }
+  if (provider === 'openai-compatible') {
+    return `# Only needed if your OpenAI-compatible server requires a key
+# OPENAI_COMPATIBLE_API_KEY=...
+# Optional override for openaiCompatible.baseURL in testronaut-config.json
+# OPENAI_COMPATIBLE_BASE_URL=http://localhost:11434/v1
 `;
   }
   return '';
@@ -121,17 +134,48 @@ export function geminiModels() {
   ];
 }
 
+/**
+ * List of supported Anthropic Claude model identifiers.
+ *
+ * @returns {string[]} Array of Claude model names
+ */
+export function anthropicModels() {
+  return [
+    'claude-sonnet-4-5',  // best balance of reasoning and tool use
+    'claude-opus-4-1',    // highest quality, slower and pricier
+    'claude-haiku-4-5',   // fast, cost-effective
+    'claude-sonnet-4-0',
+    'claude-3-7-sonnet-latest',
+  ];
+}
+
+/**
+ * Suggested defaults for a self-hosted OpenAI-compatible endpoint.
+ * Ollama's URL is used because it is the most common local setup;
+ * LM Studio (`http://localhost:1234/v1`) and vLLM (`http://localhost:8000/v1`) work the same way.
+ *
+ * @returns {{ baseURL: string, model: string }}
+ */
+export function openAICompatibleDefaults() {
+  return {
+    baseURL: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+  };
+}
+
 /**
  * Determines whether a given model name belongs to a known provider.
  *
- * @param {'openai'|'gemini'} provider - The LLM provider
+ * @param {'openai'|'gemini'|'anthropic'|'openai-compatible'} provider - The LLM provider
  * @param {string} model - The model name to check
  * @returns {boolean} True if the model is recognized for that provider
  */
 export function isKnownModel(provider, model) {
-  return provider === 'openai'
-    ? openAIModels().includes(model)
-    : geminiModels().includes(model);
+  if (provider === 'openai') return openAIModels().includes(model);
+  if (provider === 'anthropic') return anthropicModels().includes(model);
+  // Self-hosted servers serve whatever the user pulled; any name is acceptable.
+  if (provider === 'openai-compatible') return typeof model === 'string' && model.trim().length > 0;
+  return geminiModels().includes(model);
 }
 
 /**
@@ -8,6 +8,33 @@
  *   - Start/stop the browser lifecycle.
  *   - For each goal, construct initial messages and invoke turnLoop().
  *   - Collect per-goal traces into a normalized missionResults array.
+ *   - Record a goal that throws (LLM/network/browser error) as an `errored`
+ *     entry instead of losing the results gathered so far.
+ *   - Verify a goal's `expect` assertions against the browser after the agent
+ *     reports SUCCESS; failed assertions turn the goal into a failure.
+ *   - Capture a Playwright trace and a redacted HAR per goal and a video per
+ *     mission browser (opts.artifacts), keeping them according to their mode and outcome.
+ *   - Launch a headed / slow-motion browser and pause into a REPL when a tool
+ *     call fails (opts.debugBrowser, see tools/debugRepl.js).
+ *   - Record browser actions per goal (opts.recording.record) and replay a
+ *     previous run's actions before handing over to the LLM (opts.recording.replayRunId).
+ *   - Route the mission's network mocks (opts.mocks) and attach the mocked
+ *     routes with their hit counts to the results.
+ *   - Start from a stored login (opts.auth.storageState) and save the context's
+ *     storage state after the preMission or the whole mission passed (opts.auth.saveAfter).
+ *   - Summarize the console, page and network errors seen during each goal and,
+ *     with opts.diagnostics.failOnPageError, fail a goal whose page threw.
+ *   - Attach the goal's accessibility audits (audit_accessibility tool) to its result.
+ *   - Give the browser the visual regression rules (opts.visual) and fail a goal
+ *     with a screenshot mismatch, or only warn when opts.visual.onMismatch is 'warn'.
+ *   - Hand the vision mode (opts.vision) to the browser and the turn loop, which
+ *     send screenshots to image-capable models.
+ *   - Use accessibility outlines instead of HTML for page snapshots when
+ *     opts.domMode is 'aria', and tell the model to target elements by ref.
+ *   - Hand prices and budget caps (opts.cost) to the turn loop and total each
+ *     goal's prompt/completion tokens and cost; a goal stopped by the budget
+ *     carries `budgetExceeded` ('run' | 'mission'). Each call is one attempt
+ *     with its own mission spend (see beginMissionSpend).
  *
  * Message contract (initial):
  *   messages = [
@@ -23,33 +50,140 @@
  */
 
 import 'dotenv/config';
-import { ChromeBrowser } from '../tools/chromeBrowser.js';
+import { ChromeBrowser, CHROME_TOOL_MAP } from '../tools/chromeBrowser.js';
+import { runDebugRepl } from '../tools/debugRepl.js';
 import { turnLoop } from './turnLoop.js';
 import { createEmptyGroundControl, summarizeGroundControlForPrompt } from '../tools/contextControl.js';
+import { makeErroredEntry } from './runSummary.js';
+import {
+  toRecordedAction,
+  writeRecording,
+  loadRecording,
+  findRecordedSubmission,
+  replayActions,
+} from './replay.js';
+import { verifyExpectations } from './assertions.js';
+import { summarizeDiagnostics } from '../tools/pageDiagnostics.js';
+import { beginMissionSpend, sumCosts } from '../tools/costControl.js';
+import { artifactsDir, artifactBaseName, shouldKeepArtifact, toReportPath } from './artifacts.js';
 import fs from 'fs';
 import path from 'path';
 
+// Per-process counter that keeps step files distinct across concurrent missions.
+let stepFileSeq = 0;
+
 /**
  * Execute goals with a browser agent.
  *
- * @param {Array<{goal:any, submissionType?:string, submissionName?:string, label?:string}>} goals
+ * @param {Array<{goal:any, submissionType?:string, submissionName?:string, label?:string, expect?:object[]}>} goals
  * @param {string} missionName
  * @param {number} [maxTurns=20] - upper bound for turnLoop per goal
  * @param {number} [retryLimit]
- * @param {{ domListLimit?: number|typeof Infinity, debug?: boolean, resourceGuard?: { enabled:boolean, hrefIncludes:string[], dataTypes:string[] }, humanInput?: { enabled:boolean, timeoutSeconds:number } }} [opts]
- * @returns {Promise<Array<{missionName:string, submissionType:string, submissionName:string|null, status:'passed'|'failed', steps:any[], startTime:number, endTime:number}>>}
+ * @param {{ domListLimit?: number|typeof Infinity, debug?: boolean, resourceGuard?: { enabled:boolean, hrefIncludes:string[], dataTypes:string[] }, humanInput?: { enabled:boolean, timeoutSeconds:number }, recording?: { record:boolean, replayRunId:string|null, runId:string|null }, artifacts?: { trace:string, video:string, har?:string, runId:string|null }, debugBrowser?: { headed:boolean, slowMo:number, pauseOnFailure:boolean }, browser?: 'chromium'|'firefox'|'webkit', profile?: { name:string|null, device:string|null, contextOptions:object }, auth?: { storageState:string|null, saveAfter:'preMission'|'all'|null, path:string }, mocks?: object[], vision?: { mode:'off'|'look'|'auto', maxWidth:number, modelSupportsImages:boolean|null }, domMode?: 'html'|'aria', cost?: { pricing:object, budget:{ maxUsdPerRun:number|null, maxUsdPerMission:number|null } } }} [opts]
+ * @returns {Promise<Array<{missionName:string, submissionType:string, submissionName:string|null, status:'passed'|'failed'|'errored', steps:any[], stepFile:string, tokensUsed:number, promptTokens:number, completionTokens:number, costUsd:number|null, budgetExceeded?:'run'|'mission', finalMessage:string|null, assertions?:object[], artifacts?:{ trace?:string, har?:string, videos?:string[] }, mocks?:object[], diagnostics?:object, accessibility?:object[], visual?:object[], authState?:'saved', startTime:number, endTime:number}>>}
  */
 export async function runAgent(goals, missionName, maxTurns = 20, retryLimit, opts = {}) {
+  // Trace/video/HAR capture (see core/artifacts.js)
+  const traceMode = opts.artifacts?.trace || 'off';
+  const videoMode = opts.artifacts?.video || 'off';
+  const harMode = opts.artifacts?.har || 'off';
+  const runArtifactsDir = traceMode !== 'off' || videoMode !== 'off' || harMode !== 'off'
+    ? artifactsDir(opts.artifacts?.runId || `run_${Date.now()}`)
+    : null;
+
+  // Budget caps: this attempt (engine, retry, auth rerun) tallies its own mission spend
+  const cost = { ...opts.cost, spendKey: beginMissionSpend(missionName) };
+  // This mission's own rolling token usage (the throttling window is shared)
+  const tokenUsage = [];
+
   const browser = new ChromeBrowser({
+    missionName,
     domListLimit: opts.domListLimit,
     debug: opts.debug,
     resourceGuard: opts.resourceGuard,
+    artifacts: { trace: traceMode, video: videoMode },
+    browser: opts.browser,
+    profile: opts.profile,
+    headed: opts.debugBrowser?.headed,
+    slowMo: opts.debugBrowser?.slowMo,
+    storageState: opts.auth?.storageState,
+    mocks: opts.mocks,
+    visual: opts.visual,
+    vision: opts.vision,
+    domMode: opts.domMode,
   });
-  await browser.start();
+  await browser.start({ recordHar: harMode !== 'off' });
   let result;
+  const missionResults = [];
+
+  // Save or drop the current goal's trace chunk once its outcome is known
+  const finishTrace = async (failed, goalType, typeIndex) => {
+    if (traceMode === 'off') return null;
+    try {
+      const file = shouldKeepArtifact(traceMode, failed)
+        ? path.join(runArtifactsDir, `${artifactBaseName(missionName, goalType, typeIndex + 1, Date.now())}.trace.zip`)
+        : null;
+      const saved = await browser.stopTraceChunk(file);
+      return saved ? toReportPath(saved) : null;
+    } catch (err) {
+      console.warn(`⚠️ Could not save trace: ${err?.message || err}`);
+      return null;
+    }
+  };
+
+  // Save or drop the current goal's network traffic (tools/harRecorder.js)
+  const finishHar = async (failed, goalType, typeIndex) => {
+    if (harMode === 'off') return null;
+    try {
+      const file = shouldKeepArtifact(harMode, failed)
+        ? path.join(runArtifactsDir, `${artifactBaseName(missionName, goalType, typeIndex + 1, Date.now())}.har`)
+        : null;
+      const saved = await browser.stopHarChunk(file);
+      return saved ? toReportPath(saved) : null;
+    } catch (err) {
+      console.warn(`⚠️ Could not save HAR: ${err?.message || err}`);
+      return null;
+    }
+  };
+  const goalArtifacts = (trace, har) =>
+    (trace || har ? { artifacts: { ...(trace ? { trace } : {}), ...(har ? { har } : {}) } } : {});
+
+  // Stored login (see core/authState.js): saved once the login part of the mission passed
+  const saveAuthAfter =
+    opts.auth?.saveAfter === 'preMission' ? goals.map(g => g.submissionType).lastIndexOf('premission') :
+    opts.auth?.saveAfter === 'all' ? goals.length - 1 :
+    -1;
+  const saveAuthState = async (entry) => {
+    try {
+      await browser.saveStorageState(opts.auth.path);
+      entry.authState = 'saved';
+      console.log(`🔐 Auth state saved: ${path.relative(process.cwd(), opts.auth.path)}`);
+    } catch (err) {
+      console.warn(`⚠️ Could not save auth state: ${err?.message || err}`);
+    }
+  };
+
+  // --pause-on-failure: `detach` in the REPL stops pausing for the rest of this mission
+  let pauseOnFailure = opts.debugBrowser?.pauseOnFailure === true;
+  const onToolError = async (failure) => {
+    if (!pauseOnFailure) return 'continue';
+    const action = await runDebugRepl(browser, failure, { toolMap: CHROME_TOOL_MAP, memory: failure.memory });
+    if (action === 'detach') pauseOnFailure = false;
+    return action;
+  };
+
+  // Record/replay state (see core/replay.js)
+  const recordingOpts = opts.recording || {};
+  const recordedSubmissions = recordingOpts.record ? [] : null;
+  const replaySource = recordingOpts.replayRunId ? loadRecording(recordingOpts.replayRunId, missionName) : null;
+  if (recordingOpts.replayRunId) {
+    console.log(replaySource
+      ? `⏩ Replaying "${missionName}" from ${recordingOpts.replayRunId}`
+      : `⚠️ No recording for "${missionName}" in ${recordingOpts.replayRunId}; running with the LLM.`);
+  }
+  const goalTypeCounts = {};
 
   try {
-    const missionResults = [];
     const tmpDir = path.resolve(process.cwd(), 'missions/tmp');
     fs.mkdirSync(tmpDir, { recursive: true });
 
@@ -59,13 +193,27 @@ export async function runAgent(goals, missionName, maxTurns = 20, retryLimit, op
     for (const goal of goals) {
       const steps = [];
       const stepsArchive = [];
-      // Unique-ish JSONL file for this mission’s steps
+      const goalType = goal.submissionType || goal.label;
+      const typeIndex = goalTypeCounts[goalType] = (goalTypeCounts[goalType] ?? -1) + 1;
+      const recordedActions = [];
+      if (recordedSubmissions) {
+        recordedSubmissions.push({
+          submissionType: goalType,
+          submissionName: goal.submissionName || null,
+          status: 'running',
+          finalMessage: null,
+          actions: recordedActions,
+        });
+      }
+      // Unique JSONL file for this mission’s steps (parallel workers may
+      // start the same mission name within the same millisecond)
       const stepFile = path.join(
         tmpDir,
-        `${missionName.replace(/[^\w.-]+/g, '_')}_${Date.now()}_steps.jsonl`
+        `${missionName.replace(/[^\w.-]+/g, '_')}_${Date.now()}_${process.pid}_${++stepFileSeq}_steps.jsonl`
       );
       // Start clean
       fs.writeFileSync(stepFile, '');
+      const startTime = Date.now();
 
       // Ensure user message is a string (functions/objects → toString fallback)
       const userContent =
@@ -82,6 +230,9 @@ Core behavior:
 - Use function calls to complete the user's goal.
 - If you are unsure of selectors for inputs or buttons, call 'get_dom' to retrieve page HTML,
   analyze it, then choose selectors based on labels, names, types, and placeholder values.
+- Interactive elements in that HTML carry refs such as data-tn-ref="e12". Prefer passing the ref to
+  click, fill, expand_menu, upload_file or download_file, e.g. click({ ref: "e12" }), over guessing a selector.
+  If a ref is reported as stale, the page changed: call 'get_dom' again and use the new refs.
 - If you want to click a button labeled "Sign out", prefer:
 
   click_text({ text: "Sign out" })
@@ -135,6 +286,17 @@ Use Ground Control as your persistent mission memory about:
 - Any constraints about staying on the correct site.
       `.trim();
 
+      if (opts.domMode === 'aria') {
+        systemContent +=
+          '\n\n' +
+          `
+Page snapshots:
+- Page snapshots are accessibility outlines (role "name" [state]) instead of HTML.
+- Interactive elements carry refs like [ref=e12]. Pass the ref to click or fill, e.g. click({ ref: "e12" }), instead of guessing a CSS selector.
+- Take refs from the latest snapshot only. Call get_dom with mode "html" only when the outline lacks something you need.
+          `.trim();
+      }
+
       systemContent +=
         '\n\n' +
         `
@@ -173,33 +335,160 @@ Verification codes:
         { role: 'user', content: userContent },
       ];
 
+      const onStep = (s) => {
+        // Append each step as a JSON line
+        try {
+          fs.appendFileSync(stepFile, JSON.stringify(s) + '\n');
+          // Keep memory in check: retain only the last ~20 steps in RAM
+          if (steps.length > 20) steps.splice(0, steps.length - 20);
+          stepsArchive.push(s);
+        } catch {} // best-effort; don’t crash the agent
+      };
+
       // Run the turn loop for this goal
-      result = await turnLoop(
-        browser,
-        messages,
-        maxTurns,
-        0,    // currentTurn
-        0,    // retryCount
-        null, // currentStep
-        {
-          steps,
-          stepsArchive,
-          missionName,
-          retryLimit, 
-          groundControl,
-          resourceGuard: opts.resourceGuard,
-          humanInput: opts.humanInput,
-          onStep: (s) => {
-            // Append each step as a JSON line
-            try {
-              fs.appendFileSync(stepFile, JSON.stringify(s) + '\n');
-              // Keep memory in check: retain only the last ~20 steps in RAM
-              if (steps.length > 20) steps.splice(0, steps.length - 20);
-              stepsArchive.push(s);
-            } catch {} // best-effort; don’t crash the agent
+      let replay = null;
+      let assertions = null;
+      let diagnostics = null;
+      let visual = [];
+      try {
+        if (traceMode !== 'off') await browser.startTraceChunk();
+        if (harMode !== 'off') await browser.startHarChunk();
+
+        // ⏩ Replay a previously passing submission first; the LLM only takes
+        // over from the first action that can no longer be reproduced.
+        const recorded = findRecordedSubmission(replaySource, { submissionType: goalType, submissionName: goal.submissionName || null }, typeIndex);
+        if (recorded?.status === 'passed' && recorded.actions?.length) {
+          let replaySeq = 0;
+          replay = await replayActions(browser, recorded.actions, {
+            missionName,
+            onStep: (s) => {
+              s._seq = replaySeq++;
+              onStep(s);
+            },
+          });
+          recordedActions.push(...recorded.actions.slice(0, replay.completed));
+          replay.steps = replaySeq;
+        }
+
+        if (replay && replay.divergedAt === null) {
+          console.log(`⏩ Replayed ${replay.completed}/${replay.total} actions without the LLM.`);
+          result = {
+            success: true,
+            finalMessage: `SUCCESS: replayed ${replay.completed} recorded action(s)${recorded.finalMessage ? ` — ${recorded.finalMessage}` : ''}`,
+          };
+        } else {
+          if (replay) {
+            console.log(`⏩ Replay diverged at action ${replay.divergedAt + 1}/${replay.total} (${replay.reason}); handing over to the LLM.`);
+            messages.push({
+              role: 'user',
+              content:
+                `Note: the first ${replay.completed} action(s) of a previous successful run were replayed automatically. ` +
+                `Replay stopped at "${recorded.actions[replay.divergedAt].tool}" because: ${replay.reason}. ` +
+                'Continue from the current page state to complete the goal.',
+            });
           }
+          const replayedTurns = replay?.steps ?? 0;
+          result = await turnLoop(
+            browser,
+            messages,
+            maxTurns + replayedTurns,
+            replayedTurns, // currentTurn (after replayed steps so turn numbers stay unique)
+            0,    // retryCount
+            null, // currentStep
+            {
+              steps,
+              stepsArchive,
+              missionName,
+              retryLimit, 
+              groundControl,
+              resourceGuard: opts.resourceGuard,
+              humanInput: opts.humanInput,
+              vision: opts.vision,
+              cost,
+              tokenUsage,
+              _stepSeq: replayedTurns,
+              onStep,
+              onAction: recordedSubmissions
+                ? ({ tool, args, live }) => recordedActions.push(toRecordedAction(tool, args, { live }))
+                : undefined,
+              onToolError: pauseOnFailure ? onToolError : undefined,
+            }
+          );
         }
-      );
+
+        // ✅ Framework-side assertions: the model's SUCCESS is not enough on its own
+        if (result?.success && goal.expect?.length) {
+          const verdict = await verifyExpectations(browser, goal.expect, { since: startTime });
+          assertions = verdict.results;
+          const lastTurn = Math.max(-1, ...stepsArchive.map(s => (Number.isFinite(s?.turn) ? s.turn : -1)));
+          const lastSeq = Math.max(-1, ...stepsArchive.map(s => (Number.isFinite(s?._seq) ? s._seq : -1)));
+          onStep({
+            turn: lastTurn + 1,
+            retryAttempt: 1,
+            _seq: lastSeq + 1,
+            events: assertions.map(a => `${a.passed ? '✅' : '❌'} expect: ${a.description} (actual: ${a.actual})`),
+            result: verdict.passed ? '✅ Assertions Passed' : '❌ Assertions Failed',
+            summary: 'Verify mission expectations',
+            missionName,
+            tokensUsed: 0,
+          });
+          if (!verdict.passed) {
+            const failed = assertions.filter(a => !a.passed).map(a => a.description);
+            console.log(`❌ ${failed.length} assertion(s) failed after the agent reported success.`);
+            result = {
+              ...result,
+              success: false,
+              finalMessage: `FAILURE: assertion(s) failed: ${failed.join('; ')}` +
+                (result.finalMessage ? ` (agent reported: ${result.finalMessage})` : ''),
+            };
+          }
+        }
+
+        // 🩺 Console, page and network errors seen while working on this goal
+        const seen = browser.diagnosticsSince?.(startTime) || [];
+        diagnostics = summarizeDiagnostics(seen);
+        if (result?.success && opts.diagnostics?.failOnPageError && diagnostics?.pageErrors) {
+          const thrown = seen.filter(e => e.kind === 'pageerror').map(e => e.text);
+          console.log(`❌ The page threw ${thrown.length} uncaught error(s) (failOnPageError).`);
+          result = {
+            ...result,
+            success: false,
+            finalMessage: `FAILURE: ${thrown.length} uncaught page error(s): ${thrown.slice(0, 3).join('; ')}` +
+              (result.finalMessage ? ` (agent reported: ${result.finalMessage})` : ''),
+          };
+        }
+
+        // 🖼️ Visual regression checks (compare_screenshot) made during this goal
+        visual = browser.visualChecksSince?.(startTime) || [];
+        const mismatched = visual.filter(c => c.status === 'mismatch').map(c => c.name);
+        if (mismatched.length && opts.visual?.onMismatch === 'warn') {
+          console.warn(`⚠️ Visual mismatch (warn only): ${mismatched.join(', ')}`);
+        } else if (result?.success && mismatched.length) {
+          console.log(`❌ ${mismatched.length} screenshot(s) differ from their baseline.`);
+          result = {
+            ...result,
+            success: false,
+            finalMessage: `FAILURE: visual mismatch: ${mismatched.join(', ')}` +
+              (result.finalMessage ? ` (agent reported: ${result.finalMessage})` : ''),
+          };
+        }
+      } catch (err) {
+        console.error(`💥 Goal errored (${goal.submissionName || missionName}): ${err?.message || err}`);
+        const trace = await finishTrace(true, goalType, typeIndex);
+        const har = await finishHar(true, goalType, typeIndex);
+        missionResults.push({
+          ...makeErroredEntry({
+            missionName,
+            submissionType: goal.submissionType || goal.label,
+            submissionName: goal.submissionName || null,
+            startTime,
+          }, err),
+          steps: JSON.parse(JSON.stringify(stepsArchive)),
+          stepFile,
+          ...goalArtifacts(trace, har),
+        });
+        return missionResults;
+      }
 
       function dedupeSteps(steps) {
         const copy = [...steps];
@@ -213,6 +502,14 @@ Verification codes:
       }
 
       const compact = dedupeSteps(stepsArchive.length ? stepsArchive : steps);
+      // Per-submission token total; the rolling window in turnLoop is process-wide
+      const tokensUsed = compact.reduce((sum, s) => sum + (Number(s?.tokensUsed) || 0), 0);
+      const { promptTokens, completionTokens, costUsd } = sumCosts(compact);
+
+      const trace = await finishTrace(!result?.success, goalType, typeIndex);
+      const har = await finishHar(!result?.success, goalType, typeIndex);
+      // audit_accessibility results from this goal (tools/a11yAudit.js)
+      const accessibility = browser.accessibilityAuditsSince?.(startTime) || [];
 
       // Snapshot steps (avoid retaining references to mutable arrays)
       missionResults.push({
@@ -222,19 +519,62 @@ Verification codes:
         status: result?.success ? 'passed' : 'failed',
         steps: JSON.parse(JSON.stringify(compact)), // last 20 (by memory design)
         stepFile, // full history is in this JSONL (one step per line)
-        startTime: Date.now() - 1, // TODO: wire actual timings if needed
+        tokensUsed,
+        promptTokens,
+        completionTokens,
+        costUsd,
+        finalMessage: result?.finalMessage ?? null,
+        ...(result?.budgetExceeded ? { budgetExceeded: result.budgetExceeded } : {}),
+        ...(assertions ? { assertions } : {}),
+        ...(diagnostics ? { diagnostics } : {}),
+        ...(accessibility.length ? { accessibility } : {}),
+        ...(visual.length ? { visual } : {}),
+        ...goalArtifacts(trace, har),
+        ...(replay ? { replay: { completed: replay.completed, total: replay.total, divergedAt: replay.divergedAt, reason: replay.reason } } : {}),
+        startTime,
         endTime: Date.now(),
       });
+      if (recordedSubmissions) {
+        const entry = recordedSubmissions[recordedSubmissions.length - 1];
+        entry.status = result?.success ? 'passed' : 'failed';
+        entry.finalMessage = result?.finalMessage ?? null;
+      }
 
       if (!result?.success) {
         console.log('🛑 Agent stopped due to failed goal.\n');
         return missionResults;
       }
+      if (goals.indexOf(goal) === saveAuthAfter) {
+        await saveAuthState(missionResults[missionResults.length - 1]);
+      }
     }
 
     console.log('✅ All goals completed successfully.\n');
     return missionResults;
   } finally {
-    await browser.close();
+    if (recordedSubmissions) {
+      try {
+        const runId = recordingOpts.runId || `run_${Date.now()}`;
+        const file = writeRecording({ runId, missionName, submissions: recordedSubmissions });
+        console.log(`📼 Recording saved: ${path.relative(process.cwd(), file)}`);
+      } catch (err) {
+        console.warn(`⚠️ Could not save recording: ${err.message}`);
+      }
+    }
+    // Mocks live on the browser context, so every submission shares the same list
+    const mocks = browser.mockedRoutes?.() || [];
+    if (mocks.length) {
+      for (const r of missionResults) r.mocks = mocks;
+    }
+    // Videos cover the whole mission browser, so they follow the mission's outcome
+    const failed = !missionResults.length || missionResults.some(r => r.status !== 'passed');
+    const keepVideo = shouldKeepArtifact(videoMode, failed);
+    const closed = await browser.close(keepVideo
+      ? { videoDir: runArtifactsDir, videoBaseName: artifactBaseName(missionName, Date.now()) }
+      : undefined);
+    const videos = (closed?.videos || []).map(v => toReportPath(v));
+    if (videos.length) {
+      for (const r of missionResults) r.artifacts = { ...r.artifacts, videos };
+    }
   }
 }
@@ -0,0 +1,93 @@
+/**
+ * artifacts.js
+ * ------------
+ * Purpose:
+ *   Shared rules for Playwright trace and video artifacts: capture modes,
+ *   where files live, and how the report links to them.
+ *
+ * Responsibilities:
+ *   - Normalize capture modes: `off` | `on` | `retain-on-failure`.
+ *   - Decide whether an artifact is kept once the outcome is known.
+ *   - Place artifacts next to the run report:
+ *       missions/mission_reports/artifacts/<runId>/<mission>_<type>_<n>_<ts>.trace.zip
+ *       missions/mission_reports/artifacts/<runId>/<mission>_<ts>.webm
+ *   - Express artifact paths relative to the report directory (like screenshots).
+ *
+ * Related tests:
+ *   tests/coreTests/artifacts.test.js
+ *
+ * Used by:
+ *   - core/config.js (getArtifactsConfig)
+ *   - core/agent.js (trace chunk per submission, video per mission browser)
+ *   - tools/generateHtmlReport.js / tools/generateJunitReport.js (links/attachments)
+ */
+
+import path from 'path';
+
+export const ARTIFACT_MODES = Object.freeze(['off', 'on', 'retain-on-failure']);
+
+export const REPORTS_DIR = path.join('missions', 'mission_reports');
+
+/**
+ * Normalize a user-supplied capture mode.
+ * Accepts booleans and common aliases (true/1/yes → on, false/0/no → off).
+ *
+ * @param {unknown} raw
+ * @returns {'off'|'on'|'retain-on-failure'|null} null when unrecognized
+ */
+export function normalizeArtifactMode(raw) {
+  if (raw === true) return 'on';
+  if (raw === false) return 'off';
+  const s = String(raw ?? '').trim().toLowerCase().replace(/_/g, '-');
+  if (!s) return null;
+  if (ARTIFACT_MODES.includes(s)) return s;
+  if (['1', 'true', 'yes'].includes(s)) return 'on';
+  if (['0', 'false', 'no'].includes(s)) return 'off';
+  if (s === 'on-failure' || s === 'failure') return 'retain-on-failure';
+  return null;
+}
+
+/**
+ * Keep the artifact for this outcome?
+ * @param {'off'|'on'|'retain-on-failure'} mode
+ * @param {boolean} failed
+ * @returns {boolean}
+ */
+export function shouldKeepArtifact(mode, failed) {
+  return mode === 'on' || (mode === 'retain-on-failure' && !!failed);
+}
+
+/**
+ * Absolute directory for a run's artifacts.
+ * @param {string} runId
+ * @param {{ cwd?: string }} [opts]
+ * @returns {string}
+ */
+export function artifactsDir(runId, { cwd = process.cwd() } = {}) {
+  return path.resolve(cwd, REPORTS_DIR, 'artifacts', String(runId));
+}
+
+/**
+ * File-safe artifact name.
+ * @param {...(string|number|null|undefined)} parts
+ * @returns {string}
+ */
+export function artifactBaseName(...parts) {
+  return parts
+    .filter(p => p !== undefined && p !== null && String(p).trim())
+    .map(p => String(p).replace(/[^\w.-]+/g, '_').slice(0, 60))
+    .join('_');
+}
+
+/**
+ * Path of an artifact relative to the report directory (e.g. `./artifacts/run_1/x.trace.zip`),
+ * matching how screenshot paths are stored in steps.
+ *
+ * @param {string} absPath
+ * @param {{ cwd?: string }} [opts]
+ * @returns {string}
+ */
+export function toReportPath(absPath, { cwd = process.cwd() } = {}) {
+  const rel = path.relative(path.resolve(cwd, REPORTS_DIR), absPath).split(path.sep).join('/');
+  return `./${rel}`;
+}
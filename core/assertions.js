@@ -0,0 +1,268 @@
+/**
+ * assertions.js
+ * -------------
+ * Purpose:
+ *   Structured mission definitions (`{ steps, expect }`) and the framework-side
+ *   checks that back them. Expectations are verified against the live browser
+ *   after the agent reports SUCCESS, so a mission whose checks fail is marked
+ *   failed even when the model claims otherwise.
+ *
+ * Responsibilities:
+ *   - Detect and validate structured missions; invalid expectations are
+ *     configuration errors (exit code 3).
+ *   - Turn `steps` into the numbered goal text handed to the agent.
+ *   - Verify expectations through the ChromeBrowser page:
+ *       { type: 'url', equals | includes | matches }
+ *       { type: 'textVisible', text }
+ *       { type: 'elementCount', selector, equals | min | max }
+ *       { type: 'download', fileName | matches }   (files this mission's browser saved via download_file)
+ *     Every entry accepts an optional `timeoutMs` (default 3000) so pages can settle.
+ *
+ * Related tests:
+ *   tests/coreTests/assertions.test.js
+ *
+ * Used by:
+ *   - runner/testronaut.js (normalize mission objects into goals)
+ *   - core/agent.js (verify expectations after a successful goal)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { asConfigError } from './runSummary.js';
+
+const DEFAULT_TIMEOUT_MS = 3000;
+const POLL_MS = 200;
+
+const ASSERTION_TYPES = ['url', 'textVisible', 'elementCount', 'download'];
+
+/**
+ * True for the object form of a mission: `{ steps, expect }`.
+ * @param {unknown} mission
+ * @returns {boolean}
+ */
+export function isStructuredMission(mission) {
+  return !!mission
+    && typeof mission === 'object'
+    && !Array.isArray(mission)
+    && ('steps' in mission || 'expect' in mission);
+}
+
+/**
+ * Validate a list of expectations.
+ * @param {unknown} expectations
+ * @returns {object[]}
+ * @throws configuration error describing the first invalid entry
+ */
+export function validateExpectations(expectations) {
+  if (expectations === undefined) return [];
+  if (!Array.isArray(expectations)) {
+    throw asConfigError(new Error('Mission "expect" must be an array of assertions'));
+  }
+
+  expectations.forEach((e, i) => {
+    const where = `expect[${i}]`;
+    if (!e || typeof e !== 'object') throw asConfigError(new Error(`${where} must be an object`));
+    if (!ASSERTION_TYPES.includes(e.type)) {
+      throw asConfigError(new Error(`${where} has unknown type "${e.type}" (supported: ${ASSERTION_TYPES.join(', ')})`));
+    }
+    if (e.timeoutMs !== undefined && !(Number.isFinite(e.timeoutMs) && e.timeoutMs >= 0)) {
+      throw asConfigError(new Error(`${where}.timeoutMs must be a non-negative number`));
+    }
+    // A bad pattern should stop the run up front, not fail the check later
+    if (typeof e.matches === 'string') {
+      try {
+        new RegExp(e.matches);
+      } catch (err) {
+        throw asConfigError(new Error(`${where}.matches is not a valid regular expression: ${err.message}`));
+      }
+    } else if (e.matches !== undefined && !(e.matches instanceof RegExp)) {
+      throw asConfigError(new Error(`${where}.matches must be a RegExp or a pattern string`));
+    }
+    // URL equals/includes compare text; patterns belong in matches
+    for (const key of e.type === 'url' ? ['equals', 'includes'] : []) {
+      if (e[key] !== undefined && typeof e[key] !== 'string') {
+        throw asConfigError(new Error(`${where}.${key} must be a string (use matches for a pattern)`));
+      }
+    }
+    const ok =
+      e.type === 'url' ? e.equals !== undefined || e.includes !== undefined || e.matches !== undefined :
+      e.type === 'textVisible' ? typeof e.text === 'string' && e.text.length > 0 :
+      e.type === 'elementCount' ? typeof e.selector === 'string' && [e.equals, e.min, e.max].some(Number.isInteger) :
+      e.type === 'download' ? true :
+      false;
+    if (!ok) {
+      const hint = {
+        url: 'one of equals/includes/matches',
+        textVisible: 'a non-empty text',
+        elementCount: 'a selector and one of equals/min/max',
+      }[e.type];
+      throw asConfigError(new Error(`${where} (${e.type}) needs ${hint}`));
+    }
+  });
+
+  return expectations;
+}
+
+/**
+ * Human-readable description of one expectation.
+ * @param {object} e
+ * @returns {string}
+ */
+export function describeExpectation(e) {
+  switch (e?.type) {
+    case 'url':
+      if (e.equals !== undefined) return `URL is ${e.equals}`;
+      if (e.includes !== undefined) return `URL includes "${e.includes}"`;
+      return `URL matches ${e.matches}`;
+    case 'textVisible':
+      return `text "${e.text}" is visible`;
+    case 'elementCount': {
+      const parts = [];
+      if (Number.isInteger(e.equals)) parts.push(`= ${e.equals}`);
+      if (Number.isInteger(e.min)) parts.push(`>= ${e.min}`);
+      if (Number.isInteger(e.max)) parts.push(`<= ${e.max}`);
+      return `count of "${e.selector}" ${parts.join(' and ')}`;
+    }
+    case 'download':
+      if (e.fileName) return `file "${e.fileName}" was downloaded`;
+      if (e.matches) return `a file matching ${e.matches} was downloaded`;
+      return 'a file was downloaded';
+    default:
+      return String(e?.type ?? 'unknown assertion');
+  }
+}
+
+/**
+ * Normalize a structured mission into the goal text and expectations.
+ *
+ * @param {{ steps?: string|string[], expect?: object[] }} mission
+ * @returns {{ text:string, expect:object[] }}
+ */
+export function normalizeStructuredMission(mission) {
+  const expect = validateExpectations(mission.expect);
+  const steps = (Array.isArray(mission.steps) ? mission.steps : [mission.steps])
+    .filter(s => s !== undefined && s !== null && String(s).trim())
+    .map(s => String(s).trim());
+  if (!steps.length) {
+    throw asConfigError(new Error('Structured mission needs at least one entry in "steps"'));
+  }
+
+  const lines = steps.length === 1
+    ? [steps[0]]
+    : ['Complete these steps in order:', ...steps.map((s, i) => `${i + 1}. ${s}`)];
+  if (expect.length) {
+    lines.push('', 'When you are done, the test framework will independently check that:');
+    lines.push(...expect.map(e => `- ${describeExpectation(e)}`));
+  }
+  return { text: lines.join('\n'), expect };
+}
+
+const toRegExp = (p) => (p instanceof RegExp ? p : new RegExp(p));
+
+function matchesUrl(current, e) {
+  if (e.equals !== undefined) return current === e.equals;
+  if (e.includes !== undefined) return current.includes(e.includes);
+  return toRegExp(e.matches).test(current);
+}
+
+function countMatches(count, e) {
+  if (Number.isInteger(e.equals) && count !== e.equals) return false;
+  if (Number.isInteger(e.min) && count < e.min) return false;
+  if (Number.isInteger(e.max) && count > e.max) return false;
+  return true;
+}
+
+/**
+ * Downloads this browser saved through download_file since `since` (ms epoch)
+ * whose file still exists. The shared files.jsonl log is not used: with
+ * --workers it also holds other missions' downloads.
+ * @param {object} browser - ChromeBrowser (uses `browser.downloads`)
+ * @param {number} since
+ * @returns {Array<{ fileName:string, destPath:string, bytes:number }>}
+ */
+function readDownloadsSince(browser, since) {
+  const events = Array.isArray(browser?.downloads) ? browser.downloads : [];
+  return events.filter(evt =>
+    evt?._testronaut_file_event === 'download'
+    && !(since && Date.parse(evt.ts) < since)
+    && fs.existsSync(path.resolve(process.cwd(), evt.destPath))
+  );
+}
+
+/**
+ * Poll `check` until it returns `{ passed:true }` or the timeout elapses.
+ * @returns {Promise<{ passed:boolean, actual:unknown }>}
+ */
+async function poll(check, timeoutMs) {
+  const deadline = Date.now() + timeoutMs;
+  let last = await check();
+  while (!last.passed && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, POLL_MS));
+    last = await check();
+  }
+  return last;
+}
+
+/**
+ * Run one expectation against the current page.
+ * @param {object} browser - ChromeBrowser (uses `browser.page`)
+ * @param {object} e
+ * @param {{ since?: number }} [opts]
+ * @returns {Promise<{ passed:boolean, actual:unknown }>}
+ */
+async function checkExpectation(browser, e, { since } = {}) {
+  const page = browser?.page;
+  if (!page && e.type !== 'download') throw new Error('no open page');
+
+  switch (e.type) {
+    case 'url': {
+      const actual = page.url();
+      return { passed: matchesUrl(actual, e), actual };
+    }
+    case 'textVisible': {
+      // Any visible match counts (e.g. a hidden mobile nav before the desktop one)
+      const visible = await page.getByText(e.text).filter({ visible: true }).count().then(n => n > 0).catch(() => false);
+      return { passed: visible, actual: visible ? 'visible' : 'not visible' };
+    }
+    case 'elementCount': {
+      const actual = await page.locator(e.selector).count();
+      return { passed: countMatches(actual, e), actual };
+    }
+    case 'download': {
+      const files = readDownloadsSince(browser, since).map(d => d.fileName);
+      const passed = e.fileName
+        ? files.includes(e.fileName)
+        : e.matches
+          ? files.some(f => toRegExp(e.matches).test(f))
+          : files.length > 0;
+      return { passed, actual: files.length ? files.join(', ') : 'no downloads' };
+    }
+    default:
+      return { passed: false, actual: `unknown assertion type "${e.type}"` };
+  }
+}
+
+/**
+ * Verify expectations after the agent reported SUCCESS.
+ *
+ * @param {object} browser - ChromeBrowser instance
+ * @param {object[]} expectations
+ * @param {{ since?: number }} [opts] - only downloads after this timestamp count
+ * @returns {Promise<{ passed:boolean, results:Array<{ type:string, description:string, passed:boolean, actual:unknown }> }>}
+ */
+export async function verifyExpectations(browser, expectations = [], { since } = {}) {
+  const results = [];
+  for (const e of expectations) {
+    const description = describeExpectation(e);
+    try {
+      const { passed, actual } = await poll(
+        () => checkExpectation(browser, e, { since }),
+        e.timeoutMs ?? DEFAULT_TIMEOUT_MS
+      );
+      results.push({ type: e.type, description, passed, actual });
+    } catch (err) {
+      results.push({ type: e.type, description, passed: false, actual: `error: ${err?.message || err}` });
+    }
+  }
+  return { passed: results.every(r => r.passed), results };
+}
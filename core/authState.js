@@ -0,0 +1,125 @@
+/**
+ * authState.js
+ * ------------
+ * Purpose:
+ *   Persist a logged-in Playwright `storageState` (cookies + localStorage) so
+ *   later missions can start authenticated instead of logging in again.
+ *
+ * Responsibilities:
+ *   - Normalize a mission's `auth` option:
+ *       'use' (default)  load the stored state when it is valid
+ *       'setup'          run with a clean context and save the state once every submission passed
+ *       'preMission'     reuse a valid state and skip the preMission (the login);
+ *                        otherwise run the preMission and save the state right after it
+ *       false / 'off'    always start with a clean context
+ *   - Decide whether a stored state is still usable (age and cookie expiry).
+ *   - Plan what a mission run loads, skips and saves.
+ *   - Clear the stored state (`testronaut auth clear` / `auth refresh`).
+ *
+ * Related tests:
+ *   tests/coreTests/authState.test.js
+ *
+ * Used by:
+ *   - core/config.js (getAuthStateConfig)
+ *   - runner/testronaut.js (skip/save plan per mission)
+ *   - core/agent.js (save after the preMission or the whole mission)
+ *   - bin/cli.js (setup mission ordering, `auth` command)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { asConfigError } from './runSummary.js';
+
+export const DEFAULT_AUTH_STATE_PATH = path.join('missions', 'auth', 'storage-state.json');
+
+const AUTH_MODES = ['use', 'off', 'setup', 'preMission'];
+
+/**
+ * @param {unknown} raw - a mission's `auth` option
+ * @returns {'use'|'off'|'setup'|'preMission'}
+ * @throws configuration error for unknown values
+ */
+export function normalizeAuthOption(raw) {
+  if (raw === undefined || raw === null || raw === true) return 'use';
+  if (raw === false) return 'off';
+  const s = String(raw).trim();
+  const key = s.toLowerCase().replace(/[-_]/g, '');
+  const match = AUTH_MODES.find(m => m.toLowerCase() === key);
+  if (!match) {
+    throw asConfigError(new Error(`Invalid auth option "${s}". Use ${AUTH_MODES.map(m => `'${m}'`).join(', ')} or false.`));
+  }
+  return match;
+}
+
+/**
+ * Check a stored state file.
+ * Invalid when missing, unreadable, older than maxAgeMinutes, or when every
+ * cookie that has an expiry date has expired.
+ *
+ * @param {string} filePath
+ * @param {{ maxAgeMinutes?: number|null, now?: number }} [opts]
+ * @returns {{ valid:boolean, reason:'ok'|'missing'|'unreadable'|'expired'|'cookies-expired', savedAt:number|null }}
+ */
+export function readAuthState(filePath, { maxAgeMinutes = null, now = Date.now() } = {}) {
+  let stat;
+  try {
+    stat = fs.statSync(filePath);
+  } catch {
+    return { valid: false, reason: 'missing', savedAt: null };
+  }
+  const savedAt = stat.mtimeMs;
+
+  let state;
+  try {
+    state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch {
+    return { valid: false, reason: 'unreadable', savedAt };
+  }
+  if (!state || !Array.isArray(state.cookies)) {
+    return { valid: false, reason: 'unreadable', savedAt };
+  }
+
+  if (Number.isFinite(maxAgeMinutes) && maxAgeMinutes > 0 && now - savedAt > maxAgeMinutes * 60_000) {
+    return { valid: false, reason: 'expired', savedAt };
+  }
+
+  // Playwright stores session cookies with expires -1
+  const dated = state.cookies.filter(c => Number.isFinite(c?.expires) && c.expires > 0);
+  if (dated.length && dated.every(c => c.expires * 1000 <= now)) {
+    return { valid: false, reason: 'cookies-expired', savedAt };
+  }
+
+  return { valid: true, reason: 'ok', savedAt };
+}
+
+/**
+ * Delete a stored state.
+ * @param {string} filePath
+ * @returns {boolean} true when a file was removed
+ */
+export function clearAuthState(filePath) {
+  if (!fs.existsSync(filePath)) return false;
+  fs.rmSync(filePath, { force: true });
+  return true;
+}
+
+/**
+ * Decide what a mission run does with the stored state.
+ *
+ * @param {'use'|'off'|'setup'|'preMission'} mode
+ * @param {{ path:string, configured:boolean }} authConfig
+ * @param {{ valid:boolean }} status - readAuthState() result
+ * @returns {{ storageState:string|null, skipPreMission:boolean, saveAfter:'preMission'|'all'|null, path:string }}
+ */
+export function planAuth(mode, authConfig, status) {
+  const valid = status?.valid === true;
+  const plan = { storageState: null, skipPreMission: false, saveAfter: null, path: authConfig.path };
+  if (mode === 'setup') return { ...plan, saveAfter: 'all' };
+  if (mode === 'preMission') {
+    return valid
+      ? { ...plan, storageState: authConfig.path, skipPreMission: true }
+      : { ...plan, saveAfter: 'preMission' };
+  }
+  if (mode === 'use' && authConfig.configured && valid) return { ...plan, storageState: authConfig.path };
+  return plan;
+}
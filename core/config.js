@@ -21,6 +21,14 @@
 // core/config.js
 import { readFile } from 'node:fs/promises';
 import path from 'node:path';
+import { asConfigError } from './runSummary.js';
+import { normalizeArtifactMode } from './artifacts.js';
+import { resolveProfile } from './profiles.js';
+import { DEFAULT_AUTH_STATE_PATH, normalizeAuthOption } from './authState.js';
+import { DEFAULT_BASELINE_DIR, VISUAL_MISMATCH_MODES } from '../tools/visualDiff.js';
+import { DEFAULT_VISION_MAX_WIDTH, VISION_MODES } from '../tools/vision.js';
+import { DOM_MODES } from '../tools/ariaSnapshot.js';
+import { DEFAULT_SHARED_LIMITS_DIR } from '../tools/sharedLimiter.js';
 
 /**
  * Load testronaut-config.json from the given cwd.
@@ -82,6 +90,153 @@ export function getRetryLimit(cfg, fallback = 2) {
   return { value, source: 'default', clamped };
 }
 
+/**
+ * Resolve how many mission files may run at the same time.
+ * Each worker drives its own browser, so keep the ceiling modest.
+ * Priority: env TESTRONAUT_WORKERS → config.concurrency → fallback
+ *
+ * @param {object} cfg
+ * @param {number} [fallback=1]
+ * @returns {{ value:number, source:'env'|'config'|'default', clamped:boolean }}
+ */
+export function getConcurrency(cfg, fallback = 1) {
+  const clampWorkers = (n) => {
+    const clamped = Math.min(16, Math.max(1, Math.trunc(n)));
+    return { value: clamped, clamped: clamped !== n };
+  };
+
+  const envRaw = process.env.TESTRONAUT_WORKERS;
+  const envVal = Number(envRaw);
+  if (envRaw !== undefined && envRaw !== '' && Number.isFinite(envVal)) {
+    const { value, clamped } = clampWorkers(envVal);
+    return { value, source: 'env', clamped };
+  }
+
+  const cfgRaw = cfg?.concurrency;
+  const cfgVal = Number(cfgRaw);
+  if (cfgRaw !== undefined && cfgRaw !== null && cfgRaw !== '' && Number.isFinite(cfgVal)) {
+    const { value, clamped } = clampWorkers(cfgVal);
+    return { value, source: 'config', clamped };
+  }
+
+  const { value, clamped } = clampWorkers(fallback);
+  return { value, source: 'default', clamped };
+}
+
+/**
+ * Whole-mission retries: rerun a failed mission in a fresh browser.
+ * Priority: env TESTRONAUT_MISSION_RETRIES → config.missionRetries → fallback (0). Clamped to 0-5.
+ *
+ * @param {object} cfg
+ * @param {number} [fallback=0]
+ * @returns {{ value:number, source:'env'|'config'|'default', clamped:boolean }}
+ */
+export function getMissionRetries(cfg, fallback = 0) {
+  const clampRetries = (n) => {
+    const clamped = Math.min(5, Math.max(0, Math.trunc(n)));
+    return { value: clamped, clamped: clamped !== n };
+  };
+
+  const envRaw = process.env.TESTRONAUT_MISSION_RETRIES;
+  const envVal = Number(envRaw);
+  if (envRaw !== undefined && envRaw !== '' && Number.isFinite(envVal)) {
+    const { value, clamped } = clampRetries(envVal);
+    return { value, source: 'env', clamped };
+  }
+
+  const cfgRaw = cfg?.missionRetries;
+  const cfgVal = Number(cfgRaw);
+  if (cfgRaw !== undefined && cfgRaw !== null && cfgRaw !== '' && Number.isFinite(cfgVal)) {
+    const { value, clamped } = clampRetries(cfgVal);
+    return { value, source: 'config', clamped };
+  }
+
+  const { value, clamped } = clampRetries(fallback);
+  return { value, source: 'default', clamped };
+}
+
+/**
+ * Report formats written at the end of a run. JSON and HTML are always
+ * produced (upload/serve depend on them); extra formats are opt-in.
+ * Priority: env TESTRONAUT_REPORTERS (comma list) → config.reporters → default
+ *
+ * @param {object} cfg
+ * @returns {{ value:string[], source:'env'|'config'|'default', unknown:string[] }}
+ */
+export function getReporters(cfg) {
+  const BUILT_IN = ['json', 'html'];
+  const KNOWN = new Set([...BUILT_IN, 'junit']);
+  const toList = (raw) => {
+    if (Array.isArray(raw)) return raw;
+    if (typeof raw === 'string') return raw.split(',');
+    return [];
+  };
+  const normalize = (raw) => toList(raw).map(r => String(r ?? '').trim().toLowerCase()).filter(Boolean);
+
+  let requested = [];
+  let source = 'default';
+  const envList = normalize(process.env.TESTRONAUT_REPORTERS);
+  const cfgList = normalize(cfg?.reporters);
+  if (envList.length) {
+    requested = envList;
+    source = 'env';
+  } else if (cfgList.length) {
+    requested = cfgList;
+    source = 'config';
+  }
+
+  const value = [...new Set([...BUILT_IN, ...requested.filter(r => KNOWN.has(r))])];
+  const unknown = requested.filter(r => !KNOWN.has(r));
+  return { value, source, unknown };
+}
+
+/**
+ * Mission selection by tag and name.
+ * Each field resolves independently: env → config.missions.<field> → unset.
+ *   tags        TESTRONAUT_TAGS (comma list)          missions.tags
+ *   excludeTags TESTRONAUT_EXCLUDE_TAGS (comma list)  missions.excludeTags
+ *   grep        TESTRONAUT_GREP (regex, case-insensitive) missions.grep
+ *
+ * @param {object} cfg
+ * @returns {{ tags:string[], excludeTags:string[], grep:RegExp|null, source:{ tags:string, excludeTags:string, grep:string } }}
+ * @throws configuration error when grep is not a valid regular expression
+ */
+export function getMissionFilters(cfg) {
+  const normalizeTags = (raw) => (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [])
+    .map(t => String(t ?? '').trim().toLowerCase())
+    .filter(Boolean);
+  const pick = (envRaw, cfgRaw, normalize) => {
+    const envVal = normalize(envRaw);
+    if (envVal.length) return { value: envVal, source: 'env' };
+    const cfgVal = normalize(cfgRaw);
+    if (cfgVal.length) return { value: cfgVal, source: 'config' };
+    return { value: [], source: 'default' };
+  };
+
+  const tags = pick(process.env.TESTRONAUT_TAGS, cfg?.missions?.tags, normalizeTags);
+  const excludeTags = pick(process.env.TESTRONAUT_EXCLUDE_TAGS, cfg?.missions?.excludeTags, normalizeTags);
+  const grepRaw = pick(process.env.TESTRONAUT_GREP, cfg?.missions?.grep, (raw) => {
+    const s = typeof raw === 'string' ? raw.trim() : '';
+    return s ? [s] : [];
+  });
+
+  let grep = null;
+  if (grepRaw.value.length) {
+    try {
+      grep = new RegExp(grepRaw.value[0], 'i');
+    } catch (err) {
+      throw asConfigError(new Error(`Invalid --grep pattern "${grepRaw.value[0]}": ${err.message}`));
+    }
+  }
+
+  return {
+    tags: tags.value,
+    excludeTags: excludeTags.value,
+    grep,
+    source: { tags: tags.source, excludeTags: excludeTags.source, grep: grepRaw.source },
+  };
+}
+
 /**
  * Resolve how many list-like items to keep in DOM snapshots.
  * - Accepts numbers (clamped 0-100), or the strings "all"/"none".
@@ -130,6 +285,32 @@ export function getDomListLimit(cfg, fallback = 3) {
   return { ...fbParsed, source: 'default' };
 }
 
+/**
+ * Resolve how page snapshots are sent to the model (see tools/ariaSnapshot.js).
+ * - 'html': pruned HTML (default); 'aria': accessibility outline with element refs.
+ * - Priority: env TESTRONAUT_DOM_MODE → config.dom.mode / config.domMode → 'html'.
+ *
+ * @param {object} cfg
+ * @returns {{ mode:'html'|'aria', source:'env'|'config'|'default' }}
+ * @throws configuration error for an unknown mode
+ */
+export function getDomMode(cfg) {
+  const check = (raw, label) => {
+    if (raw === undefined || raw === null || String(raw).trim() === '') return null;
+    const mode = String(raw).trim().toLowerCase();
+    if (!DOM_MODES.includes(mode)) {
+      throw asConfigError(new Error(`${label} must be one of ${DOM_MODES.join(', ')} (got "${raw}")`));
+    }
+    return mode;
+  };
+  const envMode = check(process.env.TESTRONAUT_DOM_MODE, 'TESTRONAUT_DOM_MODE');
+  const cfgMode = check(cfg?.dom?.mode ?? cfg?.domMode, 'dom.mode');
+  return {
+    mode: envMode || cfgMode || 'html',
+    source: envMode ? 'env' : cfgMode ? 'config' : 'default',
+  };
+}
+
 /**
  * Resolve resource guard settings for generic list/table harvesting.
  * - Patterns are used to detect resource anchors/data attributes.
@@ -238,6 +419,72 @@ export function getHumanInputConfig(cfg, fallback = { enabled: true, timeoutSeco
   };
 }
 
+/**
+ * Resolve record/replay settings for this run.
+ * - record: env TESTRONAUT_RECORD → config.recording.enabled / config.record → false
+ * - replayRunId: env TESTRONAUT_REPLAY_RUN_ID (set by `testronaut replay <runId>`)
+ * - runId: env TESTRONAUT_RUN_ID (set by the CLI so recordings land next to the run report)
+ *
+ * @param {object} cfg
+ * @returns {{ record:boolean, replayRunId:string|null, runId:string|null, source:'env'|'config'|'default' }}
+ */
+export function getRecordingConfig(cfg) {
+  const envRecord = parseBool(process.env.TESTRONAUT_RECORD);
+  const cfgRecord = parseBool(cfg?.recording?.enabled ?? cfg?.record);
+  const record =
+    envRecord !== null ? envRecord :
+    cfgRecord !== null ? cfgRecord :
+    false;
+  const source =
+    envRecord !== null ? 'env' :
+    cfgRecord !== null ? 'config' :
+    'default';
+
+  return {
+    record,
+    replayRunId: process.env.TESTRONAUT_REPLAY_RUN_ID?.trim() || null,
+    runId: process.env.TESTRONAUT_RUN_ID?.trim() || null,
+    source,
+  };
+}
+
+/**
+ * Playwright trace/video and HAR capture modes (`off` | `on` | `retain-on-failure`).
+ * Each kind resolves independently: env TESTRONAUT_TRACE / TESTRONAUT_VIDEO / TESTRONAUT_HAR →
+ * config.artifacts.trace / config.artifacts.video / config.artifacts.har → 'off'.
+ * Unrecognized values fall through to the next source and are reported in `invalid`.
+ * runId: env TESTRONAUT_RUN_ID (set by the CLI so artifacts land next to the run report)
+ *
+ * @param {object} cfg
+ * @returns {{ trace:string, video:string, har:string, runId:string|null, source:{ trace:string, video:string, har:string }, invalid:string[] }}
+ */
+export function getArtifactsConfig(cfg) {
+  const invalid = [];
+  const resolve = (kind, envName) => {
+    const envRaw = process.env[envName];
+    const cfgRaw = cfg?.artifacts?.[kind];
+    const fromEnv = normalizeArtifactMode(envRaw);
+    if (fromEnv) return { mode: fromEnv, source: 'env' };
+    if (envRaw !== undefined && envRaw !== '') invalid.push(`${envName}=${envRaw}`);
+    const fromCfg = normalizeArtifactMode(cfgRaw);
+    if (fromCfg) return { mode: fromCfg, source: 'config' };
+    if (cfgRaw !== undefined && cfgRaw !== null && cfgRaw !== '') invalid.push(`artifacts.${kind}=${cfgRaw}`);
+    return { mode: 'off', source: 'default' };
+  };
+
+  const trace = resolve('trace', 'TESTRONAUT_TRACE');
+  const video = resolve('video', 'TESTRONAUT_VIDEO');
+  const har = resolve('har', 'TESTRONAUT_HAR');
+  return {
+    trace: trace.mode,
+    video: video.mode,
+    har: har.mode,
+    runId: process.env.TESTRONAUT_RUN_ID?.trim() || null,
+    source: { trace: trace.source, video: video.source, har: har.source },
+    invalid,
+  };
+}
+
 /**
  * Baseline limits for mission runs. Adjust here for global defaults.
  *
@@ -290,12 +537,12 @@ export function enforceTurnBudget(cfg, baseLimits = resolveTurnLimits()) {
 
   // Normalize soft/hard ordering
   if (limits.softMaxTurns > limits.hardMaxTurns) {
-    if (strict) throw new Error(`[limits] softMaxTurns (${limits.softMaxTurns}) > hardMaxTurns (${limits.hardMaxTurns}).`);
+    if (strict) throw asConfigError(new Error(`[limits] softMaxTurns (${limits.softMaxTurns}) > hardMaxTurns (${limits.hardMaxTurns}).`));
     notes.push(`Adjusted softMaxTurns down to hardMaxTurns (${limits.hardMaxTurns}).`);
     limits.softMaxTurns = limits.hardMaxTurns;
   }
   if (limits.hardMinTurns > limits.softMaxTurns) {
-    if (strict) throw new Error(`[limits] hardMinTurns (${limits.hardMinTurns}) > softMaxTurns (${limits.softMaxTurns}).`);
+    if (strict) throw asConfigError(new Error(`[limits] hardMinTurns (${limits.hardMinTurns}) > softMaxTurns (${limits.softMaxTurns}).`));
     notes.push(`Adjusted hardMinTurns down to softMaxTurns (${limits.softMaxTurns}).`);
     limits.hardMinTurns = limits.softMaxTurns;
   }
@@ -314,19 +561,380 @@ export function enforceTurnBudget(cfg, baseLimits = resolveTurnLimits()) {
 
   if (effectiveMax > limits.hardMaxTurns) {
     const msg = `maxTurns (${effectiveMax}) exceeds hardMaxTurns (${limits.hardMaxTurns}).`;
-    if (strict) throw new Error(`[limits] ${msg}`);
+    if (strict) throw asConfigError(new Error(`[limits] ${msg}`));
     notes.push(`⚠️ ${msg} Clamping to ${limits.hardMaxTurns}.`);
     effectiveMax = limits.hardMaxTurns;
   } else if (effectiveMax > limits.softMaxTurns) {
     const msg = `maxTurns (${effectiveMax}) exceeds softMaxTurns (${limits.softMaxTurns}).`;
-    if (strict) throw new Error(`[limits] ${msg}`);
+    if (strict) throw asConfigError(new Error(`[limits] ${msg}`));
     notes.push(`⚠️ ${msg} Proceeding, but consider lowering to control cost.`);
   } else if (effectiveMax < limits.hardMinTurns) {
     const msg = `maxTurns (${effectiveMax}) is below hardMinTurns (${limits.hardMinTurns}).`;
-    if (strict) throw new Error(`[limits] ${msg}`);
+    if (strict) throw asConfigError(new Error(`[limits] ${msg}`));
     notes.push(`⚠️ ${msg} Raising to ${limits.hardMinTurns}.`);
     effectiveMax = limits.hardMinTurns;
   }
 
   return { effectiveMax, limits, notes, strict };
 }
+
+/**
+ * Interactive debugging of the browser.
+ * - headed: env TESTRONAUT_HEADED → config.headed → on when pauseOnFailure is on, else false
+ * - slowMo: env TESTRONAUT_SLOW_MO → config.slowMo → 0 (milliseconds, clamped 0-5000)
+ * - pauseOnFailure: env TESTRONAUT_PAUSE_ON_FAILURE → config.pauseOnFailure → false
+ *
+ * @param {object} cfg
+ * @returns {{ headed:boolean, slowMo:number, pauseOnFailure:boolean, source:{ headed:string, slowMo:string, pauseOnFailure:string }, clamped:boolean }}
+ */
+export function getDebugBrowserConfig(cfg) {
+  const pick = (envRaw, cfgRaw) => {
+    if (envRaw !== null) return { value: envRaw, source: 'env' };
+    if (cfgRaw !== null) return { value: cfgRaw, source: 'config' };
+    return { value: null, source: 'default' };
+  };
+
+  const pause = pick(parseBool(process.env.TESTRONAUT_PAUSE_ON_FAILURE), parseBool(cfg?.pauseOnFailure));
+  const headed = pick(parseBool(process.env.TESTRONAUT_HEADED), parseBool(cfg?.headed));
+
+  const toMs = (raw) => {
+    if (raw === undefined || raw === null || raw === '') return null;
+    const n = Number(raw);
+    return Number.isFinite(n) ? n : null;
+  };
+  const slow = pick(toMs(process.env.TESTRONAUT_SLOW_MO), toMs(cfg?.slowMo));
+  const slowMo = Math.min(5000, Math.max(0, Math.trunc(slow.value ?? 0)));
+
+  return {
+    headed: headed.value ?? pause.value === true,
+    slowMo,
+    pauseOnFailure: pause.value === true,
+    source: { headed: headed.source, slowMo: slow.source, pauseOnFailure: pause.source },
+    clamped: slow.value !== null && slowMo !== slow.value,
+  };
+}
+
+export const BROWSER_ENGINES = Object.freeze(['chromium', 'firefox', 'webkit']);
+const BROWSER_ALIASES = { chrome: 'chromium', safari: 'webkit' };
+
+/**
+ * Browser engines to run every mission on, in order.
+ * Priority: env TESTRONAUT_BROWSER (comma list) → config.browser (string or array) → ['chromium'].
+ * `chrome` and `safari` are accepted as aliases for chromium and webkit.
+ *
+ * @param {object} cfg
+ * @returns {{ value:string[], source:'env'|'config'|'default' }}
+ * @throws configuration error for unknown engines
+ */
+export function getBrowserEngines(cfg) {
+  const normalize = (raw) => (Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : [])
+    .map(b => String(b ?? '').trim().toLowerCase())
+    .filter(Boolean)
+    .map(b => BROWSER_ALIASES[b] || b);
+
+  const envVal = normalize(process.env.TESTRONAUT_BROWSER);
+  const cfgVal = normalize(cfg?.browser);
+  const picked =
+    envVal.length ? { value: envVal, source: 'env' } :
+    cfgVal.length ? { value: cfgVal, source: 'config' } :
+    { value: ['chromium'], source: 'default' };
+
+  const unknown = picked.value.filter(b => !BROWSER_ENGINES.includes(b));
+  if (unknown.length) {
+    throw asConfigError(new Error(`Unknown browser "${unknown.join('", "')}". Use ${BROWSER_ENGINES.join(', ')}.`));
+  }
+  return { value: [...new Set(picked.value)], source: picked.source };
+}
+
+/**
+ * Browser context profile (viewport, device, locale, timezone, ...) for a mission.
+ * Priority: env TESTRONAUT_DEVICE (set by --device) → the mission's `profile` option →
+ * config.defaultProfile → none. A name that is not in config.profiles is used as a
+ * Playwright device name (e.g. "iPhone 14"). See core/profiles.js.
+ *
+ * @param {object} cfg
+ * @param {string} [missionProfile]
+ * @returns {{ name:string|null, device:string|null, contextOptions:object, source:'env'|'mission'|'config'|'default' }}
+ * @throws configuration error for invalid profile definitions
+ */
+export function getContextProfile(cfg, missionProfile) {
+  const clean = (raw) => (typeof raw === 'string' && raw.trim() ? raw.trim() : null);
+  const envName = clean(process.env.TESTRONAUT_DEVICE);
+  const missionName = clean(missionProfile);
+  const cfgName = clean(cfg?.defaultProfile);
+  const [selected, source] =
+    envName ? [envName, 'env'] :
+    missionName ? [missionName, 'mission'] :
+    cfgName ? [cfgName, 'config'] :
+    [null, 'default'];
+
+  const profile = resolveProfile(selected, cfg?.profiles);
+  return profile
+    ? { ...profile, source }
+    : { name: null, device: null, contextOptions: {}, source };
+}
+
+/**
+ * Stored login shared across missions (see core/authState.js).
+ * - path: env TESTRONAUT_AUTH_STATE → config.auth.storageState → missions/auth/storage-state.json
+ * - configured: a path or setup mission is set, so missions load a valid state by default
+ * - maxAgeMinutes: config.auth.maxAgeMinutes (null = no age limit; cookie expiry still applies)
+ * - setupMission: config.auth.setupMission, run first by the CLI when the state is missing or stale
+ * - mode: env TESTRONAUT_AUTH_MODE (set by the CLI for the setup mission and `auth refresh`),
+ *   overriding each mission's `auth` option
+ *
+ * @param {object} cfg
+ * @returns {{ path:string, configured:boolean, maxAgeMinutes:number|null, setupMission:string|null, mode:string|null, source:'env'|'config'|'default' }}
+ * @throws configuration error for invalid auth settings
+ */
+export function getAuthStateConfig(cfg) {
+  const auth = cfg?.auth ?? {};
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    throw asConfigError(new Error('auth must be an object such as { "storageState": "missions/auth/storage-state.json" }'));
+  }
+  const clean = (raw) => (typeof raw === 'string' && raw.trim() ? raw.trim() : null);
+  const envPath = clean(process.env.TESTRONAUT_AUTH_STATE);
+  const cfgPath = clean(auth.storageState);
+  const setupMission = clean(auth.setupMission);
+
+  let maxAgeMinutes = null;
+  if (auth.maxAgeMinutes !== undefined && auth.maxAgeMinutes !== null) {
+    const n = Number(auth.maxAgeMinutes);
+    if (!Number.isFinite(n) || n <= 0) {
+      throw asConfigError(new Error('auth.maxAgeMinutes must be a positive number of minutes'));
+    }
+    maxAgeMinutes = n;
+  }
+
+  const envMode = clean(process.env.TESTRONAUT_AUTH_MODE);
+  return {
+    path: path.resolve(envPath || cfgPath || DEFAULT_AUTH_STATE_PATH),
+    configured: Boolean(envPath || cfgPath || setupMission),
+    maxAgeMinutes,
+    setupMission,
+    mode: envMode ? normalizeAuthOption(envMode) : null,
+    source: envPath ? 'env' : cfgPath ? 'config' : 'default',
+  };
+}
+
+/**
+ * Page diagnostics rules (console, page and network errors; see tools/pageDiagnostics.js).
+ * - failOnPageError: env TESTRONAUT_FAIL_ON_PAGE_ERROR → config.diagnostics.failOnPageError
+ *   / config.failOnPageError → false. When on, a submission that otherwise passed fails
+ *   if the page threw an uncaught exception.
+ *
+ * @param {object} cfg
+ * @returns {{ failOnPageError:boolean, source:'env'|'config'|'default' }}
+ */
+export function getDiagnosticsConfig(cfg) {
+  const envFail = parseBool(process.env.TESTRONAUT_FAIL_ON_PAGE_ERROR);
+  const cfgFail = parseBool(cfg?.diagnostics?.failOnPageError ?? cfg?.failOnPageError);
+  return {
+    failOnPageError: envFail ?? cfgFail ?? false,
+    source: envFail !== null ? 'env' : cfgFail !== null ? 'config' : 'default',
+  };
+}
+
+/**
+ * Visual regression rules for compare_screenshot (see tools/visualDiff.js).
+ * - baselineDir: env TESTRONAUT_BASELINE_DIR → config.visual.baselineDir → missions/baselines
+ * - threshold: share of pixels (0..1) allowed to differ; env TESTRONAUT_VISUAL_THRESHOLD
+ *   → config.visual.threshold → 0
+ * - pixelTolerance: per-channel colour change (0..1) still counted as equal;
+ *   config.visual.pixelTolerance → 0.1
+ * - onMismatch: 'fail' | 'warn'; env TESTRONAUT_VISUAL_ON_MISMATCH → config.visual.onMismatch → 'fail'
+ *
+ * @param {object} cfg
+ * @returns {{ baselineDir:string, threshold:number, pixelTolerance:number, onMismatch:'fail'|'warn', source:'env'|'config'|'default' }}
+ * @throws configuration error for invalid visual settings
+ */
+export function getVisualConfig(cfg) {
+  const visual = cfg?.visual ?? {};
+  if (typeof visual !== 'object' || Array.isArray(visual)) {
+    throw asConfigError(new Error('visual must be an object such as { "threshold": 0.01, "onMismatch": "warn" }'));
+  }
+  const clean = (raw) => (raw === undefined || raw === null || String(raw).trim() === '' ? null : String(raw).trim());
+  const ratio = (raw, label) => {
+    if (raw === null) return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || n > 1) {
+      throw asConfigError(new Error(`${label} must be a number from 0 to 1 (got "${raw}")`));
+    }
+    return n;
+  };
+
+  const envDir = clean(process.env.TESTRONAUT_BASELINE_DIR);
+  const cfgDir = clean(visual.baselineDir);
+  const envThreshold = ratio(clean(process.env.TESTRONAUT_VISUAL_THRESHOLD), 'TESTRONAUT_VISUAL_THRESHOLD');
+  const cfgThreshold = ratio(clean(visual.threshold), 'visual.threshold');
+  const pixelTolerance = ratio(clean(visual.pixelTolerance), 'visual.pixelTolerance');
+
+  const envMode = clean(process.env.TESTRONAUT_VISUAL_ON_MISMATCH)?.toLowerCase() ?? null;
+  const cfgMode = clean(visual.onMismatch)?.toLowerCase() ?? null;
+  for (const [mode, label] of [[envMode, 'TESTRONAUT_VISUAL_ON_MISMATCH'], [cfgMode, 'visual.onMismatch']]) {
+    if (mode !== null && !VISUAL_MISMATCH_MODES.includes(mode)) {
+      throw asConfigError(new Error(`${label} must be one of ${VISUAL_MISMATCH_MODES.join(', ')} (got "${mode}")`));
+    }
+  }
+
+  const fromEnv = envDir || envThreshold !== null || envMode;
+  const fromConfig = cfgDir || cfgThreshold !== null || pixelTolerance !== null || cfgMode;
+  return {
+    baselineDir: path.resolve(envDir || cfgDir || DEFAULT_BASELINE_DIR),
+    threshold: envThreshold ?? cfgThreshold ?? 0,
+    pixelTolerance: pixelTolerance ?? 0.1,
+    onMismatch: envMode || cfgMode || 'fail',
+    source: fromEnv ? 'env' : fromConfig ? 'config' : 'default',
+  };
+}
+
+/**
+ * Vision turns: send viewport screenshots to multimodal models (see tools/vision.js).
+ * - mode: 'off' | 'look' | 'auto'; env TESTRONAUT_VISION → config.vision.mode
+ *   (or `vision: true | "look"`) → 'off'. Booleans map true → 'look', false → 'off'.
+ * - maxWidth: screenshots are downscaled to this width before sending;
+ *   env TESTRONAUT_VISION_MAX_WIDTH → config.vision.maxWidth → 1024
+ * - modelSupportsImages: config.vision.modelSupportsImages → null (auto-detect
+ *   from the model name; see llm/modelResolver.js supportsImageInput)
+ *
+ * @param {object} cfg
+ * @returns {{ mode:'off'|'look'|'auto', maxWidth:number, modelSupportsImages:boolean|null, source:'env'|'config'|'default' }}
+ * @throws configuration error for invalid vision settings
+ */
+export function getVisionConfig(cfg) {
+  const raw = cfg?.vision;
+  const vision = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : { mode: raw };
+  if (Array.isArray(raw)) {
+    throw asConfigError(new Error('vision must be "off", "look", "auto" or an object such as { "mode": "look" }'));
+  }
+  const clean = (v) => (v === undefined || v === null || String(v).trim() === '' ? null : String(v).trim());
+  const mode = (v, label) => {
+    if (v === null) return null;
+    const bool = parseBool(v);
+    const lower = v.toLowerCase();
+    if (VISION_MODES.includes(lower)) return lower;
+    if (bool !== null) return bool ? 'look' : 'off';
+    throw asConfigError(new Error(`${label} must be one of ${VISION_MODES.join(', ')} (got "${v}")`));
+  };
+  const width = (v, label) => {
+    if (v === null) return null;
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 64 || n > 4096) {
+      throw asConfigError(new Error(`${label} must be a whole number of pixels from 64 to 4096 (got "${v}")`));
+    }
+    return n;
+  };
+
+  const envMode = mode(clean(process.env.TESTRONAUT_VISION), 'TESTRONAUT_VISION');
+  const cfgMode = mode(clean(vision.mode), 'vision.mode');
+  const envWidth = width(clean(process.env.TESTRONAUT_VISION_MAX_WIDTH), 'TESTRONAUT_VISION_MAX_WIDTH');
+  const cfgWidth = width(clean(vision.maxWidth), 'vision.maxWidth');
+  const modelSupportsImages = parseBool(vision.modelSupportsImages);
+
+  const fromEnv = envMode !== null || envWidth !== null;
+  const fromConfig = cfgMode !== null || cfgWidth !== null || modelSupportsImages !== null;
+  return {
+    mode: envMode ?? cfgMode ?? 'off',
+    maxWidth: envWidth ?? cfgWidth ?? DEFAULT_VISION_MAX_WIDTH,
+    modelSupportsImages,
+    source: fromEnv ? 'env' : fromConfig ? 'config' : 'default',
+  };
+}
+
+/**
+ * LLM cost tracking (see tools/costControl.js).
+ * - pricing: per-model prices in USD per 1M tokens, keyed by model name or
+ *   name prefix; config.pricing → built-in table
+ *   (e.g. { "gpt-4o": { "input": 2.5, "output": 10 } })
+ * - budget.maxUsdPerRun: env TESTRONAUT_MAX_USD_PER_RUN → config.budget.maxUsdPerRun → none
+ * - budget.maxUsdPerMission: env TESTRONAUT_MAX_USD_PER_MISSION → config.budget.maxUsdPerMission → none
+ *
+ * @param {object} cfg
+ * @returns {{ pricing: Record<string,{input:number, output:number}>, budget: { maxUsdPerRun:number|null, maxUsdPerMission:number|null }, source:'env'|'config'|'default' }}
+ * @throws configuration error for invalid prices or budgets
+ */
+export function getCostConfig(cfg) {
+  const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v);
+  const budget = cfg?.budget ?? {};
+  if (!isObject(budget)) {
+    throw asConfigError(new Error('budget must be an object such as { "maxUsdPerRun": 5, "maxUsdPerMission": 1 }'));
+  }
+  const rawPricing = cfg?.pricing ?? {};
+  if (!isObject(rawPricing)) {
+    throw asConfigError(new Error('pricing must map model names to { "input": <USD per 1M tokens>, "output": <USD per 1M tokens> }'));
+  }
+  const clean = (raw) => (raw === undefined || raw === null || String(raw).trim() === '' ? null : String(raw).trim());
+  const usd = (raw, label, { positive = false } = {}) => {
+    if (raw === null) return null;
+    const n = Number(raw);
+    if (!Number.isFinite(n) || n < 0 || (positive && n === 0)) {
+      throw asConfigError(new Error(`${label} must be a ${positive ? 'positive' : 'non-negative'} number of US dollars (got "${raw}")`));
+    }
+    return n;
+  };
+
+  const pricing = {};
+  for (const [model, price] of Object.entries(rawPricing)) {
+    if (!isObject(price)) {
+      throw asConfigError(new Error(`pricing["${model}"] must be { "input": <USD per 1M tokens>, "output": <USD per 1M tokens> }`));
+    }
+    pricing[model] = {
+      input: usd(clean(price.input), `pricing["${model}"].input`) ?? 0,
+      output: usd(clean(price.output), `pricing["${model}"].output`) ?? 0,
+    };
+  }
+
+  const envRun = usd(clean(process.env.TESTRONAUT_MAX_USD_PER_RUN), 'TESTRONAUT_MAX_USD_PER_RUN', { positive: true });
+  const cfgRun = usd(clean(budget.maxUsdPerRun), 'budget.maxUsdPerRun', { positive: true });
+  const envMission = usd(clean(process.env.TESTRONAUT_MAX_USD_PER_MISSION), 'TESTRONAUT_MAX_USD_PER_MISSION', { positive: true });
+  const cfgMission = usd(clean(budget.maxUsdPerMission), 'budget.maxUsdPerMission', { positive: true });
+
+  const fromEnv = envRun !== null || envMission !== null;
+  const fromConfig = cfgRun !== null || cfgMission !== null || Object.keys(pricing).length > 0;
+  return {
+    pricing,
+    budget: {
+      maxUsdPerRun: envRun ?? cfgRun,
+      maxUsdPerMission: envMission ?? cfgMission,
+    },
+    source: fromEnv ? 'env' : fromConfig ? 'config' : 'default',
+  };
+}
+
+/**
+ * Rate limits shared between testronaut processes that use the same API key
+ * (see tools/sharedLimiter.js).
+ * - shared: env TESTRONAUT_SHARED_RATE_LIMITS → config.rateLimits.shared → on when
+ *   a directory is set → false
+ * - dir: env TESTRONAUT_RATE_LIMIT_DIR → config.rateLimits.dir → <os tmpdir>/testronaut-rate-limits
+ *
+ * @param {object} cfg
+ * @returns {{ shared:boolean, dir:string, source:'env'|'config'|'default' }}
+ * @throws configuration error when rateLimits is not an object or shared is not a boolean
+ */
+export function getRateLimitConfig(cfg) {
+  const rateLimits = cfg?.rateLimits ?? {};
+  if (typeof rateLimits !== 'object' || Array.isArray(rateLimits)) {
+    throw asConfigError(new Error('rateLimits must be an object such as { "shared": true, "dir": "/tmp/testronaut-limits" }'));
+  }
+  const clean = (raw) => (typeof raw === 'string' && raw.trim() ? raw.trim() : null);
+  const envRaw = process.env.TESTRONAUT_SHARED_RATE_LIMITS;
+  const envShared = parseBool(envRaw);
+  if (envRaw !== undefined && envRaw !== '' && envShared === null) {
+    throw asConfigError(new Error(`TESTRONAUT_SHARED_RATE_LIMITS must be true or false (got "${envRaw}")`));
+  }
+  const cfgShared = parseBool(rateLimits.shared);
+  if (rateLimits.shared !== undefined && rateLimits.shared !== null && cfgShared === null) {
+    throw asConfigError(new Error(`rateLimits.shared must be true or false (got "${rateLimits.shared}")`));
+  }
+  const envDir = clean(process.env.TESTRONAUT_RATE_LIMIT_DIR);
+  const cfgDir = clean(rateLimits.dir);
+
+  const fromEnv = envShared !== null || envDir !== null;
+  const fromConfig = cfgShared !== null || cfgDir !== null;
+  return {
+    shared: envShared ?? cfgShared ?? Boolean(envDir || cfgDir),
+    dir: path.resolve(envDir || cfgDir || DEFAULT_SHARED_LIMITS_DIR),
+    source: fromEnv ? 'env' : fromConfig ? 'config' : 'default',
+  };
+}
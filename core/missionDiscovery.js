@@ -1,5 +1,6 @@
 import fs from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import fg from 'fast-glob';
 import { loadConfig } from './config.js';
 
@@ -53,3 +54,76 @@ export async function discoverMissionFiles({ cwd = process.cwd() } = {}) {
 
   return { root, files: unique };
 }
+
+/**
+ * Normalize a mission file's exported `meta` (tags, owner, priority, ...).
+ * Tags are trimmed, lowercased and de-duplicated; other fields pass through.
+ *
+ * @param {unknown} meta
+ * @returns {{ tags:string[], [key:string]: unknown }}
+ */
+export function normalizeMissionMeta(meta) {
+  const src = meta && typeof meta === 'object' && !Array.isArray(meta) ? meta : {};
+  const rawTags = Array.isArray(src.tags) ? src.tags : (typeof src.tags === 'string' ? src.tags.split(',') : []);
+  const tags = Array.from(new Set(rawTags.map(t => String(t).trim().toLowerCase()).filter(Boolean)));
+  return { ...src, tags };
+}
+
+/**
+ * True when any tag/exclude-tag/grep filter is set.
+ * @param {{ tags?:string[], excludeTags?:string[], grep?:RegExp|null }} [filters]
+ * @returns {boolean}
+ */
+export function hasMissionFilters(filters = {}) {
+  return !!(filters.tags?.length || filters.excludeTags?.length || filters.grep);
+}
+
+/**
+ * Decide whether a mission file is selected by the filters.
+ * - tags: at least one must be present (OR)
+ * - excludeTags: none may be present
+ * - grep: must match the file path or `meta.name`
+ *
+ * @param {{ file:string, meta?:{ tags?:string[], name?:string } }} mission
+ * @param {{ tags?:string[], excludeTags?:string[], grep?:RegExp|null }} [filters]
+ * @returns {boolean}
+ */
+export function matchesMissionFilters({ file, meta }, filters = {}) {
+  const tags = normalizeMissionMeta(meta).tags;
+  if (filters.tags?.length && !filters.tags.some(t => tags.includes(t))) return false;
+  if (filters.excludeTags?.length && filters.excludeTags.some(t => tags.includes(t))) return false;
+  if (filters.grep) {
+    const names = [file, meta?.name].filter(Boolean).map(String);
+    if (!names.some(n => filters.grep.test(n))) return false;
+  }
+  return true;
+}
+
+/**
+ * Load each mission file's `meta` export and keep the files selected by the filters.
+ * Modules are imported once here; the later executeMission() import reuses them.
+ * Files that fail to import are skipped (with a warning) while filters are active.
+ *
+ * @param {string[]} files - relative to root
+ * @param {{ root:string, filters?:object, importer?:(absPath:string)=>Promise<object> }} opts
+ * @returns {Promise<{ files:string[], meta:Record<string, object> }>}
+ */
+export async function selectMissionFiles(files, { root, filters = {}, importer = (p) => import(pathToFileURL(p).href) } = {}) {
+  const selected = [];
+  const meta = {};
+  for (const file of files) {
+    let mod;
+    try {
+      mod = await importer(path.resolve(root, file));
+    } catch (err) {
+      console.warn(`⚠️ Could not read metadata from ${file}: ${err?.message || err}`);
+      continue;
+    }
+    const m = normalizeMissionMeta(mod?.meta);
+    if (matchesMissionFilters({ file, meta: m }, filters)) {
+      selected.push(file);
+      meta[file] = m;
+    }
+  }
+  return { files: selected, meta };
+}
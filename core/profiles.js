@@ -0,0 +1,146 @@
+/**
+ * profiles.js
+ * -----------
+ * Purpose:
+ *   Browser context profiles: viewport, device emulation, locale, timezone,
+ *   geolocation and color scheme for a mission's browser.
+ *
+ * Responsibilities:
+ *   - Validate `profiles` entries from testronaut-config.json.
+ *   - Treat an unknown profile name as a Playwright device descriptor ("iPhone 14").
+ *   - Build the options passed to `browser.newContext()`, merging a device
+ *     descriptor with profile overrides.
+ *
+ * Config shape:
+ *   {
+ *     "defaultProfile": "desktop",
+ *     "profiles": {
+ *       "desktop": { "viewport": { "width": 1440, "height": 900 } },
+ *       "mobile":  { "device": "iPhone 14", "locale": "de-DE", "timezone": "Europe/Berlin",
+ *                    "geolocation": { "latitude": 52.52, "longitude": 13.4 }, "colorScheme": "dark" }
+ *     }
+ *   }
+ *
+ * Related tests:
+ *   tests/coreTests/profiles.test.js
+ *
+ * Used by:
+ *   - core/config.js (getContextProfile)
+ *   - tools/chromeBrowser.js (newContext options)
+ */
+
+import { asConfigError } from './runSummary.js';
+
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+
+const isPositive = (n) => typeof n === 'number' && Number.isFinite(n) && n > 0;
+
+/**
+ * Validate a profile from config and split it into a device name and context options.
+ *
+ * @param {string} name
+ * @param {object} raw
+ * @returns {{ name:string, device:string|null, contextOptions:object }}
+ * @throws configuration error for invalid fields
+ */
+export function normalizeProfile(name, raw) {
+  const fail = (msg) => asConfigError(new Error(`profiles.${name}: ${msg}`));
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw fail('must be an object');
+
+  const opts = {};
+  if (raw.viewport !== undefined) {
+    const { width, height } = raw.viewport || {};
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+      throw fail('viewport needs positive integer width and height');
+    }
+    opts.viewport = { width, height };
+  }
+  if (raw.deviceScaleFactor !== undefined) {
+    if (!isPositive(raw.deviceScaleFactor)) throw fail('deviceScaleFactor must be a positive number');
+    opts.deviceScaleFactor = raw.deviceScaleFactor;
+  }
+  for (const key of ['userAgent', 'locale']) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== 'string' || !raw[key].trim()) throw fail(`${key} must be a non-empty string`);
+    opts[key] = raw[key].trim();
+  }
+  const timezone = raw.timezone ?? raw.timezoneId;
+  if (timezone !== undefined) {
+    if (typeof timezone !== 'string' || !timezone.trim()) throw fail('timezone must be an IANA zone such as "Europe/Berlin"');
+    opts.timezoneId = timezone.trim();
+  }
+  if (raw.geolocation !== undefined) {
+    const { latitude, longitude, accuracy } = raw.geolocation || {};
+    if (typeof latitude !== 'number' || typeof longitude !== 'number' || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw fail('geolocation needs numeric latitude (-90..90) and longitude (-180..180)');
+    }
+    opts.geolocation = { latitude, longitude, ...(typeof accuracy === 'number' ? { accuracy } : {}) };
+  }
+  if (raw.colorScheme !== undefined) {
+    if (!COLOR_SCHEMES.includes(raw.colorScheme)) throw fail(`colorScheme must be one of ${COLOR_SCHEMES.join(', ')}`);
+    opts.colorScheme = raw.colorScheme;
+  }
+  for (const key of ['isMobile', 'hasTouch']) {
+    if (raw[key] === undefined) continue;
+    if (typeof raw[key] !== 'boolean') throw fail(`${key} must be true or false`);
+    opts[key] = raw[key];
+  }
+
+  let device = null;
+  if (raw.device !== undefined) {
+    if (typeof raw.device !== 'string' || !raw.device.trim()) throw fail('device must be a Playwright device name such as "iPhone 14"');
+    device = raw.device.trim();
+  }
+
+  return { name, device, contextOptions: opts };
+}
+
+/**
+ * Resolve a selected name against the configured profiles.
+ * Names that are not configured profiles are used as Playwright device names.
+ *
+ * @param {string|null} selected
+ * @param {Record<string, object>} [profiles]
+ * @returns {{ name:string, device:string|null, contextOptions:object }|null}
+ */
+export function resolveProfile(selected, profiles = {}) {
+  const name = typeof selected === 'string' ? selected.trim() : '';
+  if (!name) return null;
+  if (profiles && Object.prototype.hasOwnProperty.call(profiles, name)) {
+    return normalizeProfile(name, profiles[name]);
+  }
+  return { name, device: name, contextOptions: {} };
+}
+
+/**
+ * Options for `browser.newContext()` from a resolved profile.
+ * Device descriptors come from Playwright's `devices`; profile fields override them.
+ *
+ * @param {{ device:string|null, contextOptions:object }|null} profile
+ * @param {{ devices?:Record<string, object>, engine?:string }} [opts]
+ * @returns {object}
+ * @throws when the device name is unknown to Playwright
+ */
+export function buildContextOptions(profile, { devices = {}, engine = 'chromium' } = {}) {
+  if (!profile) return {};
+  let base = {};
+  if (profile.device) {
+    base = devices[profile.device];
+    if (!base) {
+      const needle = profile.device.toLowerCase();
+      const close = Object.keys(devices).filter(d => d.toLowerCase().includes(needle.split(' ')[0])).slice(0, 5);
+      throw asConfigError(new Error(
+        `Unknown device or profile "${profile.device}".${close.length ? ` Did you mean: ${close.join(', ')}?` : ''}`
+      ));
+    }
+  }
+
+  const { defaultBrowserType, ...descriptor } = base;
+  const merged = { ...descriptor, ...profile.contextOptions };
+  // Firefox has no mobile emulation; keep the viewport/user agent and drop the flag
+  if (engine === 'firefox') delete merged.isMobile;
+  if (merged.geolocation) {
+    merged.permissions = Array.from(new Set([...(merged.permissions || []), 'geolocation']));
+  }
+  return merged;
+}
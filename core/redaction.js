@@ -8,7 +8,9 @@
  *   - Masks free-form instructions that reveal credentials
  *
  * Design goals:
- *   - No side effects (pure functions)
+ *   - No side effects (pure functions), except the sensitive-ref registry:
+ *     accessibility snapshots (tools/ariaSnapshot.js) record which element refs
+ *     are password/credential fields so `fill { ref }` calls are masked too
  *   - Easy to extend by editing one keyword list
  *   - Unit testable via Vitest
  *
@@ -18,6 +20,7 @@
  * Used by:
  *   - CLI log/plan renderers
  *   - Tool call serializers (type/fill)
+ *   - HAR export (tools/harRecorder.js)
  *
  * Example usage:
  *   const safeArgs = redactArgs('fill', { selector: '#access', text: 'P@ssw0rd' });
@@ -62,6 +65,8 @@ function buildSensitiveRegex() {
 }
 
 const SENSITIVE_RE = buildSensitiveRegex();
+// Keywords as single words for name matching ("api-key" → "apikey")
+const SENSITIVE_WORDS = new Set(SENSITIVE_KEYWORDS.map(k => k.replace(/-/g, '')));
 
 // ─────────────────────────────────────────────────────────────────────────────
 // Core helpers
@@ -94,10 +99,39 @@ export function maskPreview(val, showLength = true) {
  * @param {string} [str='']
  * @returns {boolean}
  */
-function hasSensitiveHint(str = '') {
+export function hasSensitiveHint(str = '') {
   return SENSITIVE_RE.test(String(str || ''));
 }
 
+/**
+ * True if a header, query parameter or JSON field name looks sensitive.
+ * Names are split into words (`X-Api-Key`, `access_token`, `refreshToken`) and
+ * each word, or two adjacent words joined, is compared with SENSITIVE_KEYWORDS.
+ *
+ * @param {string} [name='']
+ * @returns {boolean}
+ */
+export function isSensitiveName(name = '') {
+  const words = String(name ?? '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+  return words.some((w, i) => SENSITIVE_WORDS.has(w) || (i > 0 && SENSITIVE_WORDS.has(words[i - 1] + w)));
+}
+
+// Element refs (e.g. "e12") that the latest snapshots showed as sensitive fields.
+// Refs are only unique per page, so a stale entry can over-mask but never leak.
+const SENSITIVE_REFS = new Set();
+
+/**
+ * Remember element refs that point at sensitive fields (called after each snapshot).
+ * @param {Iterable<string>} refs
+ */
+export function rememberSensitiveRefs(refs = []) {
+  for (const ref of refs) if (ref) SENSITIVE_REFS.add(String(ref));
+}
+
 /**
  * True if an HTML input type itself is sensitive.
  * @param {string} [t='']
@@ -108,17 +142,20 @@ function isSensitiveInputType(t = '') {
 }
 
 /**
- * Returns true if a tool call (type/fill) looks like it targets a sensitive field.
- * We check selector/label/placeholder/name/role/testId OR inputType=password.
+ * Returns true if a tool call (type/fill/select_option) looks like it targets a sensitive field.
+ * We check selector/label/placeholder/name/role/testId OR inputType=password
+ * OR a ref remembered as sensitive; for select_option also the `text` that names the select.
  *
- * @param {'type'|'fill'|string} fnName
+ * @param {'type'|'fill'|'select_option'|string} fnName
  * @param {object} [args={}]
  * @returns {boolean}
  */
 function isSensitiveCall(fnName, args = {}) {
-  if (!(fnName === 'type' || fnName === 'fill')) return false;
-  const { selector, label, placeholder, name, inputType, role, testId } = args || {};
+  if (!(fnName === 'type' || fnName === 'fill' || fnName === 'select_option')) return false;
+  const { selector, label, placeholder, name, inputType, role, testId, ref } = args || {};
   return (
+    (ref != null && SENSITIVE_REFS.has(String(ref))) ||
+    (fnName === 'select_option' && hasSensitiveHint(args?.text)) ||
     hasSensitiveHint(selector) ||
     hasSensitiveHint(label) ||
     hasSensitiveHint(placeholder) ||
@@ -162,7 +199,8 @@ export function redactArgs(fnName, args = {}, { showLength = true } = {}) {
 
   // Mask value-like props when the call targets a sensitive field
   if (isSensitiveCall(fnName, args)) {
-    for (const key of ['text', 'value', 'input', 'keys']) {
+    // select_option's `text` names the <select>, only its `value` is the answer
+    for (const key of fnName === 'select_option' ? ['value'] : ['text', 'value', 'input', 'keys']) {
       if (key in out) out[key] = maskPreview(out[key], showLength);
     }
   }
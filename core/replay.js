@@ -0,0 +1,251 @@
+/**
+ * replay.js
+ * ---------
+ * Purpose:
+ *   Record the browser actions an agent run performed and replay them later
+ *   through CHROME_TOOL_MAP without calling the LLM.
+ *
+ * Responsibilities:
+ *   - Convert live tool calls into replayable actions without writing secrets
+ *     to disk: sensitive values that match an environment variable are stored
+ *     as `{ $env: NAME }`, anything else is masked and marked `secret`.
+ *   - Persist one recording per mission under `missions/recordings/<runId>/`.
+ *   - Replay actions in order and stop at the first one that cannot be
+ *     reproduced (selector no longer resolves, live MFA/human input, masked
+ *     secret) so the caller can hand over to the LLM from that point.
+ *   - Re-issue element refs where the recording read the DOM, so recorded
+ *     `{ ref }` clicks and fills find the same elements again.
+ *
+ * Recording format (missions/recordings/<runId>/<mission-slug>.json):
+ *   {
+ *     runId, missionName, recordedAt,
+ *     submissions: [{ submissionType, submissionName, status, finalMessage,
+ *                     actions: [{ tool, args, live?, secret? }] }]
+ *   }
+ *
+ * Related tests:
+ *   tests/coreTests/replay.test.js
+ *
+ * Used by:
+ *   - core/agent.js (record via turnLoop's onAction hook, replay before turnLoop)
+ *   - bin/cli.js (`testronaut replay <runId>`)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CHROME_TOOL_MAP } from '../tools/chromeBrowser.js';
+import { redactArgs } from './redaction.js';
+
+export const RECORDINGS_DIR = 'missions/recordings';
+
+// Read-only tools are skipped on replay: they never change the page.
+const READ_ONLY_TOOLS = new Set(['get_dom', 'list_local_files', 'resource_progress']);
+
+// Tools whose result differs on every run; replay hands over to the LLM here.
+const LIVE_TOOLS = new Set(['get_mfa_code', 'request_human_input']);
+
+/**
+ * File-safe mission slug (matches the step-file naming in agent.js).
+ * @param {string} name
+ * @returns {string}
+ */
+export function slugifyMissionName(name = 'mission') {
+  return String(name || 'mission').replace(/[^\w.-]+/g, '_');
+}
+
+function findEnvNameForValue(value) {
+  const s = String(value ?? '');
+  if (!s) return null;
+  for (const [name, envValue] of Object.entries(process.env)) {
+    if (envValue === s && !name.startsWith('npm_')) return name;
+  }
+  return null;
+}
+
+/**
+ * Convert a successful tool call into a replayable action.
+ *
+ * @param {string} tool
+ * @param {Record<string, unknown>} args
+ * @param {{ live?: boolean }} [opts] - `live` marks values that expire (MFA codes)
+ * @returns {{ tool:string, args:object, live?:true, secret?:true }}
+ */
+export function toRecordedAction(tool, args = {}, { live = false } = {}) {
+  const redacted = redactArgs(tool, args, { showLength: false });
+  const stored = {};
+  let secret = false;
+
+  for (const [key, value] of Object.entries(args || {})) {
+    if (JSON.stringify(redacted[key]) === JSON.stringify(value)) {
+      stored[key] = value;
+      continue;
+    }
+    const envName = findEnvNameForValue(value);
+    if (envName) {
+      stored[key] = { $env: envName };
+    } else {
+      stored[key] = redacted[key];
+      secret = true;
+    }
+  }
+
+  return {
+    tool,
+    args: stored,
+    ...(live || LIVE_TOOLS.has(tool) ? { live: true } : {}),
+    ...(secret ? { secret: true } : {}),
+  };
+}
+
+/**
+ * Resolve stored args back into live args (`$env` references → values).
+ * @param {{ tool:string, args:object }} action
+ * @returns {object}
+ * @throws when a referenced environment variable is not set
+ */
+export function resolveActionArgs(action) {
+  const out = {};
+  for (const [key, value] of Object.entries(action?.args || {})) {
+    if (value && typeof value === 'object' && typeof value.$env === 'string') {
+      if (process.env[value.$env] === undefined) {
+        throw new Error(`environment variable ${value.$env} is not set`);
+      }
+      out[key] = process.env[value.$env];
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+/**
+ * Path of the recording file for a mission within a run.
+ * @param {string} runId
+ * @param {string} missionName
+ * @param {{ cwd?: string }} [opts]
+ * @returns {string}
+ */
+export function recordingPath(runId, missionName, { cwd = process.cwd() } = {}) {
+  return path.resolve(cwd, RECORDINGS_DIR, String(runId), `${slugifyMissionName(missionName)}.json`);
+}
+
+/**
+ * Write a mission recording to disk.
+ * @param {{ runId:string, missionName:string, submissions:object[] }} recording
+ * @param {{ cwd?: string }} [opts]
+ * @returns {string} absolute path written
+ */
+export function writeRecording({ runId, missionName, submissions }, opts = {}) {
+  const out = recordingPath(runId, missionName, opts);
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, JSON.stringify({
+    runId,
+    missionName,
+    recordedAt: new Date().toISOString(),
+    submissions,
+  }, null, 2));
+  return out;
+}
+
+/**
+ * Load a mission recording, or null when the run did not record this mission.
+ * @param {string} runId
+ * @param {string} missionName
+ * @param {{ cwd?: string }} [opts]
+ * @returns {object|null}
+ */
+export function loadRecording(runId, missionName, opts = {}) {
+  const file = recordingPath(runId, missionName, opts);
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pick the recorded submission for a goal: same type + name first, then
+ * the n-th submission of the same type.
+ *
+ * @param {object|null} recording
+ * @param {{ submissionType?:string, submissionName?:string|null }} goal
+ * @param {number} typeIndex - index of the goal among goals of the same type
+ * @returns {object|null}
+ */
+export function findRecordedSubmission(recording, goal, typeIndex = 0) {
+  const subs = Array.isArray(recording?.submissions) ? recording.submissions : [];
+  const type = goal?.submissionType || 'mission';
+  const byName = subs.find(s => s.submissionType === type && s.submissionName === (goal?.submissionName ?? null));
+  if (byName) return byName;
+  return subs.filter(s => s.submissionType === type)[typeIndex] || null;
+}
+
+/**
+ * Replay recorded actions in order.
+ * Each executed action is reported through `onStep` using the same step
+ * shape turnLoop writes, flagged with `replayed: true`.
+ *
+ * @param {object} browser
+ * @param {Array<{ tool:string, args:object, live?:boolean, secret?:boolean }>} actions
+ * @param {{ missionName?:string, onStep?:(step:object)=>void, agentMemory?:object }} [opts]
+ * @returns {Promise<{ completed:number, total:number, divergedAt:number|null, reason:string|null }>}
+ */
+export async function replayActions(browser, actions = [], { missionName, onStep, agentMemory = { lastMenuExpanded: false } } = {}) {
+  const total = actions.length;
+  let completed = 0;
+
+  for (let i = 0; i < total; i++) {
+    const action = actions[i];
+    const tool = action?.tool;
+
+    if (READ_ONLY_TOOLS.has(tool)) {
+      // get_dom also handed out the refs later actions target: issue them again
+      if (tool === 'get_dom' && actions.slice(i + 1).some(a => a?.args?.ref != null)) {
+        try { await browser.refreshRefs?.(resolveActionArgs(action)); } catch {}
+      }
+      completed += 1;
+      continue;
+    }
+
+    let reason = null;
+    let args;
+    if (action.live) reason = `${tool} needs a fresh value`;
+    else if (action.secret) reason = `${tool} used a value that was not recorded`;
+    else if (typeof CHROME_TOOL_MAP[tool] !== 'function') reason = `unknown tool "${tool}"`;
+    else {
+      try { args = resolveActionArgs(action); } catch (err) { reason = err.message; }
+    }
+    if (reason) return { completed, total, divergedAt: i, reason };
+
+    const step = {
+      turn: i,
+      retryAttempt: 1,
+      events: [`⏩ Replay → ${tool} ${JSON.stringify(redactArgs(tool, args))}`],
+      result: '🟡 In Progress',
+      summary: `Replay: ${tool}`,
+      missionName,
+      replayed: true,
+      tokensUsed: 0,
+    };
+
+    try {
+      const result = await CHROME_TOOL_MAP[tool](browser, args, agentMemory);
+      const text = typeof result === 'string' ? result : JSON.stringify(result ?? '');
+      if (tool === 'screenshot') {
+        const match = text.match(/screenshot.*?saved at: (.+\.png)/i);
+        if (match?.[1]) step.screenshotPath = match[1];
+      }
+      step.events.push(`[tool ] ← ${tool} result: ✅ Success`);
+      step.result = '✅ Passed';
+      try { onStep?.(step); } catch {}
+      completed += 1;
+    } catch (err) {
+      step.events.push(`⚠️ Replay diverged at ${tool}: ${err.message}`);
+      step.result = '⚠️ Replay Diverged';
+      try { onStep?.(step); } catch {}
+      return { completed, total, divergedAt: i, reason: err.message };
+    }
+  }
+
+  return { completed, total, divergedAt: null, reason: null };
+}
@@ -0,0 +1,157 @@
+/**
+ * runSummary.js
+ * -------------
+ * Purpose:
+ *   Turn a finished run report into a process exit code and a compact,
+ *   machine-readable summary for CI gates.
+ *
+ * Responsibilities:
+ *   - Define the CLI exit codes:
+ *       0 → every submission passed
+ *       1 → at least one submission failed
+ *       2 → infrastructure/LLM error (browser, network, provider, crash)
+ *       3 → configuration error (bad provider/key, strict limits, no missions)
+ *   - Tag configuration errors so they can be told apart from runtime errors.
+ *   - Build `errored` report entries for submissions that never produced results.
+ *   - Include accessibility violation counts by impact when audits ran.
+ *   - Include prompt/completion tokens and USD cost for the run and each entry.
+ *
+ * Related tests:
+ *   tests/coreTests/runSummary.test.js
+ *
+ * Used by:
+ *   - bin/cli.js (exit code + --summary-json)
+ *   - runner/testronaut.js, core/agent.js (errored entries)
+ *   - llm/llmFactory.js, core/config.js (config error tagging)
+ */
+
+import { summarizeAccessibility } from '../tools/a11yAudit.js';
+import { summarizeRunCost } from '../tools/costControl.js';
+
+export const EXIT_CODES = Object.freeze({
+  PASSED: 0,
+  FAILED: 1,
+  ERROR: 2,
+  CONFIG: 3,
+});
+
+export const CONFIG_ERROR_CODE = 'TESTRONAUT_CONFIG';
+
+/**
+ * Mark an error as a configuration problem (exit code 3) and return it.
+ * @param {Error|string} err
+ * @returns {Error}
+ */
+export function asConfigError(err) {
+  const e = err instanceof Error ? err : new Error(String(err));
+  if (!e.code) e.code = CONFIG_ERROR_CODE;
+  return e;
+}
+
+/**
+ * Compact, serializable view of an error for reports.
+ * @param {unknown} err
+ * @returns {{ message:string, kind:'config'|'infra' }}
+ */
+export function describeError(err) {
+  return {
+    message: String(err?.message ?? err ?? 'Unknown error'),
+    kind: err?.code === CONFIG_ERROR_CODE ? 'config' : 'infra',
+  };
+}
+
+/**
+ * Report entry for a submission (or whole mission file) that errored before
+ * producing a pass/fail verdict.
+ *
+ * @param {{ missionName?:string, submissionType?:string, submissionName?:string|null, file?:string }} meta
+ * @param {unknown} err
+ * @returns {object}
+ */
+export function makeErroredEntry(meta, err) {
+  const now = Date.now();
+  return {
+    missionName: meta.missionName || meta.file || 'unknown mission',
+    submissionType: meta.submissionType || 'mission',
+    submissionName: meta.submissionName ?? meta.missionName ?? null,
+    ...(meta.file ? { file: meta.file } : {}),
+    status: 'errored',
+    error: describeError(err),
+    finalMessage: null,
+    steps: [],
+    tokensUsed: 0,
+    startTime: meta.startTime ?? now,
+    endTime: now,
+  };
+}
+
+/**
+ * Pick the exit code for a set of report entries.
+ * Precedence: config error → infrastructure error → failure → pass.
+ * A run that executed nothing is treated as a configuration error.
+ *
+ * @param {Array<{ status?:string, error?:{ kind?:string } }>} missions
+ * @returns {number}
+ */
+export function resolveExitCode(missions = []) {
+  if (!missions.length) return EXIT_CODES.CONFIG;
+  const errored = missions.filter(m => m.status === 'errored');
+  if (errored.some(m => m.error?.kind === 'config')) return EXIT_CODES.CONFIG;
+  if (errored.length) return EXIT_CODES.ERROR;
+  if (missions.some(m => m.status !== 'passed')) return EXIT_CODES.FAILED;
+  return EXIT_CODES.PASSED;
+}
+
+/**
+ * Build the compact summary written by `--summary-json`.
+ *
+ * @param {{ runId:string, startTime?:string, endTime?:string, llm?:object, missions?:object[] }} report
+ * @returns {object}
+ */
+export function buildRunSummary(report) {
+  const missions = Array.isArray(report?.missions) ? report.missions : [];
+  const count = (status) => missions.filter(m => m.status === status).length;
+  const exitCode = resolveExitCode(missions);
+  const outcome = Object.keys(EXIT_CODES).find(k => EXIT_CODES[k] === exitCode).toLowerCase();
+  const accessibility = summarizeAccessibility(missions);
+  const cost = summarizeRunCost(missions);
+
+  return {
+    runId: report?.runId,
+    startTime: report?.startTime,
+    endTime: report?.endTime,
+    llm: report?.llm,
+    outcome,
+    exitCode,
+    totals: {
+      submissions: missions.length,
+      passed: count('passed'),
+      failed: count('failed'),
+      errored: count('errored'),
+      flaky: missions.filter(m => m.flaky).length,
+      // Earlier attempts of retried missions spent tokens too
+      tokensUsed: missions.reduce((sum, m) => sum + (Number(m.tokensUsed) || 0)
+        + (m.previousAttempts || []).reduce((s, a) => s + (Number(a.tokensUsed) || 0), 0), 0),
+      promptTokens: cost.promptTokens,
+      completionTokens: cost.completionTokens,
+      costUsd: cost.costUsd,
+      ...(accessibility ? { accessibility } : {}),
+    },
+    missions: missions.map(m => ({
+      file: m.file ?? null,
+      missionName: m.missionName ?? null,
+      submissionType: m.submissionType ?? null,
+      submissionName: m.submissionName ?? null,
+      ...(m.browser ? { browser: m.browser } : {}),
+      ...(m.profile ? { profile: m.profile } : {}),
+      status: m.status,
+      durationMs: Number.isFinite(m.endTime - m.startTime) ? m.endTime - m.startTime : null,
+      finalMessage: m.finalMessage ?? null,
+      ...(m.error ? { error: m.error } : {}),
+      ...(m.attempt > 1 ? { attempts: m.attempt } : {}),
+      ...(m.flaky ? { flaky: true } : {}),
+      ...(m.costUsd != null ? { costUsd: m.costUsd } : {}),
+      ...(m.budgetExceeded ? { budgetExceeded: m.budgetExceeded } : {}),
+    })),
+  };
+}
@@ -21,17 +21,28 @@ const ICONS = {
   type: '⌨️',
   fill: '⌨️',
   press: '⌨️',
+  press_key: '⌨️',
   hover: '🪄',
   wait_for_selector: '⏳',
   wait: '⏳',
   screenshot: '📸',
   get_dom: '🧩',
+  get_a11y_tree: '🌳',
   check_text: '🔍',
   scroll: '↕️',
+  select_option: '🔽',
+  drag_and_drop: '🫳',
+  check: '☑️',
+  uncheck: '☐',
   upload_file: '📤',
   download_file: '📥',
   expand_menu: '📂',
   set_viewport: '🖥️',
+  mock_route: '🧪',
+  clear_mocks: '🧪',
+  audit_accessibility: '♿',
+  compare_screenshot: '🖼️',
+  look: '👁️',
   default: '⚙️',
 };
 
@@ -45,7 +56,8 @@ const withIcon = (name, s, { emoji = EMOJI_ON_DEFAULT } = {}) =>
 export function summarizeToolCall(fnName, args = {}, opts = {}) {
   const safeArgs = redactArgs(fnName, args);
 
-  const selector = pickArg(safeArgs, ['selector','xpath','css','role','testId']);
+  const ref      = pickArg(safeArgs, ['ref']);
+  const selector = pickArg(safeArgs, ['selector','xpath','css','role','testId']) || (ref ? `ref ${ref}` : null);
   const text     = pickArg(safeArgs, ['text','value','keys','input','query','label']);
   const url      = pickArg(safeArgs, ['url','href','to']);
   const file     = pickArg(safeArgs, ['filePath','fileName','downloadPath']);
@@ -65,18 +77,36 @@ export function summarizeToolCall(fnName, args = {}, opts = {}) {
     case 'fill':         return withIcon('type',         `Type${val}${selector ? ` into ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'press':        return withIcon('press',        `Press key${val || ''}${selector ? ` in ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'hover':        return withIcon('hover',        `Hover over${sel || val || ''}`, opts);
+    case 'press_key':    return withIcon('press_key',    `Press ${safeArgs?.key || '(no key)'}${Number(safeArgs?.times) > 1 ? ` ×${safeArgs.times}` : ''}${selector ? ` in ${truncateMiddle(selector, 60)}` : val ? ` on${val}` : ''}`, opts);
+    case 'select_option':
+                        return withIcon('select_option', `Select ${safeArgs?.value != null && safeArgs.value !== '' ? `"${truncateMiddle(String(safeArgs.value), 60)}"` : `option #${safeArgs?.index ?? '?'}`} in ${truncateMiddle(selector || safeArgs?.text || '(no select)', 60)}`, opts);
+    case 'drag_and_drop':
+                        return withIcon('drag_and_drop', `Drag ${truncateMiddle(safeArgs?.source || safeArgs?.sourceText || '(no source)', 50)} onto ${truncateMiddle(safeArgs?.target || safeArgs?.targetText || '(no target)', 50)}`, opts);
+    case 'check':
+    case 'uncheck':      return withIcon(fnName,        `${fnName === 'check' ? 'Check' : 'Uncheck'} ${selector ? truncateMiddle(selector, 60) : val ? val.trim() : '(no checkbox)'}`, opts);
     case 'wait_for_selector':
                         return withIcon('wait_for_selector', `Wait for${sel}${tmo}`, opts);
     case 'wait':         return withIcon('wait',         `Wait${tmo || ''}`, opts);
     case 'screenshot':   return withIcon('screenshot',   `Capture screenshot${selector ? ` of ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'get_dom':      return withIcon('get_dom',      `Inspect DOM (focused extract)`, opts);
+    case 'get_a11y_tree':
+                        return withIcon('get_a11y_tree', `Inspect accessibility outline${selector ? ` of ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'check_text':   return withIcon('check_text',   `Check page for${val || ' specific text'}`, opts);
-    case 'scroll':       return withIcon('scroll',       `Scroll to coords (${x ?? '?'}, ${y ?? '?'})`, opts);
+    case 'scroll':
+      if (x != null || y != null) return withIcon('scroll', `Scroll to coords (${x ?? '?'}, ${y ?? '?'})`, opts);
+      return withIcon('scroll', `Scroll ${safeArgs?.to ? `to ${safeArgs.to}` : `${safeArgs?.direction || 'down'}${safeArgs?.amount ? ` ${safeArgs.amount}px` : ''}`}${selector ? ` in ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'upload_file':  return withIcon('upload_file',  `Upload file ${truncateMiddle(file || '(unknown)', 60)}${selector ? ` via ${truncateMiddle(selector, 60)}` : ''}`, opts);
     case 'download_file':
                         return withIcon('download_file', `Download file to ${truncateMiddle(file || '(unknown)', 60)}`, opts);
     case 'expand_menu':  return withIcon('expand_menu',  `Expand menu${sel || ''}`, opts);
     case 'set_viewport': return withIcon('set_viewport', `Set viewport ${safeArgs?.width}×${safeArgs?.height}`, opts);
+    case 'mock_route':   return withIcon('mock_route',   `Mock ${safeArgs?.method ? `${safeArgs.method} ` : ''}${truncateMiddle(url || '(no url)', 60)}${safeArgs?.abort ? ' (abort)' : safeArgs?.status ? ` → ${safeArgs.status}` : ''}`, opts);
+    case 'clear_mocks':  return withIcon('clear_mocks',  `Clear ${url ? `mocks for ${truncateMiddle(url, 60)}` : 'all mocks'}`, opts);
+    case 'audit_accessibility':
+                        return withIcon('audit_accessibility', `Audit accessibility${selector ? ` of ${truncateMiddle(selector, 60)}` : ' of the page'}`, opts);
+    case 'compare_screenshot':
+                        return withIcon('compare_screenshot', `Compare screenshot "${truncateMiddle(safeArgs?.name || 'snapshot', 40)}" with baseline${selector ? ` (${truncateMiddle(selector, 60)})` : ''}`, opts);
+    case 'look':         return withIcon('look',         `Look at the ${safeArgs?.fullPage ? 'whole page' : 'viewport'}`, opts);
     default:
       return withIcon('default', `Run ${fnName} with ${truncateMiddle(JSON.stringify(safeArgs ?? {}), 80)}`, opts);
   }
@@ -13,6 +13,20 @@
  *   - Track and enforce token-per-minute rate limits with adaptive cooldowns.
  *   - Handle DOM re-injection after browser actions to support reasoning continuity.
  *   - Summarize each turn’s intent and record detailed step logs.
+ *   - Report every successful browser action through `ctx.onAction` so runs
+ *     can be recorded and replayed without the LLM (see core/replay.js).
+ *   - Hand failed tool calls to `ctx.onToolError` (the --pause-on-failure REPL)
+ *     before the loop continues.
+ *   - Log added/cleared network mocks and the requests they answered as step events.
+ *   - Log console errors, uncaught page errors and failed/4xx/5xx requests as step events.
+ *   - Log accessibility audit results (violations by rule and impact) as step events.
+ *   - Log visual regression results as step events and show a mismatch's diff image on the step.
+ *   - Vision mode (ctx.vision): offer the `look` tool to image-capable models and
+ *     attach the screenshot (or, in 'auto', one after every page action) as an
+ *     image part on the next turn; only the latest screenshot stays in context.
+ *   - Price each turn's prompt/completion tokens (ctx.cost.pricing) and stop with
+ *     a budget failure before a model call once ctx.cost.budget is used up;
+ *     the mission's spend is tallied under ctx.cost.spendKey (one per attempt).
  *
  * Related tests:
  *   Located in `tests/coreTests/`
@@ -41,15 +55,24 @@ import {
   tokenUseCoolOff, 
   recordTokenUsage, 
   pruneOldTokenUsage,
-  updateLimitsFromHeaders
+  updateLimitsFromHeaders,
+  setTokenLimitOverride,
+  imageTokenEstimate,
+  messagesImageTokens
 } from '../tools/tokenControl.js';
-import { resolveProviderModel } from '../llm/modelResolver.js';
+import { resolveProviderModel, resolveOpenAICompatibleOptions, supportsImageInput } from '../llm/modelResolver.js';
 import { getLLM } from '../llm/llmFactory.js';
 import { summarizeTurnIntentFromMessage } from './turnIntent.js';
+import { formatDiagnostic } from '../tools/pageDiagnostics.js';
+import { formatA11yEvent } from '../tools/a11yAudit.js';
+import { formatVisualEvent } from '../tools/visualDiff.js';
+import { buildVisionMessage } from '../tools/vision.js';
+import { checkBudget, formatUsd, recordSpend, resolvePricing, splitUsage, usageCost } from '../tools/costControl.js';
 import { maskPreview, redactArgs } from './redaction.js';
 import { 
   sanitizeHeavyToolHistory, 
   pruneConversationContext,
+  stubOldImages,
   createEmptyGroundControl,
   applyGroundControlUpdate,
   recordGroundTelemetry,
@@ -63,6 +86,13 @@ console.log(`🧠 Using LLM → provider: ${PROVIDER_ID}, model: ${MODEL_ID}`);
 
 const llm = getLLM(PROVIDER_ID);
 
+// Self-hosted endpoints have no shared quota: only throttle when the user asks to.
+if (PROVIDER_ID === 'openai-compatible') {
+  const { tokensPerMinute } = resolveOpenAICompatibleOptions();
+  setTokenLimitOverride(MODEL_ID, tokensPerMinute ?? Infinity);
+  console.log(`📏 Token throttling for ${MODEL_ID}: ${tokensPerMinute ? `${tokensPerMinute} TPM (config)` : 'disabled'}`);
+}
+
 // Track resource/download coverage across turns (guard against partial loops).
 function ensureDocProgress(agentMemory, cfg) {
   if (!cfg?.enabled) return null;
@@ -129,10 +159,18 @@ function safeListLabel(list = []) {
   return Array.isArray(list) && list.length ? list.join(', ') : '(none)';
 }
 
-// Rolling token counters used for self-throttling
-let totalTokensUsed = 0;
-let turnTimestamps = [];
-let shouldBackoff;
+// Drop entries older than 60s from a usage window (in place) and return its total
+function pruneInPlace(window) {
+  const { turnTimestamps: recent, totalTokensUsed } = pruneOldTokenUsage(window);
+  window.splice(0, window.length, ...recent);
+  return totalTokensUsed;
+}
+
+// Rolling 60s window of every mission's requests in this process, used for
+// self-throttling. Missions running side by side (--workers) share it, so it
+// is only changed in place, never reassigned across an await.
+const turnTimestamps = [];
+const warnedUnpriced = new Set();
 const DEFAULT_TURN_RETRY_LIMIT = 2; // number of retries (not counting initial attempt)
 const TURN_RETRY_BASE_DELAY_MS = 500;
 
@@ -149,6 +187,12 @@ const FIRE_AND_FORGET_TOOLS = new Set([
   'click_text',
   // 'expand_menu',
   'fill',
+  'press_key',
+  'hover',
+  'select_option',
+  'drag_and_drop',
+  'check',
+  'uncheck',
   'upload_file',
   'download_file',
   'click_and_follow_popup',
@@ -157,6 +201,19 @@ const FIRE_AND_FORGET_TOOLS = new Set([
   'request_human_input',
 ]);
 
+// Actions that can reveal or load new content (menus, dependent fields, lazy rows):
+// the model gets a fresh DOM after them.
+const DOM_REFRESH_TOOLS = new Set([
+  'click_text',
+  'click',
+  'expand_menu',
+  'press_key',
+  'hover',
+  'select_option',
+  'drag_and_drop',
+  'scroll',
+]);
+
 /**
  * Utility: format byte counts into human-readable strings.
  * Used when reporting upload/download events in mission logs.
@@ -228,7 +285,7 @@ const pushDOMAssistant = async (browser, messages, agentMemory, { skipIfLastTool
  * @param {number} currentTurn - Turn index to start from (default 0).
  * @param {number} retryCount - Internal retry counter for rate limiting.
  * @param {object} currentStep - Step data being populated for the current turn.
- * @param {object} ctx - Shared context (steps array, mission name).
+ * @param {object} ctx - Shared context (steps array, mission name, onStep/onAction callbacks).
  * @returns {Promise<object[]>} - Collected step results or final success message.
  */
 export const turnLoop = async (
@@ -238,7 +295,7 @@ export const turnLoop = async (
   currentTurn = 0, 
   retryCount = 0, 
   currentStep = {},
-  ctx = {} // { steps, missionName, groundControl }
+  ctx = {} // { steps, missionName, groundControl, vision, cost, tokenUsage, onStep, onAction, onToolError }
 ) => {
   const { steps = [], missionName, groundControl = createEmptyGroundControl(), retryLimit: retryLimitRaw } = ctx;
   const resourceGuardCfg = ctx.resourceGuard || {
@@ -251,9 +308,26 @@ export const turnLoop = async (
   const maxAttempts = retryLimitClamped + 1; // includes initial attempt
   ctx.groundControl = groundControl;
   const humanInput = ctx.humanInput || { enabled: true, timeoutSeconds: 60 };
-  const activeToolsSchema = humanInput.enabled === false
-    ? toolsSchema.filter(t => t?.function?.name !== 'request_human_input')
-    : toolsSchema;
+  const vision = ctx.vision || { mode: 'off' };
+  const visionOn = vision.mode !== 'off' && vision.mode != null &&
+    supportsImageInput(PROVIDER_ID, MODEL_ID, { override: vision.modelSupportsImages });
+  if (vision.mode && vision.mode !== 'off' && !visionOn) {
+    console.warn(`⚠️ Vision mode "${vision.mode}" ignored: ${PROVIDER_ID}/${MODEL_ID} is not known to accept images (set vision.modelSupportsImages to force it).`);
+  }
+  const hiddenTools = new Set([
+    ...(humanInput.enabled === false ? ['request_human_input'] : []),
+    ...(visionOn ? [] : ['look']),
+  ]);
+  const activeToolsSchema = toolsSchema.filter(t => !hiddenTools.has(t?.function?.name));
+  const budget = ctx.cost?.budget || {};
+  const spendKey = ctx.cost?.spendKey || missionName;
+  // This mission's own requests (rolling 60s), for the per-step running total
+  const missionTokens = ctx.tokenUsage || [];
+  const pricing = resolvePricing(MODEL_ID, { overrides: ctx.cost?.pricing, provider: PROVIDER_ID });
+  if (!pricing && !warnedUnpriced.has(MODEL_ID)) {
+    warnedUnpriced.add(MODEL_ID);
+    console.warn(`⚠️ No price known for ${MODEL_ID}: costs are not tracked and budgets cannot stop this run (add it under "pricing" in testronaut-config.json).`);
+  }
   let agentMemory = { lastMenuExpanded: false, humanInput };
   ensureDocProgress(agentMemory, resourceGuardCfg);
   let turnRetries = 0;
@@ -292,13 +366,21 @@ export const turnLoop = async (
       step.events.push(`🔁 Re-attempt ${retryNumber}/${retryLimitClamped} for turn`);
     }
 
-    try {
-      // Refresh token usage window (rolling 60 seconds)
-      ({ turnTimestamps, totalTokensUsed } = pruneOldTokenUsage(turnTimestamps));
+    // Budget caps: stop before spending more once the run or mission limit is reached
+    const overBudget = checkBudget(budget, missionName, spendKey);
+    if (overBudget) {
+      console.error(`💸 Stopping: ${overBudget.message}`);
+      step.events.push(`💸 Stopping: ${overBudget.message}`);
+      step.result = '❌ Failure';
+      recordStep(step);
+      return { success: false, finalMessage: `FAILURE: ${overBudget.message}`, budgetExceeded: overBudget.scope, steps: stepsArchive };
+    }
 
-      // Adaptive cooldown if nearing provider rate limit
-      ({ totalTokensUsed, turnTimestamps, shouldBackoff } =
-        await tokenUseCoolOff(totalTokensUsed, turnTimestamps, MODEL_ID));
+    try {
+      // Adaptive cooldown if nearing provider rate limit (all missions' usage, rolling 60 seconds)
+      const { shouldBackoff } = await tokenUseCoolOff(pruneInPlace(turnTimestamps), turnTimestamps, MODEL_ID, {
+        pendingTokens: visionOn ? messagesImageTokens(MODEL_ID, messages) : 0,
+      });
       if (shouldBackoff) {
         recordStep(step);         // ✅ write the partial step before sleeping
         turn -= 1;                // retry same turn index
@@ -396,12 +478,22 @@ export const turnLoop = async (
     const usage = response.usage;
     if (usage) {
       const tokensUsed = usage.total_tokens || 0;
-      console.log(`📊 Token Usage This Turn → Total: ${tokensUsed}`);
+      const tokens = splitUsage(usage);
+      const { promptTokens, completionTokens } = tokens;
+      const costUsd = usageCost(tokens, pricing);
+      console.log(`📊 Token Usage This Turn → Total: ${tokensUsed} (prompt ${promptTokens}, completion ${completionTokens})${costUsd !== null ? ` • ${formatUsd(costUsd)}` : ''}`);
       step.tokensUsed = tokensUsed;
-      recordTokenUsage(turnTimestamps, tokensUsed);
-      ({ turnTimestamps, totalTokensUsed } = pruneOldTokenUsage(turnTimestamps));
-      console.log(`📈 Running Total Tokens Used (Rolling 60s): ${totalTokensUsed}`);
-      step.totalTokensUsed = totalTokensUsed;
+      step.promptTokens = promptTokens;
+      step.completionTokens = completionTokens;
+      if (costUsd !== null) {
+        step.costUsd = costUsd;
+        recordSpend(spendKey, costUsd);
+      }
+      recordTokenUsage(turnTimestamps, tokensUsed, MODEL_ID);
+      missionTokens.push([Date.now(), tokensUsed]);
+      const missionTotal = pruneInPlace(missionTokens);
+      console.log(`📈 Running Total Tokens Used (Rolling 60s): ${missionTotal}`);
+      step.totalTokensUsed = missionTotal;
     }
 
     const msg = response.message ?? { role: 'assistant', content: '' };
@@ -439,6 +531,13 @@ export const turnLoop = async (
           hadToolIssues = true;
         }
 
+        // --pause-on-failure: let the developer inspect the page before the loop continues
+        if (errorMessage && ctx.onToolError) {
+          step.events.push(`⏸️ Paused for debugging after ${fnName} failed`);
+          const action = await ctx.onToolError({ turn, tool: fnName, args, error: errorMessage, memory: agentMemory });
+          if (action === 'abort') throw new Error('Mission aborted from the debug REPL.');
+        }
+
         if (fnName === 'request_human_input') {
           step.humanInput = step.humanInput || {};
           step.humanInput.requested = true;
@@ -569,10 +668,36 @@ export const turnLoop = async (
               }
             }
           }
+          if (maybeJson && maybeJson._testronaut_mock_event) {
+            const msgLine = maybeJson._testronaut_mock_event === 'added'
+              ? `🧪 Mocked ${maybeJson.description}`
+              : `🧪 Cleared ${maybeJson.cleared.length} mock(s)${maybeJson.cleared.length ? `: ${maybeJson.cleared.join('; ')}` : ''}`;
+            step.events.push(msgLine);
+            console.log(msgLine);
+          }
+          if (maybeJson && maybeJson._testronaut_a11y_event) {
+            const msgLine = formatA11yEvent(maybeJson);
+            step.events.push(msgLine, ...maybeJson.violations.map(v =>
+              `   ${v.impact} ${v.rule} ×${v.count}: ${v.help}${v.targets.length ? ` (${v.targets.join(', ')})` : ''}`));
+            console.log(msgLine);
+          }
+          if (maybeJson && maybeJson._testronaut_visual_event) {
+            const msgLine = formatVisualEvent(maybeJson);
+            step.events.push(msgLine);
+            if (maybeJson.diff) step.screenshotPath = maybeJson.diff;
+            console.log(msgLine);
+          }
         } catch {
           // non-JSON results ignored
         }
 
+        for (const hit of browser.drainMockHits?.() || []) {
+          step.events.push(`🧪 Mock hit: ${hit.method} ${hit.url} → ${hit.outcome}`);
+        }
+        for (const entry of browser.drainDiagnostics?.() || []) {
+          step.events.push(formatDiagnostic(entry));
+        }
+
         let toolStatusLabel = errorMessage ? '❌ Failed' : '✅ Success';
         if (fnName === 'get_mfa_code' && !errorMessage) {
           try {
@@ -587,6 +712,11 @@ export const turnLoop = async (
 
         console.log(`[tool ] ← ${fnName} result:`, toolStatusLabel);
 
+        // Recording hook: raw args go to the callback only; the recorder decides what is safe to persist.
+        if (!errorMessage && CHROME_TOOL_MAP[fnName]) {
+          try { ctx.onAction?.({ turn, tool: fnName, args, live: isMfaLikeFill(fnName, args) }); } catch {}
+        }
+
         if (isMfaLikeFill(fnName, args)) {
           const fillText = getFillText(args);
           let sourceLine;
@@ -706,7 +836,7 @@ export const turnLoop = async (
         });
 
         // After interactive DOM actions, refresh model context
-        if (['click_text', 'click', 'expand_menu'].includes(fnName)) {
+        if (DOM_REFRESH_TOOLS.has(fnName)) {
           console.log(`[auto] → Injecting DOM after ${fnName}...`);
           step.events.push(`[auto] → Injecting DOM after ${fnName}...`);
           const domHtml = await CHROME_TOOL_MAP.get_dom(browser, {
@@ -716,7 +846,7 @@ export const turnLoop = async (
           }, agentMemory);
           await tokenEstimate(MODEL_ID, domHtml);
           await pushDOMAssistant(browser, messages, agentMemory, {
-            skipIfLastTool: ['get_dom', 'check_text'],
+            skipIfLastTool: ['get_dom', 'get_a11y_tree', 'check_text'],
           });
           console.log(`[auto] → DOM size after ${fnName}: ${domHtml.length} chars`);
           step.events.push(`[auto] → DOM size after ${fnName}: ${domHtml.length} chars`);
@@ -725,6 +855,28 @@ export const turnLoop = async (
 
       // Merge new assistant + tool responses back into conversation
       messages.push(msg, ...toolResponses);
+
+      // Vision: a screenshot the model asked for (look), or in 'auto' one after a page action
+      if (visionOn) {
+        let image = browser.drainVisionImage?.() || null;
+        let reason = 'look';
+        if (!image && vision.mode === 'auto' && msg.tool_calls.some(c => DOM_REFRESH_TOOLS.has(c.function.name))) {
+          try {
+            image = await browser.captureVisionImage?.();
+            reason = 'auto';
+          } catch (e) {
+            step.events.push(`⚠️ Screenshot for vision failed: ${e.message}`);
+          }
+        }
+        if (image) {
+          stubOldImages(messages, { keepRecent: 0 });
+          messages.push(buildVisionMessage(image, { reason }));
+          const msgLine = `👁️ Screenshot attached ${image.width}x${image.height} (~${imageTokenEstimate(MODEL_ID, image)} tokens)`;
+          step.events.push(msgLine);
+          console.log(msgLine);
+        }
+      }
+
       if (hadToolIssues && turnRetries < retryLimitClamped) {
         step.result = '⏳ Retrying turn';
         const retryNumber = attempt - 1;
@@ -778,7 +930,7 @@ export const turnLoop = async (
     // STEP 7: Fallback → Push DOM for next reasoning cycle
     // ─────────────────────────────────────────────
     await pushDOMAssistant(browser, messages, agentMemory, {
-      skipIfLastTool: ['get_dom', 'check_text'],
+      skipIfLastTool: ['get_dom', 'get_a11y_tree', 'check_text'],
     });
     console.log(`[auto] → Injected DOM for next reasoning step`);
     step.events.push(`[auto] → Injected DOM for next reasoning step`);
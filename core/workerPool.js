@@ -0,0 +1,50 @@
+/**
+ * workerPool.js
+ * -------------
+ * Purpose:
+ *   Run async jobs with a bounded number of concurrent workers.
+ *
+ * Responsibilities:
+ *   - Start at most `limit` jobs at once and pull the next item as soon as
+ *     a worker frees up (no batching, so one slow mission does not stall a batch).
+ *   - Return results in input order regardless of completion order.
+ *   - Never reject because of a single job: failures are captured per item so
+ *     the caller can still build a full run report.
+ *
+ * Related tests:
+ *   tests/coreTests/workerPool.test.js
+ *
+ * Used by:
+ *   - bin/cli.js (parallel mission files via --workers / config.concurrency)
+ */
+
+/**
+ * Map `items` through `worker` with bounded concurrency.
+ *
+ * @template T, R
+ * @param {T[]} items
+ * @param {number} limit - max concurrent jobs (values < 1 are treated as 1)
+ * @param {(item:T, index:number) => Promise<R>} worker
+ * @returns {Promise<Array<{ item:T, value?:R, error?:unknown }>>}
+ */
+export async function runWithConcurrency(items, limit, worker) {
+  const list = Array.isArray(items) ? items : [];
+  const size = Math.max(1, Math.min(list.length || 1, Math.trunc(Number(limit)) || 1));
+  const results = new Array(list.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < list.length) {
+      const index = next++;
+      const item = list[index];
+      try {
+        results[index] = { item, value: await worker(item, index) };
+      } catch (error) {
+        results[index] = { item, error };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: size }, runWorker));
+  return results;
+}
@@ -0,0 +1,255 @@
+/**
+ * anthropicProvider.js
+ * ---------------------
+ * Purpose:
+ *   Adapter that normalizes Testronaut's OpenAI-like chat format to
+ *   Anthropic's Messages API and back. Exposes a single `chat()` method.
+ *
+ * Responsibilities:
+ *   - Convert OpenAI-like messages → Anthropic `system` + `messages`.
+ *   - Map tool/function calling both ways:
+ *       • assistant.tool_calls → `tool_use` content blocks
+ *       • tool messages → `tool_result` blocks on a user turn
+ *   - Return an OpenAI-like assistant message, usage with `total_tokens`
+ *     (`prompt_tokens` includes cache reads/writes, also reported on their own as
+ *     `cache_read_tokens`/`cache_write_tokens` for pricing; `completion_tokens` the output),
+ *     and response headers for the token limit learner.
+ *
+ * Message contract (OpenAI-like, internal):
+ *   - messages: Array<{ role: 'system'|'user'|'assistant'|'tool', content?: string|Array, ... }>
+ *   - Assistant tool calls:
+ *       message.tool_calls = [{ id, type:'function', function:{ name, arguments:string }}]
+ *   - Tool messages:
+ *       { role:'tool', tool_call_id, name, type:'function', content:string }
+ *
+ * Notes:
+ *   - Talks to the HTTP API directly (node-fetch) so no extra SDK is required.
+ *   - Errors carry `status` and `headers` so turnLoop's 429/400 handling works
+ *     the same way it does for the OpenAI SDK.
+ *
+ * Related tests:
+ *   Located in `tests/llmTests/anthropicProvider.test.js`
+ *
+ * Used by:
+ *   - llm/llmFactory.js
+ */
+
+import fetch from 'node-fetch';
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com';
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 4096;
+
+function safeJsonParse(s) {
+  try { return JSON.parse(s ?? '{}'); } catch { return null; }
+}
+
+/**
+ * Normalize OpenAI-like content (string or parts) → Anthropic content blocks.
+ * Empty text blocks are dropped because the API rejects them.
+ */
+function toContentBlocks(content) {
+  const asArray = Array.isArray(content) ? content : [{ type: 'text', text: content }];
+  const blocks = [];
+  for (const p of asArray) {
+    if (p?.type === 'image') {
+      blocks.push({
+        type: 'image',
+        source: {
+          type: 'base64',
+          media_type: p.mimeType,
+          data: Buffer.from(p.data).toString('base64'),
+        },
+      });
+      continue;
+    }
+    const text = typeof p === 'string' ? p : (p?.text ?? '');
+    if (text) blocks.push({ type: 'text', text });
+  }
+  return blocks;
+}
+
+/**
+ * Convert OpenAI-like messages → Anthropic request pieces.
+ * - System messages are concatenated into the top-level `system` string.
+ * - Assistant tool calls become `tool_use` blocks (ids are preserved).
+ * - Tool results become `tool_result` blocks on a user turn.
+ * - Consecutive turns with the same role are merged, and the conversation
+ *   always starts with a user turn (pruning can leave an assistant first).
+ *
+ * @param {any[]} messages
+ * @returns {{ system:string, messages:Array<{ role:'user'|'assistant', content:any[] }> }}
+ */
+function toAnthropicMessages(messages = []) {
+  let system = '';
+  const out = [];
+
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = out[out.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      out.push({ role, content: [...blocks] });
+    }
+  };
+
+  for (const m of messages) {
+    if (m.role === 'system') {
+      const sysText = toContentBlocks(m.content).map(b => b.text || '').join('\n');
+      system += (system && sysText ? '\n' : '') + sysText;
+      continue;
+    }
+
+    if (m.role === 'tool') {
+      push('user', [{
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''),
+      }]);
+      continue;
+    }
+
+    if (m.role === 'assistant') {
+      const blocks = toContentBlocks(m.content);
+      for (const tc of m.tool_calls || []) {
+        blocks.push({
+          type: 'tool_use',
+          id: tc.id,
+          name: tc.function?.name,
+          input: safeJsonParse(tc.function?.arguments) ?? {},
+        });
+      }
+      push('assistant', blocks);
+      continue;
+    }
+
+    push('user', toContentBlocks(m.content));
+  }
+
+  if (out[0]?.role === 'assistant') {
+    out.unshift({ role: 'user', content: [{ type: 'text', text: '(continuing mission)' }] });
+  }
+
+  return { system, messages: out };
+}
+
+/**
+ * Map OpenAI-like tool schema → Anthropic tool definitions.
+ */
+function toAnthropicTools(tools = []) {
+  return tools.map(t => ({
+    name: t.function?.name ?? t.name,
+    description: t.function?.description ?? t.description ?? '',
+    input_schema: t.function?.parameters ?? t.parameters ?? { type: 'object', properties: {} },
+  }));
+}
+
+/**
+ * Convert an Anthropic response → OpenAI-like assistant message.
+ * - Collects text blocks into `content`.
+ * - Translates tool_use blocks into `tool_calls`.
+ */
+function fromAnthropicResponse(res) {
+  const tool_calls = [];
+  const texts = [];
+
+  for (const block of res?.content ?? []) {
+    if (block.type === 'tool_use') {
+      tool_calls.push({
+        id: block.id,
+        type: 'function',
+        function: {
+          name: block.name,
+          arguments: JSON.stringify(block.input ?? {}),
+        },
+      });
+    } else if (block.type === 'text' && typeof block.text === 'string') {
+      texts.push(block.text);
+    }
+  }
+
+  return {
+    role: 'assistant',
+    content: texts.join(''),
+    tool_calls: tool_calls.length ? tool_calls : undefined,
+  };
+}
+
+function headersToObject(headers) {
+  const out = {};
+  if (!headers) return out;
+  if (typeof headers.forEach === 'function') {
+    headers.forEach((value, key) => { out[key.toLowerCase()] = value; });
+    return out;
+  }
+  for (const [key, value] of Object.entries(headers)) out[key.toLowerCase()] = value;
+  return out;
+}
+
+export class AnthropicProvider {
+  constructor({ apiKey, baseURL = DEFAULT_BASE_URL, maxTokens = DEFAULT_MAX_TOKENS } = {}) {
+    if (!apiKey) throw new Error('ANTHROPIC_API_KEY is required for Anthropic provider');
+    this.apiKey = apiKey;
+    this.baseURL = String(baseURL).replace(/\/+$/, '');
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Execute a chat turn via Anthropic and normalize the response.
+   * @param {{model:string, messages:any[], tools?:any[]}} params
+   * @returns {Promise<{message:any, usage?:{total_tokens?:number, prompt_tokens?:number, completion_tokens?:number, cache_read_tokens?:number, cache_write_tokens?:number, providerRaw?:any}, headers?:any}>}
+   */
+  async chat({ model, messages, tools }) {
+    const { system, messages: anthropicMessages } = toAnthropicMessages(messages);
+    const body = {
+      model,
+      max_tokens: this.maxTokens,
+      messages: anthropicMessages,
+    };
+    if (system) body.system = system;
+    if (tools?.length) body.tools = toAnthropicTools(tools);
+
+    const res = await fetch(`${this.baseURL}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-api-key': this.apiKey,
+        'anthropic-version': ANTHROPIC_VERSION,
+      },
+      body: JSON.stringify(body),
+    });
+
+    const headers = headersToObject(res.headers);
+    const text = await res.text();
+    const data = safeJsonParse(text);
+
+    if (!res.ok) {
+      const detail = data?.error?.message || text?.slice(0, 300) || res.statusText;
+      const err = new Error(`Anthropic API ${res.status}: ${detail}`);
+      err.status = res.status;
+      err.headers = headers;
+      throw err;
+    }
+
+    const message = fromAnthropicResponse(data);
+    const u = data?.usage || {};
+    const promptTokens =
+      (u.input_tokens || 0) +
+      (u.cache_creation_input_tokens || 0) +
+      (u.cache_read_input_tokens || 0);
+    const usage = {
+      total_tokens: promptTokens + (u.output_tokens || 0),
+      prompt_tokens: promptTokens,
+      completion_tokens: u.output_tokens || 0,
+      cache_read_tokens: u.cache_read_input_tokens || 0,
+      cache_write_tokens: u.cache_creation_input_tokens || 0,
+      providerRaw: data?.usage,
+    };
+
+    return { message, usage, headers };
+  }
+}
+
+// Exposed for unit tests.
+export const __test__ = { toAnthropicMessages, toAnthropicTools, fromAnthropicResponse };
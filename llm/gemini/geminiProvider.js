@@ -10,7 +10,8 @@
  *   - Map tool/function calling both ways:
  *       • assistant.tool_calls → Gemini functionCall parts
  *       • tool messages → user parts (so the model can read results)
- *   - Return an OpenAI-like assistant message and usage metadata.
+ *   - Return an OpenAI-like assistant message and usage metadata
+ *     (total, prompt and completion tokens; thinking tokens bill as completion).
  *
  * Message contract (OpenAI-like, internal):
  *   - messages: Array<{ role: 'system'|'user'|'assistant'|'tool', content?: string|Array, ... }>
@@ -82,9 +83,10 @@ function toGeminiContents(messages) {
     const asArray = Array.isArray(m.content) ? m.content : [{ type: 'text', text: m.content }];
     for (const p of asArray) {
       if (p?.type === 'image') {
+        // Only mime + bytes cross the wire; width/height are local bookkeeping.
         baseParts.push({
           inlineData: {
-            mimeType: p.mimeType,
+            mimeType: p.mimeType || 'image/png',
             data: Buffer.from(p.data).toString('base64'),
           }
         });
@@ -164,7 +166,7 @@ export class GeminiProvider {
   /**
    * Execute a chat turn via Gemini and normalize the response.
    * @param {{model:string, messages:any[], tools?:any[]}} params
-   * @returns {Promise<{message:any, usage?:{total_tokens?:number, providerRaw?:any}}>}
+   * @returns {Promise<{message:any, usage?:{total_tokens?:number, prompt_tokens?:number, completion_tokens?:number, providerRaw?:any}}>}
    */
   async chat({ model, messages, tools }) {
     // Map OpenAI-like tool schema → Gemini functionDeclarations
@@ -193,6 +195,10 @@ export class GeminiProvider {
     const usageMeta = res?.response?.usageMetadata;
     const usage = {
       total_tokens: usageMeta?.totalTokenCount,
+      prompt_tokens: usageMeta?.promptTokenCount,
+      completion_tokens: usageMeta?.candidatesTokenCount !== undefined || usageMeta?.thoughtsTokenCount !== undefined
+        ? (usageMeta.candidatesTokenCount || 0) + (usageMeta.thoughtsTokenCount || 0)
+        : undefined,
       providerRaw: usageMeta,
     };
 
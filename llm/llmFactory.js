@@ -9,6 +9,8 @@
  * Responsibilities:
  *   - Map provider name → concrete adapter instance.
  *   - Normalize constructor options (env API keys + optional overrides).
+ *   - Tag setup failures (unknown provider, missing key/baseURL) as config
+ *     errors so the CLI can exit with the configuration exit code.
  *
  * Message contract (internal, OpenAI-like):
  *   - messages: Array<{ role: 'system'|'user'|'assistant'|'tool', content?: string, ... }>
@@ -26,16 +28,27 @@
 
 import { OpenAIProvider } from './openAI/openaiProvider.js';
 import { GeminiProvider } from './gemini/geminiProvider.js';
+import { AnthropicProvider } from './anthropic/anthropicProvider.js';
+import { resolveOpenAICompatibleOptions } from './modelResolver.js';
+import { asConfigError } from '../core/runSummary.js';
 
 /**
  * Return an adapter implementing:
  *   chat({ model, messages, tools }) -> Promise<{ message, usage }>
  *
- * @param {string} providerName - 'openai' | 'gemini'
+ * @param {string} providerName - 'openai' | 'gemini' | 'anthropic' | 'openai-compatible'
  * @param {object} [opts]       - Optional overrides (e.g., { apiKey, baseURL, ... })
  * @returns {{ chat: Function }} provider adapter
  */
 export function getLLM(providerName, opts = {}) {
+  try {
+    return createProvider(providerName, opts);
+  } catch (err) {
+    throw asConfigError(err);
+  }
+}
+
+function createProvider(providerName, opts) {
   switch ((providerName || '').toLowerCase()) {
     case 'openai':
       // NOTE: opts last → caller can override env key if needed (useful for tests)
@@ -44,6 +57,19 @@ export function getLLM(providerName, opts = {}) {
     case 'gemini':
       return new GeminiProvider({ apiKey: process.env.GEMINI_API_KEY, ...opts });
 
+    case 'anthropic':
+      return new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY, ...opts });
+
+    case 'openai-compatible': {
+      // Same tool-calling contract as OpenAI, pointed at a self-hosted server.
+      const { baseURL, apiKey } = resolveOpenAICompatibleOptions();
+      const merged = { baseURL, apiKey, requireApiKey: false, ...opts };
+      if (!merged.baseURL) {
+        throw new Error('baseURL is required for openai-compatible provider (set openaiCompatible.baseURL in testronaut-config.json or OPENAI_COMPATIBLE_BASE_URL)');
+      }
+      return new OpenAIProvider(merged);
+    }
+
     default:
       throw new Error(`Unsupported LLM provider: ${providerName}`);
   }
@@ -11,8 +11,20 @@
  *   3) Legacy config (model === "openai", no provider)
  *   4) Default: { provider: "openai", model: "gpt-4o" }
  *
+ * OpenAI-compatible endpoints (provider "openai-compatible"):
+ *   - baseURL: env OPENAI_COMPATIBLE_BASE_URL → config.openaiCompatible.baseURL
+ *   - apiKey:  env OPENAI_COMPATIBLE_API_KEY  → config.openaiCompatible.apiKey (optional)
+ *   - tokensPerMinute: config.openaiCompatible.tokensPerMinute (optional; unset = no throttling)
+ *
+ * Shared rate limits:
+ *   - resolveRateLimitAccount(provider) names the account a run spends (API
+ *     key, or base URL + key for openai-compatible); callers only store a hash.
+ *
+ * Image input (vision mode):
+ *   - supportsImageInput(provider, model) tells whether screenshots can be sent.
+ *
  * Related tests: tests/llmTests/modelResolver.test.js
- * Used by: core/turnLoop.js, llm/llmFactory.js
+ * Used by: core/turnLoop.js, llm/llmFactory.js, bin/cli.js (shared rate-limit scope)
  */
 
 import path from 'path';
@@ -63,3 +75,76 @@ export function resolveProviderModel(opts = {}) {
     model: envModel || 'gpt-4o',
   };
 }
+
+/**
+ * Resolve connection settings for the "openai-compatible" provider
+ * (Ollama, LM Studio, vLLM, or any server exposing /v1/chat/completions).
+ *
+ * @param {{cwd?: string}} [opts]
+ * @returns {{ baseURL: string|undefined, apiKey: string|undefined, tokensPerMinute: number|undefined }}
+ */
+export function resolveOpenAICompatibleOptions(opts = {}) {
+  let section = {};
+  const configPath = path.join(opts.cwd || process.cwd(), 'testronaut-config.json');
+  try {
+    if (fs.existsSync(configPath)) {
+      const cfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'));
+      section = cfg?.openaiCompatible || {};
+    }
+  } catch (e) {
+    console.warn('⚠️ Could not read testronaut-config.json; using env for openai-compatible settings. Error:', e.message);
+  }
+
+  const baseURL = process.env.OPENAI_COMPATIBLE_BASE_URL?.trim() || section.baseURL || undefined;
+  const apiKey = process.env.OPENAI_COMPATIBLE_API_KEY?.trim() || section.apiKey || undefined;
+  const tpm = Number(section.tokensPerMinute);
+
+  return {
+    baseURL,
+    apiKey,
+    tokensPerMinute: Number.isFinite(tpm) && tpm > 0 ? tpm : undefined,
+  };
+}
+
+// Env var holding each hosted provider's API key (as read by llm/llmFactory.js)
+const API_KEY_ENV = { openai: 'OPENAI_API_KEY', gemini: 'GEMINI_API_KEY', anthropic: 'ANTHROPIC_API_KEY' };
+
+/**
+ * Identify the account whose rate limits a run spends: the API key for hosted
+ * providers, the server (base URL + key) for openai-compatible.
+ *
+ * @param {string} provider
+ * @param {{cwd?: string}} [opts]
+ * @returns {string} empty when no key is configured
+ */
+export function resolveRateLimitAccount(provider, opts = {}) {
+  if (provider === 'openai-compatible') {
+    const { baseURL = '', apiKey = '' } = resolveOpenAICompatibleOptions(opts);
+    return `${baseURL}|${apiKey}`;
+  }
+  return process.env[API_KEY_ENV[provider]]?.trim() || '';
+}
+
+// Model families that accept image input, per provider
+const VISION_MODELS = {
+  openai: /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-5|o1(?!-mini)|o3|o4)/i,
+  gemini: /^gemini-/i,
+  anthropic: /^claude-/i,
+  // Self-hosted: common multimodal model names (llava, qwen2.5-vl, llama3.2-vision, gemma3, ...)
+  'openai-compatible': /(llava|vision|[-_.]vl\b|-vl-|gemma-?3|pixtral|minicpm-v|moondream)/i,
+};
+
+/**
+ * Can this provider/model read image parts (vision mode)?
+ * `override` (config.vision.modelSupportsImages) wins for models this list misses.
+ *
+ * @param {string} provider
+ * @param {string} model
+ * @param {{ override?: boolean|null }} [opts]
+ * @returns {boolean}
+ */
+export function supportsImageInput(provider, model, { override = null } = {}) {
+  if (typeof override === 'boolean') return override;
+  const re = VISION_MODELS[String(provider || '').toLowerCase()];
+  return !!re && re.test(String(model || ''));
+}
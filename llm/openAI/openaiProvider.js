@@ -9,8 +9,12 @@
  *   - Call OpenAI Chat Completions with { model, messages, tools }.
  *   - Return { message, usage, headers } where:
  *       • message is OpenAI-like (already native)
- *       • usage.total_tokens is forwarded from OpenAI
+ *       • usage.total_tokens, prompt_tokens and completion_tokens are forwarded from OpenAI
  *       • headers (if present) can be used by the token limit learner
+ *   - Map internal image parts ({ type:'image', mimeType, data }) to
+ *     `image_url` data URLs, the only shape Chat Completions accepts.
+ *   - Also serves OpenAI-compatible servers (Ollama, LM Studio, vLLM) when
+ *     constructed with a `baseURL`; those may not need a real API key.
  *
  * Related tests:
  *   Located in `tests/llmTests/openAIProvider.test.js`
@@ -21,21 +25,50 @@
 
 import OpenAI from 'openai';
 
+// The SDK refuses to construct without a key; local servers simply ignore it.
+const PLACEHOLDER_API_KEY = 'not-needed';
+
+/**
+ * Convert internal image parts to OpenAI `image_url` parts; everything else
+ * passes through untouched so plain-text turns stay byte-identical.
+ * @param {any[]} messages
+ * @returns {any[]}
+ */
+function toOpenAIMessages(messages = []) {
+  return messages.map((m) => {
+    if (!Array.isArray(m?.content) || !m.content.some((p) => p?.type === 'image')) return m;
+    return {
+      ...m,
+      content: m.content.map((p) => {
+        if (p?.type !== 'image') return p;
+        const b64 = Buffer.from(p.data).toString('base64');
+        return { type: 'image_url', image_url: { url: `data:${p.mimeType || 'image/png'};base64,${b64}` } };
+      }),
+    };
+  });
+}
+
 export class OpenAIProvider {
-  constructor({ apiKey } = {}) {
-    if (!apiKey) throw new Error('OPENAI_API_KEY is required for OpenAI provider');
-    this.client = new OpenAI({ apiKey });
+  /**
+   * @param {{ apiKey?: string, baseURL?: string, requireApiKey?: boolean }} [opts]
+   */
+  constructor({ apiKey, baseURL, requireApiKey = true } = {}) {
+    if (!apiKey && requireApiKey) throw new Error('OPENAI_API_KEY is required for OpenAI provider');
+    this.client = new OpenAI({
+      apiKey: apiKey || PLACEHOLDER_API_KEY,
+      ...(baseURL ? { baseURL } : {}),
+    });
   }
 
   /**
    * Execute a chat turn via OpenAI and normalize the response.
    * @param {{model:string, messages:any[], tools?:any[]}} params
-   * @returns {Promise<{message:any, usage?:{total_tokens?:number, providerRaw?:any}, headers?:any}>}
+   * @returns {Promise<{message:any, usage?:{total_tokens?:number, prompt_tokens?:number, completion_tokens?:number, providerRaw?:any}, headers?:any}>}
    */
   async chat({ model, messages, tools }) {
     const res = await this.client.chat.completions.create({
       model,
-      messages,
+      messages: toOpenAIMessages(messages),
       tools,
     });
 
@@ -43,6 +76,8 @@ export class OpenAIProvider {
     const message = res.choices?.[0]?.message ?? { role: 'assistant', content: '' };
     const usage = {
       total_tokens: res.usage?.total_tokens,
+      prompt_tokens: res.usage?.prompt_tokens,
+      completion_tokens: res.usage?.completion_tokens,
       providerRaw: res.usage,
     };
 
@@ -8,12 +8,34 @@
  * Responsibilities:
  *   - Read config once and derive turn limits via enforceTurnBudget().
  *   - Build a normalized list of submissions with human-friendly names.
+ *   - Accept structured missions (`{ steps, expect }`) next to plain strings;
+ *     `expect` travels with the goal and is verified by the agent.
  *   - Redact sensitive text when logging mission strings.
  *   - Call runAgent(goals, missionName, maxTurns) and post-process status.
+ *   - Never return nothing: a crashed or empty agent run becomes an
+ *     `errored` entry so the CLI report and exit code account for it.
+ *   - Rerun a failed mission in a fresh browser (missionRetries), keep every
+ *     attempt in `previousAttempts`, and flag submissions that passed on retry as `flaky`.
+ *   - Run the mission once per configured browser engine and stamp each
+ *     entry with the `browser` it ran on.
+ *   - Apply the mission's context profile (`runMissions({ mission, profile })`,
+ *     overridden by --device) and stamp entries with its name.
+ *   - Validate the mission's network mocks (`runMissions({ mission, mocks })`)
+ *     before any browser starts; see tools/networkMocks.js.
+ *   - Share a stored login across missions (`runMissions({ preMission, mission, auth })`):
+ *     load a valid storage state, skip the login preMission when it is reused, and
+ *     rerun once with the login after clearing a state that no longer works.
+ *   - Pass the page diagnostics rules (failOnPageError) to the agent.
+ *   - Apply the mission's HAR capture mode (`runMissions({ mission, har })`).
+ *   - Pass the visual regression rules (baselines, threshold, fail or warn) to the agent.
+ *   - Pass the vision mode (screenshots sent to multimodal models) to the agent.
+ *   - Pass the DOM mode (HTML or accessibility outline) to the agent.
+ *   - Pass model prices and USD budget caps to the agent; a mission stopped by
+ *     the budget is not retried.
  *
  * Message contract (goal → initial messages inside agent):
  *   - system: operational guidance + success/failure contract
- *   - user:   the mission text (or coerced string)
+ *   - user:   the mission text (or coerced string; numbered steps for structured missions)
  *
  * Related tests:
  *   tests/missionTests/testronaut.test.js
@@ -27,7 +49,12 @@ import fs from 'fs';
 import path from 'path';
 import { runAgent } from '../core/agent.js';
 import { redactPasswordInText } from '../core/redaction.js';
-import { loadConfig, enforceTurnBudget, getRetryLimit, getDomListLimit, getResourceGuardConfig, getHumanInputConfig } from '../core/config.js';
+import { makeErroredEntry, asConfigError } from '../core/runSummary.js';
+import { normalizeMock } from '../tools/networkMocks.js';
+import { normalizeAuthOption, readAuthState, clearAuthState, planAuth } from '../core/authState.js';
+import { isStructuredMission, normalizeStructuredMission } from '../core/assertions.js';
+import { normalizeArtifactMode } from '../core/artifacts.js';
+import { loadConfig, enforceTurnBudget, getRetryLimit, getDomListLimit, getResourceGuardConfig, getHumanInputConfig, getRecordingConfig, getMissionRetries, getArtifactsConfig, getDebugBrowserConfig, getBrowserEngines, getContextProfile, getAuthStateConfig, getDiagnosticsConfig, getVisualConfig, getVisionConfig, getDomMode, getCostConfig } from '../core/config.js';
 
 // Check process env for debug toggles (shared helper for tests and CLI).
 const isDebugEnabled = () => {
@@ -38,13 +65,78 @@ const isDebugEnabled = () => {
 // Presentable string for DOM list limit logging/debug output.
 const formatListLimit = (v) => v === Infinity ? 'all' : v;
 
+// Retry failed attempts and infrastructure errors; configuration errors and spent budgets will not fix themselves.
+const shouldRetryAttempt = (entries = []) =>
+  !entries.some(e => e.budgetExceeded) &&
+  entries.some(e => e.status === 'failed' || (e.status === 'errored' && e.error?.kind !== 'config'));
+
+/**
+ * Fold earlier attempts into the final attempt's entries.
+ * - Each final entry gets `attempt` and the earlier runs of the same submission in `previousAttempts`.
+ * - Submissions the final attempt never reached are kept on its last entry.
+ * - A submission that passes after failing/erroring earlier is marked `flaky`.
+ *
+ * @param {object[]} finalEntries
+ * @param {object[][]} previous - entries of attempts 1..n-1
+ * @returns {object[]}
+ */
+function mergeAttempts(finalEntries, previous) {
+  const keyOf = (e) => `${e.submissionType}::${e.submissionName}`;
+  const finalKeys = new Set(finalEntries.map(keyOf));
+  const byKey = new Map();
+  const unmatched = [];
+
+  previous.forEach((entries, i) => {
+    for (const e of entries) {
+      const snapshot = {
+        attempt: i + 1,
+        submissionType: e.submissionType,
+        submissionName: e.submissionName,
+        status: e.status,
+        finalMessage: e.finalMessage ?? null,
+        ...(e.error ? { error: e.error } : {}),
+        steps: e.steps ?? [],
+        stepFile: e.stepFile,
+        tokensUsed: e.tokensUsed ?? 0,
+        promptTokens: e.promptTokens ?? 0,
+        completionTokens: e.completionTokens ?? 0,
+        costUsd: e.costUsd ?? null,
+        startTime: e.startTime,
+        endTime: e.endTime,
+      };
+      if (finalKeys.has(keyOf(e))) {
+        if (!byKey.has(keyOf(e))) byKey.set(keyOf(e), []);
+        byKey.get(keyOf(e)).push(snapshot);
+      } else {
+        unmatched.push(snapshot);
+      }
+    }
+  });
+
+  return finalEntries.map((e, idx) => {
+    const own = byKey.get(keyOf(e)) || [];
+    const previousAttempts = idx === finalEntries.length - 1 ? [...own, ...unmatched] : own;
+    const flaky = e.status === 'passed' && own.some(p => p.status !== 'passed');
+    return {
+      ...e,
+      attempt: previous.length + 1,
+      ...(previousAttempts.length ? { previousAttempts } : {}),
+      ...(flaky ? { flaky: true } : {}),
+    };
+  });
+}
+
 /**
  * Run a mission flow.
  *
- * @param {{ preMission?: any|any[], mission?: any|any[], postMission?: any|any[] }} params
+ * @param {{ preMission?: any|any[], mission?: any|any[], postMission?: any|any[], profile?: string, auth?: 'use'|'setup'|'preMission'|boolean, mocks?: object[], har?: boolean|'on'|'off'|'retain-on-failure' }} params
+ *   profile: name of a config profile or a Playwright device (e.g. "iPhone 14")
+ *   auth: how the mission uses the stored login (see core/authState.js)
+ *   mocks: network routes to stub for the whole mission (see tools/networkMocks.js)
+ *   har: HAR capture for this mission (overrides the config, overridden by --har)
  * @param {string} missionName
  */
-export async function runMissions({ preMission, mission, postMission }, missionName) {
+export async function runMissions({ preMission, mission, postMission, profile: missionProfile, auth: missionAuth, mocks: missionMocks, har: missionHar }, missionName) {
   // 1) Config and turn budget (with guardrails)
   const cfg = await loadConfig();
   const { effectiveMax, limits, notes } = enforceTurnBudget(cfg);
@@ -54,10 +146,22 @@ export async function runMissions({ preMission, mission, postMission }, missionN
   const domListLimitInfo = getDomListLimit(cfg);
   const resourceGuard = getResourceGuardConfig(cfg);
   const humanInput = getHumanInputConfig(cfg);
+  const recording = getRecordingConfig(cfg);
+  const missionRetries = getMissionRetries(cfg);
+  const artifacts = getArtifactsConfig(cfg);
+  const debugBrowser = getDebugBrowserConfig(cfg);
+  const diagnostics = getDiagnosticsConfig(cfg);
+  const engines = getBrowserEngines(cfg);
   const debugEnabled = isDebugEnabled();
   if (notes.length) {
     console.warn(notes.join('\n'));
   }
+  if (artifacts.invalid.length) {
+    console.warn(`⚠️ Ignoring invalid artifact mode(s): ${artifacts.invalid.join(', ')} (use off, on or retain-on-failure).`);
+  }
+  if (debugBrowser.clamped) {
+    console.warn(`⚠️ Slow-mo clamped to ${debugBrowser.slowMo}ms (allowed 0-5000).`);
+  }
   if (retryInfo.clamped) {
     console.warn(`⚠️ Retry limit clamped to ${retryLimit} (allowed range 1-10).`);
   }
@@ -73,6 +177,9 @@ export async function runMissions({ preMission, mission, postMission }, missionN
   if (!humanInput.enabled) {
     console.log('👤 Human-in-the-loop input tool disabled for this run.');
   }
+  if (missionRetries.clamped) {
+    console.warn(`⚠️ Mission retries clamped to ${missionRetries.value} (allowed 0-5).`);
+  }
   if (debugEnabled) {
     const cfgDomRaw = cfg?.dom?.listItemLimit ?? cfg?.dom?.listLimit ?? cfg?.domListLimit;
     console.log('[debug] Debug mode enabled');
@@ -83,6 +190,7 @@ export async function runMissions({ preMission, mission, postMission }, missionN
       hardMin: limits.hardMinTurns,
     });
     console.log('[debug] Retry limit', { retryLimit, source: retryInfo.source, clamped: retryInfo.clamped });
+    console.log('[debug] Mission retries', { value: missionRetries.value, source: missionRetries.source, clamped: missionRetries.clamped });
     console.log('[debug] DOM list limit', {
       env: process.env.TESTRONAUT_DOM_LIST_LIMIT ?? 'unset',
       config: cfgDomRaw ?? 'unset',
@@ -151,37 +259,91 @@ export async function runMissions({ preMission, mission, postMission }, missionN
     return baseFallback;
   };
 
-  if (pre.length) {
-    goals.push(
-      ...pre.map((fn, i) => ({
-        goal: fn,
-        label: 'pre-mission',          // legacy label (kept for logs)
-        submissionType: 'premission',  // normalized
-        submissionName: pickName('premission', fn, i),
-      }))
-    );
-  }
+  // Structured missions ({ steps, expect }) become goal text plus framework-side assertions
+  const toGoal = (fn, i, kind, label) => {
+    const structured = isStructuredMission(fn) ? normalizeStructuredMission(fn) : null;
+    return {
+      goal: structured ? structured.text : fn,
+      label,                   // legacy label (kept for logs)
+      submissionType: kind,    // normalized
+      submissionName: pickName(kind, fn, i),
+      ...(structured?.expect.length ? { expect: structured.expect } : {}),
+    };
+  };
 
-  if (main.length) {
+  try {
     goals.push(
-      ...main.map((fn, i) => ({
-        goal: fn,
-        label: 'mission',
-        submissionType: 'mission',
-        submissionName: pickName('mission', fn, i),
-      }))
+      ...pre.map((fn, i) => toGoal(fn, i, 'premission', 'pre-mission')),
+      ...main.map((fn, i) => toGoal(fn, i, 'mission', 'mission')),
+      ...post.map((fn, i) => toGoal(fn, i, 'postmission', 'post-mission')),
     );
+  } catch (err) {
+    console.error(`❌ Invalid mission definition: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
   }
 
-  if (post.length) {
-    goals.push(
-      ...post.map((fn, i) => ({
-        goal: fn,
-        label: 'post-mission',
-        submissionType: 'postmission',
-        submissionName: pickName('postmission', fn, i),
-      }))
-    );
+  let profile;
+  try {
+    profile = getContextProfile(cfg, missionProfile);
+  } catch (err) {
+    console.error(`❌ Invalid profile: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let auth;
+  try {
+    const authConfig = getAuthStateConfig(cfg);
+    auth = { ...authConfig, mode: authConfig.mode ?? normalizeAuthOption(missionAuth) };
+  } catch (err) {
+    console.error(`❌ Invalid auth settings: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let visual;
+  try {
+    visual = getVisualConfig(cfg);
+  } catch (err) {
+    console.error(`❌ Invalid visual settings: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let vision;
+  try {
+    vision = getVisionConfig(cfg);
+  } catch (err) {
+    console.error(`❌ Invalid vision settings: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let domMode;
+  try {
+    domMode = getDomMode(cfg).mode;
+  } catch (err) {
+    console.error(`❌ Invalid DOM mode: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let cost;
+  try {
+    cost = getCostConfig(cfg);
+  } catch (err) {
+    console.error(`❌ Invalid cost settings: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, err)];
+  }
+  let mocks;
+  try {
+    mocks = (Array.isArray(missionMocks) ? missionMocks : missionMocks ? [missionMocks] : []).map(m => normalizeMock(m));
+  } catch (err) {
+    console.error(`❌ Invalid mock: ${err?.message || err}`);
+    return [makeErroredEntry({ missionName }, asConfigError(err))];
+  }
+  let missionArtifacts = artifacts;
+  if (missionHar !== undefined && missionHar !== null) {
+    const har = normalizeArtifactMode(missionHar);
+    if (!har) {
+      const err = new Error(`Invalid har option "${missionHar}". Use true, false, 'on', 'off' or 'retain-on-failure'.`);
+      console.error(`❌ ${err.message}`);
+      return [makeErroredEntry({ missionName }, asConfigError(err))];
+    }
+    if (artifacts.source?.har !== 'env') missionArtifacts = { ...artifacts, har };
+  }
+  if (profile.name) {
+    console.log(`📱 Profile: ${profile.name}${profile.device ? ` (device "${profile.device}")` : ''}`);
   }
 
   console.log(
@@ -196,25 +358,87 @@ export async function runMissions({ preMission, mission, postMission }, missionN
   );
 
   // 3) Execute
-  const success = await runAgent(
-    goals,
+  const erroredEntry = (err) => [makeErroredEntry({
     missionName,
-    maxTurns,
-    retryLimit,
-    { domListLimit: domListLimitInfo?.value, debug: debugEnabled, resourceGuard, humanInput }
-  );
-  if (!success) {
-    console.log(`❌ Aborting after failed goal.`);
-    return;
+    submissionType: goals[0]?.submissionType,
+    submissionName: goals[0]?.submissionName,
+  }, err)];
+
+  // runAgent launches a fresh browser on every call, so each attempt starts clean.
+  // The auth plan is re-read per attempt: an earlier attempt or engine may have saved a login.
+  const runAttempt = async (browser) => {
+    const plan = planAuth(auth.mode, auth, readAuthState(auth.path, { maxAgeMinutes: auth.maxAgeMinutes }));
+    const attemptGoals = plan.skipPreMission ? goals.filter(g => g.submissionType !== 'premission') : goals;
+    if (plan.storageState) {
+      console.log(`🔐 Using stored auth state${plan.skipPreMission ? ' (skipping preMission)' : ''}: ${path.relative(process.cwd(), plan.storageState)}`);
+    }
+    const results = await runAgentAttempt(browser, attemptGoals, plan);
+    if (!plan.skipPreMission || !shouldRetryAttempt(results)) {
+      return plan.storageState ? results.map(r => ({ ...r, authState: 'reused' })) : results;
+    }
+    // The stored login may have expired server-side: drop it and log in again
+    console.log(`🔐 Mission "${missionName}" failed with the stored auth state; clearing it and rerunning with the preMission…`);
+    clearAuthState(auth.path);
+    return runAgentAttempt(browser, goals, planAuth(auth.mode, auth, { valid: false }));
+  };
+
+  const runAgentAttempt = async (browser, attemptGoals, authPlan) => {
+    let success;
+    try {
+      success = await runAgent(
+        attemptGoals,
+        missionName,
+        maxTurns,
+        retryLimit,
+        { domListLimit: domListLimitInfo?.value, domMode, debug: debugEnabled, resourceGuard, humanInput, recording, artifacts: missionArtifacts, debugBrowser, browser, profile, auth: authPlan, mocks, diagnostics, visual, vision, cost }
+      );
+    } catch (err) {
+      // Browser launch or other agent-level crash: keep the mission in the report
+      console.error(`❌ Mission errored: ${err?.message || err}`);
+      return erroredEntry(err);
+    }
+    if (!success?.length) {
+      console.log(`❌ Aborting after failed goal.`);
+      return erroredEntry(new Error('Agent returned no results'));
+    }
+
+    const firstSteps = Array.isArray(success[0].steps) ? success[0].steps : [];
+    const missionStatus = String(firstSteps[firstSteps.length - 1]?.result ?? '');
+    if (success[0].status === 'passed' && missionStatus.toLowerCase().includes('failure')) {
+      success[0].status = 'failed';
+    }
+    return success;
+  };
+
+  const maxAttempts = 1 + missionRetries.value;
+  const runOnEngine = async (browser) => {
+    const previous = [];
+    let attemptResults = await runAttempt(browser);
+    while (previous.length + 1 < maxAttempts && shouldRetryAttempt(attemptResults)) {
+      previous.push(attemptResults);
+      console.log(`🔁 Retrying mission "${missionName}" (attempt ${previous.length + 1}/${maxAttempts}) in a fresh browser…`);
+      attemptResults = await runAttempt(browser);
+    }
+    if (previous.length) {
+      attemptResults = mergeAttempts(attemptResults, previous);
+      if (attemptResults.some(r => r.flaky)) {
+        console.log(`⚠️ Mission "${missionName}" passed on attempt ${previous.length + 1} (flaky).`);
+      }
+    }
+    return attemptResults.map(r => ({ ...r, browser, ...(profile.name ? { profile: profile.name } : {}) }));
+  };
+
+  const results = [];
+  for (const browser of engines.value) {
+    if (engines.value.length > 1) console.log(`\n🌐 Running "${missionName}" on ${browser}`);
+    results.push(...await runOnEngine(browser));
   }
 
-  const missionStatus = success[0].steps[success[0].steps.length - 1].result;
-  if (missionStatus.toLowerCase().includes('failure')) {
-    success[0].status = 'failed';
+  if (!results.some(r => r.status === 'errored')) {
+    console.log('\n✅ Mission flow complete.');
   }
-  console.log('\n✅ Mission flow complete.');
-  return success;
+  return results;
 }
 
 // Exposed for unit tests.
-export const __test__ = { isDebugEnabled, formatListLimit };
+export const __test__ = { isDebugEnabled, formatListLimit, shouldRetryAttempt, mergeAttempts };
@@ -92,6 +92,13 @@ describe('cli helpers', () => {
     const res2 = parseProviderArgs(['--provider=gemini', 'login']);
     expect(res2.provider).toBe('gemini');
     expect(res2.invalid).toBe(false);
+
+    const res3 = parseProviderArgs(['--provider=anthropic', 'login']);
+    expect(res3.provider).toBe('anthropic');
+    expect(res3.invalid).toBe(false);
+
+    const res4 = parseProviderArgs(['--provider', 'openai-compatible']);
+    expect(res4.provider).toBe('openai-compatible');
   });
 
   it('flags invalid provider name', () => {
@@ -143,6 +150,208 @@ describe('cli helpers', () => {
     expect(res.invalid).toBe(true);
   });
 
+  it('parses --workers and removes it from args', () => {
+    const { parseWorkersArgs } = __test__;
+    expect(parseWorkersArgs(['--workers=4', 'a.mission.js'])).toEqual({
+      workers: 4,
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+    expect(parseWorkersArgs(['--workers', '2']).workers).toBe(2);
+    expect(parseWorkersArgs(['a.mission.js'])).toEqual({
+      workers: undefined,
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+  });
+
+  it('runs one worker at a time while pausing on failure', () => {
+    const { planWorkers } = __test__;
+    expect(planWorkers(4, 10)).toEqual({ workers: 4, serialForPause: false });
+    expect(planWorkers(4, 2)).toEqual({ workers: 2, serialForPause: false });
+    expect(planWorkers(4, 10, { pauseOnFailure: true })).toEqual({ workers: 1, serialForPause: true });
+    expect(planWorkers(4, 1, { pauseOnFailure: true })).toEqual({ workers: 1, serialForPause: false });
+  });
+
+  it('flags invalid --workers values', () => {
+    const { parseWorkersArgs } = __test__;
+    const res = parseWorkersArgs(['--workers=0', 'a.mission.js']);
+    expect(res.workers).toBeUndefined();
+    expect(res.args).toEqual(['a.mission.js']);
+    expect(res.invalid).toBe(true);
+    expect(parseWorkersArgs(['--workers']).invalid).toBe(true);
+    expect(parseWorkersArgs(['--workers=1.5']).invalid).toBe(true);
+  });
+
+  it('parses --reporter lists and rejects unknown formats', () => {
+    const { parseReporterArgs } = __test__;
+    expect(parseReporterArgs(['--reporter=junit,html', 'a.mission.js'])).toEqual({
+      reporters: ['junit', 'html'],
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+    expect(parseReporterArgs(['--reporter', 'JUnit']).reporters).toEqual(['junit']);
+    expect(parseReporterArgs(['--reporter=xml']).invalid).toBe(true);
+    expect(parseReporterArgs(['--reporter']).invalid).toBe(true);
+  });
+
+  it('parses --summary-json paths', () => {
+    const { parseSummaryJsonArgs } = __test__;
+    expect(parseSummaryJsonArgs(['--summary-json=out/summary.json', 'a.mission.js'])).toEqual({
+      path: 'out/summary.json',
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+    expect(parseSummaryJsonArgs(['--summary-json']).invalid).toBe(true);
+    expect(parseSummaryJsonArgs(['a.mission.js']).path).toBeUndefined();
+  });
+
+  it('parses --mission-retries', () => {
+    const { parseMissionRetriesArgs } = __test__;
+    expect(parseMissionRetriesArgs(['--mission-retries=2', 'a.mission.js'])).toEqual({ retries: 2, args: ['a.mission.js'], invalid: false });
+    expect(parseMissionRetriesArgs(['--mission_retries', '0']).retries).toBe(0);
+    expect(parseMissionRetriesArgs(['--mission-retries=-1']).invalid).toBe(true);
+    expect(parseMissionRetriesArgs(['--mission-retries=abc']).invalid).toBe(true);
+  });
+
+  it('parses --record without consuming the next arg', () => {
+    const { parseRecordArgs } = __test__;
+    expect(parseRecordArgs(['--record', 'a.mission.js'])).toEqual({ record: true, args: ['a.mission.js'], invalid: false });
+    expect(parseRecordArgs(['--record=false']).record).toBe(false);
+    expect(parseRecordArgs(['--no-record']).record).toBe(false);
+    expect(parseRecordArgs(['--record=maybe'])).toEqual({ record: undefined, args: [], invalid: true });
+    expect(parseRecordArgs(['a.mission.js']).record).toBeUndefined();
+  });
+
+  it('parses --device names', () => {
+    const { parseDeviceArgs } = __test__;
+    expect(parseDeviceArgs(['--device=iPhone 14', 'a.mission.js'])).toEqual({ device: 'iPhone 14', args: ['a.mission.js'], invalid: false });
+    expect(parseDeviceArgs(['--device', 'mobile'])).toEqual({ device: 'mobile', args: [], invalid: false });
+    expect(parseDeviceArgs(['--device']).invalid).toBe(true);
+  });
+
+  it('parses repeatable --browser lists', () => {
+    const { parseBrowserArgs } = __test__;
+    expect(parseBrowserArgs(['--browser', 'webkit', '--browser=Chromium,webkit', 'a.mission.js'])).toEqual({
+      browsers: ['webkit', 'chromium'], args: ['a.mission.js'], invalid: false,
+    });
+    expect(parseBrowserArgs(['--browser']).invalid).toBe(true);
+  });
+
+  it('parses --headed, --slow-mo and --pause-on-failure', () => {
+    const { parseDebugBrowserArgs } = __test__;
+    expect(parseDebugBrowserArgs(['--headed', 'a.mission.js', '--slow-mo', '250', '--pause-on-failure'])).toEqual({
+      headed: true, slowMo: 250, pauseOnFailure: true, args: ['a.mission.js'], invalid: false,
+    });
+    expect(parseDebugBrowserArgs(['--headed=false']).headed).toBe(false);
+    expect(parseDebugBrowserArgs(['--slow-mo=fast'])).toMatchObject({ slowMo: undefined, invalid: true });
+    expect(parseDebugBrowserArgs(['a.mission.js'])).toEqual({ headed: undefined, slowMo: undefined, pauseOnFailure: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('parses --trace/--video modes without swallowing mission files', () => {
+    const { parseArtifactArgs } = __test__;
+    expect(parseArtifactArgs(['--trace', 'a.mission.js'])).toEqual({ trace: 'on', video: undefined, args: ['a.mission.js'], invalid: false });
+    expect(parseArtifactArgs(['--trace', 'retain-on-failure', '--video=on'])).toEqual({ trace: 'retain-on-failure', video: 'on', args: [], invalid: false });
+    expect(parseArtifactArgs(['--video=off']).video).toBe('off');
+    expect(parseArtifactArgs(['--trace=sometimes'])).toEqual({ trace: undefined, video: undefined, args: [], invalid: true });
+    expect(parseArtifactArgs(['--har', 'checkout.mission.js'])).toMatchObject({ har: 'on', args: ['checkout.mission.js'] });
+    expect(parseArtifactArgs(['--har=retain-on-failure']).har).toBe('retain-on-failure');
+  });
+
+  it('parses --vision modes without swallowing mission files', () => {
+    const { parseVisionArgs } = __test__;
+    expect(parseVisionArgs(['--vision', 'a.mission.js'])).toEqual({ vision: 'look', args: ['a.mission.js'], invalid: false });
+    expect(parseVisionArgs(['--vision', 'auto', 'a.mission.js'])).toEqual({ vision: 'auto', args: ['a.mission.js'], invalid: false });
+    expect(parseVisionArgs(['--vision=OFF']).vision).toBe('off');
+    expect(parseVisionArgs(['--no-vision']).vision).toBe('off');
+    expect(parseVisionArgs(['--vision=always'])).toEqual({ vision: undefined, args: [], invalid: true });
+    expect(parseVisionArgs(['a.mission.js'])).toEqual({ vision: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('parses --shared-rate-limits with an optional directory', () => {
+    const { parseSharedRateLimitArgs } = __test__;
+    expect(parseSharedRateLimitArgs(['--shared-rate-limits', 'a.mission.js'])).toEqual({ shared: true, dir: undefined, args: ['a.mission.js'], invalid: false });
+    expect(parseSharedRateLimitArgs(['--shared-rate-limits=/tmp/limits'])).toEqual({ shared: true, dir: '/tmp/limits', args: [], invalid: false });
+    expect(parseSharedRateLimitArgs(['--shared-rate-limits=']).invalid).toBe(true);
+    expect(parseSharedRateLimitArgs(['a.mission.js'])).toEqual({ shared: undefined, dir: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('removes only this process\'s step logs from tmp', () => {
+    const { removeOwnTmpFiles } = __test__;
+    const tmp = fs.mkdtempSync(path.join(process.cwd(), 'tn-tmp-'));
+    try {
+      const files = ['Login_1718000000000_4242_1_steps.jsonl', 'Login_1718000000001_4242_2_steps.jsonl', 'Login_1718000000000_777_1_steps.jsonl', 'notes.txt'];
+      for (const f of files) fs.writeFileSync(path.join(tmp, f), '');
+
+      expect(removeOwnTmpFiles(tmp, 4242)).toBe(2);
+      expect(fs.readdirSync(tmp).sort()).toEqual(['Login_1718000000000_777_1_steps.jsonl', 'notes.txt']);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('parses repeatable --tag/--exclude-tag and --grep', () => {
+    const { parseMissionFilterArgs } = __test__;
+    expect(parseMissionFilterArgs(['--tag', 'smoke', '--tag=Auth,api', '--exclude-tag', 'slow', '--grep=login', 'a.mission.js'])).toEqual({
+      tags: ['smoke', 'auth', 'api'],
+      excludeTags: ['slow'],
+      grep: 'login',
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+    expect(parseMissionFilterArgs(['--tag']).invalid).toBe(true);
+    expect(parseMissionFilterArgs(['--grep']).invalid).toBe(true);
+    expect(parseMissionFilterArgs(['a.mission.js'])).toEqual({ tags: [], excludeTags: [], grep: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('parses the replay subcommand', () => {
+    const { parseReplayArgs } = __test__;
+    expect(parseReplayArgs(['replay', 'run_123', 'a.mission.js'])).toEqual({
+      runId: 'run_123',
+      args: ['a.mission.js'],
+      invalid: false,
+    });
+    expect(parseReplayArgs(['replay']).invalid).toBe(true);
+    expect(parseReplayArgs(['replay', '../etc']).invalid).toBe(true);
+    expect(parseReplayArgs(['a.mission.js'])).toEqual({ runId: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('parses the auth subcommand', () => {
+    const { parseAuthArgs } = __test__;
+    expect(parseAuthArgs(['auth', 'refresh', 'login.mission.js'])).toEqual({ action: 'refresh', args: ['login.mission.js'], invalid: false });
+    expect(parseAuthArgs(['auth', 'clear'])).toEqual({ action: 'clear', args: [], invalid: false });
+    expect(parseAuthArgs(['auth']).invalid).toBe(true);
+    expect(parseAuthArgs(['auth', 'login']).invalid).toBe(true);
+    expect(parseAuthArgs(['a.mission.js'])).toEqual({ action: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('parses the baseline update command and its mission names', () => {
+    const { parseBaselineArgs } = __test__;
+    expect(parseBaselineArgs(['baseline', 'update', 'Checkout', 'Login'])).toEqual({ action: 'update', args: ['Checkout', 'Login'], invalid: false });
+    expect(parseBaselineArgs(['baseline', 'update'])).toEqual({ action: 'update', args: [], invalid: false });
+    expect(parseBaselineArgs(['baseline']).invalid).toBe(true);
+    expect(parseBaselineArgs(['baseline', 'accept']).invalid).toBe(true);
+    expect(parseBaselineArgs(['a.mission.js'])).toEqual({ action: undefined, args: ['a.mission.js'], invalid: false });
+  });
+
+  it('runs the setup mission first only when the stored login is stale or it was asked for', () => {
+    const { planSetupMission } = __test__;
+    const opts = { setupMission: 'login.mission.js', root: '/proj/missions' };
+    const all = ['login.mission.js', 'a.mission.js', 'b.mission.js'];
+
+    expect(planSetupMission(all, { ...opts, stateValid: false, explicit: false }))
+      .toEqual({ setupFile: 'login.mission.js', files: ['a.mission.js', 'b.mission.js'] });
+    expect(planSetupMission(all, { ...opts, stateValid: true, explicit: false }))
+      .toEqual({ setupFile: null, files: ['a.mission.js', 'b.mission.js'] });
+    // Explicit files: a stale state still needs the setup mission, a named setup mission always runs
+    expect(planSetupMission(['a.mission.js'], { ...opts, stateValid: false, explicit: true }).setupFile).toBe('login.mission.js');
+    expect(planSetupMission(['./login.mission.js'], { ...opts, stateValid: true, explicit: true }))
+      .toEqual({ setupFile: 'login.mission.js', files: [] });
+    expect(planSetupMission([], { ...opts, stateValid: false, explicit: false }).setupFile).toBeNull();
+    expect(planSetupMission(all, { ...opts, setupMission: null, stateValid: false, explicit: false }))
+      .toEqual({ setupFile: null, files: all });
+  });
+
   describe('detectCliName', () => {
     const { detectCliName } = __test__;
 
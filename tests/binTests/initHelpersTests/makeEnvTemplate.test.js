@@ -11,4 +11,15 @@ describe('makeEnvTemplate', () => {
     const s = makeEnvTemplate('gemini');
     expect(s).toMatch(/GEMINI_API_KEY=AIza\.\.\./);
   });
+
+  it('returns Anthropic template', () => {
+    const s = makeEnvTemplate('anthropic');
+    expect(s).toMatch(/ANTHROPIC_API_KEY=sk-ant-\.\.\./);
+  });
+
+  it('returns OpenAI-compatible template with the key commented out', () => {
+    const s = makeEnvTemplate('openai-compatible');
+    expect(s).toMatch(/# OPENAI_COMPATIBLE_API_KEY=/);
+    expect(s).not.toMatch(/^OPENAI_COMPATIBLE_API_KEY=/m);
+  });
 });
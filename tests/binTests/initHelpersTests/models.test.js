@@ -1,15 +1,24 @@
 import { describe, it, expect } from 'vitest';
-import { openAIModels, geminiModels, isKnownModel, pickInitialIndex } from '../../../bin/initHelpers';
+import { openAIModels, geminiModels, anthropicModels, openAICompatibleDefaults, isKnownModel, pickInitialIndex } from '../../../bin/initHelpers';
 
 describe('model helpers', () => {
   it('lists known models', () => {
     expect(openAIModels()).toContain('gpt-4o');
     expect(geminiModels()).toContain('gemini-2.5-flash');
+    expect(anthropicModels()).toContain('claude-sonnet-4-5');
   });
 
   it('recognizes known models by provider', () => {
     expect(isKnownModel('openai', 'gpt-4.1-mini')).toBe(true);
     expect(isKnownModel('gemini', 'gpt-4.1-mini')).toBe(false);
+    expect(isKnownModel('anthropic', 'claude-haiku-4-5')).toBe(true);
+    expect(isKnownModel('anthropic', 'gemini-2.5-pro')).toBe(false);
+    expect(isKnownModel('openai-compatible', 'qwen2.5:14b')).toBe(true);
+    expect(isKnownModel('openai-compatible', '')).toBe(false);
+  });
+
+  it('suggests a local Ollama endpoint for openai-compatible', () => {
+    expect(openAICompatibleDefaults()).toEqual({ baseURL: 'http://localhost:11434/v1', model: 'llama3.1' });
   });
 
   it('picks initial index from list or fallback', () => {
@@ -1,12 +1,32 @@
 // tests/coreTests/agent.test.js
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // 1) Provide a constructable mock without using `vi` inside the factory.
 vi.mock('../../tools/chromeBrowser.js', () => {
   function ChromeBrowser() {}
   ChromeBrowser.prototype.start = async function () {};
   ChromeBrowser.prototype.close = async function () {};
-  return { ChromeBrowser };
+  ChromeBrowser.prototype.startTraceChunk = async function () {};
+  ChromeBrowser.prototype.stopTraceChunk = async function () { return null; };
+  ChromeBrowser.prototype.startHarChunk = async function () {};
+  ChromeBrowser.prototype.stopHarChunk = async function () { return null; };
+  ChromeBrowser.prototype.saveStorageState = async function (p) { return p; };
+  ChromeBrowser.prototype.mockedRoutes = function () { return []; };
+  ChromeBrowser.prototype.diagnosticsSince = function () { return []; };
+  ChromeBrowser.prototype.accessibilityAuditsSince = function () { return []; };
+  ChromeBrowser.prototype.visualChecksSince = function () { return []; };
+  const replayed = [];
+  const CHROME_TOOL_MAP = {
+    navigate: async (browser, args) => { replayed.push(['navigate', args]); },
+    click: async (browser, args) => {
+      if (args.selector === '#gone') throw new Error('selector not found');
+      replayed.push(['click', args]);
+    },
+  };
+  return { ChromeBrowser, CHROME_TOOL_MAP, __replayed: replayed };
 });
 
 // Keep turnLoop simple; using vi is fine here (no factory-hoist issue)
@@ -14,9 +34,10 @@ vi.mock('../../core/turnLoop.js', () => ({
   turnLoop: vi.fn(),
 }));
 
-import { ChromeBrowser } from '../../tools/chromeBrowser.js';
+import { ChromeBrowser, __replayed as replayedCalls } from '../../tools/chromeBrowser.js';
 import { turnLoop } from '../../core/turnLoop.js';
 import { runAgent } from '../../core/agent.js';
+import { checkBudget, recordSpend, __resetCostControlForTests } from '../../tools/costControl.js';
 
 let startSpy, closeSpy;
 
@@ -76,6 +97,34 @@ describe('core/agent.runAgent', () => {
     expect(res[0].status).toBe('failed');
   });
 
+  it('records a thrown goal as errored and still closes the browser', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    turnLoop
+      .mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: opened' })
+      .mockRejectedValueOnce(new Error('socket hang up'));
+
+    const res = await runAgent(
+      [
+        { goal: 'A', submissionType: 'premission', submissionName: 'A' },
+        { goal: 'B', submissionType: 'mission', submissionName: 'B' },
+        { goal: 'C', submissionType: 'postmission', submissionName: 'C' },
+      ],
+      'Crash Mission',
+      5
+    );
+
+    expect(turnLoop).toHaveBeenCalledTimes(2);
+    expect(res).toHaveLength(2);
+    expect(res[0].finalMessage).toBe('SUCCESS: opened');
+    expect(res[1]).toMatchObject({
+      submissionName: 'B',
+      status: 'errored',
+      error: { message: 'socket hang up', kind: 'infra' },
+    });
+    expect(closeSpy).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+
   it('coerces non-string goal to string for the user message', async () => {
     turnLoop.mockResolvedValueOnce({ success: true });
 
@@ -124,4 +173,387 @@ describe('core/agent.runAgent', () => {
     expect(res[0].submissionType).toBe('mission');
     expect(res[0].submissionName).toBe('MetaName');
   });
+
+  it('starts each engine with its own mission spend', async () => {
+    __resetCostControlForTests();
+    const cost = { pricing: {}, budget: { maxUsdPerRun: null, maxUsdPerMission: 0.015 } };
+    const keys = [];
+    turnLoop.mockImplementation(async (browser, messages, maxTurns, ct, rc, cs, ctx) => {
+      keys.push(ctx.cost.spendKey);
+      const over = checkBudget(ctx.cost.budget, ctx.missionName, ctx.cost.spendKey);
+      if (over) return { success: false, budgetExceeded: over.scope, finalMessage: `FAILURE: ${over.message}` };
+      recordSpend(ctx.cost.spendKey, 0.02);
+      return { success: true };
+    });
+    const goals = [
+      { goal: 'Log in', submissionType: 'premission', submissionName: 'login' },
+      { goal: 'Pay', submissionType: 'mission', submissionName: 'pay' },
+    ];
+
+    const chromium = await runAgent(goals, 'Checkout', 5, 2, { browser: 'chromium', cost });
+    const firefox = await runAgent(goals, 'Checkout', 5, 2, { browser: 'firefox', cost });
+    turnLoop.mockReset();
+
+    // Both goals of one engine share a tally; the second engine starts at zero
+    expect(keys[0]).toBe(keys[1]);
+    expect(keys[2]).not.toBe(keys[0]);
+    expect(chromium.map(r => r.budgetExceeded)).toEqual([undefined, 'mission']);
+    expect(firefox.map(r => r.budgetExceeded)).toEqual([undefined, 'mission']);
+    expect(firefox[0].status).toBe('passed');
+  });
+
+  it('fails a goal whose expectations do not hold even if the agent reports success', async () => {
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    turnLoop.mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: on the dashboard' });
+    vi.spyOn(ChromeBrowser.prototype, 'start').mockImplementation(async function () {
+      this.page = { url: () => 'https://app.test/login' };
+    });
+
+    const res = await runAgent(
+      [
+        { goal: 'A', submissionType: 'mission', submissionName: 'A', expect: [{ type: 'url', includes: '/dashboard', timeoutMs: 0 }] },
+        { goal: 'B', submissionType: 'postmission', submissionName: 'B' },
+      ],
+      'Assert Mission',
+      5
+    );
+
+    expect(turnLoop).toHaveBeenCalledTimes(1);
+    expect(res).toHaveLength(1);
+    expect(res[0].status).toBe('failed');
+    expect(res[0].finalMessage).toBe('FAILURE: assertion(s) failed: URL includes "/dashboard" (agent reported: SUCCESS: on the dashboard)');
+    expect(res[0].assertions).toEqual([
+      { type: 'url', description: 'URL includes "/dashboard"', passed: false, actual: 'https://app.test/login' },
+    ]);
+    expect(res[0].steps.at(-1).result).toBe('❌ Assertions Failed');
+    log.mockRestore();
+  });
+
+  it('hands failed tool calls to the debug REPL only with pauseOnFailure', async () => {
+    turnLoop.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: true });
+
+    await runAgent([{ goal: 'A', submissionType: 'mission' }], 'Quiet', 5);
+    expect(turnLoop.mock.calls[0][6].onToolError).toBeUndefined();
+
+    await runAgent([{ goal: 'A', submissionType: 'mission' }], 'Paused', 5, undefined, {
+      debugBrowser: { headed: true, slowMo: 0, pauseOnFailure: true },
+    });
+    expect(turnLoop.mock.calls[1][6].onToolError).toEqual(expect.any(Function));
+  });
+
+  it('passes mission mocks to the browser and attaches the mocked routes to every result', async () => {
+    const routes = [{ description: 'GET **/api/orders → 500', hits: 1, source: 'mission' }];
+    const mocked = vi.spyOn(ChromeBrowser.prototype, 'mockedRoutes').mockReturnValue(routes);
+    turnLoop.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: true });
+
+    const res = await runAgent([
+      { goal: 'Open orders', submissionType: 'premission', submissionName: 'Open' },
+      { goal: 'See the error', submissionType: 'mission', submissionName: 'Error' },
+    ], 'Mocks', 5, 3, { mocks: [{ url: '**/api/orders', mode: 'fulfill', status: 500 }] });
+
+    expect(res.map(r => r.mocks)).toEqual([routes, routes]);
+    mocked.mockRestore();
+  });
+
+  it('tells the model to target elements by ref when page snapshots are accessibility outlines', async () => {
+    turnLoop.mockResolvedValue({ success: true });
+
+    await runAgent([{ goal: 'Buy', submissionType: 'mission' }], 'Outline', 5, 3, { domMode: 'aria' });
+    await runAgent([{ goal: 'Buy', submissionType: 'mission' }], 'Html', 5, 3, {});
+
+    const systemOf = (call) => call[1][0].content;
+    expect(systemOf(turnLoop.mock.calls[0])).toContain('click({ ref: "e12" })');
+    expect(systemOf(turnLoop.mock.calls[1])).not.toContain('Page snapshots:');
+    expect(systemOf(turnLoop.mock.calls[1])).toContain('data-tn-ref="e12"');
+  });
+
+  describe('page diagnostics', () => {
+    const thrown = { kind: 'pageerror', text: 'TypeError: cart is undefined', ts: Date.now() };
+    const http = { kind: 'http', method: 'GET', url: 'https://shop.test/api/orders', status: 500, text: '', ts: Date.now() };
+
+    it('summarizes the errors seen during each goal without failing by default', async () => {
+      const seen = vi.spyOn(ChromeBrowser.prototype, 'diagnosticsSince').mockReturnValue([http, thrown]);
+      turnLoop.mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: done' });
+
+      const res = await runAgent([{ goal: 'Checkout', submissionType: 'mission' }], 'Diag', 5);
+
+      expect(res[0].status).toBe('passed');
+      expect(res[0].diagnostics).toMatchObject({ pageErrors: 1, httpErrors: 1 });
+      expect(res[0].diagnostics.samples[0]).toBe('💥 Page error: TypeError: cart is undefined');
+      seen.mockRestore();
+    });
+
+    it('fails a passing goal on uncaught page errors when failOnPageError is set', async () => {
+      const seen = vi.spyOn(ChromeBrowser.prototype, 'diagnosticsSince').mockReturnValue([thrown]);
+      turnLoop.mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: done' });
+
+      const res = await runAgent([{ goal: 'Checkout', submissionType: 'mission' }], 'Diag', 5, 3, {
+        diagnostics: { failOnPageError: true },
+      });
+
+      expect(res[0].status).toBe('failed');
+      expect(res[0].finalMessage).toBe('FAILURE: 1 uncaught page error(s): TypeError: cart is undefined (agent reported: SUCCESS: done)');
+      seen.mockRestore();
+    });
+
+    it('leaves results without errors untouched', async () => {
+      turnLoop.mockResolvedValueOnce({ success: true });
+      const res = await runAgent([{ goal: 'A', submissionType: 'mission' }], 'Clean', 5, 3, { diagnostics: { failOnPageError: true } });
+      expect(res[0].status).toBe('passed');
+      expect(res[0]).not.toHaveProperty('diagnostics');
+    });
+  });
+
+  it('attaches accessibility audits run during a goal', async () => {
+    const audit = { url: 'https://shop.test/', scope: 'document', violations: [{ rule: 'image-alt', impact: 'critical', help: 'Images must have alternative text', count: 2, targets: ['img'] }], counts: { critical: 2, serious: 0, moderate: 0, minor: 0 } };
+    const audits = vi.spyOn(ChromeBrowser.prototype, 'accessibilityAuditsSince').mockReturnValueOnce([audit]).mockReturnValue([]);
+    turnLoop.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: true });
+
+    const res = await runAgent([
+      { goal: 'Audit home', submissionType: 'mission', submissionName: 'Home' },
+      { goal: 'Log out', submissionType: 'postmission', submissionName: 'Out' },
+    ], 'A11y', 5);
+
+    expect(res[0].accessibility).toEqual([audit]);
+    expect(res[1]).not.toHaveProperty('accessibility');
+    audits.mockRestore();
+  });
+
+  describe('visual regression', () => {
+    const mismatch = { name: 'cart', status: 'mismatch', diffRatio: 0.2, diffPixels: 20, threshold: 0, width: 10, height: 10, baseline: 'missions/baselines/Looks/cart.png', diff: './visual/cart.diff.png' };
+
+    it('fails a passing goal when a screenshot differs from its baseline', async () => {
+      const checks = vi.spyOn(ChromeBrowser.prototype, 'visualChecksSince').mockReturnValue([mismatch]);
+      turnLoop.mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: done' });
+
+      const res = await runAgent([{ goal: 'Cart', submissionType: 'mission' }], 'Looks', 5, 3, { visual: { onMismatch: 'fail' } });
+
+      expect(res[0].status).toBe('failed');
+      expect(res[0].finalMessage).toBe('FAILURE: visual mismatch: cart (agent reported: SUCCESS: done)');
+      expect(res[0].visual).toEqual([mismatch]);
+      checks.mockRestore();
+    });
+
+    it('only warns when onMismatch is warn', async () => {
+      const checks = vi.spyOn(ChromeBrowser.prototype, 'visualChecksSince').mockReturnValue([mismatch]);
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      turnLoop.mockResolvedValueOnce({ success: true, finalMessage: 'SUCCESS: done' });
+
+      const res = await runAgent([{ goal: 'Cart', submissionType: 'mission' }], 'Looks', 5, 3, { visual: { onMismatch: 'warn' } });
+
+      expect(res[0].status).toBe('passed');
+      expect(warn).toHaveBeenCalledWith('⚠️ Visual mismatch (warn only): cart');
+      warn.mockRestore();
+      checks.mockRestore();
+    });
+  });
+
+  describe('stored auth state', () => {
+    it('starts from the stored state and saves it after the last preMission passes', async () => {
+      const save = vi.spyOn(ChromeBrowser.prototype, 'saveStorageState').mockResolvedValue('/tmp/state.json');
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      turnLoop.mockResolvedValue({ success: true });
+
+      const res = await runAgent([
+        { goal: 'Log in', submissionType: 'premission', submissionName: 'Login' },
+        { goal: 'Accept cookies', submissionType: 'premission', submissionName: 'Cookies' },
+        { goal: 'Open settings', submissionType: 'mission', submissionName: 'Settings' },
+      ], 'Auth', 5, 3, { auth: { storageState: null, saveAfter: 'preMission', path: '/tmp/state.json' } });
+
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(save).toHaveBeenCalledWith('/tmp/state.json');
+      expect(res.map(r => r.authState)).toEqual([undefined, 'saved', undefined]);
+      turnLoop.mockReset();
+      save.mockRestore();
+      log.mockRestore();
+    });
+
+    it('saves nothing when the mission fails before the save point', async () => {
+      const save = vi.spyOn(ChromeBrowser.prototype, 'saveStorageState').mockResolvedValue('/tmp/state.json');
+      turnLoop.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: false });
+
+      await runAgent([
+        { goal: 'Log in', submissionType: 'mission', submissionName: 'Login' },
+        { goal: 'Open settings', submissionType: 'mission', submissionName: 'Settings' },
+      ], 'Setup', 5, 3, { auth: { storageState: null, saveAfter: 'all', path: '/tmp/state.json' } });
+
+      expect(save).not.toHaveBeenCalled();
+      save.mockRestore();
+    });
+  });
+
+    describe('trace and video artifacts', () => {
+    let tmp, cwdSpy;
+    beforeEach(() => {
+      tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-agent-art-'));
+      cwdSpy = vi.spyOn(process, 'cwd').mockReturnValue(tmp);
+    });
+    afterEach(() => {
+      cwdSpy.mockRestore();
+      vi.restoreAllMocks();
+      fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('does not touch tracing when capture is off', async () => {
+      const startChunk = vi.spyOn(ChromeBrowser.prototype, 'startTraceChunk');
+      turnLoop.mockResolvedValueOnce({ success: true });
+
+      const res = await runAgent([{ goal: 'A', submissionType: 'mission' }], 'Plain', 5);
+
+      expect(startChunk).not.toHaveBeenCalled();
+      expect(closeSpy).toHaveBeenCalledWith(undefined);
+      expect(res[0].artifacts).toBeUndefined();
+    });
+
+    it('keeps only failed traces with retain-on-failure and links the mission video', async () => {
+      const startChunk = vi.spyOn(ChromeBrowser.prototype, 'startTraceChunk').mockResolvedValue();
+      const stopChunk = vi.spyOn(ChromeBrowser.prototype, 'stopTraceChunk').mockImplementation(async (file) => file);
+      closeSpy.mockImplementation(async ({ videoDir } = {}) => ({ videos: videoDir ? [path.join(videoDir, 'Checkout.webm')] : [] }));
+      turnLoop
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, finalMessage: 'FAILURE: nope' });
+
+      const res = await runAgent(
+        [
+          { goal: 'A', submissionType: 'premission', submissionName: 'A' },
+          { goal: 'B', submissionType: 'mission', submissionName: 'B' },
+        ],
+        'Checkout',
+        5,
+        undefined,
+        { artifacts: { trace: 'retain-on-failure', video: 'retain-on-failure', runId: 'run_7' } }
+      );
+
+      expect(startChunk).toHaveBeenCalledTimes(2);
+      expect(stopChunk.mock.calls[0][0]).toBeNull();
+      expect(stopChunk.mock.calls[1][0]).toMatch(/artifacts[\\/]run_7[\\/]Checkout_mission_1_\d+\.trace\.zip$/);
+      expect(res[0].artifacts).toEqual({ videos: ['./artifacts/run_7/Checkout.webm'] });
+      expect(res[1].artifacts.trace).toMatch(/^\.\/artifacts\/run_7\/Checkout_mission_1_\d+\.trace\.zip$/);
+      expect(res[1].artifacts.videos).toEqual(['./artifacts/run_7/Checkout.webm']);
+    });
+
+    it('drops the video when every submission passes in retain-on-failure mode', async () => {
+      turnLoop.mockResolvedValueOnce({ success: true });
+
+      await runAgent([{ goal: 'A', submissionType: 'mission' }], 'Green', 5, undefined, {
+        artifacts: { trace: 'off', video: 'retain-on-failure', runId: 'run_8' },
+      });
+
+      expect(closeSpy).toHaveBeenCalledWith(undefined);
+    });
+
+    it('records a HAR per submission and keeps it next to the trace', async () => {
+      const startHar = vi.spyOn(ChromeBrowser.prototype, 'startHarChunk');
+      const stopHar = vi.spyOn(ChromeBrowser.prototype, 'stopHarChunk').mockImplementation(async (file) => file);
+      turnLoop
+        .mockResolvedValueOnce({ success: true })
+        .mockResolvedValueOnce({ success: false, finalMessage: 'FAILURE: 500 from the API' });
+
+      const res = await runAgent(
+        [
+          { goal: 'A', submissionType: 'premission', submissionName: 'A' },
+          { goal: 'B', submissionType: 'mission', submissionName: 'B' },
+        ],
+        'Checkout',
+        5,
+        undefined,
+        { artifacts: { trace: 'off', video: 'off', har: 'retain-on-failure', runId: 'run_9' } }
+      );
+
+      expect(startSpy).toHaveBeenCalledWith({ recordHar: true });
+      expect(startHar).toHaveBeenCalledTimes(2);
+      expect(stopHar.mock.calls[0][0]).toBeNull();
+      expect(res[0].artifacts).toBeUndefined();
+      expect(res[1].artifacts).toEqual({ har: expect.stringMatching(/^\.\/artifacts\/run_9\/Checkout_mission_1_\d+\.har$/) });
+    });
+  });
+
+  describe('record and replay', () => {
+    let tmp, cwdSpy, log;
+    beforeEach(() => {
+      tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-agent-rec-'));
+      cwdSpy = vi.spyOn(process, 'cwd').mockReturnValue(tmp);
+      log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      replayedCalls.length = 0;
+    });
+    afterEach(() => {
+      cwdSpy.mockRestore();
+      log.mockRestore();
+      fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    const recordingFile = (runId, name) => path.join(tmp, 'missions/recordings', runId, `${name}.json`);
+
+    it('records actions reported by turnLoop', async () => {
+      turnLoop.mockImplementationOnce(async (b, m, mt, ct, rc, cs, ctx) => {
+        ctx.onAction({ turn: 0, tool: 'navigate', args: { url: 'https://example.com' }, live: false });
+        return { success: true, finalMessage: 'SUCCESS: done' };
+      });
+
+      await runAgent([{ goal: 'A', submissionType: 'mission', submissionName: 'A' }], 'Rec', 5, 3, {
+        recording: { record: true, replayRunId: null, runId: 'run_rec' },
+      });
+
+      const saved = JSON.parse(fs.readFileSync(recordingFile('run_rec', 'Rec'), 'utf8'));
+      expect(saved.submissions).toEqual([{
+        submissionType: 'mission',
+        submissionName: 'A',
+        status: 'passed',
+        finalMessage: 'SUCCESS: done',
+        actions: [{ tool: 'navigate', args: { url: 'https://example.com' } }],
+      }]);
+    });
+
+    it('replays a passing recording without calling turnLoop', async () => {
+      fs.mkdirSync(path.dirname(recordingFile('run_old', 'Replay')), { recursive: true });
+      fs.writeFileSync(recordingFile('run_old', 'Replay'), JSON.stringify({
+        submissions: [{
+          submissionType: 'mission',
+          submissionName: 'A',
+          status: 'passed',
+          actions: [
+            { tool: 'navigate', args: { url: 'https://example.com' } },
+            { tool: 'click', args: { selector: '#go' } },
+          ],
+        }],
+      }));
+
+      const res = await runAgent([{ goal: 'A', submissionType: 'mission', submissionName: 'A' }], 'Replay', 5, 3, {
+        recording: { record: false, replayRunId: 'run_old', runId: 'run_new' },
+      });
+
+      expect(turnLoop).not.toHaveBeenCalled();
+      expect(replayedCalls.map(c => c[0])).toEqual(['navigate', 'click']);
+      expect(res[0]).toMatchObject({ status: 'passed', replay: { completed: 2, total: 2, divergedAt: null } });
+      expect(res[0].steps).toHaveLength(2);
+    });
+
+    it('hands over to the LLM after the replay diverges', async () => {
+      fs.mkdirSync(path.dirname(recordingFile('run_old', 'Diverge')), { recursive: true });
+      fs.writeFileSync(recordingFile('run_old', 'Diverge'), JSON.stringify({
+        submissions: [{
+          submissionType: 'mission',
+          submissionName: 'A',
+          status: 'passed',
+          actions: [
+            { tool: 'navigate', args: { url: 'https://example.com' } },
+            { tool: 'click', args: { selector: '#gone' } },
+          ],
+        }],
+      }));
+      turnLoop.mockResolvedValueOnce({ success: true });
+
+      const res = await runAgent([{ goal: 'A', submissionType: 'mission', submissionName: 'A' }], 'Diverge', 5, 3, {
+        recording: { record: false, replayRunId: 'run_old', runId: 'run_new' },
+      });
+
+      expect(turnLoop).toHaveBeenCalledTimes(1);
+      const [, messages, maxTurns, currentTurn, , , ctx] = turnLoop.mock.calls[0];
+      expect(maxTurns).toBe(7);
+      expect(currentTurn).toBe(2);
+      expect(ctx._stepSeq).toBe(2);
+      expect(messages[2].content).toMatch(/Replay stopped at "click" because: selector not found/);
+      expect(res[0].replay).toEqual({ completed: 1, total: 2, divergedAt: 1, reason: 'selector not found' });
+    });
+  });
 });
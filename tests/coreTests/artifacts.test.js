@@ -0,0 +1,41 @@
+// tests/coreTests/artifacts.test.js
+import { describe, it, expect } from 'vitest';
+import path from 'path';
+import {
+  normalizeArtifactMode,
+  shouldKeepArtifact,
+  artifactsDir,
+  artifactBaseName,
+  toReportPath,
+} from '../../core/artifacts.js';
+
+describe('core/artifacts', () => {
+  it('normalizes modes and aliases', () => {
+    expect(normalizeArtifactMode('retain-on-failure')).toBe('retain-on-failure');
+    expect(normalizeArtifactMode('RETAIN_ON_FAILURE')).toBe('retain-on-failure');
+    expect(normalizeArtifactMode('on-failure')).toBe('retain-on-failure');
+    expect(normalizeArtifactMode(true)).toBe('on');
+    expect(normalizeArtifactMode('yes')).toBe('on');
+    expect(normalizeArtifactMode('0')).toBe('off');
+    expect(normalizeArtifactMode('sometimes')).toBeNull();
+    expect(normalizeArtifactMode(undefined)).toBeNull();
+  });
+
+  it('keeps artifacts according to mode and outcome', () => {
+    expect(shouldKeepArtifact('on', false)).toBe(true);
+    expect(shouldKeepArtifact('off', true)).toBe(false);
+    expect(shouldKeepArtifact('retain-on-failure', false)).toBe(false);
+    expect(shouldKeepArtifact('retain-on-failure', true)).toBe(true);
+  });
+
+  it('places artifacts next to the run report with report-relative links', () => {
+    const cwd = path.resolve('/project');
+    const dir = artifactsDir('run_1', { cwd });
+    expect(dir).toBe(path.join(cwd, 'missions', 'mission_reports', 'artifacts', 'run_1'));
+    expect(toReportPath(path.join(dir, 'a.trace.zip'), { cwd })).toBe('./artifacts/run_1/a.trace.zip');
+  });
+
+  it('builds file-safe names', () => {
+    expect(artifactBaseName('Log in / out', 'mission', 1, null)).toBe('Log_in_out_mission_1');
+  });
+});
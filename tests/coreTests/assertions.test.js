@@ -0,0 +1,196 @@
+// tests/coreTests/assertions.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  isStructuredMission,
+  validateExpectations,
+  describeExpectation,
+  normalizeStructuredMission,
+  verifyExpectations,
+} from '../../core/assertions.js';
+
+// Minimal stand-in for a Playwright page
+// textMatches: per text, the visibility of each element showing it
+function fakeBrowser({ url = 'https://example.com/', visibleText = [], textMatches = {}, counts = {} } = {}) {
+  return {
+    page: {
+      url: () => url,
+      getByText: (text) => {
+        const matches = textMatches[text] ?? (visibleText.includes(text) ? [true] : []);
+        return { filter: ({ visible }) => ({ count: async () => matches.filter(v => v === visible).length }) };
+      },
+      locator: (selector) => ({ count: async () => counts[selector] ?? 0 }),
+    },
+  };
+}
+
+describe('core/assertions', () => {
+  describe('isStructuredMission', () => {
+    it('detects the object form only', () => {
+      expect(isStructuredMission({ steps: ['a'] })).toBe(true);
+      expect(isStructuredMission({ expect: [] })).toBe(true);
+      expect(isStructuredMission('text')).toBe(false);
+      expect(isStructuredMission(['a'])).toBe(false);
+      expect(isStructuredMission(() => {})).toBe(false);
+    });
+  });
+
+  describe('validateExpectations', () => {
+    it('accepts supported assertions', () => {
+      const list = [
+        { type: 'url', matches: /dashboard/ },
+        { type: 'textVisible', text: 'Welcome' },
+        { type: 'elementCount', selector: '.row', min: 1 },
+        { type: 'download', fileName: 'report.pdf' },
+      ];
+      expect(validateExpectations(list)).toBe(list);
+      expect(validateExpectations(undefined)).toEqual([]);
+    });
+
+    it('throws configuration errors for invalid entries', () => {
+      expect(() => validateExpectations({})).toThrow(/must be an array/);
+      expect(() => validateExpectations([{ type: 'nope' }])).toThrow(/unknown type "nope"/);
+      expect(() => validateExpectations([{ type: 'elementCount', selector: '.x' }])).toThrow(/equals\/min\/max/);
+      expect(() => validateExpectations([{ type: 'url', includes: 'a', timeoutMs: -1 }])).toThrow(/timeoutMs/);
+      let caught;
+      try { validateExpectations([{ type: 'textVisible' }]); } catch (err) { caught = err; }
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+    });
+
+    it('compiles string patterns up front', () => {
+      expect(() => validateExpectations([{ type: 'download', matches: '\\.pdf$' }])).not.toThrow();
+      let caught;
+      try { validateExpectations([{ type: 'download', matches: 'report(' }]); } catch (err) { caught = err; }
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+      expect(caught?.message).toMatch(/expect\[0\]\.matches is not a valid regular expression/);
+      expect(() => validateExpectations([{ type: 'url', matches: 42 }])).toThrow(/must be a RegExp or a pattern string/);
+    });
+
+    it('accepts only strings for url equals/includes', () => {
+      expect(() => validateExpectations([{ type: 'url', includes: /dashboard/ }])).toThrow(/expect\[0\]\.includes must be a string \(use matches for a pattern\)/);
+      expect(() => validateExpectations([{ type: 'url', equals: /^https:/ }])).toThrow(/expect\[0\]\.equals must be a string/);
+      expect(() => validateExpectations([{ type: 'url', equals: 'https://app.test/', includes: '/app' }])).not.toThrow();
+      expect(() => validateExpectations([{ type: 'url', matches: 'dashboard$' }])).not.toThrow();
+    });
+  });
+
+  describe('normalizeStructuredMission', () => {
+    it('numbers multiple steps and lists expectations for the agent', () => {
+      const { text, expect: list } = normalizeStructuredMission({
+        steps: ['Open the app', 'Log in'],
+        expect: [{ type: 'textVisible', text: 'Welcome' }],
+      });
+      expect(text).toBe([
+        'Complete these steps in order:',
+        '1. Open the app',
+        '2. Log in',
+        '',
+        'When you are done, the test framework will independently check that:',
+        '- text "Welcome" is visible',
+      ].join('\n'));
+      expect(list).toHaveLength(1);
+    });
+
+    it('keeps a single step as-is and requires at least one step', () => {
+      expect(normalizeStructuredMission({ steps: 'Open the app' }).text).toBe('Open the app');
+      expect(() => normalizeStructuredMission({ steps: [], expect: [] })).toThrow(/at least one/);
+    });
+  });
+
+  it('describes expectations', () => {
+    expect(describeExpectation({ type: 'elementCount', selector: 'li', min: 2, max: 5 })).toBe('count of "li" >= 2 and <= 5');
+    expect(describeExpectation({ type: 'download' })).toBe('a file was downloaded');
+  });
+
+  describe('verifyExpectations', () => {
+    it('passes when every expectation holds', async () => {
+      const browser = fakeBrowser({ url: 'https://app.test/dashboard', visibleText: ['Welcome'], counts: { '.row': 3 } });
+      const out = await verifyExpectations(browser, [
+        { type: 'url', includes: '/dashboard' },
+        { type: 'url', matches: /app\.test/ },
+        { type: 'textVisible', text: 'Welcome' },
+        { type: 'elementCount', selector: '.row', equals: 3 },
+      ]);
+      expect(out.passed).toBe(true);
+      expect(out.results.every(r => r.passed)).toBe(true);
+    });
+
+    it('reports failing expectations with the actual value', async () => {
+      const browser = fakeBrowser({ url: 'https://app.test/login', counts: { '.row': 0 } });
+      const out = await verifyExpectations(browser, [
+        { type: 'url', equals: 'https://app.test/dashboard', timeoutMs: 0 },
+        { type: 'elementCount', selector: '.row', min: 1, timeoutMs: 0 },
+        { type: 'textVisible', text: 'Welcome', timeoutMs: 0 },
+      ]);
+      expect(out.passed).toBe(false);
+      expect(out.results.map(r => r.actual)).toEqual(['https://app.test/login', 0, 'not visible']);
+    });
+
+    it('finds text when a later match is the visible one', async () => {
+      const browser = fakeBrowser({ textMatches: { Pricing: [false, true], Hidden: [false, false] } });
+      const out = await verifyExpectations(browser, [
+        { type: 'textVisible', text: 'Pricing', timeoutMs: 0 },
+        { type: 'textVisible', text: 'Hidden', timeoutMs: 0 },
+      ]);
+      expect(out.results.map(r => r.passed)).toEqual([true, false]);
+    });
+
+    it('waits for the page to settle before failing', async () => {
+      let url = 'https://app.test/loading';
+      const browser = { page: { url: () => url } };
+      setTimeout(() => { url = 'https://app.test/done'; }, 50);
+      const out = await verifyExpectations(browser, [{ type: 'url', includes: '/done', timeoutMs: 1000 }]);
+      expect(out.passed).toBe(true);
+    });
+
+    it('fails instead of throwing when the page is gone', async () => {
+      const out = await verifyExpectations({}, [{ type: 'url', includes: '/x', timeoutMs: 0 }]);
+      expect(out.results[0]).toMatchObject({ passed: false, actual: 'error: no open page' });
+    });
+
+    describe('download', () => {
+      let tmp, cwdSpy, browser;
+      beforeEach(() => {
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-assert-'));
+        cwdSpy = vi.spyOn(process, 'cwd').mockReturnValue(tmp);
+        fs.mkdirSync(path.join(tmp, 'missions/mission_reports'), { recursive: true });
+        fs.mkdirSync(path.join(tmp, 'missions/files'), { recursive: true });
+        fs.writeFileSync(path.join(tmp, 'missions/files/report.pdf'), 'pdf');
+        const events = [
+          { _testronaut_file_event: 'download', fileName: 'old.pdf', destPath: 'missions/files/report.pdf', ts: '2020-01-01T00:00:00.000Z' },
+          { _testronaut_file_event: 'download', fileName: 'report.pdf', destPath: 'missions/files/report.pdf', ts: new Date().toISOString() },
+          { _testronaut_file_event: 'upload', fileName: 'upload.pdf', destPath: 'missions/files/report.pdf', ts: new Date().toISOString() },
+        ];
+        browser = { downloads: events };
+        // Shared log: another mission running alongside downloaded this one
+        const other = { _testronaut_file_event: 'download', fileName: 'other.csv', destPath: 'missions/files/report.pdf', ts: new Date().toISOString() };
+        fs.writeFileSync(path.join(tmp, 'missions/mission_reports/files.jsonl'), [...events, other].map(e => JSON.stringify(e)).join('\n'));
+      });
+      afterEach(() => {
+        cwdSpy.mockRestore();
+        fs.rmSync(tmp, { recursive: true, force: true });
+      });
+
+      it('only counts downloads since the goal started', async () => {
+        const since = Date.now() - 60_000;
+        const ok = await verifyExpectations(browser, [{ type: 'download', fileName: 'report.pdf', timeoutMs: 0 }], { since });
+        expect(ok.passed).toBe(true);
+
+        const old = await verifyExpectations(browser, [{ type: 'download', matches: /^old/, timeoutMs: 0 }], { since });
+        expect(old.passed).toBe(false);
+        expect(old.results[0].actual).toBe('report.pdf');
+      });
+
+      it('ignores downloads made by other missions', async () => {
+        const since = Date.now() - 60_000;
+        const out = await verifyExpectations(browser, [{ type: 'download', fileName: 'other.csv', timeoutMs: 0 }], { since });
+        expect(out.passed).toBe(false);
+
+        const none = await verifyExpectations({}, [{ type: 'download', timeoutMs: 0 }], { since });
+        expect(none.results[0]).toMatchObject({ passed: false, actual: 'no downloads' });
+      });
+    });
+  });
+});
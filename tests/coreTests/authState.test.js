@@ -0,0 +1,107 @@
+// tests/coreTests/authState.test.js
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { normalizeAuthOption, readAuthState, clearAuthState, planAuth } from '../../core/authState.js';
+
+let tmpDir;
+let statePath;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-auth-'));
+  statePath = path.join(tmpDir, 'storage-state.json');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+const writeState = (state, mtime) => {
+  fs.writeFileSync(statePath, typeof state === 'string' ? state : JSON.stringify(state));
+  if (mtime) fs.utimesSync(statePath, mtime / 1000, mtime / 1000);
+};
+
+describe('core/authState', () => {
+  describe('normalizeAuthOption', () => {
+    it('maps mission options to modes', () => {
+      expect(normalizeAuthOption(undefined)).toBe('use');
+      expect(normalizeAuthOption(true)).toBe('use');
+      expect(normalizeAuthOption(false)).toBe('off');
+      expect(normalizeAuthOption('setup')).toBe('setup');
+      expect(normalizeAuthOption('pre-mission')).toBe('preMission');
+      expect(normalizeAuthOption('preMission')).toBe('preMission');
+    });
+
+    it('rejects unknown options as config errors', () => {
+      expect(() => normalizeAuthOption('always')).toThrow(/Invalid auth option "always"/);
+      try {
+        normalizeAuthOption('always');
+      } catch (err) {
+        expect(err.code).toBe('TESTRONAUT_CONFIG');
+      }
+    });
+  });
+
+  describe('readAuthState', () => {
+    const now = Date.UTC(2026, 0, 10, 12, 0, 0);
+
+    it('reports a missing or unreadable file', () => {
+      expect(readAuthState(statePath)).toMatchObject({ valid: false, reason: 'missing', savedAt: null });
+      writeState('{not json');
+      expect(readAuthState(statePath)).toMatchObject({ valid: false, reason: 'unreadable' });
+      writeState({ origins: [] });
+      expect(readAuthState(statePath)).toMatchObject({ valid: false, reason: 'unreadable' });
+    });
+
+    it('expires a state older than maxAgeMinutes', () => {
+      writeState({ cookies: [], origins: [] }, now - 2 * 60 * 60_000);
+      expect(readAuthState(statePath, { now })).toMatchObject({ valid: true, reason: 'ok' });
+      expect(readAuthState(statePath, { maxAgeMinutes: 60, now })).toMatchObject({ valid: false, reason: 'expired' });
+      expect(readAuthState(statePath, { maxAgeMinutes: 180, now })).toMatchObject({ valid: true });
+    });
+
+    it('expires a state whose dated cookies have all expired', () => {
+      const past = now / 1000 - 60;
+      const future = now / 1000 + 60;
+      writeState({ cookies: [{ name: 'sid', expires: past }, { name: 'pref', expires: -1 }] }, now);
+      expect(readAuthState(statePath, { now })).toMatchObject({ valid: false, reason: 'cookies-expired' });
+      writeState({ cookies: [{ name: 'sid', expires: past }, { name: 'refresh', expires: future }] }, now);
+      expect(readAuthState(statePath, { now })).toMatchObject({ valid: true });
+      // Session-only cookies carry no expiry of their own
+      writeState({ cookies: [{ name: 'sid', expires: -1 }] }, now);
+      expect(readAuthState(statePath, { now })).toMatchObject({ valid: true });
+    });
+  });
+
+  describe('clearAuthState', () => {
+    it('removes the stored state and reports whether there was one', () => {
+      writeState({ cookies: [] });
+      expect(clearAuthState(statePath)).toBe(true);
+      expect(fs.existsSync(statePath)).toBe(false);
+      expect(clearAuthState(statePath)).toBe(false);
+    });
+  });
+
+  describe('planAuth', () => {
+    const cfg = { path: '/state.json', configured: true };
+    const valid = { valid: true };
+    const invalid = { valid: false };
+
+    it('reuses a valid state and skips the preMission in preMission mode', () => {
+      expect(planAuth('preMission', cfg, valid)).toEqual({ storageState: '/state.json', skipPreMission: true, saveAfter: null, path: '/state.json' });
+      expect(planAuth('preMission', cfg, invalid)).toEqual({ storageState: null, skipPreMission: false, saveAfter: 'preMission', path: '/state.json' });
+    });
+
+    it('always starts clean and saves at the end in setup mode', () => {
+      expect(planAuth('setup', cfg, valid)).toEqual({ storageState: null, skipPreMission: false, saveAfter: 'all', path: '/state.json' });
+    });
+
+    it('loads a valid state by default only when auth is configured', () => {
+      expect(planAuth('use', cfg, valid).storageState).toBe('/state.json');
+      expect(planAuth('use', cfg, invalid).storageState).toBeNull();
+      expect(planAuth('use', { ...cfg, configured: false }, valid).storageState).toBeNull();
+      expect(planAuth('off', cfg, valid)).toEqual({ storageState: null, skipPreMission: false, saveAfter: null, path: '/state.json' });
+    });
+  });
+});
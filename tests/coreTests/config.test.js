@@ -15,7 +15,25 @@ import {
   getDomListLimit,
   getResourceGuardConfig,
   getHumanInputConfig,
+  getConcurrency,
+  getReporters,
+  getRecordingConfig,
+  getMissionFilters,
+  getMissionRetries,
+  getArtifactsConfig,
+  getDebugBrowserConfig,
+  getBrowserEngines,
+  getContextProfile,
+  getAuthStateConfig,
+  getDiagnosticsConfig,
+  getVisualConfig,
+  getVisionConfig,
+  getDomMode,
+  getCostConfig,
+  getRateLimitConfig,
 } from '../../core/config.js';
+import path from 'node:path';
+import os from 'node:os';
 
 describe('core/config', () => {
   beforeEach(() => {
@@ -242,6 +260,541 @@ describe('core/config', () => {
     });
   });
 
+  describe('getConcurrency', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_WORKERS;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to a single worker', () => {
+      expect(getConcurrency({})).toEqual({ value: 1, source: 'default', clamped: false });
+    });
+
+    it('uses config.concurrency and clamps to 1-16', () => {
+      expect(getConcurrency({ concurrency: 4 })).toEqual({ value: 4, source: 'config', clamped: false });
+      expect(getConcurrency({ concurrency: 64 })).toEqual({ value: 16, source: 'config', clamped: true });
+      expect(getConcurrency({ concurrency: 0 })).toEqual({ value: 1, source: 'config', clamped: true });
+    });
+
+    it('prefers TESTRONAUT_WORKERS over config', () => {
+      process.env.TESTRONAUT_WORKERS = '3';
+      expect(getConcurrency({ concurrency: 8 })).toEqual({ value: 3, source: 'env', clamped: false });
+    });
+
+    it('ignores non-numeric values', () => {
+      process.env.TESTRONAUT_WORKERS = 'many';
+      expect(getConcurrency({ concurrency: 'lots' }).source).toBe('default');
+    });
+  });
+
+  describe('getReporters', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_REPORTERS;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('always includes json and html', () => {
+      expect(getReporters({})).toEqual({ value: ['json', 'html'], source: 'default', unknown: [] });
+    });
+
+    it('adds junit from config and reports unknown names', () => {
+      expect(getReporters({ reporters: ['JUnit', 'tap'] })).toEqual({
+        value: ['json', 'html', 'junit'],
+        source: 'config',
+        unknown: ['tap'],
+      });
+    });
+
+    it('prefers TESTRONAUT_REPORTERS over config', () => {
+      process.env.TESTRONAUT_REPORTERS = 'junit';
+      const res = getReporters({ reporters: ['html'] });
+      expect(res.source).toBe('env');
+      expect(res.value).toContain('junit');
+    });
+  });
+
+  describe('getRecordingConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_RECORD;
+      delete process.env.TESTRONAUT_REPLAY_RUN_ID;
+      delete process.env.TESTRONAUT_RUN_ID;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to not recording and not replaying', () => {
+      expect(getRecordingConfig({})).toEqual({ record: false, replayRunId: null, runId: null, source: 'default' });
+    });
+
+    it('reads recording.enabled from config', () => {
+      expect(getRecordingConfig({ recording: { enabled: true } })).toMatchObject({ record: true, source: 'config' });
+    });
+
+    it('env wins over config and carries run ids', () => {
+      process.env.TESTRONAUT_RECORD = '0';
+      process.env.TESTRONAUT_REPLAY_RUN_ID = 'run_1';
+      process.env.TESTRONAUT_RUN_ID = 'run_2';
+      expect(getRecordingConfig({ recording: { enabled: true } })).toEqual({
+        record: false,
+        replayRunId: 'run_1',
+        runId: 'run_2',
+        source: 'env',
+      });
+    });
+  });
+
+  describe('getMissionRetries', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_MISSION_RETRIES;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to no retries', () => {
+      expect(getMissionRetries({})).toEqual({ value: 0, source: 'default', clamped: false });
+    });
+
+    it('reads config.missionRetries and clamps to 0-5', () => {
+      expect(getMissionRetries({ missionRetries: 2 })).toEqual({ value: 2, source: 'config', clamped: false });
+      expect(getMissionRetries({ missionRetries: 9 })).toEqual({ value: 5, source: 'config', clamped: true });
+    });
+
+    it('env wins over config', () => {
+      process.env.TESTRONAUT_MISSION_RETRIES = '1';
+      expect(getMissionRetries({ missionRetries: 3 })).toEqual({ value: 1, source: 'env', clamped: false });
+    });
+  });
+
+  describe('getArtifactsConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_TRACE;
+      delete process.env.TESTRONAUT_VIDEO;
+      delete process.env.TESTRONAUT_HAR;
+      delete process.env.TESTRONAUT_RUN_ID;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to no capture', () => {
+      expect(getArtifactsConfig({})).toEqual({
+        trace: 'off', video: 'off', har: 'off', runId: null, source: { trace: 'default', video: 'default', har: 'default' }, invalid: [],
+      });
+    });
+
+    it('reads config.artifacts and lets env win per kind', () => {
+      process.env.TESTRONAUT_TRACE = 'on';
+      process.env.TESTRONAUT_RUN_ID = 'run_42';
+      const out = getArtifactsConfig({ artifacts: { trace: 'off', video: 'retain_on_failure' } });
+      expect(out).toMatchObject({ trace: 'on', video: 'retain-on-failure', runId: 'run_42', source: { trace: 'env', video: 'config' } });
+    });
+
+    it('reports invalid modes and falls back', () => {
+      process.env.TESTRONAUT_VIDEO = 'sometimes';
+      const out = getArtifactsConfig({ artifacts: { trace: 'always', video: true } });
+      expect(out).toMatchObject({ trace: 'off', video: 'on', source: { trace: 'default', video: 'config' } });
+      expect(out.invalid).toEqual(['artifacts.trace=always', 'TESTRONAUT_VIDEO=sometimes']);
+    });
+
+    it('resolves HAR capture like traces', () => {
+      expect(getArtifactsConfig({ artifacts: { har: 'retain-on-failure' } })).toMatchObject({ har: 'retain-on-failure', source: { har: 'config' } });
+      process.env.TESTRONAUT_HAR = 'on';
+      expect(getArtifactsConfig({ artifacts: { har: 'off' } })).toMatchObject({ har: 'on', source: { har: 'env' } });
+    });
+  });
+
+  describe('getDebugBrowserConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_HEADED;
+      delete process.env.TESTRONAUT_SLOW_MO;
+      delete process.env.TESTRONAUT_PAUSE_ON_FAILURE;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to a headless, full-speed browser', () => {
+      expect(getDebugBrowserConfig({})).toEqual({
+        headed: false,
+        slowMo: 0,
+        pauseOnFailure: false,
+        source: { headed: 'default', slowMo: 'default', pauseOnFailure: 'default' },
+        clamped: false,
+      });
+    });
+
+    it('pausing implies headed unless headed is set explicitly', () => {
+      expect(getDebugBrowserConfig({ pauseOnFailure: true }).headed).toBe(true);
+      expect(getDebugBrowserConfig({ pauseOnFailure: true, headed: false }).headed).toBe(false);
+    });
+
+    it('env wins over config and slow-mo is clamped', () => {
+      process.env.TESTRONAUT_SLOW_MO = '9000';
+      process.env.TESTRONAUT_HEADED = '0';
+      const out = getDebugBrowserConfig({ headed: true, slowMo: 100 });
+      expect(out).toMatchObject({ headed: false, slowMo: 5000, clamped: true, source: { headed: 'env', slowMo: 'env' } });
+    });
+  });
+
+  describe('getBrowserEngines', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_BROWSER;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to chromium', () => {
+      expect(getBrowserEngines({})).toEqual({ value: ['chromium'], source: 'default' });
+    });
+
+    it('reads config.browser as a string or list, with aliases', () => {
+      expect(getBrowserEngines({ browser: 'Firefox' })).toEqual({ value: ['firefox'], source: 'config' });
+      expect(getBrowserEngines({ browser: ['chrome', 'safari', 'webkit'] })).toEqual({ value: ['chromium', 'webkit'], source: 'config' });
+    });
+
+    it('env wins over config and unknown engines are config errors', () => {
+      process.env.TESTRONAUT_BROWSER = 'webkit,firefox';
+      expect(getBrowserEngines({ browser: 'chromium' })).toEqual({ value: ['webkit', 'firefox'], source: 'env' });
+      process.env.TESTRONAUT_BROWSER = 'edge';
+      let caught;
+      try { getBrowserEngines({}); } catch (err) { caught = err; }
+      expect(caught?.message).toMatch(/Unknown browser "edge"/);
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+    });
+  });
+
+  describe('getContextProfile', () => {
+    const OLD_ENV = { ...process.env };
+    const cfg = { defaultProfile: 'desktop', profiles: { desktop: { viewport: { width: 1280, height: 800 } }, mobile: { device: 'Pixel 7' } } };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_DEVICE;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('uses no profile by default', () => {
+      expect(getContextProfile({})).toEqual({ name: null, device: null, contextOptions: {}, source: 'default' });
+    });
+
+    it('prefers --device, then the mission, then config.defaultProfile', () => {
+      expect(getContextProfile(cfg)).toMatchObject({ name: 'desktop', source: 'config' });
+      expect(getContextProfile(cfg, 'mobile')).toMatchObject({ name: 'mobile', device: 'Pixel 7', source: 'mission' });
+      process.env.TESTRONAUT_DEVICE = 'iPhone 14';
+      expect(getContextProfile(cfg, 'mobile')).toEqual({ name: 'iPhone 14', device: 'iPhone 14', contextOptions: {}, source: 'env' });
+    });
+  });
+
+  describe('getAuthStateConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_AUTH_STATE;
+      delete process.env.TESTRONAUT_AUTH_MODE;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to an unconfigured state under missions/auth', () => {
+      expect(getAuthStateConfig({})).toEqual({
+        path: path.resolve('missions/auth/storage-state.json'),
+        configured: false,
+        maxAgeMinutes: null,
+        setupMission: null,
+        mode: null,
+        source: 'default',
+      });
+    });
+
+    it('reads config.auth and lets the env override the path and mode', () => {
+      const cfg = { auth: { storageState: '.auth/state.json', maxAgeMinutes: 90, setupMission: 'login.mission.js' } };
+      expect(getAuthStateConfig(cfg)).toMatchObject({
+        path: path.resolve('.auth/state.json'),
+        configured: true,
+        maxAgeMinutes: 90,
+        setupMission: 'login.mission.js',
+        source: 'config',
+      });
+      process.env.TESTRONAUT_AUTH_STATE = '/tmp/other.json';
+      process.env.TESTRONAUT_AUTH_MODE = 'setup';
+      expect(getAuthStateConfig(cfg)).toMatchObject({ path: '/tmp/other.json', mode: 'setup', source: 'env' });
+    });
+
+    it('throws config errors for invalid auth settings', () => {
+      expect(() => getAuthStateConfig({ auth: 'yes' })).toThrow(/auth must be an object/);
+      expect(() => getAuthStateConfig({ auth: { maxAgeMinutes: -5 } })).toThrow(/maxAgeMinutes/);
+      process.env.TESTRONAUT_AUTH_MODE = 'sometimes';
+      expect(() => getAuthStateConfig({})).toThrow(/Invalid auth option "sometimes"/);
+    });
+  });
+
+  describe('getDiagnosticsConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_FAIL_ON_PAGE_ERROR;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to reporting page errors without failing', () => {
+      expect(getDiagnosticsConfig({})).toEqual({ failOnPageError: false, source: 'default' });
+    });
+
+    it('reads config.diagnostics and lets the env override it', () => {
+      expect(getDiagnosticsConfig({ diagnostics: { failOnPageError: true } })).toEqual({ failOnPageError: true, source: 'config' });
+      expect(getDiagnosticsConfig({ failOnPageError: 'yes' })).toEqual({ failOnPageError: true, source: 'config' });
+      process.env.TESTRONAUT_FAIL_ON_PAGE_ERROR = 'false';
+      expect(getDiagnosticsConfig({ diagnostics: { failOnPageError: true } })).toEqual({ failOnPageError: false, source: 'env' });
+    });
+  });
+
+  describe('getVisualConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_BASELINE_DIR;
+      delete process.env.TESTRONAUT_VISUAL_THRESHOLD;
+      delete process.env.TESTRONAUT_VISUAL_ON_MISMATCH;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to exact matches that fail the submission', () => {
+      expect(getVisualConfig({})).toEqual({
+        baselineDir: path.resolve('missions/baselines'),
+        threshold: 0,
+        pixelTolerance: 0.1,
+        onMismatch: 'fail',
+        source: 'default',
+      });
+    });
+
+    it('reads config.visual and lets the env override it', () => {
+      const cfg = { visual: { baselineDir: 'snapshots', threshold: 0.01, pixelTolerance: 0.2, onMismatch: 'warn' } };
+      expect(getVisualConfig(cfg)).toEqual({
+        baselineDir: path.resolve('snapshots'),
+        threshold: 0.01,
+        pixelTolerance: 0.2,
+        onMismatch: 'warn',
+        source: 'config',
+      });
+      process.env.TESTRONAUT_VISUAL_THRESHOLD = '0.05';
+      process.env.TESTRONAUT_VISUAL_ON_MISMATCH = 'FAIL';
+      expect(getVisualConfig(cfg)).toMatchObject({ threshold: 0.05, onMismatch: 'fail', source: 'env' });
+    });
+
+    it('throws config errors for invalid visual settings', () => {
+      expect(() => getVisualConfig({ visual: [] })).toThrow(/visual must be an object/);
+      expect(() => getVisualConfig({ visual: { threshold: 5 } })).toThrow(/visual.threshold must be a number from 0 to 1/);
+      expect(() => getVisualConfig({ visual: { onMismatch: 'ignore' } })).toThrow(/visual.onMismatch must be one of fail, warn/);
+    });
+  });
+
+  describe('getDomMode', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_DOM_MODE;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('defaults to html and reads dom.mode or domMode', () => {
+      expect(getDomMode({})).toEqual({ mode: 'html', source: 'default' });
+      expect(getDomMode({ dom: { mode: 'ARIA' } })).toEqual({ mode: 'aria', source: 'config' });
+      expect(getDomMode({ domMode: 'aria' })).toEqual({ mode: 'aria', source: 'config' });
+    });
+
+    it('lets the env override config and rejects unknown modes', () => {
+      process.env.TESTRONAUT_DOM_MODE = 'html';
+      expect(getDomMode({ dom: { mode: 'aria' } })).toEqual({ mode: 'html', source: 'env' });
+      process.env.TESTRONAUT_DOM_MODE = 'yaml';
+      expect(() => getDomMode({})).toThrow(/TESTRONAUT_DOM_MODE must be one of html, aria/);
+    });
+  });
+
+  describe('getVisionConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_VISION;
+      delete process.env.TESTRONAUT_VISION_MAX_WIDTH;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('is off by default', () => {
+      expect(getVisionConfig({})).toEqual({ mode: 'off', maxWidth: 1024, modelSupportsImages: null, source: 'default' });
+    });
+
+    it('accepts a mode string, a boolean or an object, and lets the env override', () => {
+      expect(getVisionConfig({ vision: 'auto' })).toMatchObject({ mode: 'auto', source: 'config' });
+      expect(getVisionConfig({ vision: true })).toMatchObject({ mode: 'look', source: 'config' });
+      expect(getVisionConfig({ vision: { mode: 'look', maxWidth: 800, modelSupportsImages: true } })).toEqual({
+        mode: 'look',
+        maxWidth: 800,
+        modelSupportsImages: true,
+        source: 'config',
+      });
+      process.env.TESTRONAUT_VISION = 'off';
+      process.env.TESTRONAUT_VISION_MAX_WIDTH = '512';
+      expect(getVisionConfig({ vision: 'auto' })).toMatchObject({ mode: 'off', maxWidth: 512, source: 'env' });
+    });
+
+    it('throws config errors for invalid vision settings', () => {
+      expect(() => getVisionConfig({ vision: [] })).toThrow(/vision must be/);
+      expect(() => getVisionConfig({ vision: 'always' })).toThrow(/vision.mode must be one of off, look, auto/);
+      expect(() => getVisionConfig({ vision: { maxWidth: 10 } })).toThrow(/vision.maxWidth must be a whole number/);
+    });
+  });
+
+  describe('getCostConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_MAX_USD_PER_RUN;
+      delete process.env.TESTRONAUT_MAX_USD_PER_MISSION;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('has no budget or price overrides by default', () => {
+      expect(getCostConfig({})).toEqual({
+        pricing: {},
+        budget: { maxUsdPerRun: null, maxUsdPerMission: null },
+        source: 'default',
+      });
+    });
+
+    it('reads budget and pricing from config and lets the env override the budget', () => {
+      const cfg = { budget: { maxUsdPerRun: 5, maxUsdPerMission: '0.5' }, pricing: { 'my-model': { input: 1, output: 2 } } };
+      expect(getCostConfig(cfg)).toEqual({
+        pricing: { 'my-model': { input: 1, output: 2 } },
+        budget: { maxUsdPerRun: 5, maxUsdPerMission: 0.5 },
+        source: 'config',
+      });
+      process.env.TESTRONAUT_MAX_USD_PER_RUN = '2.5';
+      expect(getCostConfig(cfg)).toMatchObject({ budget: { maxUsdPerRun: 2.5, maxUsdPerMission: 0.5 }, source: 'env' });
+    });
+
+    it('throws config errors for invalid budgets and prices', () => {
+      expect(() => getCostConfig({ budget: 5 })).toThrow(/budget must be an object/);
+      expect(() => getCostConfig({ budget: { maxUsdPerRun: 0 } })).toThrow(/budget.maxUsdPerRun must be a positive number/);
+      expect(() => getCostConfig({ pricing: { 'gpt-4o': 2.5 } })).toThrow(/pricing\["gpt-4o"\] must be/);
+      expect(() => getCostConfig({ pricing: { 'gpt-4o': { input: -1 } } })).toThrow(/input must be a non-negative number/);
+      process.env.TESTRONAUT_MAX_USD_PER_MISSION = 'lots';
+      expect(() => getCostConfig({})).toThrow(/TESTRONAUT_MAX_USD_PER_MISSION/);
+    });
+  });
+
+  describe('getRateLimitConfig', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_SHARED_RATE_LIMITS;
+      delete process.env.TESTRONAUT_RATE_LIMIT_DIR;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('keeps limits per process by default', () => {
+      expect(getRateLimitConfig({})).toEqual({
+        shared: false,
+        dir: path.join(os.tmpdir(), 'testronaut-rate-limits'),
+        source: 'default',
+      });
+    });
+
+    it('turns sharing on with a directory and lets the env win', () => {
+      expect(getRateLimitConfig({ rateLimits: { dir: '/ci/limits' } })).toEqual({ shared: true, dir: '/ci/limits', source: 'config' });
+      expect(getRateLimitConfig({ rateLimits: { shared: true } }).dir).toBe(path.join(os.tmpdir(), 'testronaut-rate-limits'));
+
+      process.env.TESTRONAUT_SHARED_RATE_LIMITS = 'false';
+      expect(getRateLimitConfig({ rateLimits: { dir: '/ci/limits' } })).toMatchObject({ shared: false, source: 'env' });
+      process.env.TESTRONAUT_SHARED_RATE_LIMITS = 'true';
+      process.env.TESTRONAUT_RATE_LIMIT_DIR = '/tmp/shared';
+      expect(getRateLimitConfig({})).toEqual({ shared: true, dir: '/tmp/shared', source: 'env' });
+    });
+
+    it('throws config errors for invalid settings', () => {
+      expect(() => getRateLimitConfig({ rateLimits: 'shared' })).toThrow(/rateLimits must be an object/);
+      expect(() => getRateLimitConfig({ rateLimits: { shared: 'maybe' } })).toThrow(/rateLimits.shared must be true or false/);
+      process.env.TESTRONAUT_SHARED_RATE_LIMITS = 'sometimes';
+      let caught;
+      try { getRateLimitConfig({}); } catch (err) { caught = err; }
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+    });
+  });
+
+  describe('getMissionFilters', () => {
+    const OLD_ENV = { ...process.env };
+    beforeEach(() => {
+      process.env = { ...OLD_ENV };
+      delete process.env.TESTRONAUT_TAGS;
+      delete process.env.TESTRONAUT_EXCLUDE_TAGS;
+      delete process.env.TESTRONAUT_GREP;
+    });
+    afterEach(() => {
+      process.env = { ...OLD_ENV };
+    });
+
+    it('is empty by default', () => {
+      expect(getMissionFilters({})).toEqual({
+        tags: [],
+        excludeTags: [],
+        grep: null,
+        source: { tags: 'default', excludeTags: 'default', grep: 'default' },
+      });
+    });
+
+    it('reads config.missions and lets env win per field', () => {
+      process.env.TESTRONAUT_TAGS = 'Smoke, auth';
+      const res = getMissionFilters({ missions: { tags: ['nightly'], excludeTags: ['slow'], grep: 'login' } });
+      expect(res.tags).toEqual(['smoke', 'auth']);
+      expect(res.excludeTags).toEqual(['slow']);
+      expect(res.grep).toEqual(/login/i);
+      expect(res.source).toEqual({ tags: 'env', excludeTags: 'config', grep: 'config' });
+    });
+
+    it('throws a configuration error for an invalid grep pattern', () => {
+      process.env.TESTRONAUT_GREP = '([';
+      let caught;
+      try { getMissionFilters({}); } catch (err) { caught = err; }
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+      expect(caught?.message).toMatch(/Invalid --grep pattern/);
+    });
+  });
+
   describe('enforceTurnBudget (lenient)', () => {
     it('clamps > hardMaxTurns', () => {
       const cfg = { maxTurns: 1000 };
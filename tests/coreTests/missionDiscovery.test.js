@@ -1,8 +1,14 @@
-import { describe, it, expect, afterEach } from 'vitest';
+import { describe, it, expect, afterEach, vi } from 'vitest';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { discoverMissionFiles } from '../../core/missionDiscovery.js';
+import {
+  discoverMissionFiles,
+  normalizeMissionMeta,
+  hasMissionFilters,
+  matchesMissionFilters,
+  selectMissionFiles,
+} from '../../core/missionDiscovery.js';
 
 function makeTempDir() {
   return fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-missions-'));
@@ -79,3 +85,52 @@ describe('discoverMissionFiles', () => {
     expect(res.files).toEqual(['keep.mission.js']);
   });
 });
+
+describe('mission metadata filters', () => {
+  it('normalizes tags and keeps other meta fields', () => {
+    expect(normalizeMissionMeta({ tags: [' Smoke ', 'auth', 'smoke'], owner: 'qa' })).toEqual({ tags: ['smoke', 'auth'], owner: 'qa' });
+    expect(normalizeMissionMeta({ tags: 'a, b' }).tags).toEqual(['a', 'b']);
+    expect(normalizeMissionMeta(undefined)).toEqual({ tags: [] });
+  });
+
+  it('knows when filters are active', () => {
+    expect(hasMissionFilters({ tags: [], excludeTags: [], grep: null })).toBe(false);
+    expect(hasMissionFilters({ grep: /x/ })).toBe(true);
+  });
+
+  it('selects by tag (any), excluded tag (none) and grep on file or meta.name', () => {
+    const login = { file: 'auth/login.mission.js', meta: { tags: ['smoke', 'auth'], name: 'Sign in' } };
+    const report = { file: 'reports.mission.js', meta: { tags: ['slow'] } };
+
+    expect(matchesMissionFilters(login, { tags: ['smoke', 'nightly'] })).toBe(true);
+    expect(matchesMissionFilters(report, { tags: ['smoke'] })).toBe(false);
+    expect(matchesMissionFilters(report, { excludeTags: ['slow'] })).toBe(false);
+    expect(matchesMissionFilters(login, { grep: /sign in/i })).toBe(true);
+    expect(matchesMissionFilters(login, { grep: /^auth\// })).toBe(true);
+    expect(matchesMissionFilters(report, { grep: /login/i })).toBe(false);
+  });
+
+  it('imports mission modules once to read meta and skips unreadable files', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const modules = {
+      '/m/a.mission.js': { meta: { tags: ['smoke'] } },
+      '/m/b.mission.js': { meta: { tags: ['slow'] } },
+      '/m/c.mission.js': {},
+    };
+    const importer = vi.fn(async (p) => {
+      if (p === '/m/broken.mission.js') throw new Error('SyntaxError');
+      return modules[p];
+    });
+
+    const res = await selectMissionFiles(
+      ['a.mission.js', 'b.mission.js', 'c.mission.js', 'broken.mission.js'],
+      { root: '/m', filters: { excludeTags: ['slow'] }, importer }
+    );
+
+    expect(res.files).toEqual(['a.mission.js', 'c.mission.js']);
+    expect(res.meta['a.mission.js']).toEqual({ tags: ['smoke'] });
+    expect(importer).toHaveBeenCalledTimes(4);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('broken.mission.js'));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,74 @@
+// tests/coreTests/profiles.test.js
+import { describe, it, expect } from 'vitest';
+import { normalizeProfile, resolveProfile, buildContextOptions } from '../../core/profiles.js';
+
+const devices = {
+  'iPhone 14': {
+    userAgent: 'Mozilla/5.0 (iPhone)',
+    viewport: { width: 390, height: 664 },
+    deviceScaleFactor: 3,
+    isMobile: true,
+    hasTouch: true,
+    defaultBrowserType: 'webkit',
+  },
+  'iPhone 14 Pro': { viewport: { width: 393, height: 659 }, defaultBrowserType: 'webkit' },
+};
+
+describe('core/profiles', () => {
+  describe('normalizeProfile', () => {
+    it('maps config fields to context options', () => {
+      expect(normalizeProfile('mobile', {
+        device: 'iPhone 14',
+        locale: 'de-DE',
+        timezone: 'Europe/Berlin',
+        geolocation: { latitude: 52.52, longitude: 13.4 },
+        colorScheme: 'dark',
+      })).toEqual({
+        name: 'mobile',
+        device: 'iPhone 14',
+        contextOptions: {
+          locale: 'de-DE',
+          timezoneId: 'Europe/Berlin',
+          geolocation: { latitude: 52.52, longitude: 13.4 },
+          colorScheme: 'dark',
+        },
+      });
+    });
+
+    it('throws configuration errors for invalid fields', () => {
+      expect(() => normalizeProfile('x', { viewport: { width: 0, height: 10 } })).toThrow(/profiles\.x: viewport/);
+      expect(() => normalizeProfile('x', { colorScheme: 'sepia' })).toThrow(/colorScheme/);
+      expect(() => normalizeProfile('x', { geolocation: { latitude: 200, longitude: 0 } })).toThrow(/geolocation/);
+      let caught;
+      try { normalizeProfile('x', 'mobile'); } catch (err) { caught = err; }
+      expect(caught?.code).toBe('TESTRONAUT_CONFIG');
+    });
+  });
+
+  it('resolves config profiles first and falls back to device names', () => {
+    const profiles = { desktop: { viewport: { width: 1440, height: 900 } } };
+    expect(resolveProfile('desktop', profiles)).toEqual({ name: 'desktop', device: null, contextOptions: { viewport: { width: 1440, height: 900 } } });
+    expect(resolveProfile('iPhone 14', profiles)).toEqual({ name: 'iPhone 14', device: 'iPhone 14', contextOptions: {} });
+    expect(resolveProfile('', profiles)).toBeNull();
+  });
+
+  describe('buildContextOptions', () => {
+    it('merges the device descriptor with profile overrides', () => {
+      const out = buildContextOptions(
+        { device: 'iPhone 14', contextOptions: { viewport: { width: 400, height: 700 }, geolocation: { latitude: 1, longitude: 2 } } },
+        { devices }
+      );
+      expect(out).toMatchObject({ userAgent: 'Mozilla/5.0 (iPhone)', viewport: { width: 400, height: 700 }, isMobile: true, permissions: ['geolocation'] });
+      expect(out.defaultBrowserType).toBeUndefined();
+    });
+
+    it('drops isMobile on Firefox', () => {
+      expect(buildContextOptions({ device: 'iPhone 14', contextOptions: {} }, { devices, engine: 'firefox' }).isMobile).toBeUndefined();
+    });
+
+    it('suggests close device names for unknown devices', () => {
+      expect(() => buildContextOptions({ device: 'iphone', contextOptions: {} }, { devices })).toThrow(/Did you mean: iPhone 14, iPhone 14 Pro/);
+      expect(buildContextOptions(null, { devices })).toEqual({});
+    });
+  });
+});
@@ -20,6 +20,8 @@ import {
   maskPreview,
   redactArgs,
   redactPasswordInText,
+  isSensitiveName,
+  rememberSensitiveRefs,
 } from '../../core/redaction.js';
 
 describe('redaction utilities', () => {
@@ -76,6 +78,20 @@ describe('redaction utilities', () => {
       expect(redacted.text).toBe('hello world');
     });
 
+    it('masks the chosen option of a sensitive select but keeps its name', () => {
+      const redacted = redactArgs('select_option', { text: 'Secret question', value: 'Fluffy' });
+      expect(redacted).toEqual({ text: 'Secret question', value: '•••••• (6)' });
+      expect(redactArgs('select_option', { selector: '#country', value: 'NL' }).value).toBe('NL');
+    });
+
+    it('masks fills by ref once a snapshot marked the ref sensitive', () => {
+      expect(redactArgs('fill', { ref: 'e41', text: 'hunter2' }).text).toBe('hunter2');
+      rememberSensitiveRefs(['e41']);
+      const redacted = redactArgs('fill', { ref: 'e41', text: 'hunter2' });
+      expect(redacted).toEqual({ ref: 'e41', text: '•••••• (7)' });
+      expect(redactArgs('fill', { ref: 'e42', text: 'Ada' }).text).toBe('Ada');
+    });
+
     it('masks human input tool values', () => {
       const args = { prompt: 'Enter code', value: '123456', code: '654321' };
       const redacted = redactArgs('request_human_input', args);
@@ -145,4 +161,18 @@ Click the "Verify Code" button (#mfa-submit).`;
       }
     });
   });
+
+  describe('isSensitiveName', () => {
+    it('matches header, parameter and field names word by word', () => {
+      for (const name of ['X-Api-Key', 'access_token', 'refreshToken', 'x-csrf-token', 'client_secret', 'password']) {
+        expect(isSensitiveName(name)).toBe(true);
+      }
+    });
+
+    it('ignores names that only contain a keyword inside a longer word', () => {
+      for (const name of ['Content-Encoding', 'shipping', 'passenger', 'authorName', 'Accept']) {
+        expect(isSensitiveName(name)).toBe(false);
+      }
+    });
+  });
 });
@@ -0,0 +1,201 @@
+// tests/coreTests/replay.test.js
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+vi.mock('../../tools/chromeBrowser.js', () => ({
+  CHROME_TOOL_MAP: {
+    navigate: vi.fn(async () => 'navigated'),
+    fill: vi.fn(async () => 'filled'),
+    click: vi.fn(async () => 'clicked'),
+    get_dom: vi.fn(async () => '<html></html>'),
+    screenshot: vi.fn(async () => 'Screenshot saved at: missions/screenshots/shot.png'),
+    get_mfa_code: vi.fn(async () => '123456'),
+  },
+}));
+
+import { CHROME_TOOL_MAP } from '../../tools/chromeBrowser.js';
+import {
+  toRecordedAction,
+  resolveActionArgs,
+  recordingPath,
+  writeRecording,
+  loadRecording,
+  findRecordedSubmission,
+  replayActions,
+} from '../../core/replay.js';
+
+const OLD_ENV = { ...process.env };
+
+describe('core/replay', () => {
+  beforeEach(() => {
+    process.env = { ...OLD_ENV };
+    vi.clearAllMocks();
+  });
+
+  afterEach(() => {
+    process.env = { ...OLD_ENV };
+  });
+
+  describe('toRecordedAction', () => {
+    it('keeps non-sensitive args as-is', () => {
+      expect(toRecordedAction('click', { selector: '#go' })).toEqual({ tool: 'click', args: { selector: '#go' } });
+    });
+
+    it('stores sensitive values that match an env var as a reference', () => {
+      process.env.TEST_LOGIN_PASSWORD = 'hunter2-secret';
+      const action = toRecordedAction('fill', { selector: '#password', text: 'hunter2-secret' });
+      expect(action.args.text).toEqual({ $env: 'TEST_LOGIN_PASSWORD' });
+      expect(action.secret).toBeUndefined();
+      expect(JSON.stringify(action)).not.toContain('hunter2-secret');
+    });
+
+    it('masks sensitive values without an env var and marks the action secret', () => {
+      const action = toRecordedAction('fill', { selector: '#password', text: 'not-in-env-xyz' });
+      expect(action.secret).toBe(true);
+      expect(JSON.stringify(action)).not.toContain('not-in-env-xyz');
+    });
+
+    it('marks live tools and live actions', () => {
+      expect(toRecordedAction('get_mfa_code', {}).live).toBe(true);
+      expect(toRecordedAction('fill', { selector: '#otp', text: '1' }, { live: true }).live).toBe(true);
+    });
+  });
+
+  describe('resolveActionArgs', () => {
+    it('resolves $env references', () => {
+      process.env.TEST_REPLAY_VALUE = 'abc';
+      expect(resolveActionArgs({ tool: 'fill', args: { selector: '#a', text: { $env: 'TEST_REPLAY_VALUE' } } }))
+        .toEqual({ selector: '#a', text: 'abc' });
+    });
+
+    it('throws when a referenced env var is missing', () => {
+      delete process.env.TEST_REPLAY_MISSING;
+      expect(() => resolveActionArgs({ tool: 'fill', args: { text: { $env: 'TEST_REPLAY_MISSING' } } }))
+        .toThrow(/TEST_REPLAY_MISSING/);
+    });
+  });
+
+  describe('recording files', () => {
+    let tmp;
+    beforeEach(() => { tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'tn-rec-')); });
+    afterEach(() => { fs.rmSync(tmp, { recursive: true, force: true }); });
+
+    it('writes and loads a recording under missions/recordings/<runId>', () => {
+      const file = writeRecording(
+        { runId: 'run_1', missionName: 'Login Flow', submissions: [{ submissionType: 'mission', actions: [] }] },
+        { cwd: tmp }
+      );
+      expect(file).toBe(recordingPath('run_1', 'Login Flow', { cwd: tmp }));
+      expect(file).toBe(path.join(tmp, 'missions/recordings/run_1/Login_Flow.json'));
+
+      const loaded = loadRecording('run_1', 'Login Flow', { cwd: tmp });
+      expect(loaded).toMatchObject({ runId: 'run_1', missionName: 'Login Flow' });
+      expect(loaded.submissions).toHaveLength(1);
+    });
+
+    it('returns null for a missing recording', () => {
+      expect(loadRecording('run_missing', 'Nope', { cwd: tmp })).toBeNull();
+    });
+  });
+
+  describe('findRecordedSubmission', () => {
+    const recording = {
+      submissions: [
+        { submissionType: 'premission', submissionName: 'setup', actions: [] },
+        { submissionType: 'mission', submissionName: 'first', actions: [] },
+        { submissionType: 'mission', submissionName: 'second', actions: [] },
+      ],
+    };
+
+    it('matches by type and name first', () => {
+      expect(findRecordedSubmission(recording, { submissionType: 'mission', submissionName: 'second' }, 0).submissionName).toBe('second');
+    });
+
+    it('falls back to the n-th submission of the same type', () => {
+      expect(findRecordedSubmission(recording, { submissionType: 'mission', submissionName: 'renamed' }, 1).submissionName).toBe('second');
+    });
+
+    it('returns null without a recording', () => {
+      expect(findRecordedSubmission(null, { submissionType: 'mission' }, 0)).toBeNull();
+    });
+  });
+
+  describe('replayActions', () => {
+    it('replays every action and reports steps', async () => {
+      const steps = [];
+      const out = await replayActions(
+        {},
+        [
+          { tool: 'navigate', args: { url: 'https://example.com' } },
+          { tool: 'get_dom', args: {} },
+          { tool: 'click', args: { selector: '#go' } },
+          { tool: 'screenshot', args: {} },
+        ],
+        { missionName: 'M', onStep: (s) => steps.push(s) }
+      );
+
+      expect(out).toEqual({ completed: 4, total: 4, divergedAt: null, reason: null });
+      expect(CHROME_TOOL_MAP.navigate).toHaveBeenCalledWith({}, { url: 'https://example.com' }, expect.any(Object));
+      expect(CHROME_TOOL_MAP.get_dom).not.toHaveBeenCalled();
+      expect(steps).toHaveLength(3);
+      expect(steps.every(s => s.replayed && s.result === '✅ Passed')).toBe(true);
+      expect(steps.map(s => s.turn)).toEqual([0, 2, 3]);
+      expect(steps[2].screenshotPath).toBe('missions/screenshots/shot.png');
+    });
+
+    it('stops at the first action that fails', async () => {
+      CHROME_TOOL_MAP.click.mockRejectedValueOnce(new Error('selector not found'));
+      const steps = [];
+      const out = await replayActions(
+        {},
+        [
+          { tool: 'navigate', args: { url: 'https://example.com' } },
+          { tool: 'click', args: { selector: '#gone' } },
+          { tool: 'click', args: { selector: '#next' } },
+        ],
+        { onStep: (s) => steps.push(s) }
+      );
+
+      expect(out).toEqual({ completed: 1, total: 3, divergedAt: 1, reason: 'selector not found' });
+      expect(CHROME_TOOL_MAP.click).toHaveBeenCalledTimes(1);
+      expect(steps[1].result).toBe('⚠️ Replay Diverged');
+    });
+
+    it('re-issues refs where the recording read the DOM', async () => {
+      const calls = [];
+      const browser = {
+        refs: new Set(),
+        refreshRefs: vi.fn(async () => { calls.push('refreshRefs'); browser.refs.add('e3'); }),
+      };
+      CHROME_TOOL_MAP.click.mockImplementationOnce(async (b, { ref }) => {
+        calls.push(`click ${ref}`);
+        if (!b.refs.has(ref)) throw new Error(`Unknown ref ${ref}`);
+        return 'clicked';
+      });
+
+      const out = await replayActions(browser, [
+        { tool: 'navigate', args: { url: 'https://example.com' } },
+        { tool: 'get_dom', args: { mode: 'html' } },
+        { tool: 'click', args: { ref: 'e3' } },
+        { tool: 'get_dom', args: {} },
+      ]);
+
+      expect(out).toEqual({ completed: 4, total: 4, divergedAt: null, reason: null });
+      expect(calls).toEqual(['refreshRefs', 'click e3']);
+      expect(browser.refreshRefs).toHaveBeenCalledWith({ mode: 'html' });
+      expect(CHROME_TOOL_MAP.get_dom).not.toHaveBeenCalled();
+    });
+
+    it('hands over at live and secret actions without executing them', async () => {
+      const live = await replayActions({}, [{ tool: 'get_mfa_code', args: {}, live: true }]);
+      expect(live).toMatchObject({ completed: 0, divergedAt: 0 });
+      expect(CHROME_TOOL_MAP.get_mfa_code).not.toHaveBeenCalled();
+
+      const secret = await replayActions({}, [{ tool: 'fill', args: { selector: '#p', text: '********' }, secret: true }]);
+      expect(secret).toMatchObject({ completed: 0, divergedAt: 0 });
+      expect(CHROME_TOOL_MAP.fill).not.toHaveBeenCalled();
+    });
+  });
+});
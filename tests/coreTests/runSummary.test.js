@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  EXIT_CODES,
+  asConfigError,
+  describeError,
+  makeErroredEntry,
+  resolveExitCode,
+  buildRunSummary,
+} from '../../core/runSummary.js';
+
+describe('core/runSummary', () => {
+  describe('resolveExitCode', () => {
+    it('returns 0 when everything passed', () => {
+      expect(resolveExitCode([{ status: 'passed' }, { status: 'passed' }])).toBe(EXIT_CODES.PASSED);
+    });
+
+    it('returns 1 when any submission failed', () => {
+      expect(resolveExitCode([{ status: 'passed' }, { status: 'failed' }])).toBe(EXIT_CODES.FAILED);
+    });
+
+    it('returns 2 for infrastructure errors, even alongside failures', () => {
+      const missions = [{ status: 'failed' }, { status: 'errored', error: { kind: 'infra' } }];
+      expect(resolveExitCode(missions)).toBe(EXIT_CODES.ERROR);
+    });
+
+    it('returns 3 for config errors or when nothing ran', () => {
+      const missions = [{ status: 'errored', error: { kind: 'infra' } }, { status: 'errored', error: { kind: 'config' } }];
+      expect(resolveExitCode(missions)).toBe(EXIT_CODES.CONFIG);
+      expect(resolveExitCode([])).toBe(EXIT_CODES.CONFIG);
+    });
+  });
+
+  describe('error helpers', () => {
+    it('tags config errors without clobbering an existing code', () => {
+      expect(describeError(asConfigError(new Error('OPENAI_API_KEY is required')))).toEqual({
+        message: 'OPENAI_API_KEY is required',
+        kind: 'config',
+      });
+
+      const net = Object.assign(new Error('ECONNRESET'), { code: 'ECONNRESET' });
+      expect(describeError(asConfigError(net)).kind).toBe('infra');
+    });
+
+    it('builds errored entries with file fallback for the mission name', () => {
+      const entry = makeErroredEntry({ file: 'checkout.mission.js', startTime: 5 }, new Error('boom'));
+      expect(entry).toMatchObject({
+        missionName: 'checkout.mission.js',
+        submissionType: 'mission',
+        file: 'checkout.mission.js',
+        status: 'errored',
+        error: { message: 'boom', kind: 'infra' },
+        steps: [],
+        startTime: 5,
+      });
+    });
+  });
+
+  describe('buildRunSummary', () => {
+    it('summarizes totals, outcome and per-submission results', () => {
+      const summary = buildRunSummary({
+        runId: 'run_1',
+        llm: { provider: 'openai', model: 'gpt-4o' },
+        missions: [
+          { file: 'a.mission.js', missionName: 'A', submissionType: 'mission', submissionName: 'A', status: 'passed', startTime: 0, endTime: 1200, tokensUsed: 50, finalMessage: 'SUCCESS: ok', steps: [{}] },
+          { file: 'b.mission.js', missionName: 'B', submissionType: 'mission', submissionName: 'B', status: 'failed', startTime: 0, endTime: 300, tokensUsed: 25, finalMessage: 'FAILURE: no', steps: [] },
+        ],
+      });
+
+      expect(summary.outcome).toBe('failed');
+      expect(summary.exitCode).toBe(1);
+      expect(summary.totals).toEqual({ submissions: 2, passed: 1, failed: 1, errored: 0, flaky: 0, tokensUsed: 75, promptTokens: 0, completionTokens: 0, costUsd: null });
+      expect(summary.missions[1]).toEqual({
+        file: 'b.mission.js',
+        missionName: 'B',
+        submissionType: 'mission',
+        submissionName: 'B',
+        status: 'failed',
+        durationMs: 300,
+        finalMessage: 'FAILURE: no',
+      });
+      // compact: no step payloads
+      expect(summary.missions[0].steps).toBeUndefined();
+    });
+
+    it('counts flaky submissions and tokens from earlier attempts', () => {
+      const summary = buildRunSummary({
+        runId: 'run_2',
+        missions: [
+          {
+            missionName: 'A', submissionType: 'mission', submissionName: 'A', status: 'passed', tokensUsed: 40,
+            attempt: 2, flaky: true,
+            previousAttempts: [{ attempt: 1, status: 'failed', tokensUsed: 30, steps: [] }],
+          },
+        ],
+      });
+
+      expect(summary.exitCode).toBe(0);
+      expect(summary.totals).toMatchObject({ passed: 1, flaky: 1, tokensUsed: 70 });
+      expect(summary.missions[0]).toMatchObject({ status: 'passed', attempts: 2, flaky: true });
+    });
+
+    it('keeps the browser engine on each mission line', () => {
+      const summary = buildRunSummary({
+        missions: [
+          { missionName: 'A', status: 'passed', browser: 'chromium' },
+          { missionName: 'A', status: 'failed', browser: 'webkit' },
+        ],
+      });
+      expect(summary.missions.map(m => m.browser)).toEqual(['chromium', 'webkit']);
+    });
+
+    it('counts accessibility violations by impact only when audits ran', () => {
+      const violation = { rule: 'label', impact: 'critical', help: 'Form fields must have labels', count: 2, targets: [] };
+      const summary = buildRunSummary({
+        missions: [
+          { missionName: 'A', status: 'passed', accessibility: [{ url: 'https://x.test/', scope: 'document', violations: [violation] }] },
+          { missionName: 'A', status: 'passed' },
+        ],
+      });
+      expect(summary.totals.accessibility).toEqual({ audits: 1, critical: 2, serious: 0, moderate: 0, minor: 0 });
+      expect(buildRunSummary({ missions: [{ status: 'passed' }] }).totals).not.toHaveProperty('accessibility');
+    });
+
+    it('totals cost across submissions and earlier attempts and flags budget stops', () => {
+      const summary = buildRunSummary({
+        missions: [
+          {
+            missionName: 'A', status: 'passed', promptTokens: 1000, completionTokens: 100, costUsd: 0.01,
+            previousAttempts: [{ attempt: 1, status: 'failed', promptTokens: 500, completionTokens: 50, costUsd: 0.005 }],
+          },
+          { missionName: 'B', status: 'failed', promptTokens: 2000, completionTokens: 0, costUsd: 0.02, budgetExceeded: 'run' },
+        ],
+      });
+      expect(summary.totals).toMatchObject({ promptTokens: 3500, completionTokens: 150 });
+      expect(summary.totals.costUsd).toBeCloseTo(0.035);
+      expect(summary.missions[1]).toMatchObject({ costUsd: 0.02, budgetExceeded: 'run' });
+      expect(summary.missions[0]).not.toHaveProperty('budgetExceeded');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+// tests/coreTests/turnIntent.test.js
+import { describe, it, expect } from 'vitest';
+import { summarizeToolCall, summarizeTurnIntentFromMessage } from '../../core/turnIntent.js';
+
+describe('core/turnIntent', () => {
+  it('summarizes keyboard, hover, select, drag, scroll and checkbox tools', () => {
+    expect(summarizeToolCall('press_key', { key: 'Enter' })).toBe('Press Enter');
+    expect(summarizeToolCall('press_key', { key: 'Tab', times: 3, selector: '#email' })).toBe('Press Tab ×3 in #email');
+    expect(summarizeToolCall('hover', { text: 'Account' })).toBe('Hover over "Account"');
+    expect(summarizeToolCall('select_option', { selector: '#country', value: 'NL' })).toBe('Select "NL" in #country');
+    expect(summarizeToolCall('select_option', { selector: '#country', index: 2 })).toBe('Select option #2 in #country');
+    expect(summarizeToolCall('drag_and_drop', { source: '#card-1', targetText: 'Done' })).toBe('Drag #card-1 onto Done');
+    expect(summarizeToolCall('scroll', { selector: '.grid', to: 'bottom' })).toBe('Scroll to bottom in .grid');
+    expect(summarizeToolCall('scroll', { direction: 'up', amount: 800 })).toBe('Scroll up 800px');
+    expect(summarizeToolCall('scroll', { x: 0, y: 400 })).toBe('Scroll to coords (0, 400)');
+    expect(summarizeToolCall('check', { text: 'I agree' })).toBe('Check "I agree"');
+    expect(summarizeToolCall('uncheck', { selector: '#newsletter' })).toBe('Uncheck #newsletter');
+  });
+
+  it('summarizes ref targets and the accessibility outline', () => {
+    expect(summarizeToolCall('click', { ref: 'e12' })).toBe('Click element (ref e12)');
+    expect(summarizeToolCall('fill', { ref: 'e3', text: 'Ada' })).toBe('Type "Ada" into ref e3');
+    expect(summarizeToolCall('get_a11y_tree', {})).toBe('Inspect accessibility outline');
+    expect(summarizeToolCall('get_a11y_tree', { selector: 'main' }, { emoji: true })).toBe('🌳 Inspect accessibility outline of main');
+  });
+
+  it('summarizes the vision look tool', () => {
+    expect(summarizeToolCall('look', {})).toBe('Look at the viewport');
+    expect(summarizeToolCall('look', { fullPage: true }, { emoji: true })).toBe('👁️ Look at the whole page');
+  });
+
+  it('masks values aimed at sensitive fields', () => {
+    expect(summarizeToolCall('select_option', { text: 'Secret question', value: 'Fluffy' })).toBe('Select "•••••• (6)" in Secret question');
+    expect(summarizeToolCall('fill', { selector: '#password', text: 'hunter2' })).toBe('Type "•••••• (7)" into #password');
+  });
+
+  it('joins the tool calls of a message and adds icons on request', () => {
+    const msg = {
+      tool_calls: [
+        { function: { name: 'hover', arguments: '{"selector":"#menu"}' } },
+        { function: { name: 'press_key', arguments: '{"key":"Escape"}' } },
+      ],
+    };
+    expect(summarizeTurnIntentFromMessage(msg, { emoji: true })).toBe('🪄 Hover over (#menu) → ⌨️ Press Escape');
+  });
+});
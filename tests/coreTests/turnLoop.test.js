@@ -24,6 +24,31 @@ const { shared } = vi.hoisted(() => {
           })
         ),
         list_local_files: vi.fn(async () => JSON.stringify({ files: ['a.pdf', 'b.pdf'] })),
+        look: vi.fn(async () => JSON.stringify({ _testronaut_vision_event: 'look', width: 640, height: 360 })),
+        compare_screenshot: vi.fn(async () => JSON.stringify({
+          _testronaut_visual_event: 'compare',
+          name: 'cart',
+          status: 'mismatch',
+          diffRatio: 0.025,
+          diffPixels: 250,
+          threshold: 0.01,
+          width: 100,
+          height: 100,
+          baseline: 'missions/baselines/demo/cart.png',
+          diff: './visual/cart_1.diff.png',
+        })),
+        audit_accessibility: vi.fn(async () => JSON.stringify({
+          _testronaut_a11y_event: 'audit',
+          url: 'https://shop.test/',
+          scope: 'document',
+          violations: [{ rule: 'image-alt', impact: 'critical', help: 'Images must have alternative text', count: 2, targets: ['img.logo', '#hero'] }],
+          counts: { critical: 2, serious: 0, moderate: 0, minor: 0 },
+        })),
+        mock_route: vi.fn(async () => JSON.stringify({
+          _testronaut_mock_event: 'added',
+          description: 'GET **/api/orders → 500',
+          active: 1,
+        })),
         get_mfa_code: vi.fn(async () => JSON.stringify({
           ok: false,
           code: 'invalid_response',
@@ -44,6 +69,9 @@ const { shared } = vi.hoisted(() => {
 
 vi.mock('../../llm/modelResolver.js', () => ({
   resolveProviderModel: () => ({ provider: 'stub', model: 'stub-model' }),
+  resolveOpenAICompatibleOptions: () => ({}),
+  // the stub model only "sees" when vision.modelSupportsImages forces it
+  supportsImageInput: (provider, model, { override } = {}) => override === true,
 }));
 
 // Use hoisted shared.chatMock
@@ -67,6 +95,9 @@ vi.mock('../../tools/tokenControl.js', () => ({
     totalTokensUsed: turnTimestamps.reduce((a, [, t]) => a + t, 0),
   })),
   updateLimitsFromHeaders: vi.fn(() => {}),
+  setTokenLimitOverride: vi.fn(() => {}),
+  imageTokenEstimate: vi.fn(() => 765),
+  messagesImageTokens: vi.fn(() => 0),
 }));
 
 vi.mock('../../tools/toolSchema.js', () => ({
@@ -77,6 +108,7 @@ vi.mock('../../tools/toolSchema.js', () => ({
     { type: 'function', function: { name: 'screenshot', description: 'take a screenshot', parameters: {} } },
     { type: 'function', function: { name: 'list_local_files', description: 'list files', parameters: {} } },
     { type: 'function', function: { name: 'get_mfa_code', description: 'get mfa', parameters: {} } },
+    { type: 'function', function: { name: 'look', description: 'look at the page', parameters: {} } },
   ],
 }));
 
@@ -112,6 +144,8 @@ vi.mock('../../core/redaction.js', () => ({
 
 // Import SUT after mocks
 import { turnLoop, __docProgressInternals } from '../../core/turnLoop.js';
+import { __resetCostControlForTests, spentSoFar } from '../../tools/costControl.js';
+import { recordTokenUsage, tokenUseCoolOff } from '../../tools/tokenControl.js';
 
 // Helper
 function baseMessages() {
@@ -244,6 +278,284 @@ describe('turnLoop', () => {
     expect(res.steps[2].result).toMatch(/Success/);
   });
 
+  it('pauses on a failed tool call and stops when the REPL aborts', async () => {
+    shared.chatMock.mockResolvedValueOnce({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          {
+            id: 'tool_pause',
+            type: 'function',
+            function: { name: 'click_text', arguments: JSON.stringify({ text: 'Missing' }) },
+          },
+        ],
+      },
+      usage: { total_tokens: 7 },
+    });
+    shared.chromeToolSpies.click_text.mockImplementationOnce(async () => { throw new Error('no locator'); });
+    const onToolError = vi.fn(async () => 'abort');
+
+    await expect(
+      turnLoop(browser, baseMessages(), 3, 0, 0, {}, { steps: [], missionName: 'demo', onToolError })
+    ).rejects.toThrow('Mission aborted from the debug REPL.');
+    expect(onToolError).toHaveBeenCalledWith(expect.objectContaining({
+      turn: 0,
+      tool: 'click_text',
+      args: { text: 'Missing' },
+      error: 'ERROR: no locator',
+    }));
+  });
+
+  it('logs added mocks and the requests they answered as step events', async () => {
+    shared.chatMock.mockResolvedValueOnce({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          {
+            id: 'tool_mock',
+            type: 'function',
+            function: { name: 'mock_route', arguments: JSON.stringify({ url: '**/api/orders', method: 'GET', status: 500 }) },
+          },
+        ],
+      },
+      usage: { total_tokens: 7 },
+    });
+    shared.chatMock.mockResolvedValueOnce({
+      message: { role: 'assistant', content: 'FINAL: error banner shown' },
+      usage: { total_tokens: 5 },
+    });
+    browser.drainMockHits = vi.fn()
+      .mockReturnValueOnce([{ method: 'GET', url: 'https://shop.test/api/orders', outcome: '500' }])
+      .mockReturnValue([]);
+
+    const res = await turnLoop(browser, baseMessages(), 2, 0, 0, {}, { steps: [], missionName: 'demo' });
+
+    expect(res.steps[0].events).toContain('🧪 Mocked GET **/api/orders → 500');
+    expect(res.steps[0].events).toContain('🧪 Mock hit: GET https://shop.test/api/orders → 500');
+  });
+
+  it('logs visual comparisons and shows the diff image on the step', async () => {
+    shared.chatMock.mockResolvedValueOnce({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'tool_visual', type: 'function', function: { name: 'compare_screenshot', arguments: '{"name":"cart"}' } },
+        ],
+      },
+      usage: { total_tokens: 7 },
+    });
+    shared.chatMock.mockResolvedValueOnce({
+      message: { role: 'assistant', content: 'FINAL: compared' },
+      usage: { total_tokens: 5 },
+    });
+
+    const res = await turnLoop(browser, baseMessages(), 2, 0, 0, {}, { steps: [], missionName: 'demo' });
+
+    expect(res.steps[0].events).toContain('❌ Visual mismatch: cart — 2.50% of pixels differ (threshold 1.00%); diff: ./visual/cart_1.diff.png');
+    expect(res.steps[0].screenshotPath).toBe('./visual/cart_1.diff.png');
+  });
+
+  it('logs accessibility audit results as step events', async () => {
+    shared.chatMock.mockResolvedValueOnce({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'tool_a11y', type: 'function', function: { name: 'audit_accessibility', arguments: '{}' } },
+        ],
+      },
+      usage: { total_tokens: 7 },
+    });
+    shared.chatMock.mockResolvedValueOnce({
+      message: { role: 'assistant', content: 'FINAL: audited' },
+      usage: { total_tokens: 5 },
+    });
+
+    const res = await turnLoop(browser, baseMessages(), 2, 0, 0, {}, { steps: [], missionName: 'demo' });
+
+    expect(res.steps[0].events).toContain('♿ Accessibility (document): 2 violation(s) — 2 critical');
+    expect(res.steps[0].events).toContain('   critical image-alt ×2: Images must have alternative text (img.logo, #hero)');
+  });
+
+  it('logs console, page and network errors seen after a tool call as step events', async () => {
+    shared.chatMock.mockResolvedValueOnce({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [
+          { id: 'tool_click', type: 'function', function: { name: 'click_text', arguments: JSON.stringify({ text: 'Pay' }) } },
+        ],
+      },
+      usage: { total_tokens: 7 },
+    });
+    shared.chatMock.mockResolvedValueOnce({
+      message: { role: 'assistant', content: 'FINAL: payment failed visibly' },
+      usage: { total_tokens: 5 },
+    });
+    browser.drainDiagnostics = vi.fn()
+      .mockReturnValueOnce([
+        { kind: 'pageerror', text: 'TypeError: total is NaN', ts: 1 },
+        { kind: 'http', method: 'POST', url: 'https://shop.test/api/pay', status: 502, text: '', ts: 2 },
+      ])
+      .mockReturnValue([]);
+
+    const res = await turnLoop(browser, baseMessages(), 2, 0, 0, {}, { steps: [], missionName: 'demo' });
+
+    expect(res.steps[0].events).toContain('💥 Page error: TypeError: total is NaN');
+    expect(res.steps[0].events).toContain('🌐 HTTP 502: POST https://shop.test/api/pay');
+  });
+
+  it('keeps each mission\'s token total while missions share the throttle window', async () => {
+    recordTokenUsage.mockImplementation((window, tokens) => { window.push([Date.now(), tokens]); });
+    let release;
+    const gate = new Promise(r => { release = r; });
+    // Mission A sits in its cooldown check while mission B spends tokens
+    tokenUseCoolOff.mockImplementationOnce(async (total, window) => {
+      await gate;
+      return { shouldBackoff: false, totalTokensUsed: total, turnTimestamps: window };
+    });
+    const final = (tokens) => ({ message: { role: 'assistant', content: 'FINAL: done' }, usage: { total_tokens: tokens }, headers: {} });
+    shared.chatMock.mockResolvedValueOnce(final(700)).mockResolvedValueOnce(final(100));
+
+    const a = turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'A', tokenUsage: [] });
+    const b = await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'B', tokenUsage: [] });
+    release();
+    const resA = await a;
+
+    expect(b.steps[0].totalTokensUsed).toBe(700);
+    expect(resA.steps[0].totalTokensUsed).toBe(100);
+    const window = recordTokenUsage.mock.calls[0][0];
+    expect(recordTokenUsage.mock.calls[1][0]).toBe(window);
+    expect(window.map(([, t]) => t)).toEqual([700, 100]);
+
+    window.length = 0;
+    recordTokenUsage.mockReset();
+  });
+
+  describe('cost tracking', () => {
+    const cost = (budget = {}) => ({ pricing: { 'stub-model': { input: 10, output: 20 } }, budget });
+    const toolTurn = {
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: 'tool_1', type: 'function', function: { name: 'click_text', arguments: JSON.stringify({ text: 'Hello' }) } }],
+      },
+      usage: { total_tokens: 1500, prompt_tokens: 1000, completion_tokens: 500 },
+      headers: {},
+    };
+
+    beforeEach(() => {
+      __resetCostControlForTests();
+    });
+
+    it('records prompt/completion tokens and the price of each step', async () => {
+      shared.chatMock.mockResolvedValueOnce({ ...toolTurn, message: { role: 'assistant', content: 'FINAL: done' } });
+
+      const result = await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'priced', cost: cost() });
+
+      expect(result.steps[0]).toMatchObject({ tokensUsed: 1500, promptTokens: 1000, completionTokens: 500, costUsd: 0.02 });
+      expect(spentSoFar('priced')).toEqual({ run: 0.02, mission: 0.02 });
+    });
+
+    it('stops before the next model call once the mission budget is used up', async () => {
+      shared.chatMock.mockResolvedValueOnce(toolTurn);
+
+      const result = await turnLoop(browser, baseMessages(), 5, 0, 0, {}, {
+        steps: [],
+        missionName: 'capped',
+        cost: cost({ maxUsdPerMission: 0.015 }),
+      });
+
+      expect(shared.chatMock).toHaveBeenCalledTimes(1);
+      expect(result.success).toBe(false);
+      expect(result.budgetExceeded).toBe('mission');
+      expect(result.finalMessage).toMatch(/^FAILURE: budget exceeded: mission "capped" spent \$0\.0200 of its \$0\.0150 limit/);
+      expect(result.steps.at(-1).events[0]).toMatch(/💸 Stopping: budget exceeded/);
+    });
+
+    it('stops at once when earlier missions used up the run budget', async () => {
+      shared.chatMock.mockResolvedValueOnce({ ...toolTurn, message: { role: 'assistant', content: 'FINAL: done' } });
+      await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'first', cost: cost() });
+
+      const result = await turnLoop(browser, baseMessages(), 5, 0, 0, {}, {
+        steps: [],
+        missionName: 'second',
+        cost: cost({ maxUsdPerRun: 0.01 }),
+      });
+      expect(shared.chatMock).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({ success: false, budgetExceeded: 'run' });
+    });
+  });
+
+  describe('vision mode', () => {
+    const VISION = { mode: 'look', maxWidth: 1024, modelSupportsImages: true };
+    const image = (tag) => ({ type: 'image', mimeType: 'image/png', data: Buffer.from(tag), width: 640, height: 360 });
+    const toolCall = (id, name, args = {}) => ({
+      message: {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id, type: 'function', function: { name, arguments: JSON.stringify(args) } }],
+      },
+      usage: { total_tokens: 7 },
+    });
+    const toolNames = (call) => call[0].tools.map(t => t.function.name);
+    const imageMessages = (messages) => messages.filter(m => Array.isArray(m.content) && m.content.some(p => p.type === 'image'));
+
+    it('hides look unless vision is on and the model accepts images', async () => {
+      shared.chatMock.mockResolvedValue({ message: { role: 'assistant', content: 'FINAL: ok' }, usage: { total_tokens: 1 } });
+
+      await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'demo' });
+      await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'demo', vision: { ...VISION, modelSupportsImages: null } });
+      await turnLoop(browser, baseMessages(), 1, 0, 0, {}, { steps: [], missionName: 'demo', vision: VISION });
+
+      expect(toolNames(shared.chatMock.mock.calls[0])).not.toContain('look');
+      expect(toolNames(shared.chatMock.mock.calls[1])).not.toContain('look');
+      expect(toolNames(shared.chatMock.mock.calls[2])).toContain('look');
+    });
+
+    it('attaches the look screenshot to the next turn as an image part', async () => {
+      shared.chatMock
+        .mockResolvedValueOnce(toolCall('tool_look', 'look'))
+        .mockResolvedValueOnce({ message: { role: 'assistant', content: 'FINAL: logo visible' }, usage: { total_tokens: 5 } });
+      browser.drainVisionImage = vi.fn().mockReturnValueOnce(image('a')).mockReturnValue(null);
+
+      const messages = baseMessages();
+      const res = await turnLoop(browser, messages, 2, 0, 0, {}, { steps: [], missionName: 'demo', vision: VISION });
+
+      expect(res.success).toBe(true);
+      expect(shared.chromeToolSpies.look).toHaveBeenCalledTimes(1);
+      const attached = imageMessages(messages);
+      expect(attached).toHaveLength(1);
+      expect(attached[0].role).toBe('user');
+      expect(attached[0].content[1]).toMatchObject({ type: 'image', width: 640, height: 360 });
+      expect(res.steps[0].events).toContain('👁️ Screenshot attached 640x360 (~765 tokens)');
+    });
+
+    it('in auto mode captures after page actions and keeps only the latest screenshot', async () => {
+      shared.chatMock
+        .mockResolvedValueOnce(toolCall('tool_a', 'click_text', { text: 'Next' }))
+        .mockResolvedValueOnce(toolCall('tool_b', 'click_text', { text: 'Next' }))
+        .mockResolvedValueOnce({ message: { role: 'assistant', content: 'FINAL: done' }, usage: { total_tokens: 5 } });
+      browser.drainVisionImage = vi.fn(() => null);
+      browser.captureVisionImage = vi.fn()
+        .mockResolvedValueOnce(image('first'))
+        .mockResolvedValueOnce(image('second'));
+
+      const messages = baseMessages();
+      await turnLoop(browser, messages, 3, 0, 0, {}, { steps: [], missionName: 'demo', vision: { ...VISION, mode: 'auto' } });
+
+      expect(browser.captureVisionImage).toHaveBeenCalledTimes(2);
+      const attached = imageMessages(messages);
+      expect(attached).toHaveLength(1);
+      expect(attached[0].content[0].text).toMatch(/after your last action/);
+      expect(attached[0].content[1].data.toString()).toBe('second');
+      expect(JSON.stringify(messages)).toContain('[screenshot 640x360 omitted – older view]');
+    });
+  });
+
   it('logs unavailable MFA lookups without marking the tool as a success', async () => {
     shared.chatMock.mockResolvedValueOnce({
       message: {
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { runWithConcurrency } from '../../core/workerPool.js';
+
+const deferred = () => {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+};
+
+describe('core/workerPool.runWithConcurrency', () => {
+  it('never runs more than the limit at once', async () => {
+    let active = 0;
+    let peak = 0;
+    const res = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (n) => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await new Promise(r => setTimeout(r, 5));
+      active -= 1;
+      return n * 10;
+    });
+
+    expect(peak).toBe(2);
+    expect(res.map(r => r.value)).toEqual([10, 20, 30, 40, 50]);
+  });
+
+  it('returns results in input order even when later jobs finish first', async () => {
+    const first = deferred();
+    const order = [];
+    const pending = runWithConcurrency(['slow', 'fast'], 2, async (item) => {
+      if (item === 'slow') await first.promise;
+      order.push(item);
+      return item.toUpperCase();
+    });
+
+    await new Promise(r => setTimeout(r, 0));
+    first.resolve();
+    const res = await pending;
+
+    expect(order).toEqual(['fast', 'slow']);
+    expect(res.map(r => r.value)).toEqual(['SLOW', 'FAST']);
+  });
+
+  it('captures per-item errors without rejecting the pool', async () => {
+    const res = await runWithConcurrency(['ok', 'boom'], 3, async (item) => {
+      if (item === 'boom') throw new Error('kaboom');
+      return item;
+    });
+
+    expect(res[0]).toEqual({ item: 'ok', value: 'ok' });
+    expect(res[1].item).toBe('boom');
+    expect(res[1].error.message).toBe('kaboom');
+  });
+
+  it('treats invalid limits as sequential and handles empty input', async () => {
+    let active = 0;
+    let peak = 0;
+    await runWithConcurrency([1, 2, 3], 0, async () => {
+      active += 1;
+      peak = Math.max(peak, active);
+      await Promise.resolve();
+      active -= 1;
+    });
+    expect(peak).toBe(1);
+    expect(await runWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
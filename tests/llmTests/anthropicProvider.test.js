@@ -0,0 +1,150 @@
+// tests/llmTests/anthropicProvider.test.js
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Hoisted shared so the mock factory can access/record state
+const { shared } = vi.hoisted(() => ({
+  shared: {
+    lastUrl: null,
+    lastInit: null,
+    responseFactory: null,
+  },
+}));
+
+const okResponse = (body, headers = {}) => ({
+  ok: true,
+  status: 200,
+  statusText: 'OK',
+  headers: new Map(Object.entries(headers)),
+  text: async () => JSON.stringify(body),
+});
+
+vi.mock('node-fetch', () => ({
+  default: async (url, init) => {
+    shared.lastUrl = url;
+    shared.lastInit = init;
+    return shared.responseFactory();
+  },
+}));
+
+// Import SUT after mocks
+import { AnthropicProvider, __test__ } from '../../llm/anthropic/anthropicProvider.js';
+
+const { toAnthropicMessages } = __test__;
+
+describe('AnthropicProvider', () => {
+  beforeEach(() => {
+    shared.lastUrl = null;
+    shared.lastInit = null;
+    shared.responseFactory = () => okResponse({
+      content: [{ type: 'text', text: 'hello' }],
+      usage: { input_tokens: 100, output_tokens: 20 },
+    });
+  });
+
+  it('throws if constructed without apiKey', () => {
+    expect(() => new AnthropicProvider({})).toThrow(/ANTHROPIC_API_KEY/);
+  });
+
+  it('posts to the messages endpoint with auth, model, system and tools', async () => {
+    const prov = new AnthropicProvider({ apiKey: 'sk-ant-1' });
+    const tools = [
+      { type: 'function', function: { name: 'navigate', description: 'Go', parameters: { type: 'object', properties: { url: { type: 'string' } } } } },
+    ];
+
+    await prov.chat({
+      model: 'claude-sonnet-4-5',
+      messages: [
+        { role: 'system', content: 'be careful' },
+        { role: 'user', content: 'open the site' },
+      ],
+      tools,
+    });
+
+    expect(shared.lastUrl).toBe('https://api.anthropic.com/v1/messages');
+    expect(shared.lastInit.headers['x-api-key']).toBe('sk-ant-1');
+    expect(shared.lastInit.headers['anthropic-version']).toBeTruthy();
+
+    const body = JSON.parse(shared.lastInit.body);
+    expect(body.model).toBe('claude-sonnet-4-5');
+    expect(body.max_tokens).toBeGreaterThan(0);
+    expect(body.system).toBe('be careful');
+    expect(body.messages).toEqual([{ role: 'user', content: [{ type: 'text', text: 'open the site' }] }]);
+    expect(body.tools).toEqual([
+      { name: 'navigate', description: 'Go', input_schema: { type: 'object', properties: { url: { type: 'string' } } } },
+    ]);
+  });
+
+  it('maps tool_calls and tool results to tool_use / tool_result blocks', () => {
+    const { messages } = toAnthropicMessages([
+      { role: 'user', content: 'log in' },
+      {
+        role: 'assistant',
+        content: '',
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'click', arguments: '{"selector":"#go"}' } }],
+      },
+      { role: 'tool', tool_call_id: 'call_1', name: 'click', content: 'OK' },
+      { role: 'tool', tool_call_id: 'call_2', name: 'get_dom', content: '<html/>' },
+    ]);
+
+    expect(messages).toEqual([
+      { role: 'user', content: [{ type: 'text', text: 'log in' }] },
+      { role: 'assistant', content: [{ type: 'tool_use', id: 'call_1', name: 'click', input: { selector: '#go' } }] },
+      {
+        role: 'user',
+        content: [
+          { type: 'tool_result', tool_use_id: 'call_1', content: 'OK' },
+          { type: 'tool_result', tool_use_id: 'call_2', content: '<html/>' },
+        ],
+      },
+    ]);
+  });
+
+  it('starts with a user turn when pruning left an assistant message first', () => {
+    const { messages } = toAnthropicMessages([
+      { role: 'system', content: 'sys' },
+      { role: 'assistant', content: 'Auto-guard: keep going' },
+    ]);
+    expect(messages[0].role).toBe('user');
+    expect(messages[1]).toEqual({ role: 'assistant', content: [{ type: 'text', text: 'Auto-guard: keep going' }] });
+  });
+
+  it('normalizes tool_use responses and usage into the OpenAI-like shape', async () => {
+    shared.responseFactory = () => okResponse(
+      {
+        content: [
+          { type: 'text', text: 'Clicking.' },
+          { type: 'tool_use', id: 'toolu_1', name: 'click', input: { selector: '#submit' } },
+        ],
+        usage: { input_tokens: 300, output_tokens: 40, cache_read_input_tokens: 10, cache_creation_input_tokens: 5 },
+      },
+      { 'anthropic-ratelimit-input-tokens-limit': '40000' }
+    );
+
+    const prov = new AnthropicProvider({ apiKey: 'k' });
+    const { message, usage, headers } = await prov.chat({ model: 'claude-haiku-4-5', messages: [{ role: 'user', content: 'go' }] });
+
+    expect(message).toEqual({
+      role: 'assistant',
+      content: 'Clicking.',
+      tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'click', arguments: '{"selector":"#submit"}' } }],
+    });
+    expect(usage.total_tokens).toBe(355);
+    expect(usage).toMatchObject({ prompt_tokens: 315, completion_tokens: 40, cache_read_tokens: 10, cache_write_tokens: 5 });
+    expect(usage.providerRaw.input_tokens).toBe(300);
+    expect(headers['anthropic-ratelimit-input-tokens-limit']).toBe('40000');
+  });
+
+  it('throws errors that carry status and headers for rate limiting', async () => {
+    shared.responseFactory = () => ({
+      ok: false,
+      status: 429,
+      statusText: 'Too Many Requests',
+      headers: new Map([['retry-after', '5']]),
+      text: async () => JSON.stringify({ error: { message: 'rate limited' } }),
+    });
+
+    const prov = new AnthropicProvider({ apiKey: 'k' });
+    await expect(prov.chat({ model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'go' }] }))
+      .rejects.toMatchObject({ status: 429, headers: { 'retry-after': '5' } });
+  });
+});
@@ -192,6 +192,20 @@ describe('GeminiProvider', () => {
 
     expect(usage.total_tokens).toBe(999);
     expect(usage.providerRaw).toEqual({ totalTokenCount: 999, other: 'meta' });
+    expect(usage.completion_tokens).toBeUndefined();
+  });
+
+  it('reports prompt tokens and counts thinking tokens as completion', async () => {
+    shared.generateResponse = () => ({
+      response: {
+        candidates: [{ content: { parts: [{ text: 'Done' }] } }],
+        usageMetadata: { totalTokenCount: 180, promptTokenCount: 120, candidatesTokenCount: 20, thoughtsTokenCount: 40 },
+      },
+    });
+
+    const prov = new GeminiProvider({ apiKey: 'gk-abc' });
+    const { usage } = await prov.chat({ model: 'gemini-2.5-pro', messages: [{ role: 'user', content: 'go' }] });
+    expect(usage).toMatchObject({ total_tokens: 180, prompt_tokens: 120, completion_tokens: 60 });
   });
 
   it('supports image parts (encoded to inlineData)', async () => {
@@ -217,4 +231,20 @@ describe('GeminiProvider', () => {
     expect(c[0].parts[1].inlineData.mimeType).toBe('image/png');
     expect(typeof c[0].parts[1].inlineData.data).toBe('string'); // base64
   });
+
+  it('defaults the image mime type and drops local size metadata', async () => {
+    const prov = new GeminiProvider({ apiKey: 'gk-xyz' });
+    await prov.chat({
+      model: 'gemini-2.5-flash',
+      messages: [
+        {
+          role: 'user',
+          content: [{ type: 'image', data: Buffer.from([1, 2, 3]), width: 640, height: 360 }],
+        },
+      ],
+    });
+
+    const part = shared.lastContents[0].parts[0];
+    expect(part).toEqual({ inlineData: { mimeType: 'image/png', data: 'AQID' } });
+  });
 });
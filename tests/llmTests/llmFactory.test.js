@@ -6,6 +6,7 @@ const { shared } = vi.hoisted(() => ({
   shared: {
     openAICtor: vi.fn(),
     geminiCtor: vi.fn(),
+    anthropicCtor: vi.fn(),
   },
 }));
 
@@ -25,6 +26,13 @@ vi.mock('../../llm/gemini/geminiProvider.js', () => ({
   },
 }));
 
+vi.mock('../../llm/anthropic/anthropicProvider.js', () => ({
+  AnthropicProvider: function (opts) {
+    shared.anthropicCtor(opts);
+    this.chat = vi.fn(async () => ({ message: { role: 'assistant', content: 'ok' }, usage: {} }));
+  },
+}));
+
 // Import SUT after mocks
 import { getLLM } from '../../llm/llmFactory.js';
 
@@ -35,6 +43,7 @@ describe('getLLM', () => {
     process.env = { ...ORIGINAL_ENV };
     shared.openAICtor.mockClear();
     shared.geminiCtor.mockClear();
+    shared.anthropicCtor.mockClear();
   });
 
   afterEach(() => {
@@ -72,7 +81,35 @@ describe('getLLM', () => {
     expect(typeof llm.chat).toBe('function');
   });
 
+  it('creates Anthropic provider and passes env key', () => {
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-xyz';
+    const llm = getLLM('anthropic');
+    expect(typeof llm.chat).toBe('function');
+    expect(shared.anthropicCtor).toHaveBeenCalledWith(
+      expect.objectContaining({ apiKey: 'sk-ant-xyz' })
+    );
+    expect(shared.openAICtor).not.toHaveBeenCalled();
+  });
+
+  it('creates an OpenAI-compatible provider from env without requiring a key', () => {
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://localhost:11434/v1';
+    delete process.env.OPENAI_COMPATIBLE_API_KEY;
+    const llm = getLLM('openai-compatible');
+    expect(typeof llm.chat).toBe('function');
+    expect(shared.openAICtor).toHaveBeenCalledWith(
+      expect.objectContaining({ baseURL: 'http://localhost:11434/v1', requireApiKey: false })
+    );
+  });
+
+  it('throws for openai-compatible without a baseURL', () => {
+    delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+    expect(() => getLLM('openai-compatible', { baseURL: undefined })).toThrow(/baseURL is required/);
+  });
+
   it('throws on unsupported provider', () => {
-    expect(() => getLLM('anthropic')).toThrow(/Unsupported LLM provider/i);
+    expect(() => getLLM('mistral')).toThrow(/Unsupported LLM provider/i);
+    try { getLLM('mistral'); } catch (err) {
+      expect(err.code).toBe('TESTRONAUT_CONFIG');
+    }
   });
 });
@@ -4,7 +4,7 @@ import fs from 'fs';
 import os from 'os';
 import path from 'path';
 
-import { resolveProviderModel } from '../../llm/modelResolver.js';
+import { resolveProviderModel, resolveOpenAICompatibleOptions, resolveRateLimitAccount, supportsImageInput } from '../../llm/modelResolver.js';
 
 const ORIGINAL_ENV = { ...process.env };
 const originalCwd = process.cwd();
@@ -18,6 +18,8 @@ function writeConfig(dir, obj) {
 function clearResolverEnv() {
   delete process.env.TESTRONAUT_PROVIDER;
   delete process.env.TESTRONAUT_MODEL;
+  delete process.env.OPENAI_COMPATIBLE_BASE_URL;
+  delete process.env.OPENAI_COMPATIBLE_API_KEY;
 }
 
 beforeEach(() => {
@@ -117,3 +119,62 @@ describe('resolveProviderModel', () => {
   });
 
 });
+
+describe('resolveOpenAICompatibleOptions', () => {
+  it('reads baseURL, apiKey and tokensPerMinute from config', () => {
+    const temp = makeTempProject();
+    writeConfig(temp, {
+      provider: 'openai-compatible',
+      model: 'llama3.1',
+      openaiCompatible: { baseURL: 'http://localhost:1234/v1', apiKey: 'lm-studio', tokensPerMinute: 20000 },
+    });
+    expect(resolveOpenAICompatibleOptions({ cwd: temp })).toEqual({
+      baseURL: 'http://localhost:1234/v1',
+      apiKey: 'lm-studio',
+      tokensPerMinute: 20000,
+    });
+  });
+
+  it('lets env override baseURL/apiKey and leaves throttling unset by default', () => {
+    const temp = makeTempProject();
+    writeConfig(temp, { openaiCompatible: { baseURL: 'http://localhost:1234/v1', tokensPerMinute: 0 } });
+    process.env.OPENAI_COMPATIBLE_BASE_URL = 'http://gpu-box:8000/v1';
+    process.env.OPENAI_COMPATIBLE_API_KEY = 'vllm-key';
+    expect(resolveOpenAICompatibleOptions({ cwd: temp })).toEqual({
+      baseURL: 'http://gpu-box:8000/v1',
+      apiKey: 'vllm-key',
+      tokensPerMinute: undefined,
+    });
+  });
+});
+
+describe('resolveRateLimitAccount', () => {
+  it('names the API key, or the server for openai-compatible', () => {
+    const temp = makeTempProject();
+    writeConfig(temp, { openaiCompatible: { baseURL: 'http://localhost:1234/v1' } });
+    process.env.ANTHROPIC_API_KEY = 'sk-ant-1';
+    delete process.env.GEMINI_API_KEY;
+
+    expect(resolveRateLimitAccount('anthropic', { cwd: temp })).toBe('sk-ant-1');
+    expect(resolveRateLimitAccount('gemini', { cwd: temp })).toBe('');
+    expect(resolveRateLimitAccount('openai-compatible', { cwd: temp })).toBe('http://localhost:1234/v1|');
+  });
+});
+
+describe('supportsImageInput', () => {
+  it('knows the multimodal model families of each provider', () => {
+    expect(supportsImageInput('openai', 'gpt-4o-mini')).toBe(true);
+    expect(supportsImageInput('openai', 'gpt-5.1')).toBe(true);
+    expect(supportsImageInput('openai', 'gpt-3.5-turbo')).toBe(false);
+    expect(supportsImageInput('gemini', 'gemini-2.5-flash')).toBe(true);
+    expect(supportsImageInput('anthropic', 'claude-sonnet-4-5')).toBe(true);
+    expect(supportsImageInput('openai-compatible', 'qwen2.5-vl:7b')).toBe(true);
+    expect(supportsImageInput('openai-compatible', 'llama3.1')).toBe(false);
+    expect(supportsImageInput('mystery', 'gpt-4o')).toBe(false);
+  });
+
+  it('lets the config override the model list', () => {
+    expect(supportsImageInput('openai-compatible', 'my-finetune', { override: true })).toBe(true);
+    expect(supportsImageInput('openai', 'gpt-4o', { override: false })).toBe(false);
+  });
+});
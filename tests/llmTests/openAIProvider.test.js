@@ -61,6 +61,11 @@ describe('OpenAIProvider', () => {
     expect(typeof p.chat).toBe('function');
   });
 
+  it('passes baseURL through and allows a missing key for compatible servers', () => {
+    new OpenAIProvider({ baseURL: 'http://localhost:11434/v1', requireApiKey: false });
+    expect(shared.ctorOpts).toEqual({ apiKey: 'not-needed', baseURL: 'http://localhost:11434/v1' });
+  });
+
   it('calls chat.completions.create with model/messages/tools', async () => {
     const prov = new OpenAIProvider({ apiKey: 'sk-abc' });
     const tools = [{ type: 'function', function: { name: 'doThing', parameters: { type: 'object' } } }];
@@ -87,6 +92,7 @@ describe('OpenAIProvider', () => {
 
     expect(message).toEqual({ role: 'assistant', content: 'hello' });
     expect(usage.total_tokens).toBe(321);
+    expect(usage).toMatchObject({ prompt_tokens: 100, completion_tokens: 221 });
     expect(usage.providerRaw).toEqual({ total_tokens: 321, prompt_tokens: 100, completion_tokens: 221 });
     expect(headers).toEqual({ 'x-ratelimit-limit-tokens': '90000' });
   });
@@ -114,4 +120,30 @@ describe('OpenAIProvider', () => {
     const { message } = await prov.chat({ model: 'gpt-4o', messages: [] });
     expect(message).toEqual({ role: 'assistant', content: '' });
   });
+
+  it('maps internal image parts to image_url data URLs', async () => {
+    const prov = new OpenAIProvider({ apiKey: 'sk-abc' });
+    const plain = { role: 'user', content: 'hi' };
+    await prov.chat({
+      model: 'gpt-4o',
+      messages: [
+        plain,
+        {
+          role: 'user',
+          content: [
+            { type: 'text', text: 'see image' },
+            { type: 'image', mimeType: 'image/png', data: Buffer.from([1, 2, 3]), width: 10, height: 5 },
+          ],
+        },
+      ],
+    });
+
+    const sent = shared.lastCreateArgs.messages;
+    expect(sent[0]).toBe(plain);
+    expect(sent[1].content[0]).toEqual({ type: 'text', text: 'see image' });
+    expect(sent[1].content[1]).toEqual({
+      type: 'image_url',
+      image_url: { url: 'data:image/png;base64,AQID' },
+    });
+  });
 });
@@ -1,4 +1,7 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 // Mocks
 vi.mock('../../core/agent.js', () => ({ runAgent: vi.fn() }));
@@ -13,14 +16,37 @@ vi.mock('../../core/config.js', () => ({
   getDomListLimit: vi.fn(),
   getResourceGuardConfig: vi.fn(),
   getHumanInputConfig: vi.fn(),
+  getRecordingConfig: vi.fn(),
+  getMissionRetries: vi.fn(),
+  getArtifactsConfig: vi.fn(),
+  getDebugBrowserConfig: vi.fn(),
+  getBrowserEngines: vi.fn(),
+  getContextProfile: vi.fn(),
+  getAuthStateConfig: vi.fn(),
+  getDiagnosticsConfig: vi.fn(),
+  getVisualConfig: vi.fn(),
+  getVisionConfig: vi.fn(),
+  getDomMode: vi.fn(),
+  getCostConfig: vi.fn(),
 }));
 
 import { runAgent } from '../../core/agent.js';
-import { loadConfig, enforceTurnBudget, getRetryLimit, getDomListLimit, getResourceGuardConfig, getHumanInputConfig } from '../../core/config.js';
+import { loadConfig, enforceTurnBudget, getRetryLimit, getDomListLimit, getResourceGuardConfig, getHumanInputConfig, getRecordingConfig, getMissionRetries, getArtifactsConfig, getDebugBrowserConfig, getBrowserEngines, getContextProfile, getAuthStateConfig, getDiagnosticsConfig, getVisualConfig, getVisionConfig, getDomMode, getCostConfig } from '../../core/config.js';
 
 // Adjust the import path if your file lives elsewhere
 import { runMissions, __test__ as testronautInternals } from '../../runner/testronaut.js';
 
+const DEBUG_BROWSER_OFF = { headed: false, slowMo: 0, pauseOnFailure: false, source: { headed: 'default', slowMo: 'default', pauseOnFailure: 'default' }, clamped: false };
+const NO_PROFILE = { name: null, device: null, contextOptions: {}, source: 'default' };
+const AUTH_PATH = path.join(os.tmpdir(), 'testronaut-runner-no-auth', 'storage-state.json');
+const AUTH_DEFAULT = { path: AUTH_PATH, configured: false, maxAgeMinutes: null, setupMission: null, mode: null, source: 'default' };
+const DIAGNOSTICS_OFF = { failOnPageError: false, source: 'default' };
+const VISUAL_DEFAULT = { baselineDir: '/tmp/baselines', threshold: 0, pixelTolerance: 0.1, onMismatch: 'fail', source: 'default' };
+const VISION_OFF = { mode: 'off', maxWidth: 1024, modelSupportsImages: null, source: 'default' };
+const COST_DEFAULT = { pricing: {}, budget: { maxUsdPerRun: null, maxUsdPerMission: null }, source: 'default' };
+const NO_AUTH = { storageState: null, skipPreMission: false, saveAfter: null, path: AUTH_PATH };
+const ARTIFACTS_OFF = { trace: 'off', video: 'off', har: 'off', runId: null, source: { trace: 'default', video: 'default', har: 'default' }, invalid: [] };
+
 describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
   const OLD_ENV = { ...process.env };
   beforeEach(() => {
@@ -31,6 +57,18 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
     getDomListLimit.mockReturnValue({ value: 3, mode: 'number', source: 'default', clamped: false });
     getResourceGuardConfig.mockReturnValue({ enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] });
     getHumanInputConfig.mockReturnValue({ enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false });
+    getRecordingConfig.mockReturnValue({ record: false, replayRunId: null, runId: null, source: 'default' });
+    getMissionRetries.mockReturnValue({ value: 0, source: 'default', clamped: false });
+    getArtifactsConfig.mockReturnValue(ARTIFACTS_OFF);
+    getDebugBrowserConfig.mockReturnValue(DEBUG_BROWSER_OFF);
+    getBrowserEngines.mockReturnValue({ value: ['chromium'], source: 'default' });
+    getContextProfile.mockReturnValue(NO_PROFILE);
+    getAuthStateConfig.mockReturnValue(AUTH_DEFAULT);
+    getDiagnosticsConfig.mockReturnValue(DIAGNOSTICS_OFF);
+    getVisualConfig.mockReturnValue(VISUAL_DEFAULT);
+    getVisionConfig.mockReturnValue(VISION_OFF);
+    getDomMode.mockReturnValue({ mode: 'html', source: 'default' });
+    getCostConfig.mockReturnValue(COST_DEFAULT);
   });
 
   it('passes effectiveMax to runAgent and logs any notes', async () => {
@@ -58,7 +96,7 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
       expect.stringContaining('Clamping to 200')
     );
     expect(runAgent).toHaveBeenCalledWith(
-      expect.any(Array), 'Budgeted Run', 200, 2, { domListLimit: 3, debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false } }
+      expect.any(Array), 'Budgeted Run', 200, 2, { domListLimit: 3, domMode: 'html', debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false }, recording: { record: false, replayRunId: null, runId: null, source: 'default' }, artifacts: ARTIFACTS_OFF, debugBrowser: DEBUG_BROWSER_OFF, browser: 'chromium', profile: NO_PROFILE, auth: NO_AUTH, mocks: [], diagnostics: DIAGNOSTICS_OFF, visual: VISUAL_DEFAULT, vision: VISION_OFF, cost: COST_DEFAULT }
     );
 
     warn.mockRestore();
@@ -85,7 +123,7 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
     await runMissions({ mission: 'No warnings' }, 'Clean');
 
     expect(warn).not.toHaveBeenCalled();
-    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'Clean', 20, 3, { domListLimit: 3, debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false } });
+    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'Clean', 20, 3, { domListLimit: 3, domMode: 'html', debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false }, recording: { record: false, replayRunId: null, runId: null, source: 'default' }, artifacts: ARTIFACTS_OFF, debugBrowser: DEBUG_BROWSER_OFF, browser: 'chromium', profile: NO_PROFILE, auth: NO_AUTH, mocks: [], diagnostics: DIAGNOSTICS_OFF, visual: VISUAL_DEFAULT, vision: VISION_OFF, cost: COST_DEFAULT });
 
     warn.mockRestore();
     log.mockRestore();
@@ -117,6 +155,48 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
     log.mockRestore();
   });
 
+  it('passes artifact modes through and warns about invalid ones', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 20, limits: {}, notes: [], strict: false });
+    const artifacts = { trace: 'retain-on-failure', video: 'off', runId: 'run_1', source: { trace: 'env', video: 'default' }, invalid: ['TESTRONAUT_VIDEO=sometimes'] };
+    getArtifactsConfig.mockReturnValue(artifacts);
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    runAgent.mockResolvedValue([{ steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }]);
+
+    await runMissions({ mission: 'Trace me' }, 'Trace Mission');
+
+    expect(runAgent.mock.calls[0][4].artifacts).toBe(artifacts);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('TESTRONAUT_VIDEO=sometimes'));
+
+    warn.mockRestore();
+    log.mockRestore();
+  });
+
+  it('applies a mission har option unless --har/TESTRONAUT_HAR set one', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 20, limits: {}, notes: [], strict: false });
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    runAgent.mockResolvedValue([{ steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }]);
+
+    await runMissions({ mission: 'Checkout', har: true }, 'Har Mission');
+    expect(runAgent.mock.calls[0][4].artifacts).toEqual({ ...ARTIFACTS_OFF, har: 'on' });
+
+    getArtifactsConfig.mockReturnValue({ ...ARTIFACTS_OFF, har: 'off', source: { ...ARTIFACTS_OFF.source, har: 'env' } });
+    await runMissions({ mission: 'Checkout', har: 'retain-on-failure' }, 'Har Mission');
+    expect(runAgent.mock.calls[1][4].artifacts.har).toBe('off');
+
+    const res = await runMissions({ mission: 'Checkout', har: 'sometimes' }, 'Broken Har');
+    expect(res[0]).toMatchObject({ status: 'errored', error: { kind: 'config' } });
+    expect(res[0].error.message).toMatch(/Invalid har option "sometimes"/);
+    expect(runAgent).toHaveBeenCalledTimes(2);
+
+    log.mockRestore();
+    error.mockRestore();
+  });
+
   it('marks first mission failed when last step result includes "failure"', async () => {
     loadConfig.mockResolvedValue({});
     enforceTurnBudget.mockReturnValue({
@@ -178,11 +258,48 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
     expect(goals[1].submissionName).toMatch(/^My Mission/);
 
     // Effective max turns and retry limit passed through
-    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'My Mission', 15, 2, { domListLimit: 3, debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false } });
+    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'My Mission', 15, 2, { domListLimit: 3, domMode: 'html', debug: false, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false }, recording: { record: false, replayRunId: null, runId: null, source: 'default' }, artifacts: ARTIFACTS_OFF, debugBrowser: DEBUG_BROWSER_OFF, browser: 'chromium', profile: NO_PROFILE, auth: NO_AUTH, mocks: [], diagnostics: DIAGNOSTICS_OFF, visual: VISUAL_DEFAULT, vision: VISION_OFF, cost: COST_DEFAULT });
+
+    log.mockRestore();
+  });
+
+  it('turns structured missions into numbered steps with expectations', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 15, limits: {}, notes: [], strict: false });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    runAgent.mockResolvedValue([{ steps: [{ result: 'SUCCESS: done' }], status: 'passed' }]);
+
+    await runMissions({
+      mission: {
+        steps: ['Open https://example.com', 'Click "More information"'],
+        expect: [{ type: 'url', includes: 'iana.org' }],
+      },
+    }, 'Structured');
+
+    const [goal] = runAgent.mock.calls[0][0];
+    expect(goal.goal).toMatch(/^Complete these steps in order:\n1\. Open https:\/\/example\.com\n2\. Click "More information"/);
+    expect(goal.goal).toContain('URL includes "iana.org"');
+    expect(goal.expect).toEqual([{ type: 'url', includes: 'iana.org' }]);
+    expect(goal.submissionName).toBe('Structured');
 
     log.mockRestore();
   });
 
+  it('returns a config-errored entry for invalid expectations without running the agent', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 15, limits: {}, notes: [], strict: false });
+
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const res = await runMissions({ mission: { steps: ['Go'], expect: [{ type: 'colour' }] } }, 'Bad Expect');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res[0]).toMatchObject({ status: 'errored', error: { kind: 'config' } });
+    expect(res[0].error.message).toMatch(/unknown type "colour"/);
+
+    error.mockRestore();
+  });
+
   it('aborts early when runAgent returns falsy (defensive)', async () => {
     loadConfig.mockResolvedValue({});
     enforceTurnBudget.mockReturnValue({
@@ -196,9 +313,259 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
     runAgent.mockResolvedValue(null); // simulate unexpected falsy
 
     const res = await runMissions({ mission: 'Edge case' }, 'Abort');
-    expect(res).toBeUndefined();
+    expect(res).toHaveLength(1);
+    expect(res[0]).toMatchObject({
+      missionName: 'Abort',
+      submissionType: 'mission',
+      status: 'errored',
+      error: { message: 'Agent returned no results', kind: 'infra' },
+    });
+
+    log.mockRestore();
+  });
+
+  it('records an errored entry when runAgent throws', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    runAgent.mockRejectedValue(new Error('browserType.launch: Executable does not exist'));
+
+    const res = await runMissions({ mission: 'Launch' }, 'Crash');
+    expect(res[0].status).toBe('errored');
+    expect(res[0].error.message).toMatch(/Executable does not exist/);
+
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('runs the mission once per browser engine and records the engine on each entry', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    getBrowserEngines.mockReturnValue({ value: ['chromium', 'webkit'], source: 'config' });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    runAgent
+      .mockResolvedValueOnce([{ missionName: 'Cross', steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }])
+      .mockRejectedValueOnce(new Error('webkit crashed'));
+
+    const res = await runMissions({ mission: 'Open the app' }, 'Cross');
+
+    expect(runAgent.mock.calls.map(c => c[4].browser)).toEqual(['chromium', 'webkit']);
+    expect(res.map(r => [r.browser, r.status])).toEqual([['chromium', 'passed'], ['webkit', 'errored']]);
+
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('passes the mission profile to the config and stamps its name on entries', async () => {
+    loadConfig.mockResolvedValue({ profiles: { mobile: { device: 'iPhone 14' } } });
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const mobile = { name: 'mobile', device: 'iPhone 14', contextOptions: {}, source: 'mission' };
+    getContextProfile.mockReturnValue(mobile);
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    runAgent.mockResolvedValueOnce([{ missionName: 'Phone', steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }]);
+
+    const res = await runMissions({ mission: 'Open the app', profile: 'mobile' }, 'Phone');
+
+    expect(getContextProfile).toHaveBeenCalledWith({ profiles: { mobile: { device: 'iPhone 14' } } }, 'mobile');
+    expect(runAgent.mock.calls[0][4].profile).toBe(mobile);
+    expect(res[0].profile).toBe('mobile');
+    log.mockRestore();
+  });
+
+  it('returns a config-errored entry for an invalid profile', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const err = Object.assign(new Error('profiles.mobile: must be an object'), { code: 'TESTRONAUT_CONFIG' });
+    getContextProfile.mockImplementation(() => { throw err; });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runMissions({ mission: 'Open the app', profile: 'mobile' }, 'Phone');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res).toHaveLength(1);
+    expect(res[0]).toMatchObject({ missionName: 'Phone', status: 'errored', error: { kind: 'config' } });
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('returns a config-errored entry for invalid visual settings', async () => {
+    loadConfig.mockResolvedValue({ visual: { threshold: 2 } });
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const err = Object.assign(new Error('visual.threshold must be a number from 0 to 1 (got "2")'), { code: 'TESTRONAUT_CONFIG' });
+    getVisualConfig.mockImplementation(() => { throw err; });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runMissions({ mission: 'Open the app' }, 'Looks');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res[0]).toMatchObject({ missionName: 'Looks', status: 'errored', error: { kind: 'config' } });
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('returns a config-errored entry for invalid vision settings', async () => {
+    loadConfig.mockResolvedValue({ vision: 'always' });
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const err = Object.assign(new Error('vision.mode must be one of off, look, auto (got "always")'), { code: 'TESTRONAUT_CONFIG' });
+    getVisionConfig.mockImplementation(() => { throw err; });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runMissions({ mission: 'Open the app' }, 'Sees');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res[0]).toMatchObject({ missionName: 'Sees', status: 'errored', error: { kind: 'config' } });
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('returns a config-errored entry for an unknown DOM mode', async () => {
+    loadConfig.mockResolvedValue({ dom: { mode: 'yaml' } });
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const err = Object.assign(new Error('dom.mode must be one of html, aria (got "yaml")'), { code: 'TESTRONAUT_CONFIG' });
+    getDomMode.mockImplementation(() => { throw err; });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
 
+    const res = await runMissions({ mission: 'Open the app' }, 'Outline');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res[0]).toMatchObject({ missionName: 'Outline', status: 'errored', error: { kind: 'config' } });
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('returns a config-errored entry for an invalid budget', async () => {
+    loadConfig.mockResolvedValue({ budget: { maxUsdPerRun: -1 } });
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const err = Object.assign(new Error('budget.maxUsdPerRun must be a positive number (got -1)'), { code: 'TESTRONAUT_CONFIG' });
+    getCostConfig.mockImplementation(() => { throw err; });
+
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await runMissions({ mission: 'Open the app' }, 'Budgeted');
+
+    expect(runAgent).not.toHaveBeenCalled();
+    expect(res[0]).toMatchObject({ missionName: 'Budgeted', status: 'errored', error: { kind: 'config' } });
+    expect(error).toHaveBeenCalledWith(expect.stringMatching(/Invalid cost settings/));
+    log.mockRestore();
+    error.mockRestore();
+  });
+
+  it('validates mission mocks and passes them to the agent', async () => {
+    loadConfig.mockResolvedValue({});
+    enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    runAgent.mockResolvedValueOnce([{ missionName: 'Mocked', steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }]);
+
+    await runMissions({ mission: 'Open orders', mocks: [{ url: '**/api/orders', method: 'get', status: 500 }] }, 'Mocked');
+    expect(runAgent.mock.calls[0][4].mocks).toMatchObject([{ url: '**/api/orders', method: 'GET', mode: 'fulfill', status: 500 }]);
+
+    const res = await runMissions({ mission: 'Open orders', mocks: [{ url: '/api', fixture: 'missing.json' }] }, 'Broken');
+    expect(runAgent).toHaveBeenCalledTimes(1);
+    expect(res[0]).toMatchObject({ status: 'errored', error: { kind: 'config' } });
+    expect(res[0].error.message).toMatch(/Fixture not found/);
     log.mockRestore();
+    error.mockRestore();
+  });
+
+  describe('stored auth state', () => {
+    let tmpDir;
+    let authPath;
+    const goalsOf = (call) => call[0].map(g => g.submissionType);
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-runner-auth-'));
+      authPath = path.join(tmpDir, 'storage-state.json');
+      getAuthStateConfig.mockReturnValue({ ...AUTH_DEFAULT, path: authPath, configured: true, source: 'config' });
+      loadConfig.mockResolvedValue({});
+      enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+    });
+    afterEach(() => {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+    const writeState = () => fs.writeFileSync(authPath, JSON.stringify({ cookies: [], origins: [] }));
+    const passed = (...types) => types.map(t => ({ missionName: 'Auth', submissionType: t, steps: [{ result: 'SUCCESS: ok' }], status: 'passed' }));
+
+    it('runs the login preMission and asks the agent to save the state when none is stored', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValueOnce(passed('premission', 'mission'));
+
+      const res = await runMissions({ preMission: 'Log in', mission: 'Open settings', auth: 'preMission' }, 'Auth');
+
+      expect(goalsOf(runAgent.mock.calls[0])).toEqual(['premission', 'mission']);
+      expect(runAgent.mock.calls[0][4].auth).toEqual({ storageState: null, skipPreMission: false, saveAfter: 'preMission', path: authPath });
+      expect(res.every(r => r.authState === undefined)).toBe(true);
+      log.mockRestore();
+    });
+
+    it('skips the preMission and loads a valid stored state', async () => {
+      writeState();
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValueOnce(passed('mission'));
+
+      const res = await runMissions({ preMission: 'Log in', mission: 'Open settings', auth: 'preMission' }, 'Auth');
+
+      expect(goalsOf(runAgent.mock.calls[0])).toEqual(['mission']);
+      expect(runAgent.mock.calls[0][4].auth).toMatchObject({ storageState: authPath, skipPreMission: true });
+      expect(res[0].authState).toBe('reused');
+      log.mockRestore();
+    });
+
+    it('clears a stored state that no longer works and reruns with the preMission', async () => {
+      writeState();
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent
+        .mockResolvedValueOnce([{ missionName: 'Auth', submissionType: 'mission', steps: [{ result: 'FAILURE: redirected to login' }], status: 'failed' }])
+        .mockResolvedValueOnce(passed('premission', 'mission'));
+
+      const res = await runMissions({ preMission: 'Log in', mission: 'Open settings', auth: 'preMission' }, 'Auth');
+
+      expect(runAgent).toHaveBeenCalledTimes(2);
+      expect(fs.existsSync(authPath)).toBe(false);
+      expect(goalsOf(runAgent.mock.calls[1])).toEqual(['premission', 'mission']);
+      expect(runAgent.mock.calls[1][4].auth).toMatchObject({ storageState: null, saveAfter: 'preMission' });
+      expect(res.map(r => r.status)).toEqual(['passed', 'passed']);
+      log.mockRestore();
+    });
+
+    it('loads a configured state for plain missions and ignores it when auth is false', async () => {
+      writeState();
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValue(passed('mission'));
+
+      await runMissions({ mission: 'Open settings' }, 'Auth');
+      await runMissions({ mission: 'Open the landing page', auth: false }, 'Anon');
+
+      expect(runAgent.mock.calls[0][4].auth.storageState).toBe(authPath);
+      expect(runAgent.mock.calls[1][4].auth.storageState).toBeNull();
+      runAgent.mockReset();
+      log.mockRestore();
+    });
+
+    it('returns a config-errored entry for an unknown auth option', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      const res = await runMissions({ mission: 'Open settings', auth: 'sometimes' }, 'Auth');
+
+      expect(runAgent).not.toHaveBeenCalled();
+      expect(res[0]).toMatchObject({ status: 'errored', error: { kind: 'config' } });
+      log.mockRestore();
+      error.mockRestore();
+    });
   });
 
   it('passes debug flag through when TESTRONAUT_DEBUG is set', async () => {
@@ -217,7 +584,7 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
 
     await runMissions({ mission: 'Debug' }, 'Debug Mission');
 
-    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'Debug Mission', 20, 2, { domListLimit: 3, debug: true, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false } });
+    expect(runAgent).toHaveBeenCalledWith(expect.any(Array), 'Debug Mission', 20, 2, { domListLimit: 3, domMode: 'html', debug: true, resourceGuard: { enabled: true, hrefIncludes: ['/document/'], dataTypes: ['document'] }, humanInput: { enabled: true, timeoutSeconds: 60, source: { enabled: 'default', timeout: 'default' }, clamped: false }, recording: { record: false, replayRunId: null, runId: null, source: 'default' }, artifacts: ARTIFACTS_OFF, debugBrowser: DEBUG_BROWSER_OFF, browser: 'chromium', profile: NO_PROFILE, auth: NO_AUTH, mocks: [], diagnostics: DIAGNOSTICS_OFF, visual: VISUAL_DEFAULT, vision: VISION_OFF, cost: COST_DEFAULT });
 
     log.mockRestore();
   });
@@ -233,4 +600,80 @@ describe('cli/testronaut.runMissions (with enforceTurnBudget)', () => {
       expect(formatListLimit(5)).toBe(5);
     });
   });
+
+  describe('mission retries', () => {
+    beforeEach(() => {
+      loadConfig.mockResolvedValue({});
+      enforceTurnBudget.mockReturnValue({ effectiveMax: 10, limits: {}, notes: [], strict: false });
+      getMissionRetries.mockReturnValue({ value: 2, source: 'config', clamped: false });
+    });
+
+    it('reruns a failed mission and flags it flaky when a retry passes', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent
+        .mockResolvedValueOnce([{ submissionType: 'mission', submissionName: 'Checkout', status: 'failed', finalMessage: 'FAILURE: 502', steps: [{ result: 'FAILURE: 502' }], stepFile: '/tmp/a1.jsonl', tokensUsed: 10 }])
+        .mockResolvedValueOnce([{ submissionType: 'mission', submissionName: 'Checkout', status: 'passed', finalMessage: 'SUCCESS: paid', steps: [{ result: 'SUCCESS: paid' }], stepFile: '/tmp/a2.jsonl', tokensUsed: 12 }]);
+
+      const res = await runMissions({ mission: 'Buy something' }, 'Checkout');
+
+      expect(runAgent).toHaveBeenCalledTimes(2);
+      expect(res).toHaveLength(1);
+      expect(res[0]).toMatchObject({ status: 'passed', attempt: 2, flaky: true, stepFile: '/tmp/a2.jsonl' });
+      expect(res[0].previousAttempts).toEqual([
+        expect.objectContaining({ attempt: 1, status: 'failed', finalMessage: 'FAILURE: 502', stepFile: '/tmp/a1.jsonl', tokensUsed: 10, costUsd: null }),
+      ]);
+      log.mockRestore();
+    });
+
+    it('stops after the configured number of retries', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValue([{ submissionType: 'mission', submissionName: 'M', status: 'failed', steps: [] }]);
+
+      const res = await runMissions({ mission: 'Always fails' }, 'M');
+
+      expect(runAgent).toHaveBeenCalledTimes(3);
+      expect(res[0]).toMatchObject({ status: 'failed', attempt: 3 });
+      expect(res[0].flaky).toBeUndefined();
+      expect(res[0].previousAttempts.map(a => a.attempt)).toEqual([1, 2]);
+      log.mockRestore();
+    });
+
+    it('does not retry passing missions or configuration errors', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValueOnce([{ submissionType: 'mission', submissionName: 'ok', status: 'passed', steps: [] }]);
+      const ok = await runMissions({ mission: 'Fine' }, 'ok');
+      expect(runAgent).toHaveBeenCalledTimes(1);
+      expect(ok[0].attempt).toBeUndefined();
+
+      const { shouldRetryAttempt } = testronautInternals;
+      expect(shouldRetryAttempt([{ status: 'errored', error: { kind: 'config' } }])).toBe(false);
+      expect(shouldRetryAttempt([{ status: 'errored', error: { kind: 'infra' } }])).toBe(true);
+      log.mockRestore();
+    });
+
+    it('does not retry a mission stopped by the budget', async () => {
+      const log = vi.spyOn(console, 'log').mockImplementation(() => {});
+      runAgent.mockResolvedValue([{ submissionType: 'mission', submissionName: 'M', status: 'failed', budgetExceeded: 'mission', finalMessage: 'FAILURE: budget exceeded', steps: [], costUsd: 0.02 }]);
+
+      const res = await runMissions({ mission: 'Expensive' }, 'M');
+
+      expect(runAgent).toHaveBeenCalledTimes(1);
+      expect(res[0]).toMatchObject({ status: 'failed', budgetExceeded: 'mission', costUsd: 0.02 });
+      expect(res[0].previousAttempts).toBeUndefined();
+      log.mockRestore();
+    });
+
+    it('keeps submissions the final attempt never reached', () => {
+      const { mergeAttempts } = testronautInternals;
+      const merged = mergeAttempts(
+        [{ submissionType: 'premission', submissionName: 'login', status: 'failed', steps: [] }],
+        [[
+          { submissionType: 'premission', submissionName: 'login', status: 'passed', steps: [] },
+          { submissionType: 'mission', submissionName: 'main', status: 'failed', steps: [{ result: 'x' }] },
+        ]]
+      );
+      expect(merged[0].previousAttempts.map(a => `${a.attempt}:${a.submissionName}`)).toEqual(['1:login', '1:main']);
+      expect(merged[0].flaky).toBeUndefined();
+    });
+  });
 });
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  A11Y_RULES,
+  A11Y_IMPACTS,
+  runA11yRules,
+  compactA11yResult,
+  formatA11yEvent,
+  summarizeAccessibility,
+} from '../../tools/a11yAudit.js';
+
+const node = (target) => ({ target, html: `<x id="${target}">` });
+
+describe('tools/a11yAudit', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('gives every rule a known impact and help text', () => {
+    for (const [id, rule] of Object.entries(A11Y_RULES)) {
+      expect(A11Y_IMPACTS, id).toContain(rule.impact);
+      expect(rule.help).toBeTruthy();
+    }
+  });
+
+  it('reports a scope selector that matches nothing', () => {
+    vi.stubGlobal('document', { querySelector: () => null });
+    vi.stubGlobal('location', { href: 'https://shop.test/' });
+    expect(runA11yRules({ selector: '#missing' })).toEqual({
+      url: 'https://shop.test/', scope: '#missing', violations: [], error: 'No element matches #missing',
+    });
+  });
+
+  it('compacts violations, most severe first, with a few targets each', () => {
+    const result = compactA11yResult({
+      url: 'https://shop.test/',
+      scope: 'document',
+      violations: [
+        { rule: 'duplicate-id', nodes: [node('a')] },
+        { rule: 'image-alt', nodes: ['1', '2', '3', '4', '5', '6', '7'].map(node) },
+        { rule: 'color-contrast', nodes: [node('p')] },
+      ],
+    });
+    expect(result.violations.map(v => v.rule)).toEqual(['image-alt', 'color-contrast', 'duplicate-id']);
+    expect(result.violations[0]).toEqual({
+      rule: 'image-alt', impact: 'critical', help: 'Images must have alternative text', count: 7, targets: ['1', '2', '3', '4', '5'],
+    });
+    expect(result.counts).toEqual({ critical: 7, serious: 1, moderate: 0, minor: 1 });
+  });
+
+  it('formats a one-line step event', () => {
+    expect(formatA11yEvent(compactA11yResult({ scope: 'form', violations: [{ rule: 'label', nodes: [node('a'), node('b')] }] })))
+      .toBe('♿ Accessibility (form): 2 violation(s) — 2 critical');
+    expect(formatA11yEvent(compactA11yResult({ violations: [] }))).toBe('♿ Accessibility (document): no violations');
+  });
+
+  it('counts repeated audits of the same page once', () => {
+    const audit = compactA11yResult({ url: 'https://shop.test/', scope: 'document', violations: [{ rule: 'link-name', nodes: [node('a'), node('b')] }] });
+    const smaller = compactA11yResult({ url: 'https://shop.test/', scope: 'document', violations: [{ rule: 'link-name', nodes: [node('a')] }] });
+    const other = compactA11yResult({ url: 'https://shop.test/cart', scope: 'document', violations: [{ rule: 'tabindex', nodes: [node('x')] }] });
+
+    expect(summarizeAccessibility([{ accessibility: [audit, smaller] }, { accessibility: [other] }, {}])).toEqual({
+      audits: 3, critical: 0, serious: 3, moderate: 0, minor: 0,
+    });
+    expect(summarizeAccessibility([{ status: 'passed' }])).toBeNull();
+  });
+});
@@ -0,0 +1,201 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  collectAriaTree,
+  formatAriaTree,
+  isRef,
+  parseRef,
+  refSelector,
+  sensitiveRefsOf,
+  stampRefs,
+} from '../../tools/ariaSnapshot.js';
+
+// Minimal DOM stand-in: just the element API collectAriaTree relies on
+const text = (t) => ({ nodeType: 3, textContent: t });
+const el = (tagName, attrs = {}, children = [], props = {}) => {
+  const node = {
+    nodeType: 1,
+    tagName,
+    attributes: { ...attrs },
+    childNodes: children,
+    parentElement: null,
+    ...props,
+    getAttribute(name) { return name in this.attributes ? this.attributes[name] : null; },
+    setAttribute(name, value) { this.attributes[name] = String(value); },
+  };
+  Object.defineProperty(node, 'textContent', {
+    get() { return this.childNodes.map(c => c.textContent).join(''); },
+  });
+  for (const child of children) child.parentElement = node;
+  return node;
+};
+const walkAll = (node, fn) => {
+  fn(node);
+  for (const child of node.childNodes || []) walkAll(child, fn);
+};
+
+function stubPage(body, { title = 'Shop' } = {}) {
+  const find = (pred) => {
+    let hit = null;
+    walkAll(body, (n) => { if (!hit && n.nodeType === 1 && pred(n)) hit = n; });
+    return hit;
+  };
+  vi.stubGlobal('document', {
+    body,
+    title,
+    querySelector: (sel) => {
+      const forMatch = /^label\[for="(.+)"\]$/.exec(sel);
+      if (forMatch) return find(n => n.tagName === 'LABEL' && n.getAttribute('for') === forMatch[1]);
+      const idMatch = /^#(.+)$/.exec(sel);
+      return idMatch ? find(n => n.getAttribute('id') === idMatch[1]) : null;
+    },
+    getElementById: (id) => find(n => n.getAttribute('id') === id),
+  });
+  vi.stubGlobal('location', { href: 'https://shop.test/checkout' });
+  vi.stubGlobal('window', {});
+  vi.stubGlobal('getComputedStyle', (node) => ({
+    display: node.getAttribute('data-display') || 'block',
+    visibility: 'visible',
+    cursor: node.getAttribute('data-cursor') || 'auto',
+  }));
+}
+
+const checkoutPage = () => el('BODY', {}, [
+  el('NAV', { 'aria-label': 'Main' }, [
+    el('UL', {}, [el('LI', {}, [el('A', { href: '/orders' }, [text('Orders')])])]),
+  ]),
+  el('DIV', {}, [el('H1', {}, [text('Checkout')])]),
+  el('LABEL', { for: 'email' }, [text('Email')]),
+  el('INPUT', { id: 'email', type: 'email' }, [], { value: 'ada@example.com', required: true }),
+  el('INPUT', { type: 'password', placeholder: 'Password' }, [], { value: 'hunter2' }),
+  el('DIV', { 'data-display': 'none' }, [el('BUTTON', {}, [text('Ghost')])]),
+  el('BUTTON', {}, [text('Pay '), el('SPAN', {}, [text('now')])], { disabled: true }),
+  el('INPUT', { type: 'checkbox', 'aria-label': 'Agree' }, [], { checked: true }),
+  el('DIV', { 'data-cursor': 'pointer' }, [text('Open menu')]),
+  el('SCRIPT', {}, [text('var tracking = 1;')]),
+  el('P', {}, [text('Total: $20')]),
+]);
+
+describe('tools/ariaSnapshot', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('recognizes refs and builds their selector', () => {
+    expect(isRef('e12')).toBe(true);
+    expect(isRef('f2e3')).toBe(true);
+    expect(isRef('#e12')).toBe(false);
+    expect(isRef('button.primary')).toBe(false);
+    expect(refSelector(' e12 ')).toBe('[data-tn-ref="e12"]');
+  });
+
+  it('parses refs into frame prefix and number', () => {
+    expect(parseRef('e12')).toEqual({ prefix: 'e', seq: 12 });
+    expect(parseRef('f2e3')).toEqual({ prefix: 'f2e', seq: 3 });
+    expect(parseRef('button')).toBeNull();
+  });
+
+  it('reports a scope selector that matches nothing', () => {
+    stubPage(el('BODY'));
+    expect(collectAriaTree({ selector: '#missing' })).toMatchObject({
+      nodes: [],
+      error: 'No element matches #missing',
+    });
+  });
+
+  it('outlines roles, names and states, flattening wrappers and skipping hidden content', () => {
+    stubPage(checkoutPage());
+    const outline = formatAriaTree(collectAriaTree());
+
+    expect(outline.split('\n')).toEqual([
+      '# Page: Shop — https://shop.test/checkout',
+      '# Accessibility outline. Target elements with ref (e.g. click { "ref": "e12" }).',
+      '- navigation "Main":',
+      '  - list:',
+      '    - listitem:',
+      '      - link "Orders" [ref=e1] /orders',
+      '- heading "Checkout" [level=1]',
+      '- text: Email',
+      '- textbox "Email" [ref=e2] [required]: "ada@example.com"',
+      '- textbox "Password" [ref=e3]: "••••"',
+      '- button "Pay now" [ref=e4] [disabled]',
+      '- checkbox "Agree" [ref=e5] [checked]',
+      '- clickable "Open menu" [ref=e6]',
+      '- text: Total: $20',
+    ]);
+  });
+
+  it('keeps an element\'s ref across snapshots and numbers new elements after it', () => {
+    const body = checkoutPage();
+    stubPage(body);
+    collectAriaTree();
+    const pay = body.childNodes.find(n => n.tagName === 'BUTTON');
+    expect(pay.getAttribute('data-tn-ref')).toBe('e4');
+
+    body.childNodes.push(el('BUTTON', {}, [text('Apply coupon')]));
+    const again = formatAriaTree(collectAriaTree());
+    expect(again).toContain('- button "Pay now" [ref=e4] [disabled]');
+    expect(again).toContain('- button "Apply coupon" [ref=e7]');
+  });
+
+  it('uses the frame prefix for refs and appends iframe content after the page', () => {
+    stubPage(el('BODY', {}, [el('BUTTON', {}, [text('Pay')])]));
+    const frame = collectAriaTree({ prefix: 'f1e' });
+    expect(frame.nodes[0].ref).toBe('f1e1');
+
+    const outline = formatAriaTree(
+      { url: 'https://shop.test/', title: 'Shop', nodes: [{ role: 'heading', name: 'Pay', level: 2 }] },
+      { frames: [{ url: 'https://pay.test/', nodes: frame.nodes, truncated: true }] },
+    );
+    expect(outline.split('\n').slice(2)).toEqual([
+      '- heading "Pay" [level=2]',
+      '- iframe content https://pay.test/:',
+      '  - button "Pay" [ref=f1e1]',
+      '# (outline truncated: pass a selector to get_a11y_tree to see one region)',
+    ]);
+  });
+
+  it('names the refs of password and credential fields', () => {
+    stubPage(el('BODY', {}, [
+      el('INPUT', { type: 'password', placeholder: 'Secret' }),
+      el('INPUT', { 'aria-label': 'Access code' }),
+      el('INPUT', { 'aria-label': 'Email' }),
+      el('BUTTON', {}, [text('Reset password')]),
+    ]));
+    expect(sensitiveRefsOf(collectAriaTree())).toEqual(['e1', 'e2']);
+  });
+
+  it('continues numbering after refs issued on an earlier document', () => {
+    stubPage(el('BODY', {}, [el('BUTTON', {}, [text('Pay')])]));
+    expect(collectAriaTree({ start: 7 })).toMatchObject({ seq: 8, nodes: [{ ref: 'e8' }] });
+  });
+
+  it('stamps interactive elements for get_dom, keeping refs they already carry', () => {
+    const pay = el('BUTTON', {}, [text('Pay')]);
+    const email = el('INPUT', { type: 'email', 'data-tn-ref': 'e2' });
+    stubPage(el('BODY', {}, [pay, email]));
+    const queried = [];
+    document.querySelectorAll = (sel) => { queried.push(sel); return [pay, email]; };
+    window.__tnRefSeq = 4;
+
+    expect(stampRefs({ start: 2 })).toEqual({ seq: 5, count: 2, sensitive: [] });
+    expect(pay.getAttribute('data-tn-ref')).toBe('e5');
+    expect(email.getAttribute('data-tn-ref')).toBe('e2');
+    expect(queried[0]).toContain('input:not([type="hidden"])');
+  });
+
+  it('names the password and credential inputs it stamps', () => {
+    const fields = [
+      el('INPUT', { type: 'password' }),
+      el('INPUT', { name: 'api_token' }),
+      el('INPUT', { autocomplete: 'one-time-code' }),
+      el('INPUT', { id: 'client-secret' }),
+      el('INPUT', { type: 'email', name: 'email' }),
+      el('BUTTON', { id: 'reset-password' }, [text('Reset')]),
+    ];
+    stubPage(el('BODY', {}, fields));
+    document.querySelectorAll = () => fields;
+
+    expect(stampRefs().sensitive).toEqual(['e1', 'e2', 'e3', 'e4']);
+  });
+});
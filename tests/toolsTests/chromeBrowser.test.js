@@ -0,0 +1,101 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { ChromeBrowser } from '../../tools/chromeBrowser.js';
+import { redactArgs } from '../../core/redaction.js';
+
+afterEach(() => {
+  vi.unstubAllGlobals();
+});
+
+// Fake page whose frames hold elements keyed by their data-tn-ref
+function fakePage(framesRefs) {
+  const frames = framesRefs.map((refs) => ({
+    refs: new Set(refs),
+    evaluate: vi.fn(async (_fn, { start }) => ({ seq: start + 2, count: 2 })),
+    locator(sel) {
+      const ref = /data-tn-ref="(.+)"/.exec(sel)?.[1];
+      const hit = this.refs.has(ref);
+      return {
+        first: () => ({ ref, count: async () => (hit ? 1 : 0), click: vi.fn(async () => {}) }),
+      };
+    },
+  }));
+  return {
+    frames: () => frames,
+    mainFrame: () => frames[0],
+    waitForTimeout: (ms) => new Promise(r => setTimeout(r, ms)),
+  };
+}
+
+describe('tools/chromeBrowser element refs', () => {
+  it('resolves a ref in whichever frame carries it', async () => {
+    const browser = new ChromeBrowser();
+    browser.page = fakePage([['e1'], ['f1e1']]);
+
+    expect((await browser._locateRef('f1e1')).ref).toBe('f1e1');
+    expect((await browser._locateRef('e1')).ref).toBe('e1');
+  });
+
+  it('tells stale refs apart from refs that were never issued', async () => {
+    const browser = new ChromeBrowser();
+    browser.page = fakePage([['e9']]);
+    browser._noteRefSeq('e', 8);
+
+    await expect(browser._locateRef('e4', { timeoutMs: 0 })).rejects.toThrow(/Ref e4 is stale.*call get_dom/i);
+    await expect(browser._locateRef('e40', { timeoutMs: 0 })).rejects.toThrow(/Unknown ref e40/);
+    await expect(browser._locateRef('#pay', { timeoutMs: 0 })).rejects.toThrow(/Invalid ref "#pay"/);
+  });
+
+  it('stale refs fail click and expand_menu before any retries', async () => {
+    const browser = new ChromeBrowser();
+    browser.page = { ...fakePage([[]]), url: () => 'https://shop.test/' };
+    browser._noteRefSeq('e', 3);
+
+    await expect(browser.click({ ref: 'e2' })).rejects.toThrow(/stale/);
+    await expect(browser.expand_menu({ ref: 'e2' })).rejects.toThrow(/stale/);
+  });
+
+  it('continues ref numbering across documents', () => {
+    const browser = new ChromeBrowser();
+    browser._noteRefSeq('e', 12);
+    browser._noteRefSeq('e', 5);
+    expect(browser._refSeq.get('e')).toBe(12);
+  });
+
+  it('refreshRefs re-tags the main frame without reading the page', async () => {
+    const browser = new ChromeBrowser();
+    const waitForLoadState = vi.fn(async () => {});
+    browser.page = { ...fakePage([[]]), waitForLoadState };
+
+    await browser.refreshRefs({ mode: 'html' });
+    expect(waitForLoadState).toHaveBeenCalledWith('networkidle', { timeout: 10000 });
+    expect(browser.page.mainFrame().evaluate).toHaveBeenCalledWith(expect.any(Function), { prefix: 'e', start: 0 });
+    expect(browser._refSeq.get('e')).toBe(2);
+  });
+
+  it('masks fills into password fields that get_dom stamped', async () => {
+    const field = (attrs) => ({
+      tagName: 'INPUT',
+      attributes: { ...attrs },
+      getAttribute(name) { return this.attributes[name] ?? null; },
+      setAttribute(name, value) { this.attributes[name] = String(value); },
+    });
+    const email = field({ type: 'email' });
+    const password = field({ type: 'password' });
+    vi.stubGlobal('window', {});
+    vi.stubGlobal('document', { querySelectorAll: () => [email, password] });
+
+    const browser = new ChromeBrowser();
+    browser.page = {
+      mainFrame: () => ({ evaluate: async (fn, arg) => fn(arg) }),
+      waitForLoadState: async () => {},
+      content: async () => '<html><body><form></form></body></html>',
+    };
+    await browser.get_dom({ mode: 'html' });
+
+    const ref = password.getAttribute('data-tn-ref');
+    expect(ref).toBe('e2');
+    expect(redactArgs('fill', { ref, text: 'Hunter2!' }).text).not.toContain('Hunter2!');
+    expect(redactArgs('fill', { ref: email.getAttribute('data-tn-ref'), text: 'a@b.test' }).text).toBe('a@b.test');
+  });
+});
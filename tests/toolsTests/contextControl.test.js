@@ -5,6 +5,7 @@
  * Purpose:
  *   Unit tests for conversation context utilities:
  *   - sanitizeHeavyToolHistory: stubs older heavy tool results to shrink token load.
+ *   - stubOldImages: replaces older screenshots with text stubs.
  *   - pruneConversationContext: trims message history while preserving tool-call structure.
  *
  * Design goals:
@@ -24,6 +25,7 @@ import { describe, it, expect } from 'vitest';
 import {
   sanitizeHeavyToolHistory,
   pruneConversationContext,
+  stubOldImages,
   createEmptyGroundControl,
   applyGroundControlUpdate,
   recordGroundTelemetry,
@@ -87,6 +89,37 @@ describe('sanitizeHeavyToolHistory', () => {
   });
 });
 
+describe('stubOldImages', () => {
+  const shot = (w) => ({
+    role: 'user',
+    content: [
+      { type: 'text', text: `view ${w}` },
+      { type: 'image', mimeType: 'image/png', data: Buffer.from([w]), width: w, height: 10 },
+    ],
+  });
+
+  it('keeps the latest screenshot and stubs older ones', () => {
+    const messages = [shot(1), { role: 'assistant', content: 'ok' }, shot(2), shot(3)];
+
+    stubOldImages(messages, { keepRecent: 1 });
+
+    expect(messages[0].content).toEqual([
+      { type: 'text', text: 'view 1' },
+      { type: 'text', text: '[screenshot 1x10 omitted – older view]' },
+    ]);
+    expect(messages[2].content[1].type).toBe('text');
+    expect(messages[3].content[1].type).toBe('image');
+    expect(messages[1].content).toBe('ok');
+  });
+
+  it('leaves text-only histories untouched', () => {
+    const messages = [{ role: 'user', content: 'go' }, { role: 'user', content: [{ type: 'text', text: 'hi' }] }];
+    const before = JSON.stringify(messages);
+    stubOldImages(messages);
+    expect(JSON.stringify(messages)).toBe(before);
+  });
+});
+
 describe('pruneConversationContext', () => {
   it('always keeps all system messages, even if over the non-system limit', () => {
     const messages = [
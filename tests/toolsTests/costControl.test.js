@@ -0,0 +1,106 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import {
+  resolvePricing,
+  splitUsage,
+  usageCost,
+  formatUsd,
+  beginMissionSpend,
+  recordSpend,
+  spentSoFar,
+  checkBudget,
+  sumCosts,
+  summarizeRunCost,
+  __resetCostControlForTests,
+} from '../../tools/costControl.js';
+
+beforeEach(() => {
+  __resetCostControlForTests();
+});
+
+describe('tools/costControl', () => {
+  it('prices models from config overrides before the default table', () => {
+    expect(resolvePricing('gpt-4o-mini-2024-07-18')).toEqual({ input: 0.15, output: 0.6, source: 'default' });
+    expect(resolvePricing('gpt-4o-2024-08-06')).toMatchObject({ input: 2.5, output: 10 });
+    expect(resolvePricing('gpt-4o', { overrides: { 'gpt-4o': { input: 1, output: 2 } } }))
+      .toEqual({ input: 1, output: 2, source: 'config' });
+    // longest configured prefix wins
+    const overrides = { 'claude-': { input: 1, output: 1 }, 'claude-sonnet': { input: 2, output: 9 } };
+    expect(resolvePricing('claude-sonnet-4-5', { overrides })).toMatchObject({ input: 2, output: 9 });
+  });
+
+  it('treats self-hosted models as free and unknown models as unpriced', () => {
+    expect(resolvePricing('llama3.1', { provider: 'openai-compatible' })).toEqual({ input: 0, output: 0, source: 'local' });
+    expect(resolvePricing('mystery-model', { provider: 'openai' })).toBeNull();
+    expect(usageCost({ promptTokens: 10, completionTokens: 10 }, null)).toBeNull();
+  });
+
+  it('splits usage into prompt and completion tokens', () => {
+    const none = { cacheReadTokens: 0, cacheWriteTokens: 0 };
+    expect(splitUsage({ total_tokens: 150, prompt_tokens: 100, completion_tokens: 50 }))
+      .toEqual({ promptTokens: 100, completionTokens: 50, totalTokens: 150, ...none });
+    // only a total: counted as prompt tokens
+    expect(splitUsage({ total_tokens: 80 })).toEqual({ promptTokens: 80, completionTokens: 0, totalTokens: 80, ...none });
+    expect(splitUsage()).toEqual({ promptTokens: 0, completionTokens: 0, totalTokens: 0, ...none });
+    expect(splitUsage({ prompt_tokens: 100, cache_read_tokens: 60, cache_write_tokens: 20 }))
+      .toMatchObject({ promptTokens: 100, cacheReadTokens: 60, cacheWriteTokens: 20 });
+  });
+
+  it('converts tokens to USD per 1M token prices', () => {
+    expect(usageCost({ promptTokens: 1_000_000, completionTokens: 500_000 }, { input: 2, output: 8 })).toBe(6);
+    // cache reads at 10% and cache writes at 125% of the input price
+    const cached = { promptTokens: 1_000_000, completionTokens: 0, cacheReadTokens: 600_000, cacheWriteTokens: 200_000 };
+    expect(usageCost(cached, { input: 10, output: 0 })).toBeCloseTo(2 + 0.6 + 2.5);
+    expect(formatUsd(0.01234)).toBe('$0.0123');
+    expect(formatUsd(4.567)).toBe('$4.57');
+    expect(formatUsd(null)).toBe('—');
+  });
+
+  it('keeps run and per-mission spend', () => {
+    recordSpend('A', 0.01);
+    recordSpend('B', 0.02);
+    recordSpend('A', 0.005);
+    recordSpend('A', null);
+    expect(spentSoFar('A').mission).toBeCloseTo(0.015);
+    expect(spentSoFar('B').run).toBeCloseTo(0.035);
+    expect(spentSoFar('C').mission).toBe(0);
+  });
+
+  it('gives each attempt of a mission its own tally', () => {
+    const first = beginMissionSpend('A');
+    const second = beginMissionSpend('A');
+    expect(second).not.toBe(first);
+
+    recordSpend(first, 0.02);
+    expect(checkBudget({ maxUsdPerMission: 0.015 }, 'A', first)).toMatchObject({ scope: 'mission' });
+    expect(checkBudget({ maxUsdPerMission: 0.015 }, 'A', second)).toBeNull();
+    expect(spentSoFar(second)).toEqual({ run: 0.02, mission: 0 });
+  });
+
+  it('reports the budget that has been reached', () => {
+    expect(checkBudget({ maxUsdPerRun: null, maxUsdPerMission: null }, 'A')).toBeNull();
+
+    recordSpend('A', 0.02);
+    expect(checkBudget({ maxUsdPerMission: 0.05 }, 'A')).toBeNull();
+
+    const mission = checkBudget({ maxUsdPerMission: 0.015 }, 'A');
+    expect(mission).toMatchObject({ scope: 'mission', limitUsd: 0.015 });
+    expect(mission.message).toBe('budget exceeded: mission "A" spent $0.0200 of its $0.0150 limit (budget.maxUsdPerMission)');
+    expect(checkBudget({ maxUsdPerMission: 0.015 }, 'B')).toBeNull();
+
+    recordSpend('B', 0.01);
+    const run = checkBudget({ maxUsdPerRun: 0.03, maxUsdPerMission: 0.015 }, 'A');
+    expect(run.scope).toBe('run');
+    expect(run.message).toMatch(/the run spent \$0\.0300 of its \$0\.0300 limit \(budget\.maxUsdPerRun\)/);
+  });
+
+  it('sums costs and counts earlier attempts in run totals', () => {
+    expect(sumCosts([{ promptTokens: 5 }, { completionTokens: 3 }])).toEqual({ promptTokens: 5, completionTokens: 3, costUsd: null });
+
+    const totals = summarizeRunCost([
+      { promptTokens: 100, completionTokens: 10, costUsd: 0.5, previousAttempts: [{ promptTokens: 50, completionTokens: 5, costUsd: 0.25 }] },
+      { promptTokens: 10, completionTokens: 1, costUsd: null },
+    ]);
+    expect(totals).toEqual({ promptTokens: 160, completionTokens: 16, costUsd: 0.75 });
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, it, expect, vi } from 'vitest';
+import { PassThrough } from 'node:stream';
+import { parseReplCommand, runDebugRepl } from '../../tools/debugRepl.js';
+
+function collect(stream) {
+  let text = '';
+  stream.on('data', (chunk) => { text += chunk; });
+  return () => text;
+}
+
+describe('tools/debugRepl', () => {
+  describe('parseReplCommand', () => {
+    const tools = ['click', 'get_dom'];
+
+    it('parses control commands', () => {
+      expect(parseReplCommand('c')).toEqual({ kind: 'continue' });
+      expect(parseReplCommand(' Continue ')).toEqual({ kind: 'continue' });
+      expect(parseReplCommand('detach')).toEqual({ kind: 'detach' });
+      expect(parseReplCommand('abort')).toEqual({ kind: 'abort' });
+      expect(parseReplCommand('')).toEqual({ kind: 'empty' });
+    });
+
+    it('parses tool calls with JSON arguments', () => {
+      expect(parseReplCommand('click {"selector":"#save"}', tools)).toEqual({ kind: 'tool', tool: 'click', args: { selector: '#save' } });
+      expect(parseReplCommand('get_dom', tools)).toEqual({ kind: 'tool', tool: 'get_dom', args: {} });
+      expect(parseReplCommand('click #save', tools).error).toMatch(/JSON object/);
+    });
+
+    it('parses eval and rejects unknown commands', () => {
+      expect(parseReplCommand('eval document.title')).toEqual({ kind: 'eval', expr: 'document.title' });
+      expect(parseReplCommand('eval').kind).toBe('unknown');
+      expect(parseReplCommand('hover {}', tools).error).toMatch(/Unknown command "hover"/);
+    });
+  });
+
+  describe('runDebugRepl', () => {
+    it('runs tools and page code until the user resumes', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const read = collect(output);
+      const click = vi.fn(async () => 'clicked');
+      const browser = { page: { url: () => 'https://app.test/', evaluate: vi.fn(async () => 'Title') } };
+
+      const done = runDebugRepl(browser, { turn: 3, tool: 'click', error: 'ERROR: selector not found' }, {
+        toolMap: { click },
+        input,
+        output,
+      });
+      input.write('url\n');
+      input.write('click {"selector":"#ok"}\n');
+      input.write('eval document.title\n');
+      input.write('detach\n');
+
+      await expect(done).resolves.toBe('detach');
+      expect(click).toHaveBeenCalledWith(browser, { selector: '#ok' }, {});
+      expect(browser.page.evaluate).toHaveBeenCalledWith('document.title');
+      const text = read();
+      expect(text).toContain('Paused after click failed on turn 3: ERROR: selector not found');
+      expect(text).toContain('https://app.test/');
+      expect(text).toContain('clicked');
+      expect(text).toContain('Title');
+    });
+
+    it('resumes when input closes and reports tool errors without exiting', async () => {
+      const input = new PassThrough();
+      const output = new PassThrough();
+      const read = collect(output);
+      const done = runDebugRepl({}, {}, {
+        toolMap: { click: async () => { throw new Error('still missing'); } },
+        input,
+        output,
+      });
+      input.write('click\n');
+      input.end();
+
+      await expect(done).resolves.toBe('continue');
+      expect(read()).toContain('❌ still missing');
+    });
+  });
+});
@@ -39,7 +39,7 @@ describe('domControl helpers', () => {
               <canvas></canvas>
               <svg></svg>
               <a href="/home" rel="noopener" target="_blank">Home</a>
-              <input id="email" name="email" type="email" data-tracking="abc" />
+              <input id="email" name="email" type="email" data-tracking="abc" data-tn-ref="e7" />
             </div>
           </body>
         </html>
@@ -73,6 +73,7 @@ describe('domControl helpers', () => {
       expect(input.attr('name')).toBe('email');
       expect(input.attr('type')).toBe('email');
       expect(input.attr('data-tracking')).toBeUndefined();
+      expect(input.attr('data-tn-ref')).toBe('e7');
 
       const link = $('a[href="/home"]');
       expect(link.attr('href')).toBe('/home');
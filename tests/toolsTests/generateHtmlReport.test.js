@@ -87,4 +87,234 @@ describe('generateHtmlReport', () => {
     expect(html).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
     expect(html).toContain('&lt;b&gt;bold&lt;/b&gt;');
   });
+
+  it('shows mission tags, owner, priority and the run filters', () => {
+    const report = {
+      runId: 'run_meta',
+      filters: { tags: ['smoke'], excludeTags: ['slow'], grep: 'login' },
+      missions: [
+        {
+          missionName: 'Login',
+          submissionType: 'mission',
+          status: 'passed',
+          meta: { tags: ['smoke', 'auth'], owner: 'qa-team', priority: 1 },
+          steps: [],
+        },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'meta.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('<span class="tag">#smoke</span><span class="tag">#auth</span>');
+    expect(html).toContain('owner: qa-team');
+    expect(html).toContain('priority: 1');
+    expect(html).toContain('<strong>Tags:</strong> smoke • <strong>Excluded tags:</strong> slow • <strong>Grep:</strong> /login/i');
+  });
+
+  it('flags flaky submissions and renders earlier attempts', () => {
+    const report = {
+      runId: 'run_flaky',
+      summary: { totalMissions: 1, passed: 1, failed: 0, flaky: 1 },
+      missions: [
+        {
+          missionName: 'Checkout',
+          submissionType: 'mission',
+          status: 'passed',
+          flaky: true,
+          attempt: 2,
+          steps: [{ turn: 0, result: '✅ Mission Success', events: ['SUCCESS: paid'] }],
+          previousAttempts: [
+            { attempt: 1, status: 'failed', finalMessage: 'FAILURE: 502 from payments', steps: [{ turn: 0, result: '❌ Mission Failure', events: ['502'] }] },
+          ],
+        },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'flaky.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('⚠️ Flaky');
+    expect(html).toContain('Flaky: 1');
+    expect(html).toContain('Attempt 1');
+    expect(html).toContain('FAILURE: 502 from payments');
+  });
+
+  it('links traces and HAR files per submission and shows mission videos once', () => {
+    const videos = ['./artifacts/run_a/Checkout_1.webm'];
+    const report = {
+      runId: 'run_a',
+      summary: { totalMissions: 1, passed: 0, failed: 1 },
+      missions: [
+        { missionName: 'Checkout', submissionType: 'premission', status: 'passed', steps: [], artifacts: { videos } },
+        { missionName: 'Checkout', submissionType: 'mission', status: 'failed', steps: [], artifacts: { trace: './artifacts/run_a/Checkout_mission_1.trace.zip', har: './artifacts/run_a/Checkout_mission_1.har', videos } },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'artifacts.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('href="./artifacts/run_a/Checkout_mission_1.trace.zip"');
+    expect(html).toContain('npx playwright show-trace missions/mission_reports/artifacts/run_a/Checkout_mission_1.trace.zip');
+    expect(html).toContain('📡 <a href="./artifacts/run_a/Checkout_mission_1.har" download>HAR</a>');
+    expect(html.match(/<video /g)).toHaveLength(1);
+  });
+
+  it('groups cross-browser runs per engine', () => {
+    const report = {
+      runId: 'run_b',
+      summary: { totalMissions: 2, passed: 1, failed: 1 },
+      missions: [
+        { missionName: 'Login', submissionType: 'mission', status: 'passed', browser: 'chromium', authState: 'reused', steps: [] },
+        { missionName: 'Login', submissionType: 'mission', status: 'failed', browser: 'webkit', profile: 'mobile', steps: [] },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'engines.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('Login [chromium]');
+    expect(html).toContain('Login [webkit]');
+    expect(html).toContain('🌐 webkit');
+    expect(html).toContain('📱 mobile');
+    expect(html).toContain('🔐 login reused');
+  });
+
+  it('lists mocked routes once per mission with their hit counts', () => {
+    const mocks = [
+      { description: 'GET **/api/orders → 500', hits: 2, source: 'mission' },
+      { description: 'ANY /api/pay → aborted', hits: 1, source: 'tool' },
+    ];
+    const report = {
+      runId: 'run_c',
+      summary: { totalMissions: 2, passed: 2, failed: 0 },
+      missions: [
+        { missionName: 'Orders', submissionType: 'premission', status: 'passed', mocks, steps: [] },
+        { missionName: 'Orders', submissionType: 'mission', status: 'passed', mocks, steps: [] },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'mocks.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html.match(/🧪 Mocked routes/g)).toHaveLength(1);
+    expect(html).toContain('GET **/api/orders → 500</code> <span class="hits">2 hits</span>');
+    expect(html).toContain('1 hit</span> <span class="hits">(added by the agent)</span>');
+  });
+
+  it('summarizes page diagnostics per submission', () => {
+    const report = {
+      runId: 'run_d',
+      summary: { totalMissions: 1, passed: 0, failed: 1 },
+      missions: [{
+        missionName: 'Checkout',
+        submissionType: 'mission',
+        status: 'failed',
+        steps: [],
+        diagnostics: {
+          pageErrors: 1, consoleErrors: 2, consoleWarnings: 0, failedRequests: 0, httpErrors: 1,
+          samples: ['💥 Page error: TypeError: <cart> is undefined', '🌐 HTTP 500: GET https://shop.test/api/orders'],
+        },
+      }],
+    };
+
+    const outPath = path.join(tmpDir, 'diagnostics.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('🩺 Page diagnostics</strong> <span class="hits">1 page error • 2 console errors • 1 HTTP error</span>');
+    expect(html).toContain('<code>💥 Page error: TypeError: &lt;cart&gt; is undefined</code>');
+    expect(html).toContain('🌐 HTTP 500: GET https://shop.test/api/orders');
+  });
+
+  it('lists visual checks with a link to the diff image', () => {
+    const report = {
+      runId: 'run_v',
+      summary: { totalMissions: 1, passed: 0, failed: 1 },
+      missions: [{
+        missionName: 'Checkout',
+        submissionType: 'mission',
+        status: 'failed',
+        steps: [],
+        visual: [
+          { name: 'cart', status: 'mismatch', diffRatio: 0.025, diff: './visual/cart_1.diff.png' },
+          { name: 'header', status: 'match', diffRatio: 0 },
+        ],
+      }],
+    };
+
+    const outPath = path.join(tmpDir, 'visual.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('🖼️ Visual checks');
+    expect(html).toContain('<code>cart</code> <span class="bad">mismatch</span> <span class="hits">2.50% differ</span> <a href="./visual/cart_1.diff.png"');
+    expect(html).toContain('<code>header</code> <span class="hits">match</span> <span class="hits">0.00% differ</span></li>');
+  });
+
+  it('adds an Accessibility section with severity counts', () => {
+    const audit = {
+      url: 'https://shop.test/checkout',
+      scope: 'form#pay',
+      violations: [
+        { rule: 'label', impact: 'critical', help: 'Form fields must have labels', count: 2, targets: ['#card', '#cvc'] },
+        { rule: 'heading-order', impact: 'moderate', help: 'Heading levels should only increase by one', count: 1, targets: ['h4'] },
+      ],
+      counts: { critical: 2, serious: 0, moderate: 1, minor: 0 },
+    };
+    const report = {
+      runId: 'run_e',
+      summary: { totalMissions: 1, passed: 1, failed: 0 },
+      missions: [{ missionName: 'Checkout', submissionType: 'mission', submissionName: 'Pay', status: 'passed', steps: [], accessibility: [audit] }],
+    };
+
+    const outPath = path.join(tmpDir, 'a11y.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('<div class="pill bad">♿ 2 critical • 1 moderate</div>');
+    expect(html).toContain('<span class="name">♿ Accessibility</span>');
+    expect(html).toContain('audits: 1 • 2 critical • 1 moderate');
+    expect(html).toContain('scope: <code>form#pay</code>');
+    expect(html).toContain('<code>label</code> ×2');
+    expect(html).toContain('<code>#card</code> <code>#cvc</code>');
+  });
+
+  it('leaves the Accessibility section out when no audit ran', () => {
+    const outPath = path.join(tmpDir, 'no-a11y.html');
+    generateHtmlReport({ runId: 'run_f', summary: {}, missions: [{ missionName: 'A', status: 'passed', steps: [] }] }, outPath);
+    expect(fs.readFileSync(outPath, 'utf8')).not.toContain('♿');
+  });
+
+  it('shows cost per step, submission, mission and run and flags budget stops', () => {
+    const report = {
+      runId: 'run_g',
+      summary: { totalMissions: 2, passed: 1, failed: 1, costUsd: 0.0375 },
+      missions: [
+        {
+          missionName: 'Checkout', submissionType: 'premission', submissionName: 'Login', status: 'passed', costUsd: 0.0125, startTime: 1000, endTime: 2000,
+          steps: [{ turn: 0, result: '✅ Passed', tokensUsed: 1100, promptTokens: 1000, completionTokens: 100, costUsd: 0.0125 }],
+        },
+        {
+          missionName: 'Checkout', submissionType: 'mission', submissionName: 'Pay', status: 'failed', costUsd: 0.025, startTime: 2000, endTime: 3500,
+          budgetExceeded: 'mission', finalMessage: 'FAILURE: budget exceeded', steps: [],
+        },
+      ],
+    };
+
+    const outPath = path.join(tmpDir, 'cost.html');
+    generateHtmlReport(report, outPath);
+    const html = fs.readFileSync(outPath, 'utf8');
+
+    expect(html).toContain('title="prompt: 1000 • completion: 100">tokens: 1100 / total: — • cost: $0.0125</span>');
+    expect(html).toContain('steps: 0 • duration: 1.50s • cost: $0.0250');
+    expect(html).toContain('submissions: 2 • steps: 1 • duration: 2.50s • cost: $0.0375');
+    expect(html).toContain('<div class="pill">💵 $0.0375</div>');
+    expect(html).toContain('💸 Budget (mission)');
+  });
 });
@@ -0,0 +1,145 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import { generateJunitReport, buildJunitXml } from '../../tools/generateJunitReport.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-junit-'));
+});
+
+afterEach(() => {
+  try {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  } catch {}
+});
+
+const report = {
+  runId: 'run_1',
+  missions: [
+    {
+      file: 'login.mission.js',
+      missionName: 'Login',
+      submissionType: 'premission',
+      submissionName: 'Open site',
+      status: 'passed',
+      startTime: 1000,
+      endTime: 3500,
+      finalMessage: 'SUCCESS: site opened',
+      steps: [{ turn: 0, screenshotPath: './screenshots/home_1.png' }],
+    },
+    {
+      file: 'login.mission.js',
+      missionName: 'Login',
+      submissionType: 'mission',
+      submissionName: 'Login',
+      status: 'failed',
+      startTime: 3500,
+      endTime: 4000,
+      finalMessage: 'FAILURE: password field <missing> & no error',
+      steps: [],
+    },
+    {
+      file: 'search.mission.js',
+      missionName: 'Search',
+      submissionType: 'mission',
+      submissionName: 'Search',
+      status: 'passed',
+      startTime: 0,
+      endTime: 1000,
+      steps: [{ turn: 3, events: ['clicked', 'SUCCESS: results shown'] }],
+    },
+  ],
+};
+
+describe('generateJunitReport', () => {
+  it('emits one testsuite per mission file and one testcase per submission', () => {
+    const xml = buildJunitXml(report, { baseDir: '/reports' });
+
+    expect(xml).toMatch(/^<\?xml version="1.0"/);
+    expect(xml).toContain('<testsuites name="run_1" tests="3" failures="1" errors="0" time="4.000">');
+    expect(xml).toContain('<testsuite name="login.mission.js" tests="2" failures="1"');
+    expect(xml).toContain('<testsuite name="search.mission.js" tests="1" failures="0"');
+    expect(xml).toContain('<testcase name="Open site" classname="login.mission.js.premission" time="2.500">');
+    expect(xml).toContain('<testcase name="Login" classname="login.mission.js.mission" time="0.500">');
+  });
+
+  it('uses the final message as escaped failure text and attaches screenshots', () => {
+    const xml = buildJunitXml(report, { baseDir: '/reports' });
+
+    expect(xml).toContain(
+      '<failure message="FAILURE: password field &lt;missing&gt; &amp; no error" type="MissionFailure">'
+    );
+    expect(xml).toContain(`[[ATTACHMENT|${path.resolve('/reports', './screenshots/home_1.png')}]]`);
+    // Falls back to the verdict recorded in step events
+    expect(xml).toContain('<system-out>SUCCESS: results shown</system-out>');
+  });
+
+  it('reports errored submissions as <error> elements', () => {
+    const xml = buildJunitXml({
+      runId: 'run_2',
+      missions: [
+        { file: 'x.mission.js', submissionName: 'X', status: 'errored', error: { message: 'OPENAI_API_KEY is required', kind: 'config' }, steps: [] },
+      ],
+    });
+    expect(xml).toContain('tests="1" failures="0" errors="1"');
+    expect(xml).toContain('<error message="OPENAI_API_KEY is required" type="ConfigurationError">');
+  });
+
+  it('passes flaky submissions with a note in system-out', () => {
+    const xml = buildJunitXml({
+      runId: 'run_3',
+      missions: [
+        { file: 'f.mission.js', submissionName: 'F', status: 'passed', flaky: true, attempt: 2, finalMessage: 'SUCCESS: ok', steps: [] },
+      ],
+    });
+    expect(xml).toContain('tests="1" failures="0" errors="0"');
+    expect(xml).toContain('<system-out>Flaky: passed on attempt 2 after 1 failed attempt(s)\nSUCCESS: ok</system-out>');
+  });
+
+  it('attaches traces, HAR files and videos after screenshots', () => {
+    const xml = buildJunitXml({
+      runId: 'run_4',
+      missions: [
+        {
+          file: 't.mission.js',
+          submissionName: 'T',
+          status: 'failed',
+          finalMessage: 'FAILURE: nope',
+          steps: [{ screenshotPath: './screenshots/t_1.png' }],
+          artifacts: { trace: './artifacts/run_4/t.trace.zip', har: './artifacts/run_4/t.har', videos: ['./artifacts/run_4/t.webm'] },
+        },
+      ],
+    }, { baseDir: '/reports' });
+    const lines = xml.match(/\[\[ATTACHMENT\|[^\]]+\]\]/g);
+    expect(lines).toEqual([
+      `[[ATTACHMENT|${path.resolve('/reports', './screenshots/t_1.png')}]]`,
+      `[[ATTACHMENT|${path.resolve('/reports', './artifacts/run_4/t.trace.zip')}]]`,
+      `[[ATTACHMENT|${path.resolve('/reports', './artifacts/run_4/t.har')}]]`,
+      `[[ATTACHMENT|${path.resolve('/reports', './artifacts/run_4/t.webm')}]]`,
+    ]);
+  });
+
+  it('names testcases after the engine in cross-browser runs', () => {
+    const xml = buildJunitXml({
+      runId: 'run_5',
+      missions: [
+        { file: 'x.mission.js', submissionName: 'X', status: 'passed', browser: 'chromium', steps: [] },
+        { file: 'x.mission.js', submissionName: 'X', status: 'passed', browser: 'webkit', steps: [] },
+      ],
+    });
+    expect(xml).toContain('<testcase name="X [chromium]"');
+    expect(xml).toContain('<testcase name="X [webkit]"');
+  });
+
+  it('writes the XML to the provided path', () => {
+    const outPath = path.join(tmpDir, 'run_1.xml');
+    const written = generateJunitReport(report, outPath);
+
+    expect(written).toBe(outPath);
+    expect(fs.readFileSync(outPath, 'utf8')).toContain('<testsuites');
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  harEntryFrom,
+  redactHarEntry,
+  redactBody,
+  buildHar,
+  writeHar,
+} from '../../tools/harRecorder.js';
+
+// Minimal stand-ins for Playwright Request / Response
+const fakeRequest = ({ method = 'GET', url, headers = {}, postData = null, errorText = null } = {}) => ({
+  method: () => method,
+  url: () => url,
+  allHeaders: async () => headers,
+  postData: () => postData,
+  failure: () => (errorText ? { errorText } : null),
+  timing: () => ({ startTime: Date.UTC(2026, 0, 1), requestStart: 5, responseStart: 25, responseEnd: 40 }),
+});
+const fakeResponse = ({ status = 200, statusText = 'OK', headers = {}, body = '' } = {}) => ({
+  status: () => status,
+  statusText: () => statusText,
+  allHeaders: async () => headers,
+  body: async () => Buffer.from(body),
+});
+
+describe('tools/harRecorder', () => {
+  it('builds an entry with headers, query string, bodies and timings', async () => {
+    const entry = await harEntryFrom(
+      fakeRequest({
+        method: 'POST',
+        url: 'https://shop.test/api/orders?page=2',
+        headers: { 'content-type': 'application/json' },
+        postData: '{"sku":"A1"}',
+      }),
+      fakeResponse({ status: 201, statusText: 'Created', headers: { 'content-type': 'application/json' }, body: '{"id":7}' })
+    );
+
+    expect(entry).toMatchObject({
+      startedDateTime: '2026-01-01T00:00:00.000Z',
+      time: 40,
+      timings: { send: 0, wait: 20, receive: 15 },
+      request: {
+        method: 'POST',
+        url: 'https://shop.test/api/orders?page=2',
+        queryString: [{ name: 'page', value: '2' }],
+        postData: { mimeType: 'application/json', text: '{"sku":"A1"}' },
+        bodySize: 12,
+      },
+      response: { status: 201, statusText: 'Created', content: { size: 8, mimeType: 'application/json', text: '{"id":7}' } },
+    });
+  });
+
+  it('records failed requests and skips binary bodies', async () => {
+    const failed = await harEntryFrom(fakeRequest({ url: 'https://shop.test/api/pay', errorText: 'net::ERR_CONNECTION_RESET' }));
+    expect(failed.response.status).toBe(0);
+    expect(failed._error).toBe('net::ERR_CONNECTION_RESET');
+
+    const image = await harEntryFrom(
+      fakeRequest({ url: 'https://shop.test/logo.png' }),
+      fakeResponse({ headers: { 'content-type': 'image/png' }, body: 'PNG' })
+    );
+    expect(image.response.content).toEqual({ size: -1, mimeType: 'image/png' });
+  });
+
+  it('redacts secret headers, query parameters and body fields', async () => {
+    const entry = await harEntryFrom(
+      fakeRequest({
+        method: 'POST',
+        url: 'https://shop.test/login?next=%2Fhome&access_token=abc123',
+        headers: {
+          authorization: 'Bearer abc123',
+          cookie: 'sid=xyz',
+          'x-api-key': 'k-999',
+          'content-type': 'application/x-www-form-urlencoded',
+        },
+        postData: 'email=ada%40shop.test&password=hunter2',
+      }),
+      fakeResponse({
+        headers: { 'content-type': 'application/json', 'set-cookie': 'sid=xyz', 'access-control-allow-origin': '*' },
+        body: JSON.stringify({ user: { name: 'Ada', refreshToken: 'r-1' }, token: 't-1' }),
+      })
+    );
+
+    const safe = redactHarEntry(entry);
+    const header = (list, name) => list.find(h => h.name === name).value;
+    expect(header(safe.request.headers, 'authorization')).toBe('••••••');
+    expect(header(safe.request.headers, 'cookie')).toBe('••••••');
+    expect(header(safe.request.headers, 'x-api-key')).toBe('••••••');
+    expect(header(safe.response.headers, 'set-cookie')).toBe('••••••');
+    expect(header(safe.response.headers, 'access-control-allow-origin')).toBe('*');
+    expect(safe.request.url).toBe(`https://shop.test/login?next=%2Fhome&access_token=${encodeURIComponent('••••••')}`);
+    expect(safe.request.queryString).toEqual([{ name: 'next', value: '/home' }, { name: 'access_token', value: '••••••' }]);
+    expect(safe.request.postData.text).toBe(`email=ada%40shop.test&password=${encodeURIComponent('••••••')}`);
+    expect(JSON.parse(safe.response.content.text)).toEqual({ user: { name: 'Ada', refreshToken: '••••••' }, token: '••••••' });
+    // the original entry is left alone
+    expect(header(entry.request.headers, 'authorization')).toBe('Bearer abc123');
+  });
+
+  it('falls back to free-text redaction for other bodies', () => {
+    expect(redactBody('password is "hunter2"', 'text/plain')).toBe('password is "••••••"');
+  });
+
+  it('wraps entries in a HAR 1.2 log and writes it', () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-har-'));
+    try {
+      const later = { startedDateTime: '2026-01-01T00:00:02.000Z' };
+      const earlier = { startedDateTime: '2026-01-01T00:00:01.000Z' };
+      const har = buildHar([later, earlier], { browser: { name: 'chromium', version: '130.0' } });
+      expect(har.log).toMatchObject({ version: '1.2', creator: { name: 'Testronaut' }, browser: { name: 'chromium' }, pages: [] });
+      expect(har.log.entries).toEqual([earlier, later]);
+
+      const file = writeHar(path.join(tmp, 'nested', 'a.har'), [earlier]);
+      expect(JSON.parse(fs.readFileSync(file, 'utf8')).log.entries).toEqual([earlier]);
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
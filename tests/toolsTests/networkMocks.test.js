@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  compileUrlPattern,
+  loadFixture,
+  normalizeMock,
+  describeMock,
+  createMockHandler,
+} from '../../tools/networkMocks.js';
+
+let fixturesDir;
+
+beforeEach(() => {
+  fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-fixtures-'));
+  fs.writeFileSync(path.join(fixturesDir, 'orders-empty.json'), '{"orders":[]}');
+});
+
+afterEach(() => {
+  fs.rmSync(fixturesDir, { recursive: true, force: true });
+});
+
+// Minimal stand-in for a Playwright Route
+const fakeRoute = (method, url) => ({
+  request: () => ({ method: () => method, url: () => url }),
+  fulfill: vi.fn(async () => {}),
+  abort: vi.fn(async () => {}),
+  fallback: vi.fn(async () => {}),
+});
+
+describe('tools/networkMocks', () => {
+  describe('compileUrlPattern', () => {
+    it('matches globs, regular expressions and substrings', () => {
+      const glob = compileUrlPattern('**/api/orders*');
+      expect(glob('https://shop.test/api/orders?page=2')).toBe(true);
+      expect(glob('https://shop.test/api/orders/7/items')).toBe(false);
+
+      const rx = compileUrlPattern('/\\/api\\/orders\\/\\d+$/');
+      expect(rx('https://shop.test/api/orders/42')).toBe(true);
+      expect(rx('https://shop.test/api/orders/new')).toBe(false);
+
+      const sub = compileUrlPattern('/api/users');
+      expect(sub('https://shop.test/api/users?id=1')).toBe(true);
+      expect(sub('https://shop.test/api/orders')).toBe(false);
+    });
+  });
+
+  describe('loadFixture', () => {
+    it('reads fixtures and refuses paths outside the fixtures dir', () => {
+      const fixture = loadFixture('orders-empty.json', { dir: fixturesDir });
+      expect(fixture.contentType).toBe('application/json');
+      expect(fixture.body.toString()).toBe('{"orders":[]}');
+      expect(() => loadFixture('../secrets.json', { dir: fixturesDir })).toThrow(/must be inside/);
+      expect(() => loadFixture('nope.json', { dir: fixturesDir })).toThrow(/Fixture not found/);
+    });
+  });
+
+  describe('normalizeMock', () => {
+    it('resolves fixture, JSON and status-only responses', () => {
+      expect(normalizeMock({ url: '**/api/orders', method: 'get', fixture: 'orders-empty.json' }, { fixturesDir })).toMatchObject({
+        method: 'GET', mode: 'fulfill', status: 200, fixture: 'orders-empty.json', contentType: 'application/json',
+      });
+      expect(normalizeMock({ url: '/api/me', json: { name: 'Ada' } })).toMatchObject({ body: '{"name":"Ada"}', contentType: 'application/json' });
+      expect(normalizeMock({ url: '/api/pay', status: 500 })).toMatchObject({ mode: 'fulfill', status: 500, body: '' });
+    });
+
+    it('distinguishes aborted requests from pure latency', () => {
+      expect(normalizeMock({ url: '/api/pay', abort: true })).toMatchObject({ mode: 'abort', status: null, body: null });
+      expect(normalizeMock({ url: '/api/slow', delayMs: 1500 })).toMatchObject({ mode: 'delay', delayMs: 1500 });
+      expect(normalizeMock({ url: '/api/slow', delayMs: 1500, status: 504 })).toMatchObject({ mode: 'fulfill', status: 504 });
+    });
+
+    it('rejects invalid definitions', () => {
+      expect(() => normalizeMock({})).toThrow(/needs a url/);
+      expect(() => normalizeMock({ url: '/x', method: 'FETCH' })).toThrow(/Unknown method/);
+      expect(() => normalizeMock({ url: '/x', status: 700 })).toThrow(/HTTP status/);
+      expect(() => normalizeMock({ url: '/x', json: {}, body: 'a' })).toThrow(/only one of/);
+      expect(() => normalizeMock({ url: '/x', abort: true, status: 500 })).toThrow(/abort cannot/);
+      expect(() => normalizeMock({ url: '/x', delayMs: 60_000 })).toThrow(/delayMs/);
+      expect(() => normalizeMock({ url: '/(/' })).toThrow();
+    });
+  });
+
+  it('describes mocks for step events and reports', () => {
+    expect(describeMock(normalizeMock({ url: '**/api/orders', method: 'GET', status: 500, delayMs: 200, times: 1 })))
+      .toBe('GET **/api/orders → 500 (+200ms, first 1)');
+    expect(describeMock(normalizeMock({ url: '/api/pay', abort: true }))).toBe('ANY /api/pay → aborted');
+  });
+
+  describe('createMockHandler', () => {
+    it('fulfills matching requests and counts hits', async () => {
+      const mock = { ...normalizeMock({ url: '/api/orders', method: 'GET', status: 503, json: { error: 'down' } }), hits: 0 };
+      const hits = [];
+      const handler = createMockHandler(mock, (h) => hits.push(h));
+
+      const get = fakeRoute('GET', 'https://shop.test/api/orders');
+      await handler(get);
+      expect(get.fulfill).toHaveBeenCalledWith({ status: 503, headers: {}, contentType: 'application/json', body: '{"error":"down"}' });
+      expect(hits).toEqual([{ method: 'GET', url: 'https://shop.test/api/orders', outcome: '503' }]);
+
+      const post = fakeRoute('POST', 'https://shop.test/api/orders');
+      await handler(post);
+      expect(post.fallback).toHaveBeenCalled();
+      expect(mock.hits).toBe(1);
+    });
+
+    it('stops mocking after `times` matches and aborts when asked', async () => {
+      const once = { ...normalizeMock({ url: '/api', status: 500, times: 1 }), hits: 0 };
+      const handler = createMockHandler(once);
+      const first = fakeRoute('GET', 'https://x.test/api');
+      const second = fakeRoute('GET', 'https://x.test/api');
+      await handler(first);
+      await handler(second);
+      expect(first.fulfill).toHaveBeenCalled();
+      expect(second.fallback).toHaveBeenCalled();
+
+      const aborted = fakeRoute('GET', 'https://x.test/api');
+      await createMockHandler({ ...normalizeMock({ url: '/api', abort: true }), hits: 0 })(aborted);
+      expect(aborted.abort).toHaveBeenCalledWith('failed');
+    });
+  });
+});
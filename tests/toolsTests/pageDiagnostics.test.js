@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  fromPageError,
+  fromConsoleMessage,
+  fromRequestFailed,
+  fromResponse,
+  formatDiagnostic,
+  summarizeDiagnostics,
+} from '../../tools/pageDiagnostics.js';
+
+// Minimal stand-ins for Playwright ConsoleMessage / Request / Response
+const consoleMsg = (type, text) => ({ type: () => type, text: () => text });
+const request = (method, url, errorText) => ({ method: () => method, url: () => url, failure: () => (errorText ? { errorText } : null) });
+const response = (status, method, url, statusText = '') => ({
+  status: () => status,
+  statusText: () => statusText,
+  url: () => url,
+  request: () => request(method, url),
+});
+
+describe('tools/pageDiagnostics', () => {
+  it('keeps console errors and warnings only', () => {
+    expect(fromConsoleMessage(consoleMsg('error', 'Failed to load cart'), 5)).toEqual({ kind: 'console', level: 'error', text: 'Failed to load cart', ts: 5 });
+    expect(fromConsoleMessage(consoleMsg('warning', 'Deprecated API'), 5)).toMatchObject({ level: 'warning' });
+    expect(fromConsoleMessage(consoleMsg('log', 'hello'))).toBeNull();
+  });
+
+  it('names uncaught exceptions and clips long messages', () => {
+    const err = new TypeError('cart is undefined');
+    expect(fromPageError(err, 1)).toEqual({ kind: 'pageerror', text: 'TypeError: cart is undefined', ts: 1 });
+    expect(fromPageError(new Error('x'.repeat(500))).text).toHaveLength(300);
+  });
+
+  it('records failed requests but not ones the browser cancelled', () => {
+    expect(fromRequestFailed(request('GET', 'https://shop.test/api/orders', 'net::ERR_CONNECTION_REFUSED'), 2)).toEqual({
+      kind: 'requestfailed', method: 'GET', url: 'https://shop.test/api/orders', text: 'net::ERR_CONNECTION_REFUSED', ts: 2,
+    });
+    expect(fromRequestFailed(request('GET', 'https://shop.test/img.png', 'net::ERR_ABORTED'))).toBeNull();
+  });
+
+  it('records 4xx/5xx responses only', () => {
+    expect(fromResponse(response(503, 'POST', 'https://shop.test/api/pay', 'Service Unavailable'), 3)).toEqual({
+      kind: 'http', method: 'POST', url: 'https://shop.test/api/pay', status: 503, text: 'Service Unavailable', ts: 3,
+    });
+    expect(fromResponse(response(304, 'GET', 'https://shop.test/'))).toBeNull();
+  });
+
+  it('formats entries as step events', () => {
+    expect(formatDiagnostic({ kind: 'console', level: 'warning', text: 'slow' })).toBe('🪵 Console warning: slow');
+    expect(formatDiagnostic({ kind: 'requestfailed', method: 'GET', url: 'https://x.test/a', text: 'net::ERR_FAILED' }))
+      .toBe('🌐 Request failed: GET https://x.test/a (net::ERR_FAILED)');
+  });
+
+  it('summarizes counts with page errors first in the samples', () => {
+    expect(summarizeDiagnostics([])).toBeNull();
+    const summary = summarizeDiagnostics([
+      { kind: 'console', level: 'error', text: 'boom', ts: 1 },
+      { kind: 'http', method: 'GET', url: 'https://x.test/a', status: 404, text: '', ts: 2 },
+      { kind: 'pageerror', text: 'ReferenceError: foo is not defined', ts: 3 },
+      { kind: 'console', level: 'warning', text: 'meh', ts: 4 },
+    ]);
+    expect(summary).toEqual({
+      pageErrors: 1,
+      consoleErrors: 1,
+      consoleWarnings: 1,
+      failedRequests: 0,
+      httpErrors: 1,
+      samples: [
+        '💥 Page error: ReferenceError: foo is not defined',
+        '🌐 HTTP 404: GET https://x.test/a',
+        '🪵 Console error: boom',
+        '🪵 Console warning: meh',
+      ],
+    });
+  });
+});
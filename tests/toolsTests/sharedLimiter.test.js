@@ -0,0 +1,163 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { pathToFileURL } from 'url';
+
+import {
+  configureSharedLimiter,
+  sharedLimiterDir,
+  sharedLimiterScope,
+  sharedRecordUsage,
+  sharedUsageWindow,
+  sharedLearnLimits,
+  sharedLimits,
+  __resetSharedLimiterForTests,
+} from '../../tools/sharedLimiter.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-limits-'));
+});
+
+afterEach(() => {
+  __resetSharedLimiterForTests();
+  vi.restoreAllMocks();
+  try {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  } catch {}
+});
+
+describe('tools/sharedLimiter', () => {
+  it('is off unless enabled', () => {
+    expect(configureSharedLimiter({ enabled: false, dir: tmpDir })).toBeNull();
+    expect(sharedUsageWindow('gpt-4o')).toBeNull();
+    expect(sharedLimits('gpt-4o')).toBeNull();
+    expect(sharedRecordUsage('gpt-4o', 10)).toBe(false);
+  });
+
+  it('keeps a 60 second usage window per model', () => {
+    const dir = path.join(tmpDir, 'nested');
+    expect(configureSharedLimiter({ enabled: true, dir })).toBe(dir);
+    expect(sharedLimiterDir()).toBe(dir);
+
+    const now = Date.now();
+    sharedRecordUsage('gpt-4o', 500, now - 70000);
+    sharedRecordUsage('gpt-4o', 300, now - 1000);
+    sharedRecordUsage('gemini-2.5-flash', 7, now);
+
+    expect(sharedUsageWindow('gpt-4o')).toEqual([[now - 1000, 300]]);
+    expect(sharedUsageWindow('gemini-2.5-flash')).toEqual([[now, 7]]);
+    expect(sharedUsageWindow('o3')).toEqual([]);
+    expect(fs.existsSync(path.join(dir, 'rate-limits.lock'))).toBe(false);
+  });
+
+  it('keeps the state of each provider account apart', () => {
+    const scopeA = sharedLimiterScope('openai', 'sk-project-a');
+    const scopeB = sharedLimiterScope('openai', 'sk-project-b');
+    expect(scopeA).toMatch(/^openai-[0-9a-f]{16}$/);
+    expect(scopeA).not.toBe(scopeB);
+    expect(sharedLimiterScope('anthropic', 'sk-project-a')).not.toBe(scopeA);
+
+    expect(configureSharedLimiter({ enabled: true, dir: tmpDir, scope: scopeA })).toBe(path.join(tmpDir, scopeA));
+    sharedRecordUsage('gpt-4o', 100);
+    sharedLearnLimits('gpt-4o', { tpm: 1000 });
+
+    configureSharedLimiter({ enabled: true, dir: tmpDir, scope: scopeB });
+    expect(sharedUsageWindow('gpt-4o')).toEqual([]);
+    expect(sharedLimits('gpt-4o')).toBeNull();
+    expect(JSON.stringify(fs.readdirSync(tmpDir))).not.toContain('sk-project');
+  });
+
+  it('merges learned limits and forgets them after an hour', () => {
+    configureSharedLimiter({ enabled: true, dir: tmpDir });
+    sharedLearnLimits('gpt-4o', { tpm: 30000 });
+    sharedLearnLimits('gpt-4o', { rpm: 500 });
+    expect(sharedLimits('gpt-4o')).toMatchObject({ tpm: 30000, rpm: 500 });
+    expect(sharedLearnLimits('gpt-4o', {})).toBe(false);
+
+    vi.spyOn(Date, 'now').mockReturnValue(Date.now() + 61 * 60 * 1000);
+    expect(sharedLimits('gpt-4o')).toBeNull();
+  });
+
+  it('takes over a lock left behind by a crashed process', () => {
+    configureSharedLimiter({ enabled: true, dir: tmpDir });
+    const lock = path.join(tmpDir, 'rate-limits.lock');
+    fs.writeFileSync(lock, '');
+    const old = new Date(Date.now() - 10000);
+    fs.utimesSync(lock, old, old);
+
+    expect(sharedRecordUsage('gpt-4o', 42)).toBe(true);
+    expect(sharedUsageWindow('gpt-4o').map(([, t]) => t)).toEqual([42]);
+  });
+
+  it('puts back a fresh lock that a faster process took over first', () => {
+    configureSharedLimiter({ enabled: true, dir: tmpDir });
+    const lock = path.join(tmpDir, 'rate-limits.lock');
+    fs.writeFileSync(lock, 'crashed');
+    const old = new Date(Date.now() - 10000);
+    fs.utimesSync(lock, old, old);
+
+    // Another waiter replaces the stale lock just before our rename
+    const rename = fs.renameSync;
+    vi.spyOn(fs, 'renameSync').mockImplementation((from, to) => {
+      if (from === lock && fs.readFileSync(lock, 'utf8') === 'crashed') {
+        fs.rmSync(lock);
+        fs.writeFileSync(lock, 'other-process');
+      }
+      rename(from, to);
+    });
+    const link = fs.linkSync;
+    let restored = null;
+    vi.spyOn(fs, 'linkSync').mockImplementation((from, to) => {
+      link(from, to);
+      restored = fs.readFileSync(to, 'utf8');
+      fs.rmSync(to); // ...and the other waiter then releases it
+    });
+
+    expect(sharedRecordUsage('gpt-4o', 42)).toBe(true);
+    expect(restored).toBe('other-process');
+    expect(fs.readdirSync(tmpDir).filter(f => f.startsWith('rate-limits.lock'))).toEqual([]);
+  });
+
+  it('leaves a lock alone once another process has taken it over', () => {
+    configureSharedLimiter({ enabled: true, dir: tmpDir });
+    const lock = path.join(tmpDir, 'rate-limits.lock');
+    const update = fs.writeFileSync;
+    vi.spyOn(fs, 'writeFileSync').mockImplementation((file, ...rest) => {
+      update(file, ...rest);
+      // simulate a takeover while this process was still writing
+      if (String(file).endsWith('.tmp')) update(lock, 'other-process');
+    });
+
+    expect(sharedRecordUsage('gpt-4o', 42)).toBe(true);
+    expect(fs.readFileSync(lock, 'utf8')).toBe('other-process');
+  });
+
+  it('falls back to per-process limits when the directory cannot be used', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const file = path.join(tmpDir, 'not-a-dir');
+    fs.writeFileSync(file, '');
+    expect(configureSharedLimiter({ enabled: true, dir: file })).toBeNull();
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/Shared rate limits disabled/));
+  });
+
+  it('sees usage recorded by another process', () => {
+    configureSharedLimiter({ enabled: true, dir: tmpDir });
+    sharedRecordUsage('gpt-4o', 100);
+
+    const moduleUrl = pathToFileURL(path.resolve('tools/sharedLimiter.js')).href;
+    const script = `
+      const m = await import(${JSON.stringify(moduleUrl)});
+      m.configureSharedLimiter({ enabled: true, dir: ${JSON.stringify(tmpDir)} });
+      m.sharedRecordUsage('gpt-4o', 250);
+      m.sharedLearnLimits('gpt-4o', { tpm: 1000 });
+    `;
+    execFileSync(process.execPath, ['--input-type=module', '-e', script], { timeout: 20000 });
+
+    expect(sharedUsageWindow('gpt-4o').map(([, t]) => t)).toEqual([100, 250]);
+    expect(sharedLimits('gpt-4o')).toMatchObject({ tpm: 1000 });
+  });
+});
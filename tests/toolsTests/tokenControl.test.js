@@ -33,8 +33,15 @@ import {
   tokenUseCoolOff,
   recordTokenUsage,
   pruneOldTokenUsage,
+  setTokenLimitOverride,
+  imageTokenEstimate,
+  messagesImageTokens,
   __resetTokenControlForTests,
 } from '../../tools/tokenControl.js';
+import { configureSharedLimiter, sharedRecordUsage, __resetSharedLimiterForTests } from '../../tools/sharedLimiter.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 
 describe('tokenControl', () => {
   beforeEach(() => {
@@ -111,6 +118,30 @@ describe('tokenControl', () => {
       // sanity check it actually changed (unless defaults already 1234)
       if (before.tpm !== 1234) expect(after.tpm).not.toBe(before.tpm);
     });
+
+    it('has Claude defaults and learns from Anthropic rate-limit headers', () => {
+      expect(getCurrentTokenLimit('claude-sonnet-4-5')).toEqual({ tpm: 30000, source: 'default' });
+      expect(getCurrentTokenLimit('claude-haiku-4-5').tpm).toBe(50000);
+
+      updateLimitsFromHeaders('claude-sonnet-4-5', { 'anthropic-ratelimit-input-tokens-limit': '80000' });
+      expect(getCurrentTokenLimit('claude-sonnet-4-5')).toEqual({ tpm: 80000, source: 'header' });
+    });
+
+    it('pins a config limit and allows Infinity to disable throttling', async () => {
+      setTokenLimitOverride('llama3.1', 5000);
+      expect(getCurrentTokenLimit('llama3.1')).toEqual({ tpm: 5000, source: 'config' });
+
+      setTokenLimitOverride('qwen2.5', Infinity);
+      const entries = [];
+      recordTokenUsage(entries, 10_000_000);
+      const result = await tokenUseCoolOff(10_000_000, entries, 'qwen2.5');
+      expect(result.shouldBackoff).toBe(false);
+    });
+
+    it('ignores non-positive config limits', () => {
+      setTokenLimitOverride('llama3.1', 0);
+      expect(getCurrentTokenLimit('llama3.1').source).not.toBe('config');
+    });
   });
 
   describe('rolling window + cooldown', () => {
@@ -146,5 +177,90 @@ describe('tokenControl', () => {
       expect(result.shouldBackoff).toBe(false);
       expect(result.totalTokensUsed).toBe(60);
     });
+
+    it('counts pending image tokens toward the limit', async () => {
+      process.env.TESTRONAUT_TOKENS_PER_MIN = '100';
+      const entries = [];
+      recordTokenUsage(entries, 60);
+      const result = await tokenUseCoolOff(60, entries, 'any-model', { pendingTokens: 50 });
+      expect(result.shouldBackoff).toBe(true);
+    });
+  });
+
+  describe('requests per minute', () => {
+    it('learns RPM from headers and waits before going over it', async () => {
+      process.env.TESTRONAUT_TOKENS_PER_MIN = '1000000';
+      updateLimitsFromHeaders('gpt-4o', { 'x-ratelimit-limit-requests': '2' });
+      expect(getCurrentTokenLimit('gpt-4o')).toEqual({ tpm: 1000000, rpm: 2, source: 'env' });
+
+      const entries = [];
+      recordTokenUsage(entries, 10);
+      expect((await tokenUseCoolOff(10, entries, 'gpt-4o')).shouldBackoff).toBe(false);
+      recordTokenUsage(entries, 10);
+      expect((await tokenUseCoolOff(20, entries, 'gpt-4o')).shouldBackoff).toBe(true);
+    });
+  });
+
+  describe('shared limiter', () => {
+    let tmpDir;
+    beforeEach(() => {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-tpm-'));
+      configureSharedLimiter({ enabled: true, dir: tmpDir });
+    });
+    afterEach(() => {
+      __resetSharedLimiterForTests();
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    it('counts tokens other processes used against the TPM', async () => {
+      process.env.TESTRONAUT_TOKENS_PER_MIN = '100';
+      sharedRecordUsage('any-model', 80); // another process
+
+      const entries = [];
+      recordTokenUsage(entries, 30, 'any-model');
+      const result = await tokenUseCoolOff(30, entries, 'any-model');
+      expect(result.shouldBackoff).toBe(true);
+    });
+
+    it('adopts limits another process learned from headers', () => {
+      updateLimitsFromHeaders('claude-sonnet-4-5', {
+        'anthropic-ratelimit-input-tokens-limit': '80000',
+        'anthropic-ratelimit-requests-limit': '50',
+      });
+      __resetTokenControlForTests(); // a fresh process
+
+      expect(getCurrentTokenLimit('claude-sonnet-4-5')).toEqual({ tpm: 80000, rpm: 50, source: 'header' });
+    });
+
+    it('keeps a limit the user configured over limits other processes learned', () => {
+      updateLimitsFromHeaders('llama3.1', { 'x-ratelimit-limit-tokens': '5000', 'x-ratelimit-limit-requests': '10' });
+      __resetTokenControlForTests(); // a fresh process with throttling turned off in config
+      setTokenLimitOverride('llama3.1', Infinity);
+
+      expect(getCurrentTokenLimit('llama3.1')).toEqual({ tpm: Infinity, source: 'config' });
+    });
+  });
+
+  describe('image tokens', () => {
+    it('estimates per provider from the image size', () => {
+      // 1024×768 → 4 tiles of 512
+      expect(imageTokenEstimate('gpt-4o', { width: 1024, height: 768 })).toBe(85 + 170 * 4);
+      // 4096×2048 → fit 2048×1024 → 1536×768 → 3×2 tiles
+      expect(imageTokenEstimate('gpt-4.1', { width: 4096, height: 2048 })).toBe(85 + 170 * 6);
+      expect(imageTokenEstimate('claude-sonnet-4-5', { width: 750, height: 100 })).toBe(100);
+      expect(imageTokenEstimate('claude-sonnet-4-5', { width: 4000, height: 4000 })).toBe(1534);
+      expect(imageTokenEstimate('gemini-2.5-flash', { width: 300, height: 300 })).toBe(258);
+      expect(imageTokenEstimate('gemini-2.5-flash', { width: 1024, height: 768 })).toBe(2 * 258);
+      expect(imageTokenEstimate('gpt-4o', {})).toBe(0);
+    });
+
+    it('sums the image parts of a conversation', () => {
+      const messages = [
+        { role: 'system', content: 'rules' },
+        { role: 'user', content: [{ type: 'text', text: 'look' }, { type: 'image', width: 300, height: 300 }] },
+        { role: 'user', content: [{ type: 'image', width: 300, height: 300 }] },
+      ];
+      expect(messagesImageTokens('gemini-2.5-pro', messages)).toBe(516);
+    });
   });
 });
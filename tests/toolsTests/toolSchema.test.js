@@ -37,4 +37,62 @@ describe('tools/toolSchema', () => {
     expect(nav?.function?.parameters?.required).toContain('url');
     expect(download?.function?.parameters?.properties).toHaveProperty('url');
   });
+
+  it('defines mock_route and clear_mocks for network stubbing', () => {
+    const mock = toolsSchema.find(t => t.function?.name === 'mock_route');
+    const clear = toolsSchema.find(t => t.function?.name === 'clear_mocks');
+    expect(mock?.function?.parameters?.required).toEqual(['url']);
+    expect(mock.function.parameters.properties).toHaveProperty('fixture');
+    expect(mock.function.parameters.properties).toHaveProperty('delayMs');
+    expect(clear?.function?.parameters?.properties).toHaveProperty('url');
+  });
+
+  it('defines audit_accessibility with an optional scope selector', () => {
+    const audit = toolsSchema.find(t => t.function?.name === 'audit_accessibility');
+    expect(audit?.function?.parameters?.properties).toHaveProperty('selector');
+    expect(audit.function.parameters.required).toBeUndefined();
+  });
+
+  it('defines compare_screenshot with a required snapshot name and ignore-regions', () => {
+    const compare = toolsSchema.find(t => t.function?.name === 'compare_screenshot');
+    expect(compare?.function?.parameters?.required).toEqual(['name']);
+    expect(compare.function.parameters.properties.ignore).toMatchObject({ type: 'array', items: { type: 'string' } });
+  });
+
+  it('lets click and fill target a ref from the accessibility outline', () => {
+    const byName = (name) => toolsSchema.find(t => t.function?.name === name)?.function;
+    expect(byName('click').parameters.properties).toHaveProperty('ref');
+    expect(byName('click').parameters.required).toBeUndefined();
+    expect(byName('fill').parameters.properties).toHaveProperty('ref');
+    expect(byName('fill').parameters.required).toEqual(['text']);
+    expect(byName('get_dom').parameters.properties.mode.enum).toEqual(['html', 'aria']);
+    expect(byName('get_a11y_tree').parameters.properties).toHaveProperty('selector');
+  });
+
+  it('accepts a ref instead of a selector on menu and file tools', () => {
+    const byName = (name) => toolsSchema.find(t => t.function?.name === name)?.function;
+    for (const name of ['expand_menu', 'upload_file', 'download_file']) {
+      expect(byName(name).parameters.properties).toHaveProperty('ref');
+      expect(byName(name).parameters.required || []).not.toContain('selector');
+    }
+    expect(byName('upload_file').parameters.required).toEqual(['fileName']);
+  });
+
+  it('defines look for vision mode without required arguments', () => {
+    const look = toolsSchema.find(t => t.function?.name === 'look');
+    expect(Object.keys(look?.function?.parameters?.properties)).toEqual(['fullPage']);
+    expect(look.function.parameters.required).toBeUndefined();
+  });
+
+  it('defines keyboard, hover, select, drag, scroll and checkbox tools', () => {
+    const byName = (name) => toolsSchema.find(t => t.function?.name === name)?.function;
+    expect(byName('press_key').parameters.required).toEqual(['key']);
+    expect(byName('select_option').parameters.properties).toHaveProperty('value');
+    expect(byName('select_option').parameters.properties).toHaveProperty('index');
+    expect(Object.keys(byName('drag_and_drop').parameters.properties)).toEqual(['source', 'sourceText', 'target', 'targetText']);
+    expect(byName('scroll').parameters.properties.direction.enum).toEqual(['down', 'up', 'left', 'right']);
+    for (const name of ['hover', 'check', 'uncheck']) {
+      expect(byName(name).parameters.properties, name).toHaveProperty('text');
+    }
+  });
 });
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+
+import { decodePng, encodePng } from '../../tools/visualDiff.js';
+import { downscaleImage, toVisionImage, buildVisionMessage } from '../../tools/vision.js';
+
+// width×height RGBA image filled with one colour
+const image = (width, height, fill = [255, 255, 255, 255]) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(fill, i * 4);
+  return { width, height, data };
+};
+
+describe('tools/vision', () => {
+  it('keeps images that already fit', () => {
+    const out = downscaleImage(image(4, 2), 10);
+    expect(out.width).toBe(4);
+    expect(out.height).toBe(2);
+  });
+
+  it('averages source pixels when shrinking and keeps the aspect ratio', () => {
+    // 4x2: left half black, right half white
+    const img = image(4, 2);
+    for (const [x, y] of [[0, 0], [1, 0], [0, 1], [1, 1]]) img.data.set([0, 0, 0, 255], (y * 4 + x) * 4);
+
+    const out = downscaleImage(img, 2);
+    expect(out.width).toBe(2);
+    expect(out.height).toBe(1);
+    expect([...out.data]).toEqual([0, 0, 0, 255, 255, 255, 255, 255]);
+
+    const half = downscaleImage(img, 1);
+    expect([...half.data]).toEqual([128, 128, 128, 255]);
+  });
+
+  it('turns a screenshot PNG into a downscaled image part', () => {
+    const png = encodePng(image(40, 20, [10, 20, 30, 255]));
+
+    const same = toVisionImage(png, { maxWidth: 64 });
+    expect(same).toMatchObject({ type: 'image', mimeType: 'image/png', width: 40, height: 20 });
+    expect(same.data).toBe(png);
+
+    const small = toVisionImage(png, { maxWidth: 10 });
+    expect(small).toMatchObject({ width: 10, height: 5 });
+    const decoded = decodePng(small.data);
+    expect(decoded.width).toBe(10);
+    expect([...decoded.data.subarray(0, 4)]).toEqual([10, 20, 30, 255]);
+  });
+
+  it('builds a user message with a text lead and the image part', () => {
+    const img = { data: Buffer.from([1]), mimeType: 'image/png', width: 8, height: 6 };
+    const look = buildVisionMessage(img);
+    expect(look.role).toBe('user');
+    expect(look.content[0].text).toMatch(/you asked for \(8x6\)/);
+    expect(look.content[1]).toEqual({ type: 'image', mimeType: 'image/png', data: img.data, width: 8, height: 6 });
+
+    expect(buildVisionMessage(img, { reason: 'auto' }).content[0].text).toMatch(/after your last action/);
+  });
+});
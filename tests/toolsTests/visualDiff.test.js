@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+import {
+  decodePng,
+  encodePng,
+  diffImages,
+  normalizeRegions,
+  baselinePath,
+  candidatePath,
+  compareWithBaseline,
+  acceptBaselines,
+  formatVisualEvent,
+} from '../../tools/visualDiff.js';
+
+// width×height RGBA image filled with one colour, with optional [x, y, rgba] overrides
+const image = (width, height, fill = [255, 255, 255, 255], paint = []) => {
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0; i < width * height; i++) data.set(fill, i * 4);
+  for (const [x, y, rgba] of paint) data.set(rgba, (y * width + x) * 4);
+  return { width, height, data };
+};
+const RED = [255, 0, 0, 255];
+
+describe('tools/visualDiff', () => {
+  let tmp;
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'testronaut-visual-'));
+  });
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('round-trips RGBA pixels through PNG', () => {
+    const img = image(3, 2, [10, 20, 30, 255], [[2, 1, [1, 2, 3, 4]]]);
+    const decoded = decodePng(encodePng(img));
+    expect(decoded.width).toBe(3);
+    expect(decoded.height).toBe(2);
+    expect([...decoded.data]).toEqual([...img.data]);
+  });
+
+  it('decodes filtered RGB rows like browsers write them', () => {
+    // 2×2 RGB: row 0 uses the Sub filter, row 1 the Up filter
+    const raw = Buffer.from([1, 10, 20, 30, 5, 5, 5, 2, 1, 1, 1, 0, 0, 0]);
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(2, 0);
+    ihdr.writeUInt32BE(2, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 2;
+    const png = encodePng(image(1, 1));
+    const chunkOf = (type, data) => {
+      const len = Buffer.alloc(4);
+      len.writeUInt32BE(data.length);
+      return Buffer.concat([len, Buffer.from(type), data, Buffer.alloc(4)]);
+    };
+    const file = Buffer.concat([png.subarray(0, 8), chunkOf('IHDR', ihdr), chunkOf('IDAT', zlib.deflateSync(raw)), chunkOf('IEND', Buffer.alloc(0))]);
+
+    expect([...decodePng(file).data]).toEqual([10, 20, 30, 255, 15, 25, 35, 255, 11, 21, 31, 255, 15, 25, 35, 255]);
+    expect(() => decodePng(Buffer.from('not a png'))).toThrow(/Not a PNG/);
+  });
+
+  it('counts changed pixels, honours the colour tolerance and ignore-regions', () => {
+    const base = image(4, 4);
+    const actual = image(4, 4, [255, 255, 255, 255], [[0, 0, RED], [3, 3, RED], [1, 1, [250, 250, 250, 255]]]);
+
+    const res = diffImages(actual, base, { pixelTolerance: 0.1 });
+    expect(res).toMatchObject({ sizeMismatch: false, diffPixels: 2, totalPixels: 16, diffRatio: 2 / 16 });
+    expect([...res.diff.data.subarray(0, 4)]).toEqual(RED);
+
+    const ignored = diffImages(actual, base, { ignore: [{ x: 2, y: 2, width: 5, height: 5 }] });
+    expect(ignored).toMatchObject({ diffPixels: 1, totalPixels: 12 });
+
+    expect(diffImages(image(2, 2), base)).toMatchObject({ sizeMismatch: true, diffRatio: 1, diff: null });
+  });
+
+  it('clips ignore-regions to the image and drops invalid ones', () => {
+    expect(normalizeRegions([{ x: -2, y: 1.5, width: 4, height: 10 }, { x: 'a' }, { x: 9, y: 0, width: 1, height: 1 }], { width: 4, height: 4 }))
+      .toEqual([{ x: 0, y: 1, width: 2, height: 3 }]);
+  });
+
+  it('stores the first screenshot, then matches or records a mismatch', () => {
+    const baselineFile = baselinePath(tmp, 'Checkout flow', 'cart summary');
+    const diffFile = path.join(tmp, 'report', 'cart.diff.png');
+    expect(baselineFile).toBe(path.join(tmp, 'Checkout_flow', 'cart_summary.png'));
+
+    const first = compareWithBaseline(encodePng(image(4, 4)), { baselineFile, diffFile });
+    expect(first).toMatchObject({ status: 'created', width: 4, height: 4 });
+    expect(fs.existsSync(baselineFile)).toBe(true);
+
+    const changed = encodePng(image(4, 4, [255, 255, 255, 255], [[0, 0, RED]]));
+    expect(compareWithBaseline(changed, { baselineFile, diffFile, threshold: 0.1 }).status).toBe('match');
+
+    const miss = compareWithBaseline(changed, { baselineFile, diffFile, threshold: 0 });
+    expect(miss).toMatchObject({ status: 'mismatch', diffPixels: 1, diffFile, candidateFile: candidatePath(baselineFile) });
+    expect(decodePng(fs.readFileSync(diffFile)).width).toBe(4);
+    expect(fs.readFileSync(miss.candidateFile).equals(changed)).toBe(true);
+
+    // a later match clears the stale candidate
+    compareWithBaseline(encodePng(image(4, 4)), { baselineFile, diffFile });
+    expect(fs.existsSync(miss.candidateFile)).toBe(false);
+
+    const resized = compareWithBaseline(encodePng(image(2, 2)), { baselineFile, diffFile });
+    expect(resized).toMatchObject({ status: 'mismatch', baselineSize: { width: 4, height: 4 } });
+    expect(resized).not.toHaveProperty('diffFile');
+  });
+
+  it('accepts candidates as new baselines, optionally for some missions', () => {
+    const write = (mission, file) => {
+      fs.mkdirSync(path.join(tmp, mission), { recursive: true });
+      fs.writeFileSync(path.join(tmp, mission, file), 'png');
+    };
+    write('Checkout', 'cart.actual.png');
+    write('Checkout', 'header.png');
+    write('Login', 'form.actual.png');
+
+    expect(acceptBaselines(tmp, { missions: ['Checkout'] })).toEqual([path.join(tmp, 'Checkout', 'cart.png')]);
+    expect(fs.existsSync(path.join(tmp, 'Login', 'form.actual.png'))).toBe(true);
+    expect(acceptBaselines(tmp)).toEqual([path.join(tmp, 'Login', 'form.png')]);
+    expect(acceptBaselines(path.join(tmp, 'missing'))).toEqual([]);
+  });
+
+  it('formats step events', () => {
+    const base = { name: 'cart', width: 4, height: 4, threshold: 0.001 };
+    expect(formatVisualEvent({ ...base, status: 'created', diffRatio: 0, baseline: 'missions/baselines/x/cart.png' }))
+      .toBe('🖼️ Visual baseline created: cart (missions/baselines/x/cart.png)');
+    expect(formatVisualEvent({ ...base, status: 'match', diffRatio: 0.0002 })).toBe('🖼️ Visual match: cart (0.02% of pixels differ)');
+    expect(formatVisualEvent({ ...base, status: 'mismatch', diffRatio: 0.5, diff: './visual/cart.diff.png' }))
+      .toBe('❌ Visual mismatch: cart — 50.00% of pixels differ (threshold 0.10%); diff: ./visual/cart.diff.png');
+    expect(formatVisualEvent({ ...base, status: 'mismatch', diffRatio: 1, baselineSize: { width: 8, height: 8 } }))
+      .toBe('❌ Visual mismatch: cart — size 4×4 vs baseline 8×8');
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * a11yAudit.js
+ * ------------
+ * Purpose:
+ *   Bundled, axe-style accessibility checks for the `audit_accessibility` tool.
+ *   Everything runs inside the page; nothing is fetched from the network.
+ *
+ * Responsibilities:
+ *   - Define the rule set (ids and impacts follow axe-core naming).
+ *   - Run the rules against the whole document or a scoped selector (runA11yRules).
+ *   - Shrink results to a compact form for the model and the report.
+ *   - Count violations by impact across submissions for the run summary.
+ *
+ * Result shape (compact):
+ *   { url, scope, violations: [{ rule, impact, help, count, targets:string[] }], counts:{ critical, serious, moderate, minor } }
+ *
+ * Related tests:
+ *   tests/toolsTests/a11yAudit.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (audit_accessibility tool)
+ *   - core/turnLoop.js (step events)
+ *   - core/agent.js (per-submission results)
+ *   - tools/generateHtmlReport.js / bin/cli.js (Accessibility section, run summary counts)
+ */
+
+export const A11Y_IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+
+export const A11Y_RULES = Object.freeze({
+  'image-alt':          { impact: 'critical', help: 'Images must have alternative text' },
+  'input-image-alt':    { impact: 'critical', help: 'Image buttons must have alternative text' },
+  'button-name':        { impact: 'critical', help: 'Buttons must have discernible text' },
+  'label':              { impact: 'critical', help: 'Form fields must have labels' },
+  'link-name':          { impact: 'serious',  help: 'Links must have discernible text' },
+  'color-contrast':     { impact: 'serious',  help: 'Text must have sufficient color contrast (WCAG AA)' },
+  'aria-hidden-focus':  { impact: 'serious',  help: 'aria-hidden elements must not contain focusable elements' },
+  'frame-title':        { impact: 'serious',  help: 'Frames must have a title' },
+  'document-title':     { impact: 'serious',  help: 'Documents must have a <title>' },
+  'html-has-lang':      { impact: 'serious',  help: 'The <html> element must have a lang attribute' },
+  'tabindex':           { impact: 'serious',  help: 'Elements should not have a tabindex greater than zero' },
+  'heading-order':      { impact: 'moderate', help: 'Heading levels should only increase by one' },
+  'duplicate-id':       { impact: 'minor',    help: 'id attributes must be unique' },
+});
+
+const MAX_TARGETS = 5;
+
+/**
+ * Runs in the browser (page.evaluate). Must stay self-contained: no imports,
+ * no closures over module scope.
+ *
+ * @param {{ selector?: string|null, maxNodes?: number }} [opts]
+ * @returns {{ url:string, scope:string, violations:Array<{ rule:string, nodes:Array<{ target:string, html:string }> }>, error?:string }}
+ */
+export function runA11yRules({ selector = null, maxNodes = 1500 } = {}) {
+  const root = selector ? document.querySelector(selector) : document.documentElement;
+  if (!root) return { url: location.href, scope: selector, violations: [], error: `No element matches ${selector}` };
+
+  const found = {};
+  const flag = (rule, el) => {
+    (found[rule] ||= []).push({ target: cssPath(el), html: snippet(el) });
+  };
+
+  function cssPath(el) {
+    if (el.id && document.querySelectorAll(`#${CSS.escape(el.id)}`).length === 1) return `#${CSS.escape(el.id)}`;
+    const parts = [];
+    let node = el;
+    while (node && node.nodeType === 1 && parts.length < 4) {
+      if (node.id && document.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const same = node.parentElement ? [...node.parentElement.children].filter(c => c.tagName === node.tagName) : [];
+      parts.unshift(same.length > 1 ? `${tag}:nth-of-type(${same.indexOf(node) + 1})` : tag);
+      node = node.parentElement;
+    }
+    return parts.join(' > ');
+  }
+  function snippet(el) {
+    const html = el.outerHTML || '';
+    const open = html.slice(0, html.indexOf('>') + 1) || html;
+    return open.length > 120 ? `${open.slice(0, 119)}…` : open;
+  }
+  function isHidden(el) {
+    if (el.closest('[hidden], [aria-hidden="true"]')) return true;
+    const style = getComputedStyle(el);
+    return style.display === 'none' || style.visibility === 'hidden' || el.getClientRects().length === 0;
+  }
+  function textOf(el) {
+    return (el.textContent || '').replace(/\s+/g, ' ').trim();
+  }
+  function labelledBy(el) {
+    const ids = (el.getAttribute('aria-labelledby') || '').split(/\s+/).filter(Boolean);
+    return ids.map(id => document.getElementById(id)).filter(Boolean).map(textOf).join(' ').trim();
+  }
+  function accessibleName(el) {
+    const aria = (el.getAttribute('aria-label') || '').trim() || labelledBy(el);
+    if (aria) return aria;
+    const imgAlt = [...el.querySelectorAll('img[alt], [role="img"][aria-label]')]
+      .map(i => (i.getAttribute('alt') || i.getAttribute('aria-label') || '').trim())
+      .join(' ')
+      .trim();
+    return textOf(el) || imgAlt || (el.getAttribute('title') || '').trim();
+  }
+  function fieldLabel(el) {
+    if ((el.getAttribute('aria-label') || '').trim() || labelledBy(el)) return true;
+    if (el.id && [...document.querySelectorAll(`label[for="${CSS.escape(el.id)}"]`)].some(l => textOf(l))) return true;
+    const wrapping = el.closest('label');
+    if (wrapping && textOf(wrapping)) return true;
+    return Boolean((el.getAttribute('title') || '').trim() || (el.getAttribute('placeholder') || '').trim());
+  }
+
+  const all = [root, ...root.querySelectorAll('*')].slice(0, maxNodes);
+  const isDocument = root === document.documentElement;
+
+  if (isDocument) {
+    if (!document.title.trim()) flag('document-title', document.documentElement);
+    if (!(document.documentElement.getAttribute('lang') || '').trim()) flag('html-has-lang', document.documentElement);
+  }
+
+  // Contrast helpers
+  const parseColor = (c) => {
+    const m = String(c).match(/rgba?\(([^)]+)\)/);
+    if (!m) return null;
+    const [r, g, b, a = 1] = m[1].split(/[,\s/]+/).filter(Boolean).map(Number);
+    return { r, g, b, a };
+  };
+  const luminance = ({ r, g, b }) => {
+    const ch = [r, g, b].map(v => {
+      const s = v / 255;
+      return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * ch[0] + 0.7152 * ch[1] + 0.0722 * ch[2];
+  };
+  const backgroundOf = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const style = getComputedStyle(node);
+      if (style.backgroundImage && style.backgroundImage !== 'none') return null; // cannot tell
+      const bg = parseColor(style.backgroundColor);
+      if (bg && bg.a >= 1) return bg;
+      if (bg && bg.a > 0) return null; // translucent layers: skip rather than guess
+    }
+    return { r: 255, g: 255, b: 255, a: 1 };
+  };
+
+  const ids = {};
+  let lastHeading = 0;
+
+  for (const el of all) {
+    const tag = el.tagName.toLowerCase();
+    const role = (el.getAttribute('role') || '').toLowerCase();
+
+    if (el.id) (ids[el.id] ||= []).push(el);
+
+    const tabindex = Number(el.getAttribute('tabindex'));
+    if (Number.isFinite(tabindex) && tabindex > 0) flag('tabindex', el);
+
+    if (el.getAttribute('aria-hidden') === 'true') {
+      const focusable = el.matches('a[href], button, input, select, textarea, [tabindex]')
+        ? [el]
+        : [...el.querySelectorAll('a[href], button, input, select, textarea, [tabindex]')];
+      if (focusable.some(f => !f.disabled && f.getAttribute('tabindex') !== '-1')) flag('aria-hidden-focus', el);
+    }
+
+    if (/^h[1-6]$/.test(tag) && !isHidden(el)) {
+      const level = Number(tag[1]);
+      if (lastHeading && level > lastHeading + 1) flag('heading-order', el);
+      lastHeading = level;
+    }
+
+    if (tag === 'iframe' && !(el.getAttribute('title') || '').trim() && !(el.getAttribute('aria-label') || '').trim()) {
+      flag('frame-title', el);
+    }
+
+    if (isHidden(el)) continue;
+
+    if (tag === 'img' && !['presentation', 'none'].includes(role)) {
+      if (!el.hasAttribute('alt') && !(el.getAttribute('aria-label') || '').trim() && !labelledBy(el)) flag('image-alt', el);
+    }
+
+    if (tag === 'input') {
+      const type = (el.getAttribute('type') || 'text').toLowerCase();
+      if (type === 'image') {
+        if (!(el.getAttribute('alt') || '').trim() && !(el.getAttribute('aria-label') || '').trim()) flag('input-image-alt', el);
+      } else if (['button', 'submit', 'reset'].includes(type)) {
+        if (!(el.value || '').trim() && !(el.getAttribute('aria-label') || '').trim() && type === 'button') flag('button-name', el);
+      } else if (type !== 'hidden' && !fieldLabel(el)) {
+        flag('label', el);
+      }
+    }
+    if ((tag === 'select' || tag === 'textarea') && !fieldLabel(el)) flag('label', el);
+
+    if ((tag === 'button' || role === 'button') && tag !== 'input' && !accessibleName(el)) flag('button-name', el);
+    if (tag === 'a' && el.hasAttribute('href') && role !== 'button' && !accessibleName(el)) flag('link-name', el);
+
+    // Contrast: elements with their own text
+    const ownText = [...el.childNodes].some(n => n.nodeType === 3 && n.textContent.trim());
+    if (ownText && !['script', 'style', 'noscript', 'option'].includes(tag)) {
+      const style = getComputedStyle(el);
+      const fg = parseColor(style.color);
+      const bg = backgroundOf(el);
+      if (fg && bg && fg.a >= 1 && !el.closest('button:disabled, [aria-disabled="true"]')) {
+        const [hi, lo] = [luminance(fg), luminance(bg)].sort((a, b) => b - a);
+        const ratio = (hi + 0.05) / (lo + 0.05);
+        const size = parseFloat(style.fontSize) || 16;
+        const bold = Number(style.fontWeight) >= 700 || style.fontWeight === 'bold';
+        const large = size >= 24 || (bold && size >= 18.66);
+        if (ratio < (large ? 3 : 4.5)) flag('color-contrast', el);
+      }
+    }
+  }
+
+  for (const list of Object.values(ids)) {
+    if (list.length > 1) flag('duplicate-id', list[1]);
+  }
+
+  return {
+    url: location.href,
+    scope: selector || 'document',
+    violations: Object.entries(found).map(([rule, nodes]) => ({ rule, nodes })),
+  };
+}
+
+/**
+ * Compact result with rule metadata, most severe first.
+ *
+ * @param {{ url:string, scope:string, violations:Array<{ rule:string, nodes:object[] }> }} raw - runA11yRules() output
+ * @param {{ maxTargets?: number }} [opts]
+ * @returns {{ url:string, scope:string, violations:object[], counts:Record<string, number> }}
+ */
+export function compactA11yResult(raw, { maxTargets = MAX_TARGETS } = {}) {
+  const violations = (raw?.violations || [])
+    .map(v => ({
+      rule: v.rule,
+      impact: A11Y_RULES[v.rule]?.impact || 'minor',
+      help: A11Y_RULES[v.rule]?.help || v.rule,
+      count: v.nodes.length,
+      targets: v.nodes.slice(0, maxTargets).map(n => n.target),
+    }))
+    .sort((a, b) => A11Y_IMPACTS.indexOf(a.impact) - A11Y_IMPACTS.indexOf(b.impact) || b.count - a.count);
+  return {
+    url: raw?.url || '',
+    scope: raw?.scope || 'document',
+    violations,
+    counts: countImpacts(violations),
+  };
+}
+
+function countImpacts(violations) {
+  const counts = Object.fromEntries(A11Y_IMPACTS.map(i => [i, 0]));
+  for (const v of violations) counts[v.impact] = (counts[v.impact] || 0) + v.count;
+  return counts;
+}
+
+/**
+ * One-line step event, e.g. "♿ Accessibility (document): 3 violation(s) — 1 critical, 2 serious".
+ * @param {object} result - compactA11yResult() output
+ * @returns {string}
+ */
+export function formatA11yEvent(result) {
+  const total = A11Y_IMPACTS.reduce((n, i) => n + (result.counts?.[i] || 0), 0);
+  if (!total) return `♿ Accessibility (${result.scope}): no violations`;
+  const parts = A11Y_IMPACTS.filter(i => result.counts[i]).map(i => `${result.counts[i]} ${i}`);
+  return `♿ Accessibility (${result.scope}): ${total} violation(s) — ${parts.join(', ')}`;
+}
+
+/**
+ * Violation counts by impact across submissions. The same rule on the same
+ * page and scope is counted once (its highest node count), so repeated audits
+ * of one page do not inflate the totals.
+ *
+ * @param {Array<{ accessibility?: object[] }>} missions - report entries
+ * @returns {{ audits:number, critical:number, serious:number, moderate:number, minor:number }|null} null when nothing was audited
+ */
+export function summarizeAccessibility(missions = []) {
+  const audits = missions.flatMap(m => (Array.isArray(m?.accessibility) ? m.accessibility : []));
+  if (!audits.length) return null;
+  const worst = new Map();
+  for (const a of audits) {
+    for (const v of a.violations || []) {
+      const key = `${a.url}|${a.scope}|${v.rule}`;
+      if ((worst.get(key)?.count ?? -1) < v.count) worst.set(key, v);
+    }
+  }
+  return { audits: audits.length, ...countImpacts([...worst.values()]) };
+}
@@ -0,0 +1,363 @@
+/**
+ * ariaSnapshot.js
+ * ---------------
+ * Purpose:
+ *   Compact accessibility-tree outline of the page: an alternative to the
+ *   pruned HTML from `get_dom` that costs a fraction of the tokens on large SPAs.
+ *
+ * Responsibilities:
+ *   - Walk the page inside the browser and compute role, accessible name and
+ *     state for each meaningful element (collectAriaTree). Wrapper divs and
+ *     spans are flattened away; hidden content is skipped.
+ *   - Tag interactive elements with short refs (`data-tn-ref="e12"`) that stay
+ *     the same for an element across snapshots, so action tools can target
+ *     them exactly. `get_dom` stamps the same refs into its HTML (stampRefs).
+ *   - Keep numbering going across navigations (`start`), so a ref from an old
+ *     page never silently names a different element on the new one.
+ *   - Render the result as an indented outline for the model (formatAriaTree).
+ *   - Name the refs of password/credential fields (sensitiveRefsOf) so
+ *     `fill { ref }` values are masked in logs like selector-based fills.
+ *
+ * Outline shape:
+ *   - navigation "Main":
+ *     - link "Orders" [ref=e3] /orders
+ *   - heading "Checkout" [level=1]
+ *   - textbox "Email" [ref=e7] [required]: "ada@example.com"
+ *   - button "Pay now" [ref=e9] [disabled]
+ *
+ * Related tests:
+ *   tests/toolsTests/ariaSnapshot.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (get_a11y_tree tool, get_dom refs and domMode 'aria', ref targeting)
+ *   - core/config.js (getDomMode)
+ */
+
+import { hasSensitiveHint } from '../core/redaction.js';
+
+export const REF_ATTR = 'data-tn-ref';
+export const DOM_MODES = Object.freeze(['html', 'aria']);
+
+const REF_RE = /^(f\d+)?e\d+$/;
+
+/** Is this string a snapshot ref such as "e12" (main frame) or "f1e3" (first iframe)? */
+export function isRef(value) {
+  return typeof value === 'string' && REF_RE.test(value.trim());
+}
+
+/**
+ * Split a ref into its frame prefix and number: "f1e3" -> { prefix: 'f1e', seq: 3 }.
+ * @returns {{ prefix:string, seq:number }|null}
+ */
+export function parseRef(value) {
+  const m = /^(f\d+)?e(\d+)$/.exec(String(value ?? '').trim());
+  return m ? { prefix: `${m[1] || ''}e`, seq: Number(m[2]) } : null;
+}
+
+/** CSS selector that matches the element carrying `ref`. */
+export function refSelector(ref) {
+  return `[${REF_ATTR}="${String(ref).trim()}"]`;
+}
+
+/**
+ * Runs in the browser (page.evaluate / frame.evaluate). Must stay
+ * self-contained: no imports, no closures over module scope.
+ *
+ * @param {{ selector?: string|null, prefix?: string, start?: number, maxNodes?: number }} [opts]
+ *   prefix: ref prefix for this frame ('e' for the main frame, 'f1e' for the first iframe, ...)
+ *   start:  highest ref number already issued for this prefix (new refs continue after it)
+ * @returns {{ url:string, title:string, nodes:object[], count:number, truncated:boolean, seq:number, error?:string }}
+ */
+export function collectAriaTree({ selector = null, prefix = 'e', start = 0, maxNodes = 4000 } = {}) {
+  const ATTR = 'data-tn-ref';
+  const root = selector ? document.querySelector(selector) : document.body;
+  if (!root) {
+    return { url: location.href, title: document.title || '', nodes: [], count: 0, truncated: false, seq: start, error: `No element matches ${selector}` };
+  }
+
+  const SKIP = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'META', 'LINK', 'HEAD']);
+  const LANDMARKS = { NAV: 'navigation', MAIN: 'main', HEADER: 'banner', FOOTER: 'contentinfo', ASIDE: 'complementary', DIALOG: 'dialog', FORM: 'form' };
+  const STRUCTURE = { UL: 'list', OL: 'list', LI: 'listitem', TABLE: 'table', TR: 'row', TH: 'columnheader', TD: 'cell', FIELDSET: 'group', DETAILS: 'group' };
+  const INTERACTIVE = new Set([
+    'link', 'button', 'textbox', 'searchbox', 'checkbox', 'radio', 'combobox', 'listbox', 'option',
+    'slider', 'spinbutton', 'switch', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'treeitem', 'clickable',
+  ]);
+  // Roles whose name comes from their text content; their text is not repeated as children
+  const NAME_FROM_CONTENT = new Set([
+    'link', 'button', 'heading', 'option', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio',
+    'treeitem', 'columnheader', 'switch', 'clickable', 'img',
+  ]);
+
+  let seq = Math.max(Number(window.__tnRefSeq || 0), start);
+  let count = 0;
+  let truncated = false;
+
+  const clean = (s, max = 100) => {
+    const t = String(s ?? '').replace(/\s+/g, ' ').trim();
+    return t.length > max ? `${t.slice(0, max - 1)}…` : t;
+  };
+  const attr = (el, name) => (el.getAttribute ? el.getAttribute(name) : null);
+  const style = (el) => {
+    try { return getComputedStyle(el); } catch { return null; }
+  };
+  const isHidden = (el) => {
+    if (el.hidden || attr(el, 'aria-hidden') === 'true') return true;
+    if (el.tagName === 'INPUT' && String(attr(el, 'type') || '').toLowerCase() === 'hidden') return true;
+    const cs = style(el);
+    return !!cs && (cs.display === 'none' || cs.visibility === 'hidden');
+  };
+
+  const roleOf = (el) => {
+    const explicit = clean(attr(el, 'role')).split(' ')[0];
+    if (explicit && explicit !== 'none' && explicit !== 'presentation') return explicit;
+    if (explicit) return null;
+    const tag = el.tagName;
+    const type = String(attr(el, 'type') || 'text').toLowerCase();
+    if (tag === 'A') return attr(el, 'href') !== null ? 'link' : null;
+    if (tag === 'BUTTON' || tag === 'SUMMARY') return 'button';
+    if (tag === 'INPUT') {
+      if (['button', 'submit', 'reset', 'image', 'file'].includes(type)) return 'button';
+      if (type === 'checkbox' || type === 'radio') return type;
+      if (type === 'range') return 'slider';
+      if (type === 'number') return 'spinbutton';
+      if (type === 'search') return 'searchbox';
+      return 'textbox';
+    }
+    if (tag === 'TEXTAREA') return 'textbox';
+    if (tag === 'SELECT') return el.multiple || Number(attr(el, 'size')) > 1 ? 'listbox' : 'combobox';
+    if (tag === 'OPTION') return 'option';
+    if (/^H[1-6]$/.test(tag)) return 'heading';
+    if (tag === 'IMG') return attr(el, 'alt') === '' ? null : 'img';
+    if (LANDMARKS[tag]) return LANDMARKS[tag];
+    if (STRUCTURE[tag]) return STRUCTURE[tag];
+    if (tag === 'IFRAME') return 'iframe';
+    if (attr(el, 'contenteditable') === '' || attr(el, 'contenteditable') === 'true') return 'textbox';
+    // Div/span "buttons": focusable or pointer-cursor elements whose parent is not already one
+    const tabindex = attr(el, 'tabindex');
+    if (tabindex !== null && Number(tabindex) >= 0) return 'clickable';
+    if (style(el)?.cursor === 'pointer' && style(el.parentElement || el)?.cursor !== 'pointer') return 'clickable';
+    return null;
+  };
+
+  const labelFor = (el) => {
+    const id = attr(el, 'id');
+    if (id) {
+      const label = document.querySelector(`label[for="${id.replace(/["\\]/g, '\\$&')}"]`);
+      if (label) return label.textContent;
+    }
+    for (let p = el.parentElement; p; p = p.parentElement) {
+      if (p.tagName === 'LABEL') return p.textContent;
+    }
+    return '';
+  };
+
+  const nameOf = (el, role) => {
+    const labelledBy = attr(el, 'aria-labelledby');
+    if (labelledBy) {
+      const text = labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ');
+      if (clean(text)) return clean(text);
+    }
+    const aria = clean(attr(el, 'aria-label'));
+    if (aria) return aria;
+    const tag = el.tagName;
+    if (tag === 'INPUT' || tag === 'TEXTAREA' || tag === 'SELECT') {
+      const type = String(attr(el, 'type') || '').toLowerCase();
+      if (['button', 'submit', 'reset'].includes(type)) return clean(el.value || attr(el, 'value') || type);
+      if (type === 'image') return clean(attr(el, 'alt') || attr(el, 'title'));
+      return clean(labelFor(el) || attr(el, 'placeholder') || attr(el, 'title') || attr(el, 'name'));
+    }
+    if (tag === 'IMG') return clean(attr(el, 'alt') || attr(el, 'title'));
+    if (NAME_FROM_CONTENT.has(role)) return clean(el.textContent || attr(el, 'title'));
+    return clean(attr(el, 'title'));
+  };
+
+  const statesOf = (el, role) => {
+    const s = {};
+    if (el.disabled || attr(el, 'aria-disabled') === 'true') s.disabled = true;
+    const ariaChecked = attr(el, 'aria-checked');
+    if (role === 'checkbox' || role === 'radio' || role === 'switch' || ariaChecked !== null) {
+      if (ariaChecked === 'mixed') s.checked = 'mixed';
+      else if (el.checked === true || ariaChecked === 'true') s.checked = true;
+    }
+    if (attr(el, 'aria-expanded') !== null) s.expanded = attr(el, 'aria-expanded') === 'true';
+    if (el.tagName === 'DETAILS') s.expanded = !!el.open;
+    if ((role === 'option' && el.selected) || attr(el, 'aria-selected') === 'true') s.selected = true;
+    if (attr(el, 'aria-pressed') === 'true') s.pressed = true;
+    if (el.required || attr(el, 'aria-required') === 'true') s.required = true;
+    if (role === 'heading') s.level = Number(attr(el, 'aria-level')) || Number(el.tagName.slice(1)) || 2;
+    if (role === 'link') s.url = clean(attr(el, 'href'), 120);
+    if (role === 'textbox' || role === 'searchbox' || role === 'spinbutton' || role === 'slider') {
+      const value = el.tagName === 'INPUT' || el.tagName === 'TEXTAREA' ? el.value : el.textContent;
+      const isPassword = String(attr(el, 'type') || '').toLowerCase() === 'password';
+      if (isPassword) s.sensitive = true;
+      if (value) s.value = isPassword ? '••••' : clean(value, 80);
+    }
+    if (role === 'combobox' && el.tagName === 'SELECT') {
+      const chosen = el.selectedOptions?.[0] || el.options?.[el.selectedIndex];
+      if (chosen) s.value = clean(chosen.textContent, 80);
+    }
+    if (el.tagName === 'INPUT' && String(attr(el, 'type') || '').toLowerCase() === 'file') s.file = true;
+    return s;
+  };
+
+  const refOf = (el) => {
+    let ref = attr(el, ATTR);
+    if (!ref) {
+      seq += 1;
+      ref = `${prefix}${seq}`;
+      try { el.setAttribute(ATTR, ref); } catch { return null; }
+    }
+    return ref;
+  };
+
+  const walk = (el) => {
+    if (count >= maxNodes) { truncated = true; return []; }
+    if (el.nodeType === 3) {
+      const text = clean(el.textContent);
+      if (!text) return [];
+      count += 1;
+      return [{ role: 'text', name: text }];
+    }
+    if (el.nodeType !== 1 || SKIP.has(el.tagName) || isHidden(el)) return [];
+
+    const role = roleOf(el);
+    const kids = () => {
+      const nodes = [];
+      for (const child of el.childNodes || []) nodes.push(...walk(child));
+      if (el.shadowRoot) for (const child of el.shadowRoot.childNodes || []) nodes.push(...walk(child));
+      return nodes;
+    };
+    if (!role) return kids();
+
+    count += 1;
+    const node = { role, name: nameOf(el, role), ...statesOf(el, role) };
+    if (role === 'iframe') node.name = clean(attr(el, 'title') || attr(el, 'src'), 120);
+    if (INTERACTIVE.has(role)) {
+      const ref = refOf(el);
+      if (ref) node.ref = ref;
+    }
+    if (!NAME_FROM_CONTENT.has(role) && el.tagName !== 'SELECT' && el.tagName !== 'TEXTAREA') {
+      const children = kids();
+      if (children.length) node.children = children;
+    } else if (el.tagName === 'SELECT') {
+      const options = kids().filter(n => n.role === 'option');
+      if (options.length && options.length <= 25) node.children = options;
+    }
+    // Unnamed structure with nothing inside carries no information
+    if (!node.name && !node.children && !node.ref && !['heading', 'img', 'iframe'].includes(role)) {
+      count -= 1;
+      return [];
+    }
+    return [node];
+  };
+
+  const nodes = walk(root);
+  window.__tnRefSeq = seq;
+  return { url: location.href, title: document.title || '', nodes, count, truncated, seq };
+}
+
+/**
+ * Runs in the browser before `get_dom` reads the HTML: tags interactive
+ * elements with refs, reusing refs already assigned by earlier snapshots,
+ * and names the refs of password and credential-like inputs so fills into
+ * them get redacted. Self-contained like collectAriaTree.
+ *
+ * @param {{ prefix?: string, start?: number }} [opts]
+ * @returns {{ seq:number, count:number, sensitive:string[] }}
+ */
+export function stampRefs({ prefix = 'e', start = 0 } = {}) {
+  const ATTR = 'data-tn-ref';
+  const INTERACTIVE = [
+    'a[href]', 'button', 'input:not([type="hidden"])', 'select', 'textarea', 'summary',
+    '[role="button"]', '[role="link"]', '[role="checkbox"]', '[role="radio"]', '[role="switch"]',
+    '[role="tab"]', '[role="menuitem"]', '[role="option"]', '[role="combobox"]', '[role="textbox"]',
+    '[contenteditable=""]', '[contenteditable="true"]', '[tabindex]:not([tabindex="-1"])',
+  ].join(', ');
+
+  const CREDENTIAL = /passw(or)?d|passcode|token|secret|api[-_\s]?key|one-time-code/i;
+  const isCredential = (el) => {
+    if (!['INPUT', 'TEXTAREA'].includes(el.tagName)) return false;
+    if (String(el.getAttribute('type') || '').toLowerCase() === 'password') return true;
+    return ['name', 'autocomplete', 'id'].some(a => CREDENTIAL.test(el.getAttribute(a) || ''));
+  };
+
+  let seq = Math.max(Number(window.__tnRefSeq || 0), start);
+  let count = 0;
+  const sensitive = [];
+  for (const el of document.querySelectorAll(INTERACTIVE)) {
+    if (!el.getAttribute(ATTR)) {
+      seq += 1;
+      el.setAttribute(ATTR, `${prefix}${seq}`);
+    }
+    if (isCredential(el)) sensitive.push(el.getAttribute(ATTR));
+    count += 1;
+  }
+  window.__tnRefSeq = seq;
+  return { seq, count, sensitive };
+}
+
+const FILLABLE_ROLES = new Set(['textbox', 'searchbox', 'combobox', 'spinbutton']);
+
+/**
+ * Refs of fields whose values must not be logged: password inputs and
+ * fields named like credentials ("Password", "Access code", "API key").
+ *
+ * @param {...{ nodes?: object[] }} trees
+ * @returns {string[]}
+ */
+export function sensitiveRefsOf(...trees) {
+  const refs = [];
+  const visit = (node) => {
+    if (node.ref && FILLABLE_ROLES.has(node.role) && (node.sensitive || hasSensitiveHint(node.name))) refs.push(node.ref);
+    for (const child of node.children || []) visit(child);
+  };
+  for (const tree of trees) for (const node of tree?.nodes || []) visit(node);
+  return refs;
+}
+
+const STATE_ORDER = ['level', 'checked', 'selected', 'expanded', 'pressed', 'disabled', 'required', 'file'];
+
+function formatNode(node, depth, lines) {
+  const parts = [`${'  '.repeat(depth)}- ${node.role}`];
+  if (node.role === 'text') {
+    lines.push(`${'  '.repeat(depth)}- text: ${node.name}`);
+    return;
+  }
+  if (node.name) parts.push(` ${JSON.stringify(node.name)}`);
+  if (node.ref) parts.push(` [ref=${node.ref}]`);
+  for (const key of STATE_ORDER) {
+    const v = node[key];
+    if (v === undefined || v === false && key !== 'expanded') continue;
+    parts.push(v === true ? ` [${key}]` : ` [${key}=${v}]`);
+  }
+  if (node.url) parts.push(` ${node.url}`);
+  if (node.value !== undefined) parts.push(`: ${JSON.stringify(node.value)}`);
+  if (node.children?.length) parts.push(':');
+  lines.push(parts.join(''));
+  for (const child of node.children || []) formatNode(child, depth + 1, lines);
+}
+
+/**
+ * Render collected trees (main frame first, then iframes) as an outline.
+ *
+ * @param {{ url:string, title:string, nodes:object[], truncated?:boolean }} tree
+ * @param {{ frames?: Array<{ url:string, nodes:object[], truncated?:boolean }>, maxChars?: number }} [opts]
+ * @returns {string}
+ */
+export function formatAriaTree(tree, { frames = [], maxChars = 100000 } = {}) {
+  const lines = [
+    `# Page: ${tree.title || '(untitled)'} — ${tree.url}`,
+    '# Accessibility outline. Target elements with ref (e.g. click { "ref": "e12" }).',
+  ];
+  for (const node of tree.nodes || []) formatNode(node, 0, lines);
+  for (const frame of frames) {
+    if (!frame?.nodes?.length) continue;
+    lines.push(`- iframe content ${frame.url}:`);
+    for (const node of frame.nodes) formatNode(node, 1, lines);
+  }
+  if (tree.truncated || frames.some(f => f?.truncated)) {
+    lines.push('# (outline truncated: pass a selector to get_a11y_tree to see one region)');
+  }
+  const out = lines.join('\n');
+  return out.length > maxChars ? `${out.slice(0, maxChars)}\n# (outline cut at ${maxChars} chars)` : out;
+}
@@ -24,10 +24,23 @@ import path from 'path';
 import { ensureBrowsers } from '../tools/playwrightSetup.js';
 import { requestHumanInput } from './humanInput.js';
 import { getMfaCode } from './mfaCode.js';
+import { buildContextOptions } from '../core/profiles.js';
+import { normalizeMock, compileUrlPattern, createMockHandler, describeMock } from './networkMocks.js';
+import { fromPageError, fromConsoleMessage, fromRequestFailed, fromResponse } from './pageDiagnostics.js';
+import { harEntryFrom, redactHarEntry, writeHar } from './harRecorder.js';
+import { runA11yRules, compactA11yResult } from './a11yAudit.js';
+import { baselinePath, compareWithBaseline } from './visualDiff.js';
+import { toVisionImage, DEFAULT_VISION_MAX_WIDTH } from './vision.js';
+import { collectAriaTree, formatAriaTree, parseRef, refSelector, sensitiveRefsOf, stampRefs } from './ariaSnapshot.js';
+import { rememberSensitiveRefs } from '../core/redaction.js';
+import { artifactBaseName } from '../core/artifacts.js';
 
 const FILES_DIR = path.join('missions', 'files');
 const REPORTS_DIR = path.join('missions', 'mission_reports');
 const FILES_LOG = path.join(REPORTS_DIR, 'files.jsonl');
+const VIDEO_TMP_DIR = path.join('missions', 'tmp', 'videos');
+// Per-browser cap so a chatty page cannot grow the diagnostics log without bound
+const MAX_DIAGNOSTICS = 500;
 
 function ensureDir(p) {
   try { fs.mkdirSync(p, { recursive: true }); } catch {}
@@ -45,6 +58,8 @@ function appendFileEvent(eventObj = {}) {
 export class ChromeBrowser {
   constructor(options = {}) {
     this.browser = null;
+    // Files this browser saved via download_file (checked by `download` expectations)
+    this.downloads = [];
     this.context = null;
     this.page = null;
 
@@ -53,9 +68,71 @@ export class ChromeBrowser {
     this.currentId = '';  // page id we currently control
 
     this.domListLimit = options.domListLimit;
+    // 'html' (pruned HTML) or 'aria' (accessibility outline with refs); see tools/ariaSnapshot.js
+    this.domMode = options.domMode === 'aria' ? 'aria' : 'html';
+    // Highest ref number issued per frame prefix ('e', 'f1e', ...): new documents
+    // continue after it, and refs at or below it that match nothing are stale
+    this._refSeq = new Map();
     this.debugEnabled = !!options.debug;
+    // Mission-scoped suffix keeps artifacts apart when missions run in parallel
+    this.artifactSuffix = options.missionName
+      ? `_${String(options.missionName).replace(/[^\w.-]+/g, '_').slice(0, 60)}`
+      : '';
     this._domLimitLogged = false;
 
+    // Playwright trace/video capture ('off' | 'on' | 'retain-on-failure'); see core/artifacts.js
+    this.traceMode = options.artifacts?.trace || 'off';
+    this.videoMode = options.artifacts?.video || 'off';
+    this._tracing = false;
+    this._videos = [];
+
+    // Playwright engine: 'chromium' | 'firefox' | 'webkit'
+    this.engine = options.browser || 'chromium';
+    // Context profile (viewport/device/locale/...), see core/profiles.js
+    this.profile = options.profile?.name ? options.profile : null;
+    // Stored login (cookies + localStorage) to start from, see core/authState.js
+    this.storageState = options.storageState || null;
+
+    // Network mocks (see tools/networkMocks.js): mission-level ones are routed on start()
+    this.missionMocks = Array.isArray(options.mocks) ? options.mocks : [];
+    this._mockRoutes = [];
+    this._mockLog = [];
+    this._mockHits = [];
+
+    // Console errors, page errors, failed requests and 4xx/5xx responses (see tools/pageDiagnostics.js)
+    this._diagnostics = [];
+    this._diagnosticsPending = [];
+    this._watchedPages = new WeakSet();
+
+    // HAR capture (see tools/harRecorder.js), enabled with start({ recordHar: true });
+    // entries are collected per submission between startHarChunk() and stopHarChunk()
+    this.recordHar = false;
+    this._harEntries = [];
+    this._harPending = new Set();
+
+    // audit_accessibility results (see tools/a11yAudit.js), collected for the report
+    this._a11yAudits = [];
+
+    // compare_screenshot (see tools/visualDiff.js): baselines live under
+    // <baselineDir>/<mission>/<name>.png; results are collected for the report
+    this.missionName = options.missionName || 'mission';
+    this.visual = {
+      baselineDir: path.join('missions', 'baselines'),
+      threshold: 0,
+      pixelTolerance: 0.1,
+      ...(options.visual || {}),
+    };
+    this._visualChecks = [];
+
+    // Vision mode (see tools/vision.js): `look` screenshots wait here until
+    // the turn loop attaches them to the next model turn
+    this.vision = { mode: 'off', maxWidth: DEFAULT_VISION_MAX_WIDTH, ...(options.vision || {}) };
+    this._pendingVisionImage = null;
+
+    // Debugging: show the browser window and slow every Playwright action down (ms)
+    this.headed = options.headed === true;
+    this.slowMo = Number.isFinite(options.slowMo) && options.slowMo > 0 ? options.slowMo : 0;
+
     const defaultResourceGuard = {
       enabled: true,
       hrefIncludes: ['/document/', '/file/', '/download', '/attachment/'],
@@ -111,6 +188,49 @@ export class ChromeBrowser {
     return id;
   }
 
+  _trackVideo(page) {
+    const video = this.videoMode !== 'off' ? page?.video?.() : null;
+    if (video && !this._videos.includes(video)) this._videos.push(video);
+  }
+
+  _watchPage(page) {
+    if (!page?.on || this._watchedPages.has(page)) return;
+    this._watchedPages.add(page);
+    const record = (entry) => {
+      if (!entry || this._diagnostics.length >= MAX_DIAGNOSTICS) return;
+      this._diagnostics.push(entry);
+      this._diagnosticsPending.push(entry);
+    };
+    page.on('pageerror', (err) => record(fromPageError(err)));
+    page.on('console', (msg) => record(fromConsoleMessage(msg)));
+    page.on('requestfailed', (req) => record(fromRequestFailed(req)));
+    page.on('response', (res) => record(fromResponse(res)));
+    if (this.recordHar) {
+      page.on('requestfinished', (req) => this._captureHar(req, true));
+      page.on('requestfailed', (req) => this._captureHar(req, false));
+    }
+  }
+
+  _captureHar(request, finished) {
+    const job = (async () => {
+      const response = finished ? await request.response().catch(() => null) : null;
+      this._harEntries.push(redactHarEntry(await harEntryFrom(request, response)));
+    })()
+      .catch((err) => this._debugLog('HAR entry skipped:', err?.message || err))
+      .finally(() => this._harPending.delete(job));
+    this._harPending.add(job);
+  }
+
+  /** Diagnostics recorded since the last call (for step events). */
+  drainDiagnostics() {
+    return this._diagnosticsPending.splice(0);
+  }
+
+  /** Diagnostics recorded at or after `ts` (for a submission's summary). */
+  diagnosticsSince(ts = 0) {
+    return this._diagnostics.filter(e => e.ts >= ts);
+  }
+
   _switchTo(target) {
     if (target === 'main') {
       this.currentId = this.pages[0]?.id ?? '';
@@ -176,11 +296,17 @@ export class ChromeBrowser {
   }
 
   // Build candidate locator MAKERS (Page|Frame-aware)
-  _buildClickCandidates({ selector, text, role, attrs, scope, searchAllFrames }) {
+  _buildClickCandidates({ selector, ref, text, role, attrs, scope, searchAllFrames }) {
     const frames = searchAllFrames ? this._allFrames({ includeMain: true }) : [this.page.mainFrame()];
     const makers = [];
     const add = (fn) => fn && makers.push(fn);
 
+    // A ref from get_dom/get_a11y_tree names one element exactly: no fallbacks
+    if (ref) {
+      for (const f of frames) add(() => f.locator(refSelector(ref)).first());
+      return makers;
+    }
+
     for (const f of frames) {
       const ctx = f; // <-- IMPORTANT: use Frame directly (or this.page for main)
 
@@ -212,6 +338,35 @@ export class ChromeBrowser {
   }
 
 
+  _noteRefSeq(prefix, seq) {
+    if (Number(seq) > (this._refSeq.get(prefix) || 0)) this._refSeq.set(prefix, Number(seq));
+  }
+
+  /**
+   * Resolve an element ref from get_dom/get_a11y_tree to a locator in whichever
+   * frame carries it. Throws a stale-ref error when the element is gone (the page
+   * re-rendered or navigated), so the model fetches fresh refs instead of retrying.
+   */
+  async _locateRef(ref, { timeoutMs = 1500, pollMs = 150 } = {}) {
+    const parsed = parseRef(ref);
+    if (!parsed) throw new Error(`Invalid ref "${ref}": refs look like e12 (or f1e3 inside an iframe)`);
+
+    const endBy = Date.now() + timeoutMs;
+    for (;;) {
+      for (const f of this._allFrames({ includeMain: true })) {
+        const loc = f.locator(refSelector(ref)).first();
+        if (await loc.count().catch(() => 0)) return loc;
+      }
+      if (Date.now() >= endBy) break;
+      await this.page.waitForTimeout(pollMs);
+    }
+
+    if (parsed.seq <= (this._refSeq.get(parsed.prefix) || 0)) {
+      throw new Error(`Ref ${ref} is stale: the page re-rendered or navigated since it was issued. Call get_dom (or get_a11y_tree) again and use the new refs.`);
+    }
+    throw new Error(`Unknown ref ${ref}: use a ref from the latest get_dom or get_a11y_tree output.`);
+  }
+
   // Clickability check (visible, enabled, hit-testable)
   async _isClickable(locator) {
     try {
@@ -455,11 +610,16 @@ export class ChromeBrowser {
   }
 
   // Build candidates for text entry (Page|Frame-aware)
-  _buildFillCandidates({ selector, placeholder, role = 'textbox', attrs, scope, searchAllFrames }) {
+  _buildFillCandidates({ selector, ref, placeholder, role = 'textbox', attrs, scope, searchAllFrames }) {
     const frames = searchAllFrames ? this._allFrames({ includeMain: true }) : [this.page.mainFrame()];
     const makers = [];
     const add = (fn) => fn && makers.push(fn);
 
+    if (ref) {
+      for (const f of frames) add(() => f.locator(refSelector(ref)).first());
+      return makers;
+    }
+
     for (const f of frames) {
       const ctx = f; // Frame
       const locInScope = (loc) => (scope ? ctx.locator(scope).locator(loc) : ctx.locator(loc));
@@ -556,19 +716,32 @@ export class ChromeBrowser {
     return inCI ? ['--no-sandbox', '--disable-setuid-sandbox'] : [];
   }
 
+  _launchOptions() {
+    return {
+      headless: !this.headed,
+      ...(this.slowMo ? { slowMo: this.slowMo } : {}),
+      // Chromium-only switches; Firefox and WebKit reject unknown args
+      ...(this.engine === 'chromium'
+        ? { args: ['--disable-dev-shm-usage', '--disable-gpu', ...this._chromiumLaunchArgsForCI()] }
+        : {}),
+    };
+  }
+
+
+  /**
+   * Launch the browser and open the first page.
+   * @param {{ recordHar?: boolean }} [opts] - recordHar: collect network traffic for HAR files
+   */
+  async start({ recordHar = this.recordHar } = {}) {
+    this.recordHar = recordHar === true;
+    // Resolved before launch so an unknown device name fails without leaking a browser
+    const profileOptions = this.profile
+      ? buildContextOptions(this.profile, { devices: (await loadPlaywright()).devices, engine: this.engine })
+      : {};
 
-  async start() {
     try {
       const pw = await loadPlaywright();
-      const launchArgs = [
-       '--disable-dev-shm-usage',
-       '--disable-gpu',
-       ...this._chromiumLaunchArgsForCI(),
-     ];
-      this.browser = await pw.chromium.launch({ 
-        headless: true,
-        args: launchArgs,
-      });    
+      this.browser = await pw[this.engine].launch(this._launchOptions());
     } catch (err) {
       const msg = String(err?.message || err);
       const needsInstall =
@@ -581,29 +754,38 @@ export class ChromeBrowser {
 
       // Download the right browsers and retry once
       console.log('🧩 Playwright browsers missing or stale. Installing…');
-      await ensureBrowsers({ browser: 'chromium', withDeps: true });
+      await ensureBrowsers({ browser: this.engine, withDeps: true });
 
       // Retry
       const pw = await loadPlaywright();
-      const launchArgs = [
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        ...this._chromiumLaunchArgsForCI(),
-      ];
-      this.browser = await pw.chromium.launch({
-        headless: true,
-        args: launchArgs,
-      });
-      // return await pw.chromium.launch({ headless: true });
+      this.browser = await pw[this.engine].launch(this._launchOptions());
     }
 
     ensureDir(FILES_DIR); // ⬅️ make sure missions/files exists
 
     this.context = await this.browser.newContext({
-      acceptDownloads: true // ⬅️ important for Playwright download handling
+      ...profileOptions,
+      ...(this.storageState ? { storageState: this.storageState } : {}),
+      acceptDownloads: true, // ⬅️ important for Playwright download handling
+      // Videos are written to a scratch dir and moved next to the report on close()
+      ...(this.videoMode !== 'off' ? { recordVideo: { dir: VIDEO_TMP_DIR } } : {}),
     });
+    if (this.videoMode !== 'off') {
+      this.context.on('page', (p) => this._trackVideo(p));
+    }
+    this.context.on('page', (p) => this._watchPage(p));
+    if (this.traceMode !== 'off') {
+      await this.context.tracing.start({ screenshots: true, snapshots: true });
+      this._tracing = true;
+    }
+    for (const mock of this.missionMocks) await this._addMock(mock, 'mission');
+    if (this.missionMocks.length) {
+      console.log(`🧪 Mocking ${this.missionMocks.length} route(s): ${this._mockLog.map(describeMock).join('; ')}`);
+    }
     // this.context = await this.browser.newContext();
     const first = await this.context.newPage();
+    this._trackVideo(first);
+    this._watchPage(first);
     const id = this._addAndFocus(first);
 
     // optional: keep registry in sync if pages are closed elsewhere
@@ -642,6 +824,7 @@ export class ChromeBrowser {
    */
   async fill({
     selector,
+    ref,                  // element ref from get_dom/get_a11y_tree (e.g. "e12")
     text,
     placeholder,          // string | RegExp
     role = 'textbox',     // generic default
@@ -655,12 +838,14 @@ export class ChromeBrowser {
       // Best effort: avoid typing while loader overlays block focus
       try { await this._waitLoaderGone({ timeoutMs: 6000 }); } catch {}
     }
+    // Fail fast on stale refs: retries cannot bring a re-rendered element back
+    if (ref) await this._locateRef(ref);
 
     const makeCandidates = () => {
       if (strategy === 'strict') {
-        return this._buildFillCandidates({ selector, scope, searchAllFrames });
+        return this._buildFillCandidates({ selector, ref, scope, searchAllFrames });
       }
-      return this._buildFillCandidates({ selector, placeholder, role, attrs, scope, searchAllFrames });
+      return this._buildFillCandidates({ selector, ref, placeholder, role, attrs, scope, searchAllFrames });
     };
 
     return this._withRetries(async () => {
@@ -685,7 +870,7 @@ export class ChromeBrowser {
       if (!chosen) {
         // quick debug snapshot (optional)
         // const html = await this.page.content(); fs.writeFileSync('debug_fill.html', html);
-        throw new Error('No editable textbox became ready');
+        throw new Error(ref ? `No editable textbox with ref ${ref} became ready` : 'No editable textbox became ready');
       }
 
       const method = await this._smartClearAndType(chosen, text);
@@ -707,7 +892,7 @@ export class ChromeBrowser {
    * @param {number}          [opts.delayMs=200]       // micro settle
    */
   async click({
-    selector, text, role, attrs, scope,
+    selector, ref, text, role, attrs, scope,
     searchAllFrames = true,
     strategy = 'auto',
     waitFor,   
@@ -720,11 +905,12 @@ export class ChromeBrowser {
     postClickTimeoutMs = 12000, 
   }) {
     const prevUrl = this.page.url();
+    if (ref) await this._locateRef(ref);
 
     // Build your candidates the way you already do (generic/hint-driven)
     const makers = (strategy === 'strict')
-      ? this._buildClickCandidates({ selector, scope, searchAllFrames })
-      : this._buildClickCandidates({ selector, text, role, attrs, scope, searchAllFrames });
+      ? this._buildClickCandidates({ selector, ref, scope, searchAllFrames })
+      : this._buildClickCandidates({ selector, ref, text, role, attrs, scope, searchAllFrames });
 
     // choose & click (same as your generic version)
     let chosen = null;
@@ -753,7 +939,7 @@ export class ChromeBrowser {
     if (!chosen) {
       await this._debugClickableSnapshot({ scope }).catch(()=>{});
       await this.page.screenshot({ path: 'missions/mission_reports/screenshots/click_fail.png' }).catch(()=>{});
-      throw new Error('No clickable locator became ready');
+      throw new Error(ref ? `No clickable element with ref ${ref} became ready` : 'No clickable locator became ready');
     }
     // do the click (standard → hover+click → JS click)
     try { await chosen.click({ timeout: 3000 }); }
@@ -816,7 +1002,7 @@ export class ChromeBrowser {
 
 
   async get_dom(
-    { limit = 100000, exclude = true, focus = [], loadState = 'networkidle', timeout = 10000 } = {},
+    { limit = 100000, exclude = true, focus = [], loadState = 'networkidle', timeout = 10000, mode = this.domMode } = {},
     agentMemory = {}
   ) {
     const matchesHrefPattern = (href = '') => {
@@ -914,6 +1100,14 @@ export class ChromeBrowser {
       }
     } catch { /* ignore */ }
 
+    // domMode 'aria': the accessibility outline replaces the HTML
+    if (mode === 'aria') {
+      return (await this.get_a11y_tree()).slice(0, limit);
+    }
+
+    // Tag interactive elements with refs so the model can target them exactly
+    await this._stampRefs();
+
     // --- 3) Get HTML content with a small retry on failure ---
     let html = '';
     for (let attempt = 0; attempt < 2; attempt++) {
@@ -1054,7 +1248,78 @@ export class ChromeBrowser {
     return finalHtml.slice(0, limit);
   }
 
-  
+  /**
+   * Tag interactive elements in the main frame with refs (the step get_dom
+   * runs before reading the HTML) and remember which ones are credential fields.
+   * @returns {Promise<number>} elements carrying a ref (0 when stamping failed)
+   */
+  async _stampRefs() {
+    try {
+      const stamped = await this.page.mainFrame().evaluate(stampRefs, { prefix: 'e', start: this._refSeq.get('e') || 0 });
+      this._noteRefSeq('e', stamped.seq);
+      rememberSensitiveRefs(stamped.sensitive || []);
+      return stamped.count;
+    } catch {
+      // Best effort: a page mid-navigation just comes back without refs
+      return 0;
+    }
+  }
+
+  /**
+   * Re-issue the refs a recorded get_dom handed out, without reading the page.
+   * Replay skips get_dom, so ref-based clicks and fills call this in its place.
+   *
+   * @param {{ mode?: 'html'|'aria', loadState?: string, timeout?: number }} [args] - the recorded get_dom args
+   * @returns {Promise<void>}
+   */
+  async refreshRefs({ mode = this.domMode, loadState = 'networkidle', timeout = 10000 } = {}) {
+    try {
+      await this.page.waitForLoadState(loadState, { timeout });
+    } catch {
+      // Same as get_dom: read whatever the page has
+    }
+    if (mode !== 'aria') {
+      await this._stampRefs();
+      return;
+    }
+    try {
+      await this.get_a11y_tree();
+    } catch {
+      // Later ref-based actions report the missing refs themselves
+    }
+  }
+
+  /**
+   * Tool: accessibility outline of the page (or one region) with element refs.
+   * Same-page iframes follow the main document, each with its own ref prefix (f1e…, f2e…).
+   *
+   * @param {{ selector?: string, maxNodes?: number }} [args]
+   * @returns {Promise<string>}
+   */
+  async get_a11y_tree({ selector, maxNodes = 4000 } = {}) {
+    const main = this.page.mainFrame();
+    const tree = await main.evaluate(collectAriaTree, { selector: selector || null, prefix: 'e', start: this._refSeq.get('e') || 0, maxNodes });
+    if (tree.error) throw new Error(`get_a11y_tree: ${tree.error}`);
+    this._noteRefSeq('e', tree.seq);
+
+    const frames = [];
+    if (!selector) {
+      const children = this.page.frames().filter(f => f !== main);
+      for (const [i, frame] of children.entries()) {
+        const prefix = `f${i + 1}e`;
+        try {
+          const sub = await frame.evaluate(collectAriaTree, { prefix, start: this._refSeq.get(prefix) || 0, maxNodes: Math.ceil(maxNodes / 4) });
+          this._noteRefSeq(prefix, sub.seq);
+          frames.push(sub);
+        } catch {
+          // detached or cross-origin frame still loading: leave it out
+        }
+      }
+    }
+    rememberSensitiveRefs(sensitiveRefsOf(tree, ...frames));
+    return formatAriaTree(tree, { frames });
+  }
+
   async check_text({ text }) {
     const html = await this.page.content();
     return html.includes(text) ? `FOUND: ${text}` : `NOT FOUND: ${text}`;
@@ -1175,25 +1440,208 @@ export class ChromeBrowser {
   //   return { focus };
   // }
 
-  async expand_menu({ selector, delayMs = 1000 }) {
-    await this.page.waitForSelector(selector, { timeout: 30_000 });
-    await this.page.click(selector);
+  async expand_menu({ selector, ref, delayMs = 1000 }) {
+    if (ref) {
+      await (await this._locateRef(ref)).click();
+    } else {
+      await this.page.waitForSelector(selector, { timeout: 30_000 });
+      await this.page.click(selector);
+    }
     await this.page.waitForTimeout(delayMs);
-    return `expanded menu using ${selector}`;
+    return `expanded menu using ${ref ? `ref ${ref}` : selector}`;
+  }
+
+  // ---- keyboard, hover, select, drag, scroll and checkbox tools ----
+  // All of them resolve their target through _buildClickCandidates (selector first,
+  // then role/text/attr hints, in every frame) and retry with _withRetries.
+
+  /**
+   * First candidate that is visible and enabled; re-resolved on every call so
+   * it survives rerenders between retries.
+   * @param {{ selector?:string, text?:string, role?:string, attrs?:object, scope?:string, searchAllFrames?:boolean }} hints
+   * @param {{ what?: string, extra?: Function[] }} [opts] - label for the error, extra locator makers tried last
+   */
+  async _resolveInteractable(hints, { what = 'element', extra = [] } = {}) {
+    const makers = [...this._buildClickCandidates({ searchAllFrames: true, ...hints }), ...extra];
+    for (const make of makers) {
+      const loc = make(); if (!loc) continue;
+      try {
+        await loc.scrollIntoViewIfNeeded().catch(() => {});
+        await loc.waitFor({ state: 'visible', timeout: 2000 });
+        if (await this._waitEnabled(loc, { timeoutMs: 2500 })) return loc;
+      } catch {
+        // try next
+      }
+    }
+    throw new Error(`No ${what} became ready${hints.selector ? ` for ${hints.selector}` : hints.text ? ` for "${hints.text}"` : ''}`);
+  }
+
+  /**
+   * Press a key or chord (e.g. "Enter", "Escape", "Tab", "Shift+Tab", "Control+A"),
+   * on a target element when one is given, otherwise on whatever has focus.
+   */
+  async press_key({ key, selector, text, role, scope, times = 1, delayMs = 200 }) {
+    if (!key || !String(key).trim()) throw new Error('press_key: key is required');
+    const count = Math.min(Math.max(parseInt(times, 10) || 1, 1), 50);
+    const targeted = !!(selector || text);
+    await this._withRetries(async () => {
+      const loc = targeted ? await this._resolveInteractable({ selector, text, role, scope }, { what: 'key target' }) : null;
+      for (let i = 0; i < count; i++) {
+        if (loc) await loc.press(String(key), { timeout: 3000 });
+        else await this.page.keyboard.press(String(key));
+      }
+    }, { attempts: 3, baseMs: 250 });
+    if (delayMs) await this.page.waitForTimeout(delayMs);
+    return `pressed ${key}${count > 1 ? ` ×${count}` : ''}${targeted ? ` on ${selector || `"${text}"`}` : ''}`;
+  }
+
+  /** Hover an element, e.g. to reveal a menu or tooltip. */
+  async hover({ selector, text, role, attrs, scope, delayMs = 300 }) {
+    if (!selector && !text) throw new Error('hover: selector or text is required');
+    await this._withRetries(async () => {
+      const loc = await this._resolveInteractable(
+        { selector, text, role, attrs, scope },
+        { what: 'hover target', extra: text && !role ? [() => this.page.getByText(text).first()] : [] }
+      );
+      await loc.hover({ timeout: 3000 });
+    }, { attempts: 3, baseMs: 250 });
+    if (delayMs) await this.page.waitForTimeout(delayMs);
+    return `hovered ${selector || `"${text}"`}`;
+  }
+
+  /**
+   * Choose an option in a native <select>: by value or visible label, or by index.
+   * `text` finds the select by its accessible name when there is no selector.
+   */
+  async select_option({ selector, text, value, index, scope }) {
+    if (!selector && !text) throw new Error('select_option: selector or text is required');
+    const hasIndex = Number.isInteger(index) && index >= 0;
+    if ((value === undefined || value === null || value === '') && !hasIndex) {
+      throw new Error('select_option: value or index is required');
+    }
+    const selected = await this._withRetries(async () => {
+      const loc = await this._resolveInteractable(
+        { selector, text, role: text ? 'combobox' : undefined, scope },
+        { what: 'select', extra: text ? [() => this.page.getByLabel(text).first()] : [] }
+      );
+      if (hasIndex) return loc.selectOption({ index }, { timeout: 3000 });
+      const byValue = await loc.selectOption({ value: String(value) }, { timeout: 1500 }).catch(() => []);
+      if (byValue.length) return byValue;
+      return loc.selectOption({ label: String(value) }, { timeout: 1500 });
+    }, { attempts: 3, baseMs: 250 });
+    if (!selected?.length) throw new Error(`select_option: no option matched ${hasIndex ? `index ${index}` : `"${value}"`}`);
+    return `selected ${selected.map(v => `"${v}"`).join(', ')} in ${selector || `"${text}"`}`;
+  }
+
+  /** Drag one element onto another (HTML5 drag and drop or pointer-driven). */
+  async drag_and_drop({ source, target, sourceText, targetText, scope }) {
+    if (!source && !sourceText) throw new Error('drag_and_drop: source or sourceText is required');
+    if (!target && !targetText) throw new Error('drag_and_drop: target or targetText is required');
+    const extraFor = (label) => (label ? [() => this.page.getByText(label).first()] : []);
+    await this._withRetries(async () => {
+      const from = await this._resolveInteractable({ selector: source, text: sourceText, scope }, { what: 'drag source', extra: extraFor(sourceText) });
+      const to = await this._resolveInteractable({ selector: target, text: targetText, scope }, { what: 'drop target', extra: extraFor(targetText) });
+      try {
+        await from.dragTo(to, { timeout: 5000 });
+      } catch {
+        // Pointer-driven libraries sometimes need real, stepped mouse moves
+        const a = await from.boundingBox();
+        const b = await to.boundingBox();
+        if (!a || !b) throw new Error('drag_and_drop: source or target has no size');
+        await this.page.mouse.move(a.x + a.width / 2, a.y + a.height / 2);
+        await this.page.mouse.down();
+        await this.page.mouse.move(b.x + b.width / 2, b.y + b.height / 2, { steps: 12 });
+        await this.page.mouse.up();
+      }
+    }, { attempts: 3, baseMs: 250 });
+    return `dragged ${source || `"${sourceText}"`} onto ${target || `"${targetText}"`}`;
+  }
+
+  /**
+   * Scroll the page or a scrollable element (virtualized lists, tables) by an
+   * amount in a direction, or to its top/bottom. Uses mouse-wheel events so
+   * lazy lists load their next rows.
+   */
+  async scroll({ selector, text, scope, direction = 'down', amount = 600, to }) {
+    const dir = String(direction).toLowerCase();
+    if (!['up', 'down', 'left', 'right'].includes(dir)) throw new Error(`scroll: unknown direction "${direction}"`);
+    if (to !== undefined && !['top', 'bottom'].includes(to)) throw new Error(`scroll: "to" must be top or bottom`);
+    const px = Math.min(Math.max(Number(amount) || 600, 1), 20_000);
+    const targeted = !!(selector || text);
+
+    const position = await this._withRetries(async () => {
+      const loc = targeted ? await this._resolveInteractable({ selector, text, scope }, { what: 'scroll container' }) : null;
+      if (to) {
+        const edge = (el, where) => {
+          const box = el || document.scrollingElement || document.documentElement;
+          box.scrollTop = where === 'top' ? 0 : box.scrollHeight;
+        };
+        if (loc) await loc.evaluate(edge, to);
+        else await this.page.evaluate((where) => {
+          const box = document.scrollingElement || document.documentElement;
+          box.scrollTop = where === 'top' ? 0 : box.scrollHeight;
+        }, to);
+      } else {
+        if (loc) await loc.hover({ timeout: 3000 }).catch(() => {});
+        const dx = dir === 'left' ? -px : dir === 'right' ? px : 0;
+        const dy = dir === 'up' ? -px : dir === 'down' ? px : 0;
+        await this.page.mouse.wheel(dx, dy);
+      }
+      await this.page.waitForTimeout(250);
+      const measure = (el) => {
+        const box = el || document.scrollingElement || document.documentElement;
+        return { top: Math.round(box.scrollTop), height: box.scrollHeight, view: box.clientHeight };
+      };
+      return loc ? loc.evaluate(measure) : this.page.evaluate(measure);
+    }, { attempts: 2, baseMs: 250 });
+
+    const atEnd = position.top + position.view >= position.height - 2;
+    return `scrolled ${to ? `to ${to}` : `${dir} ${px}px`}${targeted ? ` in ${selector || `"${text}"`}` : ''}: ` +
+      `scrollTop ${position.top}/${Math.max(position.height - position.view, 0)}${atEnd ? ' (end reached)' : ''}`;
+  }
+
+  /** Tick a checkbox/radio/switch (check) or clear it (uncheck); text matches its label. */
+  async _setChecked(checked, { selector, text, role, scope }) {
+    if (!selector && !text) throw new Error(`${checked ? 'check' : 'uncheck'}: selector or text is required`);
+    await this._withRetries(async () => {
+      const loc = await this._resolveInteractable(
+        { selector, text, role: role || (text ? 'checkbox' : undefined), scope },
+        { what: 'checkbox', extra: text ? [() => this.page.getByLabel(text).first()] : [] }
+      );
+      try {
+        await loc.setChecked(checked, { timeout: 3000 });
+      } catch {
+        // Custom widgets: click, then verify the state below
+        if ((await loc.isChecked().catch(() => !checked)) !== checked) await loc.click({ timeout: 3000 });
+      }
+      if ((await loc.isChecked().catch(() => checked)) !== checked) {
+        throw new Error(`${selector || `"${text}"`} did not become ${checked ? 'checked' : 'unchecked'}`);
+      }
+    }, { attempts: 3, baseMs: 250 });
+    return `${checked ? 'checked' : 'unchecked'} ${selector || `"${text}"`}`;
+  }
+
+  async check(args = {}) {
+    return this._setChecked(true, args);
+  }
+
+  async uncheck(args = {}) {
+    return this._setChecked(false, args);
   }
 
   async screenshot({ name = 'screenshot' }) {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const screenshotPath = `missions/mission_reports/screenshots/${name}_${timestamp}.png`;
+    const fileName = `${name}_${timestamp}${this.artifactSuffix}.png`;
+    const screenshotPath = `missions/mission_reports/screenshots/${fileName}`;
   
     await this.page.screenshot({ path: screenshotPath });
   
     // ✅ Return relative path for HTML report
-    return `Screenshot saved at: ./screenshots/${name}_${timestamp}.png`;
+    return `Screenshot saved at: ./screenshots/${fileName}`;
   }
   
-  async upload_file({ selector, fileName, useChooser = false, timeoutMs = 15000 }) {
-    if (!selector) throw new Error('upload_file: selector is required');
+  async upload_file({ selector, ref, fileName, useChooser = false, timeoutMs = 15000 }) {
+    if (!selector && !ref) throw new Error('upload_file: selector or ref is required');
     if (!fileName) throw new Error('upload_file: fileName is required');
 
     ensureDir(FILES_DIR);
@@ -1202,18 +1650,24 @@ export class ChromeBrowser {
       throw new Error(`upload_file: file not found at ${filePath}`);
     }
 
-    await this.page.waitForSelector(selector, { timeout: timeoutMs });
+    let target;
+    if (ref) {
+      target = await this._locateRef(ref);
+    } else {
+      await this.page.waitForSelector(selector, { timeout: timeoutMs });
+      target = this.page.locator(selector).first();
+    }
 
     let method = 'input';
     if (useChooser) {
       method = 'chooser';
       const [fileChooser] = await Promise.all([
         this.page.waitForEvent('filechooser', { timeout: timeoutMs }),
-        this.page.click(selector, { timeout: timeoutMs })
+        target.click({ timeout: timeoutMs })
       ]);
       await fileChooser.setFiles(filePath);
     } else {
-      const input = this.page.locator(selector).first();
+      const input = target;
       await input.waitFor({ state: 'visible', timeout: timeoutMs }).catch(() => {});
       await input.setInputFiles(filePath, { timeout: timeoutMs });
     }
@@ -1225,7 +1679,7 @@ export class ChromeBrowser {
       fileName,
       sourcePath: filePath,
       bytes: stats.size,
-      selector,
+      selector: selector || refSelector(ref),
       ts: new Date().toISOString()
     };
 
@@ -1233,22 +1687,28 @@ export class ChromeBrowser {
     return JSON.stringify(payload);
   }
 
-  async download_file({ selector, url, fileName, timeoutMs = 30000 }) {
+  async download_file({ selector, ref, url, fileName, timeoutMs = 30000 }) {
     ensureDir(FILES_DIR);
 
-    if (!selector && !url) {
-      throw new Error('download_file: provide either selector or url');
+    if (!selector && !ref && !url) {
+      throw new Error('download_file: provide a selector, ref or url');
     }
 
     const sanitize = (name) => name.replace(/[\\/:*?"<>|]+/g, '_').trim();
 
     // Mode 1: page click triggers a browser download
-    if (selector) {
-      await this.page.waitForSelector(selector, { timeout: timeoutMs });
+    if (selector || ref) {
+      let target;
+      if (ref) {
+        target = await this._locateRef(ref);
+      } else {
+        await this.page.waitForSelector(selector, { timeout: timeoutMs });
+        target = this.page.locator(selector).first();
+      }
 
       const [download] = await Promise.all([
         this.page.waitForEvent('download', { timeout: timeoutMs }),
-        this.page.click(selector)
+        target.click()
       ]);
 
       const suggested = sanitize(download.suggestedFilename?.() || 'download.bin');
@@ -1262,12 +1722,13 @@ export class ChromeBrowser {
         fileName: path.basename(targetPath),
         destPath: targetPath,
         bytes: stats.size,
-        selector,
+        selector: selector || refSelector(ref),
         url: null,
         ts: new Date().toISOString()
       };
 
       appendFileEvent(payload);
+      this.downloads.push(payload);
       return JSON.stringify(payload);
     }
 
@@ -1308,6 +1769,7 @@ export class ChromeBrowser {
     };
 
     appendFileEvent(payload);
+    this.downloads.push(payload);
     return JSON.stringify(payload);
   }
 
@@ -1336,8 +1798,290 @@ export class ChromeBrowser {
   }
 
 
-  async close() {
+  /** Begin a trace chunk for the next submission (no-op when tracing is off). */
+  async startTraceChunk() {
+    if (!this._tracing) return;
+    await this.context.tracing.startChunk();
+  }
+
+  /**
+   * End the current trace chunk.
+   * @param {string|null} filePath - where to save the trace zip; null discards the chunk
+   * @returns {Promise<string|null>} the saved path, or null
+   */
+  async stopTraceChunk(filePath) {
+    if (!this._tracing) return null;
+    if (filePath) {
+      ensureDir(path.dirname(filePath));
+      await this.context.tracing.stopChunk({ path: filePath });
+      return filePath;
+    }
+    await this.context.tracing.stopChunk();
+    return null;
+  }
+
+  /** Begin collecting HAR entries for the next submission (no-op unless recordHar). */
+  async startHarChunk() {
+    if (!this.recordHar) return;
+    await Promise.allSettled([...this._harPending]);
+    this._harEntries = [];
+  }
+
+  /**
+   * Stop collecting and write the entries since startHarChunk().
+   * @param {string|null} filePath - where to save the .har file; null discards the entries
+   * @returns {Promise<string|null>} the saved path, or null
+   */
+  async stopHarChunk(filePath) {
+    if (!this.recordHar) return null;
+    await Promise.allSettled([...this._harPending]);
+    const entries = this._harEntries.splice(0);
+    if (!filePath) return null;
+    const version = (() => { try { return this.browser?.version?.() || ''; } catch { return ''; } })();
+    return writeHar(filePath, entries, { browser: { name: this.engine, version } });
+  }
+
+  // Routes on the context so popups and new tabs see the same mocks
+  async _addMock(mock, source) {
+    const entry = { ...mock, source, hits: 0, active: true };
+    const matches = compileUrlPattern(mock.url);
+    const urlMatcher = (u) => matches(String(u));
+    const handler = createMockHandler(entry, (hit) => this._mockHits.push(hit));
+    await this.context.route(urlMatcher, handler);
+    this._mockRoutes.push({ entry, urlMatcher, handler });
+    this._mockLog.push(entry);
+    return entry;
+  }
+
+  /**
+   * Tool: stub requests matching a URL pattern.
+   * @param {object} args - see tools/networkMocks.js normalizeMock()
+   * @returns {Promise<string>} JSON mock event for the step log
+   */
+  async mock_route(args = {}) {
+    const entry = await this._addMock(normalizeMock(args), 'tool');
+    return JSON.stringify({
+      _testronaut_mock_event: 'added',
+      description: describeMock(entry),
+      active: this._mockRoutes.length,
+    });
+  }
+
+  /**
+   * Tool: remove mocks added for a URL pattern, or all of them.
+   * @param {{ url?: string }} [args]
+   * @returns {Promise<string>} JSON mock event for the step log
+   */
+  async clear_mocks({ url } = {}) {
+    const targets = url
+      ? this._mockRoutes.filter(r => r.entry.url === String(url).trim())
+      : [...this._mockRoutes];
+    for (const r of targets) {
+      await this.context.unroute(r.urlMatcher, r.handler);
+      r.entry.active = false;
+    }
+    this._mockRoutes = this._mockRoutes.filter(r => !targets.includes(r));
+    return JSON.stringify({
+      _testronaut_mock_event: 'cleared',
+      cleared: targets.map(r => describeMock(r.entry)),
+      active: this._mockRoutes.length,
+    });
+  }
+
+  /**
+   * Tool: run the bundled accessibility rules on the page or a scoped element.
+   * @param {{ selector?: string }} [args]
+   * @returns {Promise<string>} JSON accessibility event (compact violations) for the model and the step log
+   */
+  async audit_accessibility({ selector } = {}) {
+    const raw = await this.page.evaluate(runA11yRules, { selector: selector ? String(selector) : null });
+    if (raw.error) throw new Error(raw.error);
+    const result = compactA11yResult(raw);
+    this._a11yAudits.push({ ...result, ts: Date.now() });
+    return JSON.stringify({ _testronaut_a11y_event: 'audit', ...result });
+  }
+
+  /** Accessibility audits run at or after `ts` (for a submission's results). */
+  accessibilityAuditsSince(ts = 0) {
+    return this._a11yAudits.filter(a => a.ts >= ts).map(({ ts: _ts, ...audit }) => audit);
+  }
+
+  /**
+   * Tool: compare a screenshot of the page (or one element) with the mission's baseline.
+   * The first run stores the baseline. Ignore-regions are CSS selectors or boxes
+   * (`"x,y,width,height"` or `{ x, y, width, height }`) in CSS pixels of the screenshot.
+   *
+   * @param {{ name: string, selector?: string, fullPage?: boolean, ignore?: Array<string|{ x:number, y:number, width:number, height:number }>, threshold?: number }} args
+   * @returns {Promise<string>} JSON visual event for the model and the step log
+   */
+  async compare_screenshot({ name, selector, fullPage = false, ignore = [], threshold } = {}) {
+    if (!name || !String(name).trim()) throw new Error('compare_screenshot: name is required');
+    const target = selector ? this.page.locator(selector).first() : null;
+    const actualPng = target
+      ? await target.screenshot({ animations: 'disabled' })
+      : await this.page.screenshot({ fullPage: !!fullPage, animations: 'disabled' });
+
+    // Ignore-regions → screenshot pixels (selectors are measured in the page)
+    const BOX_RE = /^\s*-?\d+(\.\d+)?(\s*,\s*-?\d+(\.\d+)?){3}\s*$/;
+    const list = (Array.isArray(ignore) ? ignore : [ignore]).filter(Boolean).map((r) => {
+      if (typeof r !== 'string' || !BOX_RE.test(r)) return r;
+      const [x, y, width, height] = r.split(',').map(Number);
+      return { x, y, width, height };
+    });
+    const { dpr, rects } = await this.page.evaluate(({ selectors, scope, fullPage: whole }) => {
+      const origin = scope
+        ? document.querySelector(scope)?.getBoundingClientRect() || { left: 0, top: 0 }
+        : whole ? { left: -window.scrollX, top: -window.scrollY } : { left: 0, top: 0 };
+      const found = selectors.flatMap(sel => [...document.querySelectorAll(sel)].map((el) => {
+        const r = el.getBoundingClientRect();
+        return { x: r.left - origin.left, y: r.top - origin.top, width: r.width, height: r.height };
+      }));
+      return { dpr: window.devicePixelRatio || 1, rects: found };
+    }, { selectors: list.filter(r => typeof r === 'string'), scope: selector || null, fullPage: !!fullPage });
+    const regions = [...list.filter(r => r && typeof r === 'object'), ...rects]
+      .map(r => ({ x: r.x * dpr, y: r.y * dpr, width: r.width * dpr, height: r.height * dpr }));
+
+    const limit = Number(threshold);
+    const allowed = Number.isFinite(limit) && limit >= 0 && limit <= 1 ? limit : this.visual.threshold;
+    const baselineFile = baselinePath(this.visual.baselineDir, this.missionName, name);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const diffFile = path.join(REPORTS_DIR, 'visual', `${artifactBaseName(name)}_${timestamp}${this.artifactSuffix}.diff.png`);
+    const result = compareWithBaseline(actualPng, {
+      baselineFile,
+      diffFile,
+      threshold: allowed,
+      pixelTolerance: this.visual.pixelTolerance,
+      ignore: regions,
+    });
+
+    const relative = (p) => path.relative(process.cwd(), path.resolve(p)).split(path.sep).join('/');
+    const check = {
+      name: String(name),
+      status: result.status,
+      diffRatio: result.diffRatio,
+      diffPixels: result.diffPixels,
+      threshold: allowed,
+      width: result.width,
+      height: result.height,
+      ...(result.baselineSize ? { baselineSize: result.baselineSize } : {}),
+      baseline: relative(baselineFile),
+      ...(result.candidateFile ? { candidate: relative(result.candidateFile) } : {}),
+      // relative to the report directory, like screenshots
+      ...(result.diffFile ? { diff: `./visual/${path.basename(result.diffFile)}` } : {}),
+    };
+    this._visualChecks.push({ ...check, ts: Date.now() });
+    return JSON.stringify({ _testronaut_visual_event: 'compare', ...check });
+  }
+
+  /** compare_screenshot results at or after `ts` (for a submission's results). */
+  visualChecksSince(ts = 0) {
+    return this._visualChecks.filter(c => c.ts >= ts).map(({ ts: _ts, ...check }) => check);
+  }
+
+  /**
+   * Screenshot of the viewport (or the whole page) as a downscaled image part.
+   * CSS-pixel scale keeps HiDPI screens from doubling the image tokens.
+   *
+   * @param {{ fullPage?: boolean }} [opts]
+   * @returns {Promise<{ type:'image', mimeType:string, data:Buffer, width:number, height:number }>}
+   */
+  async captureVisionImage({ fullPage = false } = {}) {
+    const png = await this.page.screenshot({ fullPage: !!fullPage, scale: 'css', animations: 'disabled' });
+    return toVisionImage(png, { maxWidth: this.vision.maxWidth });
+  }
+
+  /**
+   * Tool: let the model see the page. The screenshot is attached to the next
+   * turn as an image part; the tool result only confirms its size.
+   *
+   * @param {{ fullPage?: boolean }} args
+   * @returns {Promise<string>}
+   */
+  async look({ fullPage = false } = {}) {
+    const image = await this.captureVisionImage({ fullPage });
+    this._pendingVisionImage = image;
+    return JSON.stringify({
+      _testronaut_vision_event: 'look',
+      width: image.width,
+      height: image.height,
+      note: 'The screenshot is attached to the next message.',
+    });
+  }
+
+  /** The screenshot taken by `look` since the last call, if any. */
+  drainVisionImage() {
+    const image = this._pendingVisionImage;
+    this._pendingVisionImage = null;
+    return image;
+  }
+
+  /** Requests answered by a mock since the last call (for step events). */
+  drainMockHits() {
+    return this._mockHits.splice(0);
+  }
+
+  /** Every mock used in this browser, with hit counts, for the report. */
+  mockedRoutes() {
+    return this._mockLog.map(m => ({
+      description: describeMock(m),
+      url: m.url,
+      method: m.method,
+      mode: m.mode,
+      status: m.status,
+      fixture: m.fixture,
+      delayMs: m.delayMs,
+      source: m.source,
+      hits: m.hits,
+    }));
+  }
+
+  /**
+   * Save the context's cookies and localStorage so later missions can start logged in.
+   * @param {string} filePath
+   * @returns {Promise<string>} the saved path
+   */
+  async saveStorageState(filePath) {
+    ensureDir(path.dirname(filePath));
+    await this.context.storageState({ path: filePath });
+    return filePath;
+  }
+
+  /**
+   * Close the browser. Recorded videos are finalized when their pages close:
+   * with `videoDir` they are saved there, otherwise they are discarded.
+   *
+   * @param {{ videoDir?: string|null, videoBaseName?: string }} [opts]
+   * @returns {Promise<{ videos: string[] }>}
+   */
+  async close({ videoDir = null, videoBaseName = 'video' } = {}) {
+    if (this._tracing) {
+      await this.context?.tracing.stop().catch(() => {});
+      this._tracing = false;
+    }
+    if (!this._videos.length) {
+      await this.browser?.close();
+      return { videos: [] };
+    }
+
+    await this.context?.close().catch(() => {});
+    const videos = [];
+    for (const [i, video] of this._videos.entries()) {
+      try {
+        if (videoDir) {
+          ensureDir(videoDir);
+          const suffix = this._videos.length > 1 ? `_${i + 1}` : '';
+          const dest = path.join(videoDir, `${videoBaseName}${suffix}.webm`);
+          await video.saveAs(dest);
+          videos.push(dest);
+        }
+        await video.delete();
+      } catch (e) {
+        console.warn('⚠️ Could not save video:', e?.message);
+      }
+    }
+    this._videos = [];
     await this.browser?.close();
+    return { videos };
   }
 }
 
@@ -1346,6 +2090,7 @@ export const CHROME_TOOL_MAP = {
   fill: (b, args) => b.fill(args),
   click: (b, args) => b.click(args),
   get_dom: (b, args, agentMemory) => b.get_dom(args, agentMemory),
+  get_a11y_tree: (b, args) => b.get_a11y_tree(args),
   check_text: (b, args) => b.check_text(args),
   click_text: async (browser, args, agentMemory) => {
     console.log(`[click_text] selecting click type: lastMenuExpanded=${agentMemory.lastMenuExpanded}`);
@@ -1356,6 +2101,13 @@ export const CHROME_TOOL_MAP = {
     }
   },
   expand_menu: (b, args) => b.expand_menu(args),
+  press_key: (b, args) => b.press_key(args),
+  hover: (b, args) => b.hover(args),
+  select_option: (b, args) => b.select_option(args),
+  drag_and_drop: (b, args) => b.drag_and_drop(args),
+  scroll: (b, args) => b.scroll(args),
+  check: (b, args) => b.check(args),
+  uncheck: (b, args) => b.uncheck(args),
   screenshot: (b, args) => b.screenshot(args),
   click_and_follow_popup: (b, args) => b.click_and_follow_popup(args),
   switch_to_page: (b, args) => b.switch_to_page(args),
@@ -1363,6 +2115,11 @@ export const CHROME_TOOL_MAP = {
   upload_file: (b, args) => b.upload_file(args),
   download_file: (b, args) => b.download_file(args),
   list_local_files: (b, args) => b.list_local_files(args),
+  mock_route: (b, args) => b.mock_route(args),
+  clear_mocks: (b, args) => b.clear_mocks(args),
+  audit_accessibility: (b, args) => b.audit_accessibility(args),
+  compare_screenshot: (b, args) => b.compare_screenshot(args),
+  look: (b, args) => b.look(args),
   get_mfa_code: (b, args) => getMfaCode(args),
   request_human_input: (b, args, agentMemory) => requestHumanInput(args, agentMemory?.humanInput),
   resource_progress: (b, args, agentMemory) => {
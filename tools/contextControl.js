@@ -2,6 +2,7 @@
 // We keep their existence in context, but can safely stub older payloads.
 const HEAVY_SEMANTIC_TOOLS = new Set([
   'get_dom',
+  'get_a11y_tree',
 ]);
 
 /**
@@ -39,6 +40,33 @@ export function sanitizeHeavyToolHistory(messages, { keepRecentPerTool = 2 } = {
 }
 
 
+/**
+ * Replace image parts in older messages with a short text stub.
+ *
+ * Screenshots are the most expensive content in a vision turn and go stale
+ * after the next action, so only the latest `keepRecent` image messages are
+ * sent verbatim.
+ *
+ * @param {Array} messages - conversation history (mutated in-place).
+ * @param {object} opts
+ * @param {number} opts.keepRecent - how many latest messages with images to keep
+ */
+export function stubOldImages(messages, { keepRecent = 1 } = {}) {
+  const withImages = [];
+  messages.forEach((m, idx) => {
+    if (Array.isArray(m.content) && m.content.some((p) => p?.type === 'image')) withImages.push(idx);
+  });
+
+  for (const i of withImages.slice(0, Math.max(0, withImages.length - keepRecent))) {
+    const msg = messages[i];
+    msg.content = msg.content.map((p) => (
+      p?.type === 'image'
+        ? { type: 'text', text: `[screenshot ${p.width ?? '?'}x${p.height ?? '?'} omitted – older view]` }
+        : p
+    ));
+  }
+}
+
 /**
  * Prune overall conversation context to keep it within a bounded window.
  *
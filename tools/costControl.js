@@ -0,0 +1,230 @@
+/**
+ * costControl.js
+ * --------------
+ * Purpose:
+ *   Turn LLM token usage into US dollars and stop a run before it spends more
+ *   than its budget.
+ *
+ * Responsibilities:
+ *   - Price prompt and completion tokens per model (defaults below; config
+ *     `pricing` overrides them, local openai-compatible servers cost nothing).
+ *     Prompt-cache reads and writes (reported by the Anthropic adapter) are
+ *     priced at their own rates instead of as ordinary prompt tokens.
+ *   - Keep a process-wide ledger of what the run and each mission attempt spent,
+ *     shared by missions running side by side (`--workers`). Every attempt (an
+ *     engine, a retry or an auth rerun) starts its mission tally at zero.
+ *   - Tell turnLoop when `budget.maxUsdPerRun` / `budget.maxUsdPerMission`
+ *     has been reached, with a failure reason for the report.
+ *   - Sum step costs into submission, mission and run totals for the reports.
+ *
+ * Related tests:
+ *   tests/toolsTests/costControl.test.js
+ *
+ * Used by:
+ *   - core/turnLoop.js (price each step, budget checks before each model call)
+ *   - core/agent.js (submission totals), core/runSummary.js, bin/cli.js and
+ *     tools/generateHtmlReport.js (mission and run totals)
+ *   - core/config.js (getCostConfig)
+ */
+
+/**
+ * List prices in USD per 1M tokens, most specific pattern first.
+ * NOTE: Providers change prices; override them with `pricing` in
+ *       testronaut-config.json when these drift.
+ */
+const DEFAULT_PRICING = [
+  // ── OpenAI ─────────────────────────────────────────────────────────────
+  { test: /^gpt-5(\.1)?-mini(-|$)/i,     input: 0.25,   output: 2 },
+  { test: /^gpt-5(\.1)?-nano(-|$)/i,     input: 0.05,   output: 0.4 },
+  { test: /^gpt-5(\.1)?(-|$)/i,          input: 1.25,   output: 10 },
+  { test: /^gpt-4\.1-mini(-|$)/i,        input: 0.4,    output: 1.6 },
+  { test: /^gpt-4\.1-nano(-|$)/i,        input: 0.1,    output: 0.4 },
+  { test: /^gpt-4\.1(-|$)/i,             input: 2,      output: 8 },
+  { test: /^gpt-4o-mini(-|$)/i,          input: 0.15,   output: 0.6 },
+  { test: /^gpt-4o(-|$)/i,               input: 2.5,    output: 10 },
+  { test: /^o3(-|$)/i,                   input: 2,      output: 8 },
+  { test: /^o4-mini(-|$)/i,              input: 1.1,    output: 4.4 },
+
+  // ── Gemini ─────────────────────────────────────────────────────────────
+  { test: /^gemini-2\.5-pro(-|$)/i,        input: 1.25,   output: 10 },
+  { test: /^gemini-2\.5-flash-lite(-|$)/i, input: 0.1,    output: 0.4 },
+  { test: /^gemini-2\.5-flash-8b(-|$)/i,   input: 0.0375, output: 0.15 },
+  { test: /^gemini-2\.5-flash(-|$)/i,      input: 0.3,    output: 2.5 },
+
+  // ── Anthropic ──────────────────────────────────────────────────────────
+  { test: /^claude-opus-4-5/i,           input: 5,      output: 25 },
+  { test: /^claude-(opus|3-opus)/i,      input: 15,     output: 75 },
+  { test: /^claude-(sonnet|3-[57]-sonnet)/i, input: 3,  output: 15 },
+  { test: /^claude-haiku-4-5/i,          input: 1,      output: 5 },
+  { test: /^claude-(haiku|3-5-haiku)/i,  input: 0.8,    output: 4 },
+];
+
+// Anthropic bills cache reads at 10% and (5-minute) cache writes at 125% of the input price
+const CACHE_READ_RATE = 0.1;
+const CACHE_WRITE_RATE = 1.25;
+
+// What the run and each mission attempt spent so far (USD)
+const ledger = { run: 0, missions: new Map() };
+let attemptSeq = 0;
+
+/**
+ * Price for a model: config override (exact name, then longest prefix) →
+ * default table → free for self-hosted models → null when unknown.
+ *
+ * @param {string} model
+ * @param {{ overrides?: Record<string,{input:number, output:number}>, provider?: string }} [opts]
+ * @returns {{ input:number, output:number, source:'config'|'default'|'local' }|null}
+ */
+export function resolvePricing(model, { overrides = {}, provider } = {}) {
+  const name = String(model || '');
+  const key = overrides[name]
+    ? name
+    : Object.keys(overrides)
+      .filter(k => name.toLowerCase().startsWith(k.toLowerCase()))
+      .sort((a, b) => b.length - a.length)[0];
+  if (key) return { input: overrides[key].input, output: overrides[key].output, source: 'config' };
+
+  const hit = DEFAULT_PRICING.find(p => p.test.test(name));
+  if (hit) return { input: hit.input, output: hit.output, source: 'default' };
+  if (provider === 'openai-compatible') return { input: 0, output: 0, source: 'local' };
+  return null;
+}
+
+/**
+ * Split provider usage into prompt and completion tokens. Adapters report
+ * `prompt_tokens`/`completion_tokens`; when only a total is known, it all
+ * counts as prompt tokens. `cache_read_tokens`/`cache_write_tokens` are the
+ * part of the prompt tokens served from or written to a prompt cache.
+ *
+ * @param {{ total_tokens?:number, prompt_tokens?:number, completion_tokens?:number, cache_read_tokens?:number, cache_write_tokens?:number }} [usage]
+ * @returns {{ promptTokens:number, completionTokens:number, totalTokens:number, cacheReadTokens:number, cacheWriteTokens:number }}
+ */
+export function splitUsage(usage = {}) {
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  const total = Number(usage.total_tokens) || 0;
+  const promptTokens = usage.prompt_tokens != null
+    ? Number(usage.prompt_tokens) || 0
+    : Math.max(0, total - completionTokens);
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: total || promptTokens + completionTokens,
+    cacheReadTokens: Number(usage.cache_read_tokens) || 0,
+    cacheWriteTokens: Number(usage.cache_write_tokens) || 0,
+  };
+}
+
+/**
+ * @param {{ promptTokens:number, completionTokens:number, cacheReadTokens?:number, cacheWriteTokens?:number }} tokens
+ *   - cache tokens are included in promptTokens
+ * @param {{ input:number, output:number }|null} pricing - USD per 1M tokens
+ * @returns {number|null} USD, or null when the price is unknown
+ */
+export function usageCost({ promptTokens = 0, completionTokens = 0, cacheReadTokens = 0, cacheWriteTokens = 0 }, pricing) {
+  if (!pricing) return null;
+  const uncached = Math.max(0, promptTokens - cacheReadTokens - cacheWriteTokens);
+  const inputUsd = (uncached + cacheReadTokens * CACHE_READ_RATE + cacheWriteTokens * CACHE_WRITE_RATE) * pricing.input;
+  return (inputUsd + completionTokens * pricing.output) / 1_000_000;
+}
+
+/** "$0.0123" below a dollar, "$4.56" above. */
+export function formatUsd(usd) {
+  if (!Number.isFinite(usd)) return '—';
+  return `$${usd.toFixed(usd >= 1 ? 2 : 4)}`;
+}
+
+/**
+ * Open a fresh mission tally for one attempt, so a second engine or a retry
+ * does not start with what earlier attempts spent.
+ * @param {string} missionName
+ * @returns {string} spend key for recordSpend/checkBudget
+ */
+export function beginMissionSpend(missionName) {
+  attemptSeq += 1;
+  return `${missionName || ''}#${attemptSeq}`;
+}
+
+/**
+ * Add a step's cost to the run and mission totals.
+ * @param {string} spendKey - from beginMissionSpend (or a mission name)
+ * @param {number|null} usd
+ */
+export function recordSpend(spendKey, usd) {
+  if (!Number.isFinite(usd) || usd <= 0) return;
+  ledger.run += usd;
+  const key = spendKey || '';
+  ledger.missions.set(key, (ledger.missions.get(key) || 0) + usd);
+}
+
+/**
+ * @param {string} [spendKey]
+ * @returns {{ run:number, mission:number }}
+ */
+export function spentSoFar(spendKey) {
+  return { run: ledger.run, mission: ledger.missions.get(spendKey || '') || 0 };
+}
+
+/**
+ * The budget limit that has been reached, if any. The run limit wins when both are.
+ *
+ * @param {{ maxUsdPerRun?:number|null, maxUsdPerMission?:number|null }} [budget]
+ * @param {string} [missionName]
+ * @param {string} [spendKey=missionName] - the attempt's key from beginMissionSpend
+ * @returns {{ scope:'run'|'mission', limitUsd:number, spentUsd:number, message:string }|null}
+ */
+export function checkBudget(budget = {}, missionName, spendKey = missionName) {
+  const spent = spentSoFar(spendKey);
+  if (Number.isFinite(budget?.maxUsdPerRun) && spent.run >= budget.maxUsdPerRun) {
+    return {
+      scope: 'run',
+      limitUsd: budget.maxUsdPerRun,
+      spentUsd: spent.run,
+      message: `budget exceeded: the run spent ${formatUsd(spent.run)} of its ${formatUsd(budget.maxUsdPerRun)} limit (budget.maxUsdPerRun)`,
+    };
+  }
+  if (Number.isFinite(budget?.maxUsdPerMission) && spent.mission >= budget.maxUsdPerMission) {
+    return {
+      scope: 'mission',
+      limitUsd: budget.maxUsdPerMission,
+      spentUsd: spent.mission,
+      message: `budget exceeded: mission "${missionName}" spent ${formatUsd(spent.mission)} of its ${formatUsd(budget.maxUsdPerMission)} limit (budget.maxUsdPerMission)`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Token and cost totals of steps or report entries. `costUsd` is null when
+ * none of them had a known price.
+ *
+ * @param {Array<{ promptTokens?:number, completionTokens?:number, costUsd?:number|null }>} items
+ * @returns {{ promptTokens:number, completionTokens:number, costUsd:number|null }}
+ */
+export function sumCosts(items = []) {
+  let promptTokens = 0;
+  let completionTokens = 0;
+  let costUsd = null;
+  for (const item of items) {
+    promptTokens += Number(item?.promptTokens) || 0;
+    completionTokens += Number(item?.completionTokens) || 0;
+    if (Number.isFinite(item?.costUsd)) costUsd = (costUsd ?? 0) + item.costUsd;
+  }
+  return { promptTokens, completionTokens, costUsd };
+}
+
+/**
+ * Run totals from report entries, counting earlier attempts of retried missions.
+ *
+ * @param {object[]} missions - report entries (one per submission)
+ * @returns {{ promptTokens:number, completionTokens:number, costUsd:number|null }}
+ */
+export function summarizeRunCost(missions = []) {
+  return sumCosts(missions.flatMap(m => [m, ...(m.previousAttempts || [])]));
+}
+
+// Clears the ledger between unit tests.
+export function __resetCostControlForTests() {
+  ledger.run = 0;
+  ledger.missions.clear();
+  attemptSeq = 0;
+}
@@ -0,0 +1,146 @@
+/**
+ * debugRepl.js
+ * ------------
+ * Purpose:
+ *   Interactive pause for `--pause-on-failure`: when a browser tool call throws,
+ *   keep the browser open and let the developer poke at the page before the
+ *   agent loop resumes.
+ *
+ * Responsibilities:
+ *   - Parse REPL commands (pure, see parseReplCommand).
+ *   - Run browser tools by hand: `click {"selector":"#save"}`.
+ *   - Evaluate JavaScript in the current page: `eval document.title`.
+ *   - Resume the agent (`continue`), stop pausing for this run (`detach`),
+ *     or stop the mission (`abort`).
+ *
+ * Related tests:
+ *   tests/toolsTests/debugRepl.test.js
+ *
+ * Used by:
+ *   - core/agent.js (ctx.onToolError hook passed to core/turnLoop.js)
+ */
+
+import { createInterface } from 'node:readline';
+import { stdin, stdout } from 'node:process';
+
+const HELP = [
+  'Commands:',
+  '  continue | c          resume the agent loop',
+  '  detach                resume and stop pausing on failures for this run',
+  '  abort                 stop this mission (reported as errored)',
+  '  url                   print the current page URL',
+  '  tools                 list browser tools',
+  '  eval <js>             evaluate JavaScript in the current page',
+  '  <tool> [json args]    run a browser tool, e.g. click {"selector":"#save"}',
+].join('\n');
+
+/**
+ * Parse one REPL line.
+ * @param {string} line
+ * @param {string[]} toolNames
+ * @returns {{ kind:'empty'|'help'|'continue'|'detach'|'abort'|'url'|'tools'|'eval'|'tool'|'unknown', tool?:string, args?:object, expr?:string, error?:string }}
+ */
+export function parseReplCommand(line, toolNames = []) {
+  const text = String(line ?? '').trim();
+  if (!text) return { kind: 'empty' };
+
+  const [head] = text.split(/\s+/, 1);
+  const rest = text.slice(head.length).trim();
+  const cmd = head.toLowerCase();
+
+  if (cmd === 'help' || cmd === '?') return { kind: 'help' };
+  if (cmd === 'c' || cmd === 'continue' || cmd === 'resume') return { kind: 'continue' };
+  if (cmd === 'detach') return { kind: 'detach' };
+  if (cmd === 'abort' || cmd === 'quit' || cmd === 'q') return { kind: 'abort' };
+  if (cmd === 'url') return { kind: 'url' };
+  if (cmd === 'tools') return { kind: 'tools' };
+  if (cmd === 'eval') {
+    return rest ? { kind: 'eval', expr: rest } : { kind: 'unknown', error: 'Usage: eval <js expression>' };
+  }
+
+  if (toolNames.includes(head)) {
+    if (!rest) return { kind: 'tool', tool: head, args: {} };
+    try {
+      const args = JSON.parse(rest);
+      if (!args || typeof args !== 'object' || Array.isArray(args)) throw new Error('not an object');
+      return { kind: 'tool', tool: head, args };
+    } catch {
+      return { kind: 'unknown', error: `Arguments for ${head} must be a JSON object, e.g. ${head} {"selector":"#id"}` };
+    }
+  }
+
+  return { kind: 'unknown', error: `Unknown command "${head}". Type "help" for commands.` };
+}
+
+const show = (value) => (typeof value === 'string' ? value : JSON.stringify(value, null, 2));
+
+/**
+ * Pause on a failed tool call and read commands until the user resumes.
+ * Returns immediately with 'continue' when stdin is not a terminal (e.g. CI).
+ *
+ * @param {object} browser - ChromeBrowser instance (left open while paused)
+ * @param {{ turn?:number, tool?:string, error?:string }} failure
+ * @param {{ toolMap:Record<string, Function>, memory?:object, input?:NodeJS.ReadableStream, output?:NodeJS.WritableStream }} opts
+ * @returns {Promise<'continue'|'detach'|'abort'>}
+ */
+export async function runDebugRepl(browser, failure = {}, { toolMap, memory = {}, input = stdin, output = stdout } = {}) {
+  if (input === stdin && !stdin.isTTY) {
+    console.warn('⚠️ --pause-on-failure needs an interactive terminal; continuing without pausing.');
+    return 'continue';
+  }
+
+  const write = (text) => output.write(`${text}\n`);
+  const toolNames = Object.keys(toolMap || {});
+
+  write(`\n⏸️  Paused after ${failure.tool || 'a tool call'} failed on turn ${failure.turn ?? '?'}: ${failure.error || 'unknown error'}`);
+  write('   The browser stays open. Type "help" for commands, "continue" to resume.');
+
+  const rl = createInterface({ input, output, terminal: Boolean(output.isTTY) });
+  rl.setPrompt('testronaut> ');
+  rl.prompt();
+
+  try {
+    for await (const line of rl) {
+      const cmd = parseReplCommand(line, toolNames);
+      switch (cmd.kind) {
+        case 'continue':
+        case 'detach':
+        case 'abort':
+          return cmd.kind;
+        case 'help':
+          write(HELP);
+          break;
+        case 'tools':
+          write(toolNames.join(', '));
+          break;
+        case 'url':
+          write(browser?.page?.url?.() ?? '(no open page)');
+          break;
+        case 'eval':
+          try {
+            write(show(await browser.page.evaluate(cmd.expr)));
+          } catch (err) {
+            write(`❌ ${err?.message || err}`);
+          }
+          break;
+        case 'tool':
+          try {
+            write(show(await toolMap[cmd.tool](browser, cmd.args, memory)));
+          } catch (err) {
+            write(`❌ ${err?.message || err}`);
+          }
+          break;
+        case 'unknown':
+          write(cmd.error);
+          break;
+        default:
+          break;
+      }
+      rl.prompt();
+    }
+  } finally {
+    rl.close();
+  }
+  // Input closed (Ctrl+D): resume the agent
+  return 'continue';
+}
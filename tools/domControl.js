@@ -39,7 +39,9 @@ export const removeNonContentTags = async ($) => {
       'href', 'src', 'type', 'alt', 'title',
       'placeholder', 'name', 'id', 'class', 'aria-label', 'value',
       // keep key data-* attributes that help identify rows/items without bloating too much
-      'data-type', 'data-id', 'data-title', 'data-parentid', 'data-order'
+      'data-type', 'data-id', 'data-title', 'data-parentid', 'data-order',
+      // element refs stamped by get_dom; action tools accept them as `ref`
+      'data-tn-ref'
     ];
 
     const attrs = el.attribs;
@@ -7,6 +7,13 @@
  * Responsibilities:
  *   - Escape and format mission/step data into a readable report.
  *   - Group submissions by mission and surface per-step metadata (tokens, retries).
+ *   - Show mission file metadata (tags, owner, priority) and the run's tag/name filters.
+ *   - Summarize each submission's console, page and network errors.
+ *   - Link each submission's trace and HAR file.
+ *   - List accessibility audit violations in an "Accessibility" section with severity counts.
+ *   - List each submission's visual checks with links to mismatch diff images.
+ *   - Show LLM cost per step, submission, mission and run, and flag submissions
+ *     stopped by the USD budget.
  *   - Write the HTML to disk at the provided output path (or a default location).
  *
  * Related tests:
@@ -17,6 +24,8 @@
  */
 import fs from 'fs';
 import path from 'path';
+import { A11Y_IMPACTS, summarizeAccessibility } from './a11yAudit.js';
+import { formatUsd, summarizeRunCost } from './costControl.js';
 
 /**
  * Render and write a Testronaut run report to disk.
@@ -26,7 +35,7 @@ import path from 'path';
  * @returns {string} absolute path to the written HTML file
  */
 export function generateHtmlReport(report, outputPath) {
-  const { runId, startTime, endTime, missions = [], summary = {}, llm = {} } = report;
+  const { runId, startTime, endTime, missions = [], summary = {}, llm = {}, filters = null } = report;
   const durationSec =
     (startTime && endTime)
       ? ((new Date(endTime) - new Date(startTime)) / 1000).toFixed(2)
@@ -39,7 +48,117 @@ export function generateHtmlReport(report, outputPath) {
     .replace(/"/g, '&quot;');
   const badge = (status) =>
     status === 'passed' ? '✅ Passed' :
-    status === 'failed' ? '❌ Failed' : (status || '—');
+    status === 'failed' ? '❌ Failed' :
+    status === 'errored' ? '💥 Errored' : (status || '—');
+  // " • cost: $0.0123" (nothing when the model had no known price)
+  const costText = (usd) => (Number.isFinite(usd) ? ` • cost: ${formatUsd(usd)}` : '');
+
+  const renderSteps = (steps) => steps.map((step, idx) => {
+    const events = Array.isArray(step.events) ? step.events : [];
+    const ok = /✅|Passed|Mission Success/i.test(step.result || '');
+    const resultRaw = step.result || '—';
+    const resultTooltip = resultRaw.includes('⚠️ Turn Issues')
+      ? 'Turn had tool/action issues (e.g., selector/timeouts). It may not indicate a product bug.'
+      : '';
+    const retryAttempt = step.retryAttempt || 1; // includes initial
+    const retryLimit = step.retryLimit; // number of retries allowed (excludes initial)
+    const retryNumber = retryAttempt - 1;
+    const retryTotal = Number.isFinite(retryLimit) ? retryLimit : Math.max(retryNumber, 0);
+    const attemptLabel = retryNumber > 0
+      ? ` (re-attempt ${retryNumber}/${retryTotal || retryNumber})`
+      : '';
+    const humanInput = step.humanInput?.requested
+      ? `<span class="hitl" title="Human-in-the-loop input: ${esc(step.humanInput.status || 'requested')}">👤 Human in-the-loop</span>`
+      : '';
+    const imgTag = step.screenshotPath
+      ? `<img src="${esc(step.screenshotPath)}" alt="screenshot turn ${esc(step.turn ?? idx)}">`
+      : '';
+
+    const plan = (typeof step.summary === 'string' && step.summary.trim())
+      ? step.summary.trim()
+      : '';
+    const planSpan = plan
+      ? `<span class="plan" title="${esc(plan)}">${esc(plan)}</span>`
+      : '';
+
+    return `
+      <details class="step" ${ok ? '' : 'open'}>
+        <summary>
+          <span class="turn">Turn ${esc((step.turn ?? idx) + 1)}${esc(attemptLabel)}</span>
+          ${humanInput}
+          ${planSpan}
+          <span class="step-result ${ok ? 'ok' : 'bad'}" ${resultTooltip ? `title="${esc(resultTooltip)}"` : ''}>${esc(resultRaw)}</span>
+          <span class="tokens"${step.promptTokens != null ? ` title="prompt: ${esc(step.promptTokens)} • completion: ${esc(step.completionTokens ?? 0)}"` : ''}>tokens: ${esc(step.tokensUsed ?? '—')} / total: ${esc(step.totalTokensUsed ?? '—')}${costText(step.costUsd)}</span>
+        </summary>
+        <pre class="events">${esc(events.join('\n')) || '(no events)'}</pre>
+        ${imgTag}
+      </details>
+    `;
+  }).join('');
+
+  // Earlier attempts of a mission rerun via missionRetries
+  const previousAttemptsBlock = (attempts) => attempts.map(a => {
+    const steps = Array.isArray(a.steps) ? a.steps : [];
+    const statusClass = a.status === 'passed' ? 'ok' : 'bad';
+    return `
+        <details class="attempt">
+          <summary>
+            <span class="name">Attempt ${esc(a.attempt)}${a.submissionName ? ` — ${esc(a.submissionName)}` : ''}</span>
+            <span class="status ${statusClass}">${badge(a.status)}</span>
+            <span class="meta">steps: ${steps.length}${costText(a.costUsd)}</span>
+          </summary>
+          ${a.error?.message ? `<div class="empty">💥 ${esc(a.error.message)}</div>` : ''}
+          ${a.finalMessage ? `<div class="empty">${esc(a.finalMessage)}</div>` : ''}
+          ${renderSteps(steps) || '<div class="empty">No steps recorded.</div>'}
+        </details>
+      `;
+  }).join('');
+
+  // Playwright trace for a submission (opened with `npx playwright show-trace <file>`)
+  const traceLink = (trace) => trace
+    ? `<div class="artifacts">🧵 <a href="${esc(trace)}" download>Trace</a> <code>npx playwright show-trace missions/mission_reports/${esc(trace.replace(/^\.\//, ''))}</code></div>`
+    : '';
+
+  // Redacted network traffic for a submission (tools/harRecorder.js)
+  const harLink = (har) => har
+    ? `<div class="artifacts">📡 <a href="${esc(har)}" download>HAR</a> (redacted network traffic)</div>`
+    : '';
+
+  // Videos cover the whole mission browser, so they are shown once per mission group
+  const videoBlock = (videos) => videos.length
+    ? `<div class="artifacts">${videos.map(v => `<video controls preload="none" src="${esc(v)}"></video>`).join('')}</div>`
+    : '';
+
+  // Network mocks (tools/networkMocks.js) with how many requests each answered
+  const mocksBlock = (mocks) => mocks.length
+    ? `<div class="mocks"><strong>🧪 Mocked routes</strong><ul>${mocks.map(mk =>
+        `<li><code>${esc(mk.description)}</code> <span class="hits">${mk.hits} hit${mk.hits === 1 ? '' : 's'}</span>${mk.source === 'tool' ? ' <span class="hits">(added by the agent)</span>' : ''}</li>`
+      ).join('')}</ul></div>`
+    : '';
+
+  // Console, page and network errors seen during a submission (tools/pageDiagnostics.js)
+  const diagnosticsBlock = (d) => {
+    if (!d) return '';
+    const counts = [
+      [d.pageErrors, 'page error'],
+      [d.consoleErrors, 'console error'],
+      [d.consoleWarnings, 'console warning'],
+      [d.failedRequests, 'failed request'],
+      [d.httpErrors, 'HTTP error'],
+    ].filter(([n]) => n > 0).map(([n, label]) => `${n} ${label}${n === 1 ? '' : 's'}`);
+    return `<div class="diagnostics"><strong>🩺 Page diagnostics</strong> <span class="hits">${esc(counts.join(' • '))}</span>` +
+      `<ul>${(d.samples || []).map(line => `<li><code>${esc(line)}</code></li>`).join('')}</ul></div>`;
+  };
+
+  // compare_screenshot results (tools/visualDiff.js) with links to the diff images
+  const visualBlock = (checks) => checks?.length
+    ? `<div class="visual"><strong>🖼️ Visual checks</strong><ul>${checks.map(c =>
+        `<li><code>${esc(c.name)}</code> ${c.status === 'mismatch' ? '<span class="bad">mismatch</span>' : `<span class="hits">${esc(c.status)}</span>`}` +
+        ` <span class="hits">${(c.diffRatio * 100).toFixed(2)}% differ</span>` +
+        (c.diff ? ` <a href="${esc(c.diff)}" target="_blank" rel="noopener">diff</a>` : '') +
+        '</li>'
+      ).join('')}</ul></div>`
+    : '';
 
   const submissionBlock = (m) => {
     const mDurationSec =
@@ -48,79 +167,68 @@ export function generateHtmlReport(report, outputPath) {
         : (typeof m.durationSeconds === 'number' ? m.durationSeconds.toFixed(2) : '—');
 
     const steps = Array.isArray(m.steps) ? m.steps : [];
-    const stepItems = steps.map((step, idx) => {
-      const events = Array.isArray(step.events) ? step.events : [];
-      const ok = /✅|Passed|Mission Success/i.test(step.result || '');
-      const resultRaw = step.result || '—';
-      const resultTooltip = resultRaw.includes('⚠️ Turn Issues')
-        ? 'Turn had tool/action issues (e.g., selector/timeouts). It may not indicate a product bug.'
-        : '';
-      const retryAttempt = step.retryAttempt || 1; // includes initial
-      const retryLimit = step.retryLimit; // number of retries allowed (excludes initial)
-      const retryNumber = retryAttempt - 1;
-      const retryTotal = Number.isFinite(retryLimit) ? retryLimit : Math.max(retryNumber, 0);
-      const attemptLabel = retryNumber > 0
-        ? ` (re-attempt ${retryNumber}/${retryTotal || retryNumber})`
-        : '';
-      const humanInput = step.humanInput?.requested
-        ? `<span class="hitl" title="Human-in-the-loop input: ${esc(step.humanInput.status || 'requested')}">👤 Human in-the-loop</span>`
-        : '';
-      const imgTag = step.screenshotPath
-        ? `<img src="${esc(step.screenshotPath)}" alt="screenshot turn ${esc(step.turn ?? idx)}">`
-        : '';
-
-      const plan = (typeof step.summary === 'string' && step.summary.trim())
-        ? step.summary.trim()
-        : '';
-      const planSpan = plan
-        ? `<span class="plan" title="${esc(plan)}">${esc(plan)}</span>`
-        : '';
-
-      return `
-        <details class="step" ${ok ? '' : 'open'}>
-          <summary>
-            <span class="turn">Turn ${esc((step.turn ?? idx) + 1)}${esc(attemptLabel)}</span>
-            ${humanInput}
-            ${planSpan}
-            <span class="step-result ${ok ? 'ok' : 'bad'}" ${resultTooltip ? `title="${esc(resultTooltip)}"` : ''}>${esc(resultRaw)}</span>
-            <span class="tokens">tokens: ${esc(step.tokensUsed ?? '—')} / total: ${esc(step.totalTokensUsed ?? '—')}</span>
-          </summary>
-          <pre class="events">${esc(events.join('\n')) || '(no events)'}</pre>
-          ${imgTag}
-        </details>
-      `;
-    }).join('');
+    const stepItems = renderSteps(steps);
+    const previousAttempts = Array.isArray(m.previousAttempts) ? m.previousAttempts : [];
 
     const type = String(m.submissionType || 'mission').toLowerCase();
     const typeLabel = (type === 'premission' || type === 'postmission') ? type : 'mission';
     const prettyTitle = `${esc(m.missionName || 'Mission')} — ${typeLabel}${m.submissionName ? `: ${esc(m.submissionName)}` : ''}`;
-    const statusClass = m.status === 'failed' ? 'bad' : (m.status === 'passed' ? 'ok' : '');
+    const statusClass = (m.status === 'failed' || m.status === 'errored') ? 'bad' : (m.status === 'passed' ? 'ok' : '');
 
     return `
       <details class="mission-submission">
         <summary>
           <span class="name">${prettyTitle}</span>
           <span class="status ${statusClass}">${badge(m.status)}</span>
-          <span class="meta">steps: ${steps.length} • duration: ${mDurationSec}s</span>
+          ${m.flaky ? `<span class="flaky" title="Failed on an earlier attempt, passed on attempt ${esc(m.attempt)}">⚠️ Flaky</span>` : ''}
+          ${m.budgetExceeded ? `<span class="budget" title="${esc(m.finalMessage || 'Stopped by the USD budget')}">💸 Budget (${esc(m.budgetExceeded)})</span>` : ''}
+          <span class="meta">steps: ${steps.length} • duration: ${mDurationSec}s${m.attempt > 1 ? ` • attempt ${esc(m.attempt)}` : ''}${costText(m.costUsd)}</span>
           <span class="toolbar">
             <button class="btn-mini toggle" data-scope="submission" aria-label="Expand">▼</button>
           </span>
         </summary>
         <div class="steps">
+          ${m.error?.message ? `<div class="empty">💥 ${esc(m.error.message)}</div>` : ''}
+          ${traceLink(m.artifacts?.trace)}
+          ${harLink(m.artifacts?.har)}
+          ${diagnosticsBlock(m.diagnostics)}
+          ${visualBlock(m.visual)}
           ${stepItems || '<div class="empty">No steps recorded.</div>'}
+          ${previousAttemptsBlock(previousAttempts)}
         </div>
       </details>
     `;
   };
 
-  // group submissions by mission
+  // group submissions by mission (and engine, when the run covered several browsers)
+  const multiEngine = new Set(missions.map(m => m.browser).filter(Boolean)).size > 1;
   const grouped = missions.reduce((acc, m) => {
-    const key = m.missionName || '(unnamed mission)';
+    const name = m.missionName || '(unnamed mission)';
+    const key = multiEngine && m.browser ? `${name} [${m.browser}]` : name;
     (acc[key] ||= []).push(m);
     return acc;
   }, {});
 
-  const groupStatus = (subs) => subs.some(s => s.status === 'failed') ? 'failed' : 'passed';
+  const groupStatus = (subs) =>
+    subs.some(s => s.status === 'errored') ? 'errored' :
+    subs.some(s => s.status === 'failed') ? 'failed' : 'passed';
+
+  // Tags/owner/priority exported by the mission file (`export const meta = {...}`)
+  const metaChips = (meta) => {
+    if (!meta) return '';
+    const chips = (Array.isArray(meta.tags) ? meta.tags : []).map(t => `<span class="tag">#${esc(t)}</span>`);
+    if (meta.owner) chips.push(`<span class="tag">owner: ${esc(meta.owner)}</span>`);
+    if (meta.priority !== undefined && meta.priority !== null) chips.push(`<span class="tag">priority: ${esc(meta.priority)}</span>`);
+    return chips.length ? `<span class="tags">${chips.join('')}</span>` : '';
+  };
+
+  const filtersLine = filters
+    ? [
+        filters.tags?.length ? `<strong>Tags:</strong> ${esc(filters.tags.join(', '))}` : '',
+        filters.excludeTags?.length ? `<strong>Excluded tags:</strong> ${esc(filters.excludeTags.join(', '))}` : '',
+        filters.grep ? `<strong>Grep:</strong> /${esc(filters.grep)}/i` : '',
+      ].filter(Boolean).join(' • ')
+    : '';
 
   const missionGroupBlock = (missionName, subs) => {
     const status = groupStatus(subs);
@@ -129,6 +237,9 @@ export function generateHtmlReport(report, outputPath) {
     const lastEnd    = Math.max(...subs.map(s => s.endTime || 0).filter(Boolean));
     const groupDur   = (firstStart && lastEnd) ? ((lastEnd - firstStart) / 1000).toFixed(2) : '—';
 
+    // Stored login (core/authState.js): 'reused' or 'saved'
+    const authState = subs.find(s => s.authState)?.authState;
+
     // pre → mission → post
     const order = { premission: 0, mission: 1, postmission: 2 };
     subs.sort((a, b) =>
@@ -140,13 +251,21 @@ export function generateHtmlReport(report, outputPath) {
       <details class="mission-group">
         <summary>
           <span class="name">${esc(missionName)}</span>
-          <span class="status ${status === 'failed' ? 'bad' : 'ok'}">${badge(status)}</span>
-          <span class="meta">submissions: ${subs.length} • steps: ${totalSteps} • duration: ${groupDur}s</span>
+          ${subs[0]?.browser || subs[0]?.profile || authState ? `<span class="tags">${[
+            subs[0].browser ? `<span class="tag">🌐 ${esc(subs[0].browser)}</span>` : '',
+            subs[0].profile ? `<span class="tag">📱 ${esc(subs[0].profile)}</span>` : '',
+            authState ? `<span class="tag">🔐 login ${esc(authState)}</span>` : '',
+          ].join('')}</span>` : ''}
+          ${metaChips(subs.find(s => s.meta)?.meta)}
+          <span class="status ${status === 'passed' ? 'ok' : 'bad'}">${badge(status)}</span>
+          <span class="meta">submissions: ${subs.length} • steps: ${totalSteps} • duration: ${groupDur}s${costText(summarizeRunCost(subs).costUsd)}</span>
           <span class="toolbar">
             <button class="btn-mini toggle" data-scope="mission" aria-label="Expand">▼</button>
           </span>
         </summary>
         <div class="group-body">
+          ${videoBlock(subs.find(s => s.artifacts?.videos?.length)?.artifacts.videos || [])}
+          ${mocksBlock(subs.find(s => s.mocks?.length)?.mocks || [])}
           ${subs.map(submissionBlock).join('')}
         </div>
       </details>
@@ -156,12 +275,40 @@ export function generateHtmlReport(report, outputPath) {
 
   const groupsHtml = Object.entries(grouped).map(([name, subs]) => missionGroupBlock(name, subs)).join('');
 
+  // Accessibility: every audit_accessibility result, grouped by submission (tools/a11yAudit.js)
+  const a11yCounts = summary.accessibility ?? summarizeAccessibility(missions);
+  const runCostUsd = summary.costUsd !== undefined ? summary.costUsd : summarizeRunCost(missions).costUsd;
+  const a11yCountText = (counts) => A11Y_IMPACTS.filter(i => counts?.[i]).map(i => `${counts[i]} ${i}`).join(' • ') || 'no violations';
+  const a11yAuditBlock = (m, audit) => `
+      <div class="a11y-audit">
+        <div><strong>${esc(m.missionName || 'Mission')}${m.submissionName ? ` — ${esc(m.submissionName)}` : ''}</strong>
+          <span class="meta">${esc(audit.url)}${audit.scope && audit.scope !== 'document' ? ` • scope: <code>${esc(audit.scope)}</code>` : ''} • ${esc(a11yCountText(audit.counts))}</span></div>
+        ${audit.violations?.length ? `<table>${audit.violations.map(v => `
+          <tr>
+            <td><span class="impact ${esc(v.impact)}">${esc(v.impact)}</span></td>
+            <td><code>${esc(v.rule)}</code> ×${esc(v.count)}</td>
+            <td>${esc(v.help)}${v.targets?.length ? `<div class="targets">${v.targets.map(t => `<code>${esc(t)}</code>`).join(' ')}</div>` : ''}</td>
+          </tr>`).join('')}</table>` : ''}
+      </div>`;
+  const accessibilityHtml = a11yCounts
+    ? `
+    <details class="accessibility" open>
+      <summary>
+        <span class="name">♿ Accessibility</span>
+        <span class="meta">audits: ${esc(a11yCounts.audits)} • ${esc(a11yCountText(a11yCounts))}</span>
+      </summary>
+      <div class="group-body">
+        ${missions.flatMap(m => (m.accessibility || []).map(a => a11yAuditBlock(m, a))).join('')}
+      </div>
+    </details>`
+    : '';
+
   // compute totals for chips if not provided
   const totals = Object.keys(grouped).reduce((acc, name) => {
     const st = groupStatus(grouped[name]);
     acc.total += 1;
     acc.passed += st === 'passed' ? 1 : 0;
-    acc.failed += st === 'failed' ? 1 : 0;
+    acc.failed += st !== 'passed' ? 1 : 0;
     return acc;
   }, { total: 0, passed: 0, failed: 0 });
 
@@ -270,6 +417,40 @@ export function generateHtmlReport(report, outputPath) {
     .status.ok{ color: var(--ok); font-weight:700; }
     .status.bad{ color: var(--bad); font-weight:700; }
     .meta{ color: var(--text-muted); font-size:12px; }
+    .flaky{ color:#f59e0b; font-weight:700; font-size:12px; }
+    .budget{ color:var(--bad); font-weight:700; font-size:12px; }
+    .artifacts{ display:flex; gap:8px; align-items:center; flex-wrap:wrap; margin:6px 0; font-size:13px; }
+    .artifacts code{ font-size:12px; opacity:.8; }
+    .artifacts video{ max-width:480px; border-radius:8px; }
+    .mocks{ margin:6px 0; font-size:13px; }
+    .mocks ul{ margin:4px 0 0; padding-left:18px; }
+    .mocks code{ font-size:12px; }
+    .mocks .hits{ opacity:.65; }
+    .diagnostics{ margin:6px 0; font-size:13px; }
+    .diagnostics ul{ margin:4px 0 0; padding-left:18px; }
+    .diagnostics code{ font-size:12px; }
+    .diagnostics .hits{ opacity:.65; }
+    .visual{ margin:6px 0; font-size:13px; }
+    .visual ul{ margin:4px 0 0; padding-left:18px; }
+    .visual .hits{ opacity:.65; }
+    .visual .bad{ color:var(--bad); font-weight:600; }
+    .accessibility > summary{ font-weight:800; font-size:15px; }
+    .a11y-audit{ font-size:13px; }
+    .a11y-audit table{ width:100%; border-collapse:collapse; margin-top:6px; }
+    .a11y-audit td{ padding:4px 6px; border-top:1px solid var(--hairline); vertical-align:top; }
+    .a11y-audit code{ font-size:12px; }
+    .a11y-audit .targets{ opacity:.65; margin-top:2px; }
+    .impact{ font-size:11px; font-weight:700; border-radius:999px; padding:1px 8px; border:1px solid var(--chip-border); }
+    .impact.critical, .impact.serious{ color: var(--bad); border-color: var(--chip-bad-border); }
+    .impact.moderate{ color:#f59e0b; }
+    .attempt{ margin-top:10px; padding-left:10px; border-left:2px solid var(--hairline-strong); }
+    .attempt > summary{ display:flex; gap:10px; align-items:center; cursor:pointer; padding:6px 0; }
+    .tags{ display:flex; gap:6px; flex-wrap:wrap; }
+    .tag{
+      font-size:11px; color: var(--text-muted);
+      border:1px solid var(--chip-border); border-radius:999px;
+      padding:1px 8px;
+    }
 
     .steps{ padding: 0 12px 12px; }
     .step summary{
@@ -321,6 +502,7 @@ export function generateHtmlReport(report, outputPath) {
       <div><strong>Start:</strong> ${esc(startTime ?? '—')}</div>
       <div><strong>End:</strong> ${esc(endTime ?? '—')} • <strong>Duration:</strong> ${durationSec}s</div>
       <div><strong>LLM:</strong> ${esc(llm.provider ?? '—')} • <strong>Model:</strong> ${esc(llm.model ?? '—')}</div>
+      ${filtersLine ? `<div>${filtersLine}</div>` : ''}
     </div>
   </div>
 
@@ -328,11 +510,15 @@ export function generateHtmlReport(report, outputPath) {
     <div class="pill">Missions: ${esc(summary.totalMissions ?? totals.total)}</div>
     <div class="pill ok">Passed: ${esc(summary.passed ?? totals.passed)}</div>
     <div class="pill bad">Failed: ${esc(summary.failed ?? totals.failed)}</div>
+    ${summary.flaky ? `<div class="pill">Flaky: ${esc(summary.flaky)}</div>` : ''}
+    ${a11yCounts ? `<div class="pill${a11yCounts.critical || a11yCounts.serious ? ' bad' : ''}">♿ ${esc(a11yCountText(a11yCounts))}</div>` : ''}
     <div class="pill">LLM: ${esc(llm.provider ?? '—')} • ${esc(llm.model ?? '')}</div>
+    ${Number.isFinite(runCostUsd) ? `<div class="pill">💵 ${esc(formatUsd(runCostUsd))}</div>` : ''}
   </div>
 
   <div class="container">
     ${groupsHtml || '<div class="glass empty">No missions recorded.</div>'}
+    ${accessibilityHtml}
   </div>
   <script>
   (function () {
@@ -0,0 +1,177 @@
+/**
+ * generateJunitReport.js
+ * ----------------------
+ * Purpose:
+ *   Render a Testronaut run summary as JUnit XML for CI systems
+ *   (Jenkins, GitLab, GitHub Actions test reporters).
+ *
+ * Responsibilities:
+ *   - Emit one <testsuite> per mission file and one <testcase> per
+ *     pre/main/post submission.
+ *   - Carry the agent's final SUCCESS/FAILURE message as failure text.
+ *   - Report `errored` submissions (crashes, LLM/config errors) as <error>.
+ *   - Suffix testcase names with the browser engine in cross-browser runs.
+ *   - Note flaky submissions (passed after a mission retry) in <system-out>.
+ *   - Report per-submission duration in seconds.
+ *   - List screenshots, traces, HAR files and videos as attachments using the `[[ATTACHMENT|path]]`
+ *     convention understood by the Jenkins JUnit Attachments plugin and GitLab.
+ *
+ * Related tests:
+ *   tests/toolsTests/generateJunitReport.test.js
+ *
+ * Used by:
+ *   - bin/cli.js when `junit` is among the configured reporters.
+ */
+import fs from 'fs';
+import path from 'path';
+
+// XML 1.0 forbids most control characters, even when escaped.
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+const esc = (s) => String(s ?? '')
+  .replace(INVALID_XML_CHARS, '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Seconds between two timestamps (ms or ISO strings), formatted for JUnit.
+ * @returns {string}
+ */
+function durationSeconds(start, end) {
+  const ms = new Date(end) - new Date(start);
+  return Number.isFinite(ms) && ms >= 0 ? (ms / 1000).toFixed(3) : '0.000';
+}
+
+/**
+ * Best-effort final verdict text for a submission: prefer the message returned
+ * by the agent, else the last step event that starts with SUCCESS/FAILURE.
+ *
+ * @param {object} m - submission entry from report.missions
+ * @returns {string}
+ */
+function finalMessageFor(m) {
+  if (typeof m.finalMessage === 'string' && m.finalMessage.trim()) return m.finalMessage.trim();
+  const steps = Array.isArray(m.steps) ? m.steps : [];
+  for (let i = steps.length - 1; i >= 0; i--) {
+    const events = Array.isArray(steps[i]?.events) ? steps[i].events : [];
+    const verdict = [...events].reverse().find(e => /^\s*(SUCCESS|FAILURE):/i.test(String(e)));
+    if (verdict) return String(verdict).trim();
+  }
+  return '';
+}
+
+/**
+ * Group submissions by the mission file they came from, preserving run order.
+ * @param {object[]} missions
+ * @returns {Map<string, object[]>}
+ */
+function groupByFile(missions) {
+  const groups = new Map();
+  for (const m of missions) {
+    const key = m.file || m.missionName || 'missions';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(m);
+  }
+  return groups;
+}
+
+/**
+ * Build the JUnit XML document for a run report.
+ *
+ * @param {object} report - normalized run JSON (runId, startTime, endTime, missions)
+ * @param {{ baseDir?: string }} [opts] - directory relative screenshot paths resolve against
+ * @returns {string}
+ */
+export function buildJunitXml(report, opts = {}) {
+  const { runId, missions = [] } = report;
+  const baseDir = opts.baseDir ?? path.resolve('missions/mission_reports');
+  // Cross-browser runs repeat each submission per engine; keep testcase names unique
+  const multiEngine = new Set(missions.map(m => m.browser).filter(Boolean)).size > 1;
+
+  const suites = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+  let totalErrors = 0;
+  let totalTime = 0;
+
+  for (const [file, entries] of groupByFile(missions)) {
+    const cases = entries.map((m) => {
+      const time = durationSeconds(m.startTime, m.endTime);
+      const message = finalMessageFor(m);
+      const className = `${file}.${m.submissionType || 'mission'}`;
+      const baseName = m.submissionName || m.missionName || 'submission';
+      const name = multiEngine && m.browser ? `${baseName} [${m.browser}]` : baseName;
+
+      const screenshots = (Array.isArray(m.steps) ? m.steps : [])
+        .map(s => s?.screenshotPath)
+        .filter(Boolean)
+        .map(p => path.resolve(baseDir, p));
+      const artifacts = [m.artifacts?.trace, m.artifacts?.har, ...(m.artifacts?.videos || [])]
+        .filter(Boolean)
+        .map(p => path.resolve(baseDir, p));
+
+      const out = [];
+      if (m.flaky) out.push(`Flaky: passed on attempt ${m.attempt} after ${m.attempt - 1} failed attempt(s)`);
+      if (message) out.push(message);
+      for (const file of [...screenshots, ...artifacts]) out.push(`[[ATTACHMENT|${file}]]`);
+
+      let failure = '';
+      if (m.status === 'failed') {
+        const text = message || 'Mission failed';
+        failure = `\n      <failure message="${esc(text)}" type="MissionFailure">${esc(text)}</failure>`;
+      } else if (m.status === 'errored') {
+        const text = m.error?.message || 'Mission errored';
+        const type = m.error?.kind === 'config' ? 'ConfigurationError' : 'InfrastructureError';
+        failure = `\n      <error message="${esc(text)}" type="${type}">${esc(text)}</error>`;
+      }
+      const systemOut = out.length
+        ? `\n      <system-out>${esc(out.join('\n'))}</system-out>`
+        : '';
+
+      return `    <testcase name="${esc(name)}" classname="${esc(className)}" time="${time}">${failure}${systemOut}${failure || systemOut ? '\n    ' : ''}</testcase>`;
+    });
+
+    const failures = entries.filter(m => m.status === 'failed').length;
+    const errors = entries.filter(m => m.status === 'errored').length;
+    const suiteTime = entries.reduce((sum, m) => sum + Number(durationSeconds(m.startTime, m.endTime)), 0);
+    const startedAt = entries.map(m => m.startTime).filter(Boolean).sort()[0];
+
+    totalTests += entries.length;
+    totalFailures += failures;
+    totalErrors += errors;
+    totalTime += suiteTime;
+
+    const timestamp = startedAt ? ` timestamp="${esc(new Date(startedAt).toISOString())}"` : '';
+    suites.push(
+      `  <testsuite name="${esc(file)}" tests="${entries.length}" failures="${failures}" errors="${errors}" skipped="0" time="${suiteTime.toFixed(3)}"${timestamp}>\n` +
+      `${cases.join('\n')}\n` +
+      '  </testsuite>'
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${esc(runId || 'testronaut')}" tests="${totalTests}" failures="${totalFailures}" errors="${totalErrors}" time="${totalTime.toFixed(3)}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render and write a JUnit XML report to disk.
+ *
+ * @param {object} report - normalized run JSON (runId, missions, summary, llm, etc.)
+ * @param {string} [outputPath] - optional absolute/relative path for the XML file
+ * @returns {string} absolute path to the written XML file
+ */
+export function generateJunitReport(report, outputPath) {
+  const out = path.resolve(outputPath ?? path.join('missions/mission_reports', `${report.runId || 'report'}.xml`));
+  const xml = buildJunitXml(report, { baseDir: path.dirname(out) });
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, xml);
+  console.log(`🧾 JUnit report generated at: ${out}`);
+  return out;
+}
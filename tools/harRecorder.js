@@ -0,0 +1,243 @@
+/**
+ * harRecorder.js
+ * --------------
+ * Purpose:
+ *   Build HAR 1.2 files from the requests a submission made, so backend teams
+ *   get the exact network traffic with a bug report.
+ *
+ * Responsibilities:
+ *   - Turn a finished or failed Playwright request into a HAR entry
+ *     (headers, query string, request body, text response bodies, timings).
+ *   - Redact secrets with the keyword list in core/redaction.js: sensitive
+ *     headers, cookies, query parameters, form fields and JSON fields.
+ *   - Wrap entries in a HAR log and write it to disk.
+ *
+ * Related tests:
+ *   tests/toolsTests/harRecorder.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (start({ recordHar }), startHarChunk / stopHarChunk)
+ *   - core/agent.js (one HAR per submission next to the run report)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { isSensitiveName, maskPreview, redactPasswordInText } from '../core/redaction.js';
+
+// Bodies above this size (or binary bodies) are left out of the HAR
+const MAX_BODY_BYTES = 256 * 1024;
+const TEXT_MIME_RE = /^(text\/|application\/(json|[\w.+-]+\+json|xml|[\w.+-]+\+xml|javascript|x-www-form-urlencoded|graphql))/i;
+// Always secret, whatever the keyword list says
+const SECRET_HEADERS = new Set(['authorization', 'proxy-authorization', 'cookie', 'set-cookie']);
+
+const MASK = maskPreview('', false);
+
+let creatorVersion = null;
+function testronautVersion() {
+  if (creatorVersion === null) {
+    try {
+      creatorVersion = JSON.parse(fs.readFileSync(new URL('../package.json', import.meta.url), 'utf8')).version || 'unknown';
+    } catch {
+      creatorVersion = 'unknown';
+    }
+  }
+  return creatorVersion;
+}
+
+const headerOf = (headers, name) => headers.find(h => h.name.toLowerCase() === name)?.value || '';
+
+async function readHeaders(source) {
+  try {
+    const all = typeof source.allHeaders === 'function' ? await source.allHeaders() : source.headers();
+    return Object.entries(all || {}).map(([name, value]) => ({ name, value: String(value) }));
+  } catch {
+    return [];
+  }
+}
+
+function queryStringOf(url) {
+  try {
+    return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * HAR entry for a Playwright request (before redaction).
+ *
+ * @param {any} request - Playwright Request
+ * @param {any|null} [response] - its Response; null for failed requests
+ * @returns {Promise<object>}
+ */
+export async function harEntryFrom(request, response = null) {
+  const timing = request.timing?.() || {};
+  const startedMs = Number.isFinite(timing.startTime) && timing.startTime > 0 ? timing.startTime : Date.now();
+  const span = (from, to) => (from >= 0 && to >= from ? to - from : 0);
+  const timings = {
+    send: 0,
+    wait: span(timing.requestStart, timing.responseStart),
+    receive: span(timing.responseStart, timing.responseEnd),
+  };
+
+  const url = request.url();
+  const requestHeaders = await readHeaders(request);
+  const postData = request.postData?.() ?? null;
+
+  let responsePart = {
+    status: 0,
+    statusText: '',
+    httpVersion: 'HTTP/1.1',
+    cookies: [],
+    headers: [],
+    content: { size: 0, mimeType: 'x-unknown' },
+    redirectURL: '',
+    headersSize: -1,
+    bodySize: -1,
+  };
+  if (response) {
+    const headers = await readHeaders(response);
+    const mimeType = headerOf(headers, 'content-type') || 'x-unknown';
+    const content = { size: -1, mimeType };
+    if (TEXT_MIME_RE.test(mimeType)) {
+      try {
+        const body = await response.body();
+        content.size = body.length;
+        if (body.length <= MAX_BODY_BYTES) content.text = body.toString('utf8');
+        else content.comment = `body over ${MAX_BODY_BYTES} bytes not captured`;
+      } catch {
+        content.comment = 'body not available';
+      }
+    }
+    responsePart = {
+      ...responsePart,
+      status: response.status(),
+      statusText: response.statusText() || '',
+      headers,
+      content,
+      redirectURL: headerOf(headers, 'location'),
+      bodySize: content.size,
+    };
+  }
+
+  const errorText = response ? null : (request.failure?.()?.errorText || 'failed');
+  return {
+    startedDateTime: new Date(startedMs).toISOString(),
+    time: timing.responseEnd >= 0 ? timing.responseEnd : timings.wait + timings.receive,
+    request: {
+      method: request.method(),
+      url,
+      httpVersion: 'HTTP/1.1',
+      cookies: [],
+      headers: requestHeaders,
+      queryString: queryStringOf(url),
+      headersSize: -1,
+      bodySize: postData ? Buffer.byteLength(postData) : 0,
+      ...(postData ? { postData: { mimeType: headerOf(requestHeaders, 'content-type'), text: postData } } : {}),
+    },
+    response: responsePart,
+    cache: {},
+    timings,
+    ...(errorText ? { _error: errorText } : {}),
+  };
+}
+
+function redactJson(value) {
+  if (Array.isArray(value)) return value.map(redactJson);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) =>
+    [k, isSensitiveName(k) && (typeof v !== 'object' || v === null) ? MASK : redactJson(v)]
+  ));
+}
+
+// key=value&... pairs (query strings and urlencoded forms), keeping the original encoding
+function redactParams(text) {
+  return String(text).replace(/(^|[?&])([^=&#]+)=([^&#]*)/g, (m, sep, name, value) => {
+    let decoded = name;
+    try { decoded = decodeURIComponent(name.replace(/\+/g, ' ')); } catch {}
+    return isSensitiveName(decoded) && value ? `${sep}${name}=${encodeURIComponent(MASK)}` : m;
+  });
+}
+
+/**
+ * Mask secrets in a body by its content type.
+ * @param {string} text
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function redactBody(text, mimeType = '') {
+  if (/json/i.test(mimeType) || /^\s*[{[]/.test(text)) {
+    try {
+      return JSON.stringify(redactJson(JSON.parse(text)));
+    } catch {}
+  }
+  if (/x-www-form-urlencoded/i.test(mimeType)) return redactParams(text);
+  return redactPasswordInText(text, { showLength: false });
+}
+
+/**
+ * Copy of an entry with secrets masked.
+ * @param {object} entry - harEntryFrom() result
+ * @returns {object}
+ */
+export function redactHarEntry(entry) {
+  const headers = (list) => list.map(h => {
+    const name = h.name.toLowerCase();
+    const secret = SECRET_HEADERS.has(name) || (!name.startsWith('access-control-') && isSensitiveName(h.name));
+    return secret ? { ...h, value: MASK } : h;
+  });
+  const params = (list) => list.map(p => (isSensitiveName(p.name) ? { ...p, value: MASK } : p));
+  const [base, ...query] = entry.request.url.split('?');
+  const url = query.length ? `${base}${redactParams(`?${query.join('?')}`)}` : base;
+
+  return {
+    ...entry,
+    request: {
+      ...entry.request,
+      url,
+      headers: headers(entry.request.headers),
+      queryString: params(entry.request.queryString),
+      ...(entry.request.postData
+        ? { postData: { ...entry.request.postData, text: redactBody(entry.request.postData.text, entry.request.postData.mimeType) } }
+        : {}),
+    },
+    response: {
+      ...entry.response,
+      headers: headers(entry.response.headers),
+      content: entry.response.content.text !== undefined
+        ? { ...entry.response.content, text: redactBody(entry.response.content.text, entry.response.content.mimeType) }
+        : entry.response.content,
+    },
+  };
+}
+
+/**
+ * HAR log around redacted entries (oldest first).
+ * @param {object[]} entries
+ * @param {{ browser?: { name:string, version:string } }} [meta]
+ * @returns {{ log: object }}
+ */
+export function buildHar(entries, { browser } = {}) {
+  return {
+    log: {
+      version: '1.2',
+      creator: { name: 'Testronaut', version: testronautVersion() },
+      ...(browser ? { browser } : {}),
+      pages: [],
+      entries: [...entries].sort((a, b) => a.startedDateTime.localeCompare(b.startedDateTime)),
+    },
+  };
+}
+
+/**
+ * Write a HAR file.
+ * @param {string} filePath
+ * @param {object[]} entries
+ * @param {{ browser?: { name:string, version:string } }} [meta]
+ * @returns {string} filePath
+ */
+export function writeHar(filePath, entries, meta) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, JSON.stringify(buildHar(entries, meta), null, 2), 'utf8');
+  return filePath;
+}
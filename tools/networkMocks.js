@@ -0,0 +1,217 @@
+/**
+ * networkMocks.js
+ * ---------------
+ * Purpose:
+ *   Stub network requests with Playwright routes so missions can reach error,
+ *   empty and slow states deterministically.
+ *
+ * Responsibilities:
+ *   - Validate mock definitions from a mission (`runMissions({ mocks })`) or the
+ *     `mock_route` tool.
+ *   - Match request URLs: "/regex/flags", a glob ("**\/api/orders*"), or a plain substring.
+ *   - Answer with a fixture from missions/fixtures, inline JSON/text, an HTTP
+ *     status, an aborted request, or pass the request through after a delay.
+ *   - Describe mocks and hits for step events and the report.
+ *
+ * Mock shape:
+ *   { url, method?, status?, fixture?, json?, body?, contentType?, headers?, delayMs?, abort?, times? }
+ *
+ * Related tests:
+ *   tests/toolsTests/networkMocks.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (mock_route / clear_mocks tools, mission mocks)
+ *   - runner/testronaut.js (mission-level validation)
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const FIXTURES_DIR = path.join('missions', 'fixtures');
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+const MAX_DELAY_MS = 30_000;
+
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.html': 'text/html',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.xml': 'application/xml',
+  '.js': 'application/javascript',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.svg': 'image/svg+xml',
+};
+
+const escapeRegex = (s) => s.replace(/[.+^${}()|[\]\\?]/g, '\\$&');
+
+/**
+ * Build a URL matcher.
+ * - "/pattern/flags" is a regular expression
+ * - a pattern with `*` is a glob over the full URL (`**` crosses `/`, `*` does not)
+ * - anything else matches when the URL contains it
+ *
+ * @param {string} pattern
+ * @returns {(url:string) => boolean}
+ */
+export function compileUrlPattern(pattern) {
+  const p = String(pattern || '').trim();
+  const re = p.match(/^\/(.+)\/([dgimsuy]*)$/);
+  if (re) {
+    const rx = new RegExp(re[1], re[2]);
+    return (url) => rx.test(url);
+  }
+  if (p.includes('*')) {
+    const source = p
+      .split('**')
+      .map(part => part.split('*').map(escapeRegex).join('[^/]*'))
+      .join('.*');
+    const rx = new RegExp(`^${source}$`);
+    return (url) => rx.test(url);
+  }
+  return (url) => url.includes(p);
+}
+
+/**
+ * Read a fixture from missions/fixtures (no paths outside it).
+ * @param {string} name
+ * @param {{ dir?: string }} [opts]
+ * @returns {{ body: Buffer, contentType: string }}
+ */
+export function loadFixture(name, { dir = FIXTURES_DIR } = {}) {
+  const root = path.resolve(process.cwd(), dir);
+  const file = path.resolve(root, name);
+  if (file !== root && !file.startsWith(root + path.sep)) {
+    throw new Error(`Fixture "${name}" must be inside ${dir}`);
+  }
+  if (!fs.existsSync(file)) throw new Error(`Fixture not found: ${path.join(dir, name)}`);
+  return {
+    body: fs.readFileSync(file),
+    contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+  };
+}
+
+/**
+ * Validate a mock and resolve its response body.
+ *
+ * @param {object} raw
+ * @param {{ fixturesDir?: string }} [opts]
+ * @returns {{ url:string, method:string|null, mode:'fulfill'|'abort'|'delay', status:number|null, fixture:string|null, body:string|Buffer|null, contentType:string|null, headers:object, delayMs:number, times:number|null }}
+ * @throws for invalid definitions or missing fixtures
+ */
+export function normalizeMock(raw, { fixturesDir = FIXTURES_DIR } = {}) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('A mock must be an object with a url');
+  const url = typeof raw.url === 'string' ? raw.url.trim() : '';
+  if (!url) throw new Error('A mock needs a url pattern');
+  compileUrlPattern(url); // surface invalid regular expressions now
+
+  let method = null;
+  if (raw.method !== undefined && raw.method !== null && raw.method !== '') {
+    method = String(raw.method).trim().toUpperCase();
+    if (!METHODS.includes(method)) throw new Error(`Unknown method "${raw.method}" for mock ${url}`);
+  }
+
+  let status = null;
+  if (raw.status !== undefined) {
+    status = Number(raw.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) throw new Error(`Mock ${url}: status must be an HTTP status (100-599)`);
+  }
+
+  let delayMs = 0;
+  if (raw.delayMs !== undefined) {
+    delayMs = Number(raw.delayMs);
+    if (!Number.isFinite(delayMs) || delayMs < 0 || delayMs > MAX_DELAY_MS) {
+      throw new Error(`Mock ${url}: delayMs must be between 0 and ${MAX_DELAY_MS}`);
+    }
+  }
+
+  let times = null;
+  if (raw.times !== undefined && raw.times !== null) {
+    times = Number(raw.times);
+    if (!Number.isInteger(times) || times < 1) throw new Error(`Mock ${url}: times must be a whole number of 1 or more`);
+  }
+
+  const sources = ['fixture', 'json', 'body'].filter(k => raw[k] !== undefined);
+  if (sources.length > 1) throw new Error(`Mock ${url}: use only one of fixture, json or body`);
+  const abort = raw.abort === true;
+  if (abort && (sources.length || status !== null)) throw new Error(`Mock ${url}: abort cannot be combined with a response`);
+
+  let body = null;
+  let contentType = typeof raw.contentType === 'string' && raw.contentType.trim() ? raw.contentType.trim() : null;
+  const fixture = raw.fixture !== undefined ? String(raw.fixture) : null;
+  if (fixture !== null) {
+    const loaded = loadFixture(fixture, { dir: fixturesDir });
+    body = loaded.body;
+    contentType = contentType || loaded.contentType;
+  } else if (raw.json !== undefined) {
+    body = JSON.stringify(raw.json);
+    contentType = contentType || 'application/json';
+  } else if (raw.body !== undefined) {
+    body = String(raw.body);
+    contentType = contentType || 'text/plain';
+  }
+
+  const headers = raw.headers && typeof raw.headers === 'object' && !Array.isArray(raw.headers)
+    ? Object.fromEntries(Object.entries(raw.headers).map(([k, v]) => [k, String(v)]))
+    : {};
+
+  const mode = abort ? 'abort' : (body !== null || status !== null || !delayMs) ? 'fulfill' : 'delay';
+  return {
+    url,
+    method,
+    mode,
+    status: mode === 'fulfill' ? (status ?? 200) : null,
+    fixture,
+    body: mode === 'fulfill' ? (body ?? '') : null,
+    contentType,
+    headers,
+    delayMs,
+    times,
+  };
+}
+
+/**
+ * One-line description, e.g. "GET **\/api/orders → 500 (+2000ms)".
+ * @param {object} mock - normalizeMock() result
+ * @returns {string}
+ */
+export function describeMock(mock) {
+  const outcome =
+    mock.mode === 'abort' ? 'aborted' :
+    mock.mode === 'delay' ? 'passed through' :
+    `${mock.status}${mock.fixture ? ` ${mock.fixture}` : ''}`;
+  const extras = [
+    mock.delayMs ? `+${mock.delayMs}ms` : null,
+    mock.times ? `first ${mock.times}` : null,
+  ].filter(Boolean);
+  return `${mock.method || 'ANY'} ${mock.url} → ${outcome}${extras.length ? ` (${extras.join(', ')})` : ''}`;
+}
+
+/**
+ * Playwright route handler for a mock. Counts hits on `mock.hits` and falls
+ * back to other routes (or the network) when the method differs or `times` is used up.
+ *
+ * @param {object} mock - normalizeMock() result with a `hits` counter
+ * @param {(hit:{ method:string, url:string, outcome:string }) => void} [onHit]
+ * @returns {(route:any) => Promise<void>}
+ */
+export function createMockHandler(mock, onHit) {
+  return async (route) => {
+    const request = route.request();
+    if (mock.method && request.method() !== mock.method) return route.fallback();
+    if (mock.times && mock.hits >= mock.times) return route.fallback();
+    mock.hits = (mock.hits || 0) + 1;
+    onHit?.({ method: request.method(), url: request.url(), outcome: describeMock(mock).split(' → ')[1] });
+
+    if (mock.delayMs) await new Promise(r => setTimeout(r, mock.delayMs));
+    if (mock.mode === 'abort') return route.abort('failed');
+    if (mock.mode === 'delay') return route.fallback();
+    return route.fulfill({
+      status: mock.status,
+      headers: mock.headers,
+      ...(mock.contentType ? { contentType: mock.contentType } : {}),
+      body: mock.body,
+    });
+  };
+}
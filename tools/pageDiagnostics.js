@@ -0,0 +1,113 @@
+/**
+ * pageDiagnostics.js
+ * ------------------
+ * Purpose:
+ *   Turn what the page reports behind the DOM (console errors, uncaught
+ *   exceptions, failed requests, 4xx/5xx responses) into mission evidence.
+ *
+ * Responsibilities:
+ *   - Normalize Playwright page events into small diagnostic entries.
+ *   - Format entries as step events.
+ *   - Summarize a submission's entries for the JSON/HTML report.
+ *
+ * Entry shape:
+ *   { kind:'pageerror'|'console'|'requestfailed'|'http', level?, text, method?, url?, status?, ts }
+ *
+ * Related tests:
+ *   tests/toolsTests/pageDiagnostics.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (page listeners)
+ *   - core/turnLoop.js (step events)
+ *   - core/agent.js (per-submission summary, failOnPageError)
+ */
+
+const MAX_TEXT = 300;
+const MAX_SAMPLES = 10;
+
+const clip = (s, n = MAX_TEXT) => {
+  const str = String(s ?? '').replace(/\s+/g, ' ').trim();
+  return str.length > n ? `${str.slice(0, n - 1)}…` : str;
+};
+
+/** @returns {object} entry for an uncaught exception */
+export function fromPageError(error, ts = Date.now()) {
+  const name = error?.name && error.name !== 'Error' ? `${error.name}: ` : '';
+  return { kind: 'pageerror', text: clip(`${name}${error?.message ?? error}`), ts };
+}
+
+/**
+ * @param {{ type:()=>string, text:()=>string }} msg - Playwright ConsoleMessage
+ * @returns {object|null} entry for console errors and warnings, null otherwise
+ */
+export function fromConsoleMessage(msg, ts = Date.now()) {
+  const type = msg?.type?.();
+  if (type !== 'error' && type !== 'warning') return null;
+  return { kind: 'console', level: type, text: clip(msg.text()), ts };
+}
+
+/**
+ * @returns {object|null} entry for a request that never got a response; null for
+ *   requests the browser cancelled itself (navigating away, superseded fetches)
+ */
+export function fromRequestFailed(request, ts = Date.now()) {
+  const errorText = request.failure()?.errorText || 'failed';
+  if (/ERR_ABORTED|NS_BINDING_ABORTED|cancelled/i.test(errorText)) return null;
+  return {
+    kind: 'requestfailed',
+    method: request.method(),
+    url: clip(request.url(), 200),
+    text: clip(errorText),
+    ts,
+  };
+}
+
+/** @returns {object|null} entry for 4xx/5xx responses, null otherwise */
+export function fromResponse(response, ts = Date.now()) {
+  const status = response.status();
+  if (status < 400) return null;
+  return {
+    kind: 'http',
+    method: response.request().method(),
+    url: clip(response.url(), 200),
+    status,
+    text: clip(response.statusText() || ''),
+    ts,
+  };
+}
+
+/**
+ * Step event line for an entry.
+ * @param {object} entry
+ * @returns {string}
+ */
+export function formatDiagnostic(entry) {
+  switch (entry.kind) {
+    case 'pageerror':     return `💥 Page error: ${entry.text}`;
+    case 'console':       return `🪵 Console ${entry.level}: ${entry.text}`;
+    case 'requestfailed': return `🌐 Request failed: ${entry.method} ${entry.url} (${entry.text})`;
+    case 'http':          return `🌐 HTTP ${entry.status}: ${entry.method} ${entry.url}`;
+    default:              return `🩺 ${entry.text}`;
+  }
+}
+
+/**
+ * Per-submission counts plus the first few entries (page errors first).
+ * @param {object[]} entries
+ * @returns {{ pageErrors:number, consoleErrors:number, consoleWarnings:number, failedRequests:number, httpErrors:number, samples:string[] }|null}
+ *   null when there is nothing to report
+ */
+export function summarizeDiagnostics(entries = []) {
+  if (!entries.length) return null;
+  const count = (fn) => entries.filter(fn).length;
+  const rank = { pageerror: 0, http: 1, requestfailed: 2, console: 3 };
+  const ordered = [...entries].sort((a, b) => (rank[a.kind] ?? 9) - (rank[b.kind] ?? 9) || a.ts - b.ts);
+  return {
+    pageErrors: count(e => e.kind === 'pageerror'),
+    consoleErrors: count(e => e.kind === 'console' && e.level === 'error'),
+    consoleWarnings: count(e => e.kind === 'console' && e.level === 'warning'),
+    failedRequests: count(e => e.kind === 'requestfailed'),
+    httpErrors: count(e => e.kind === 'http'),
+    samples: ordered.slice(0, MAX_SAMPLES).map(formatDiagnostic),
+  };
+}
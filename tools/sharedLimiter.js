@@ -0,0 +1,256 @@
+/**
+ * sharedLimiter.js
+ * ----------------
+ * Purpose:
+ *   Let several testronaut processes that use the same API key share one
+ *   rate-limit budget, so side-by-side CI jobs do not all run into 429s.
+ *
+ * Responsibilities:
+ *   - Keep each model's rolling 60s usage (tokens per request) and the
+ *     limits learned from provider headers in one JSON file per provider
+ *     account (`<dir>/<provider>-<key hash>/rate-limits.json`) that every
+ *     process on that account reads and appends to.
+ *   - Serialize writes with a lock file (`<dir>/rate-limits.lock`) that names
+ *     its owner. A lock left by a crashed process is moved aside (atomic
+ *     rename) after a few seconds; a process only deletes its own lock.
+ *   - Fall back to per-process limits (with one warning) when the directory
+ *     cannot be used.
+ *
+ * NOTE: Everything here is synchronous so tokenControl's helpers keep their
+ *       signatures; each call is one small file read or a locked write.
+ *       The lock file only coordinates processes on one machine (or one
+ *       shared filesystem that honors exclusive creates).
+ *
+ * Related tests:
+ *   tests/toolsTests/sharedLimiter.test.js
+ *
+ * Used by:
+ *   - tools/tokenControl.js (rolling window, learned limits)
+ *   - bin/cli.js (configureSharedLimiter; tmp cleanup keeps other processes' files while sharing)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// Outside missions/tmp, which every finished run deletes
+export const DEFAULT_SHARED_LIMITS_DIR = path.join(os.tmpdir(), 'testronaut-rate-limits');
+
+const STATE_FILE = 'rate-limits.json';
+const LOCK_FILE = 'rate-limits.lock';
+const WINDOW_MS = 60000;
+const MAX_WINDOW_ENTRIES = 2000;
+const LIMITS_TTL_MS = 60 * 60 * 1000; // re-learn after an hour (e.g. a raised tier)
+const LOCK_STALE_MS = 5000;
+const LOCK_TIMEOUT_MS = 15000; // long enough to outwait a stale lock and take it over
+const LOCK_POLL_MS = 10;
+
+// Directory of the shared state (null → limits stay per process)
+let sharedDir = null;
+
+/**
+ * Subdirectory name for one provider account, so processes on other API keys
+ * (or other self-hosted servers) do not throttle each other. Only a hash of
+ * the key ends up on disk.
+ *
+ * @param {string} provider
+ * @param {string} account - e.g. resolveRateLimitAccount(provider)
+ * @returns {string}
+ */
+export function sharedLimiterScope(provider, account) {
+  const hash = crypto.createHash('sha256').update(String(account || '')).digest('hex').slice(0, 16);
+  return `${String(provider || 'unknown').replace(/[^\w.-]+/g, '_')}-${hash}`;
+}
+
+/**
+ * Turn the shared backend on (with a directory) or off.
+ *
+ * @param {{ enabled?: boolean, dir?: string|null, scope?: string|null }} [opts]
+ *   - scope: subdirectory from sharedLimiterScope()
+ * @returns {string|null} absolute directory in use, or null when off
+ */
+export function configureSharedLimiter({ enabled = false, dir = null, scope = null } = {}) {
+  sharedDir = null;
+  if (!enabled) return null;
+  const resolved = path.resolve(dir || DEFAULT_SHARED_LIMITS_DIR, scope || '');
+  try {
+    fs.mkdirSync(resolved, { recursive: true });
+    sharedDir = resolved;
+  } catch (err) {
+    console.warn(`⚠️ Shared rate limits disabled: cannot use ${resolved} (${err?.message || err})`);
+  }
+  return sharedDir;
+}
+
+/** @returns {string|null} */
+export function sharedLimiterDir() {
+  return sharedDir;
+}
+
+// Blocks the thread briefly while another process holds the lock
+const sleepSync = (ms) => Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+
+function disable(err) {
+  console.warn(`⚠️ Shared rate limits disabled, using per-process limits: ${err?.message || err}`);
+  sharedDir = null;
+}
+
+function readState() {
+  try {
+    const state = JSON.parse(fs.readFileSync(path.join(sharedDir, STATE_FILE), 'utf8'));
+    return state && typeof state.models === 'object' && state.models ? state : { models: {} };
+  } catch {
+    return { models: {} };
+  }
+}
+
+const isStale = (file) => Date.now() - fs.statSync(file).mtimeMs > LOCK_STALE_MS;
+
+/**
+ * Clear a lock left behind by a process that died while holding it.
+ * The rename is atomic, so only one waiter moves a given lock aside; if a
+ * faster waiter already replaced it with a fresh lock, that one is put back.
+ *
+ * @param {string} lock
+ */
+function takeOverStaleLock(lock) {
+  try {
+    if (!isStale(lock)) return;
+  } catch {
+    return; // released meanwhile
+  }
+  const aside = `${lock}.${process.pid}.${crypto.randomUUID()}`;
+  try {
+    fs.renameSync(lock, aside);
+  } catch {
+    return; // another waiter moved it first
+  }
+  try {
+    if (!isStale(aside)) fs.linkSync(aside, lock);
+  } catch {
+    // A lock exists again: whoever holds it goes first
+  } finally {
+    fs.rmSync(aside, { force: true });
+  }
+}
+
+/**
+ * @returns {{ file:string, owner:string }} the held lock
+ */
+function acquireLock() {
+  const file = path.join(sharedDir, LOCK_FILE);
+  const owner = `${process.pid}:${crypto.randomUUID()}`;
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      fs.writeFileSync(file, owner, { flag: 'wx' });
+      return { file, owner };
+    } catch (err) {
+      if (err?.code !== 'EEXIST') throw err;
+    }
+    takeOverStaleLock(file);
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${file}`);
+    sleepSync(LOCK_POLL_MS);
+  }
+}
+
+// Only delete the lock while it is still ours (it may have been taken over)
+function releaseLock({ file, owner }) {
+  try {
+    if (fs.readFileSync(file, 'utf8') === owner) fs.rmSync(file, { force: true });
+  } catch {}
+}
+
+/**
+ * Read-modify-write the shared state under the lock. The file is replaced
+ * atomically (write + rename), so readers never see a partial write.
+ *
+ * @param {(state:{ models:Record<string, any> }) => void} mutate
+ * @returns {boolean} false when the backend is off or failed
+ */
+function updateState(mutate) {
+  if (!sharedDir) return false;
+  let lock;
+  try {
+    lock = acquireLock();
+    const state = readState();
+    mutate(state);
+    const file = path.join(sharedDir, STATE_FILE);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(state));
+    fs.renameSync(tmp, file);
+    return true;
+  } catch (err) {
+    disable(err);
+    return false;
+  } finally {
+    if (lock) releaseLock(lock);
+  }
+}
+
+const recent = (window = [], now = Date.now()) =>
+  window.filter(([ts]) => Number(ts) > now - WINDOW_MS);
+
+/**
+ * Add one request's tokens to the model's shared window.
+ *
+ * @param {string} model
+ * @param {number} tokens
+ * @param {number} [ts=Date.now()]
+ * @returns {boolean} whether the usage was shared
+ */
+export function sharedRecordUsage(model, tokens, ts = Date.now()) {
+  return updateState((state) => {
+    const entry = (state.models[model] ||= {});
+    entry.window = [...recent(entry.window, ts), [ts, Number(tokens) || 0]].slice(-MAX_WINDOW_ENTRIES);
+  });
+}
+
+/**
+ * Requests every process made for a model in the last 60 seconds.
+ *
+ * @param {string} model
+ * @returns {Array<[number,number]>|null} [[tsMs, tokens], ...] or null when the backend is off
+ */
+export function sharedUsageWindow(model) {
+  if (!sharedDir) return null;
+  return recent(readState().models[model]?.window);
+}
+
+/**
+ * Publish limits learned from provider headers to the other processes.
+ *
+ * @param {string} model
+ * @param {{ tpm?: number, rpm?: number }} limits
+ * @returns {boolean}
+ */
+export function sharedLearnLimits(model, { tpm, rpm } = {}) {
+  if (!(tpm > 0) && !(rpm > 0)) return false;
+  return updateState((state) => {
+    const entry = (state.models[model] ||= {});
+    entry.limits = {
+      ...entry.limits,
+      ...(tpm > 0 ? { tpm } : {}),
+      ...(rpm > 0 ? { rpm } : {}),
+      updatedAt: Date.now(),
+    };
+  });
+}
+
+/**
+ * Limits any process learned for a model within the last hour.
+ *
+ * @param {string} model
+ * @returns {{ tpm?: number, rpm?: number, updatedAt?: number }|null}
+ */
+export function sharedLimits(model) {
+  if (!sharedDir) return null;
+  const limits = readState().models[model]?.limits;
+  return limits && Date.now() - (Number(limits.updatedAt) || 0) < LIMITS_TTL_MS ? limits : null;
+}
+
+// Turns the backend off between unit tests.
+export function __resetSharedLimiterForTests() {
+  sharedDir = null;
+}
@@ -11,6 +11,12 @@
  *   - Determine current TPM limit (defaults → ENV override → header-learned).
  *   - Track rolling token usage and apply cooldowns to avoid rate limits.
  *   - Accept provider headers (e.g., OpenAI) to update live TPM caps.
+ *   - Estimate image tokens for screenshots sent to multimodal models
+ *     (vision mode), so the cooldown accounts for them before a turn.
+ *   - Learn requests-per-minute caps from headers and wait before a request
+ *     that would exceed one.
+ *   - With the shared limiter on (tools/sharedLimiter.js), count every
+ *     process's recent usage and adopt limits other processes learned.
  *
  * Related tests:
  *   Located in `tests/toolsTests/`
@@ -22,6 +28,7 @@
 
 import { encoding_for_model, get_encoding } from '@dqbd/tiktoken';
 import { wait } from './turnLoopUtils.js';
+import { sharedLearnLimits, sharedLimits, sharedRecordUsage, sharedUsageWindow } from './sharedLimiter.js';
 
 /**
  * Dynamic token-per-minute limits by model family.
@@ -56,12 +63,17 @@ const DEFAULT_LIMITS = [
   { test: /^gemini-2\.5-flash-8b(-|$)/i, tpm: 300000 },
   { test: /^gemini-2\.5-flash(-|$)/i,    tpm: 300000 },
 
+  // ── Anthropic (entry-tier input limits; headers refine these) ──────────
+  { test: /^claude-(opus|3-opus)/i,      tpm:  30000 },
+  { test: /^claude-(sonnet|3-[57]-sonnet)/i, tpm: 30000 },
+  { test: /^claude-(haiku|3-5-haiku)/i,  tpm:  50000 },
+
   // Ultimate fallback for anything else
   { test: /.*/,                         tpm: 150000 },
 ];
 
 // Live, mutable limits (can be updated by headers at runtime)
-const liveLimits = new Map(); // modelId -> { tpm, source: 'default'|'env'|'header' }
+const liveLimits = new Map(); // modelId -> { tpm, rpm?, source: 'default'|'env'|'header'|'config' }
 
 // One-time warning tracking for tokenizer fallback
 const warnedModels = new Set();
@@ -143,6 +155,60 @@ export const tokenEstimate = async (model, text) => {
   return approx;
 };
 
+/* ---------------- Image tokens ----------------
+ * Providers bill images by size, not bytes. These follow the published rules:
+ *  - OpenAI (high detail): fit 2048×2048, shortest side to 768, 170 per 512px tile + 85
+ *  - Anthropic: width × height / 750 (images are resized to ~1.15 MP first)
+ *  - Gemini: 258 per image up to 384×384, otherwise 258 per 768×768 tile
+ */
+
+/**
+ * Estimate the tokens one image costs a model.
+ *
+ * @param {string} model
+ * @param {{ width:number, height:number }} size - pixels
+ * @returns {number}
+ */
+export function imageTokenEstimate(model, { width, height } = {}) {
+  let w = Number(width) || 0;
+  let h = Number(height) || 0;
+  if (w <= 0 || h <= 0) return 0;
+  const m = String(model || '').toLowerCase();
+
+  if (m.startsWith('claude')) {
+    const scale = Math.min(1, Math.sqrt(1_150_000 / (w * h)));
+    return Math.ceil((w * scale) * (h * scale) / 750);
+  }
+  if (m.startsWith('gemini')) {
+    return w <= 384 && h <= 384 ? 258 : Math.ceil(w / 768) * Math.ceil(h / 768) * 258;
+  }
+
+  const fit = Math.min(1, 2048 / Math.max(w, h));
+  w *= fit; h *= fit;
+  const shortest = Math.min(1, 768 / Math.min(w, h));
+  w *= shortest; h *= shortest;
+  return 85 + 170 * Math.ceil(w / 512) * Math.ceil(h / 512);
+}
+
+/**
+ * Sum image tokens over the image parts of a conversation
+ * (`{ type:'image', width, height }` parts in message content arrays).
+ *
+ * @param {string} model
+ * @param {any[]} messages
+ * @returns {number}
+ */
+export function messagesImageTokens(model, messages = []) {
+  let total = 0;
+  for (const m of messages) {
+    if (!Array.isArray(m?.content)) continue;
+    for (const part of m.content) {
+      if (part?.type === 'image') total += imageTokenEstimate(model, part);
+    }
+  }
+  return total;
+}
+
 /* ---------------- Dynamic limit resolution ---------------- */
 
 /**
@@ -164,15 +230,41 @@ function resolveDefaultLimitForModel(model) {
   return { tpm: hit?.tpm ?? 150000, source: 'default' };
 }
 
+// Limit sources that other processes' learnings may replace; a limit the
+// user set (config, env) stays as it is
+const SHARED_REPLACEABLE = new Set(['default', 'header']);
+
+/**
+ * Adopt limits that another process learned from headers (shared limiter).
+ * @param {string} model
+ */
+function adoptSharedLimits(model) {
+  const shared = sharedLimits(model);
+  if (!shared) return;
+  const cur = liveLimits.get(model) || resolveDefaultLimitForModel(model);
+  if (!SHARED_REPLACEABLE.has(cur.source)) return;
+  const next = {
+    ...cur,
+    ...(shared.tpm > 0 ? { tpm: shared.tpm, source: 'header' } : {}),
+    ...(shared.rpm > 0 ? { rpm: shared.rpm } : {}),
+  };
+  if (next.tpm !== cur.tpm || next.rpm !== cur.rpm || next.source !== cur.source) {
+    liveLimits.set(model, next);
+  }
+}
+
 /**
- * Get the current token-per-minute limit for a model.
- * Priority: header-learned (live) → ENV → defaults.
+ * Get the current token-per-minute limit for a model, plus the
+ * requests-per-minute cap when a provider advertised one.
+ * Priority: header-learned (live or shared) → ENV → defaults. Limits other
+ * processes learned never replace a config or ENV limit.
  *
  * @param {string} model
- * @returns {{tpm:number, source:'default'|'env'|'header'}}
+ * @returns {{tpm:number, rpm?:number, source:'default'|'env'|'header'|'config'}}
  */
 export function getCurrentTokenLimit(model) {
   const m = (model || '').trim() || 'unknown';
+  adoptSharedLimits(m);
   const live = liveLimits.get(m);
   if (live?.tpm) return live;
 
@@ -182,8 +274,9 @@ export function getCurrentTokenLimit(model) {
 }
 
 /**
- * Update TPM from HTTP response headers (e.g., after 429).
- * Looks for common provider headers (OpenAI/Azure style). No-op if absent.
+ * Update TPM (and RPM) from HTTP response headers (e.g., after 429).
+ * Looks for common provider headers (OpenAI/Azure/Anthropic style). No-op if absent.
+ * Learned limits are published to other processes when the shared limiter is on.
  *
  * @param {string} model
  * @param {Record<string, string|number>} headers
@@ -199,33 +292,79 @@ export function updateLimitsFromHeaders(model, headers = {}) {
     Number(lower['x-ratelimit-limit-tokens']) ||
     Number(lower['x-ratelimit-limit-tpm']) ||
     Number(lower['x-ratelimit-limit-token']) ||
+    Number(lower['anthropic-ratelimit-input-tokens-limit']) ||
+    Number(lower['anthropic-ratelimit-tokens-limit']) ||
     undefined;
 
-  if (tokenCap && Number.isFinite(tokenCap) && tokenCap > 0) {
-    const cur = getCurrentTokenLimit(model);
-    if (cur.tpm !== tokenCap || cur.source !== 'header') {
-      liveLimits.set(model, { tpm: tokenCap, source: 'header' });
-      console.log(`📏 Updated TPM for ${model}: ${tokenCap} (from headers)`);
-    }
+  const requestCap =
+    Number(lower['x-ratelimit-limit-requests']) ||
+    Number(lower['anthropic-ratelimit-requests-limit']) ||
+    undefined;
+
+  const tpm = tokenCap && Number.isFinite(tokenCap) && tokenCap > 0 ? tokenCap : undefined;
+  const rpm = requestCap && Number.isFinite(requestCap) && requestCap > 0 ? requestCap : undefined;
+  if (!tpm && !rpm) return;
+
+  const cur = getCurrentTokenLimit(model);
+  let next = cur;
+  if (tpm && (cur.tpm !== tpm || cur.source !== 'header')) {
+    next = { ...next, tpm, source: 'header' };
+    console.log(`📏 Updated TPM for ${model}: ${tpm} (from headers)`);
+  }
+  if (rpm && cur.rpm !== rpm) {
+    next = { ...next, rpm };
+    console.log(`📏 Updated RPM for ${model}: ${rpm} (from headers)`);
   }
+  if (next !== cur) liveLimits.set(model, next);
+  sharedLearnLimits(model, { tpm, rpm });
+}
+
+/**
+ * Pin the TPM for a model from user configuration (e.g. a self-hosted
+ * OpenAI-compatible server). Pass `Infinity` to disable throttling entirely.
+ * Header-learned limits still win if the server advertises one later.
+ *
+ * @param {string} model
+ * @param {number} tpm - positive number or Infinity
+ */
+export function setTokenLimitOverride(model, tpm) {
+  const m = (model || '').trim() || 'unknown';
+  const n = Number(tpm);
+  if (!(n > 0)) return;
+  liveLimits.set(m, { tpm: n, source: 'config' });
 }
 
 /* ---------------- Cooloff / backoff logic ---------------- */
 
 /**
- * If usage exceeds TPM, wait until safe and reset rolling counters.
+ * If usage (plus tokens the next request is known to add, such as images)
+ * exceeds TPM, or the next request would exceed a known RPM, wait until safe
+ * and reset rolling counters. With the shared limiter on, the window is every
+ * process's requests for the model (ours included).
  *
  * @param {number} totalTokensUsed - rolling 60s total
  * @param {Array<[number,number]>} turnTimestamps - [[tsMs, tokens], ...]
  * @param {string} model - model id for TPM lookup
+ * @param {{ pendingTokens?: number }} [opts] - e.g. messagesImageTokens() for the next request
  * @returns {Promise<{shouldBackoff:boolean,totalTokensUsed:number,turnTimestamps:Array}>}
  */
-export const tokenUseCoolOff = async (totalTokensUsed, turnTimestamps, model) => {
-  const { tpm } = getCurrentTokenLimit(model);
-  if (totalTokensUsed > tpm) {
-    const msToWait = await getDynamicBackoffMs(turnTimestamps, tpm);
-    console.warn(`⚠️ Token throttle risk (${totalTokensUsed}/${tpm}) → Waiting ${Math.ceil((msToWait || 1000)/1000)}s...`);
-    await wait(msToWait || 1000);
+export const tokenUseCoolOff = async (totalTokensUsed, turnTimestamps, model, { pendingTokens = 0 } = {}) => {
+  const { tpm, rpm } = getCurrentTokenLimit(model);
+  const shared = sharedUsageWindow((model || '').trim() || 'unknown');
+  const window = shared ?? turnTimestamps;
+  const used = shared ? shared.reduce((acc, [, tokens]) => acc + tokens, 0) : totalTokensUsed;
+  const pending = Math.max(0, Number(pendingTokens) || 0);
+
+  let msToWait = 0;
+  if (used + pending > tpm) {
+    msToWait = (await getDynamicBackoffMs(window, Math.max(tpm - pending, 0))) || 1000;
+    console.warn(`⚠️ Token throttle risk (${used}/${tpm}${shared ? ', all processes' : ''}) → Waiting ${Math.ceil(msToWait / 1000)}s...`);
+  } else if (rpm && window.length >= rpm) {
+    msToWait = getRequestBackoffMs(window, rpm);
+    console.warn(`⚠️ Request throttle risk (${window.length}/${rpm} per minute${shared ? ', all processes' : ''}) → Waiting ${Math.ceil(msToWait / 1000)}s...`);
+  }
+  if (msToWait) {
+    await wait(msToWait);
     console.log('✅ Backoff complete, resuming...');
     return { shouldBackoff: true, totalTokensUsed: 0, turnTimestamps: [] };
   }
@@ -233,14 +372,17 @@ export const tokenUseCoolOff = async (totalTokensUsed, turnTimestamps, model) =>
 };
 
 /**
- * Record tokens for the current turn in the rolling window.
+ * Record tokens for the current turn in the rolling window (and in the
+ * shared window, when the shared limiter is on and the model is given).
  * @param {Array<[number,number]>} turnTimestamps
  * @param {number} tokensUsed
+ * @param {string} [model]
  * @returns {void}
  */
-export const recordTokenUsage = (turnTimestamps, tokensUsed) => {
+export const recordTokenUsage = (turnTimestamps, tokensUsed, model) => {
   const now = Date.now();
   turnTimestamps.push([now, tokensUsed]);
+  if (model) sharedRecordUsage(String(model).trim(), tokensUsed, now);
 };
 
 /**
@@ -280,6 +422,18 @@ const getDynamicBackoffMs = async (turnTimestamps, tokenLimit) => {
   return 0;
 };
 
+/**
+ * Milliseconds until enough requests leave the window to stay under RPM.
+ *
+ * @param {Array<[number,number]>} turnTimestamps
+ * @param {number} rpm
+ * @returns {number} ms to wait (>= 1000)
+ */
+const getRequestBackoffMs = (turnTimestamps, rpm) => {
+  const sorted = [...turnTimestamps].sort((a, b) => a[0] - b[0]);
+  const [timestamp] = sorted[sorted.length - rpm];
+  return Math.max(60000 - (Date.now() - timestamp), 1000);
+};
 
 /**
  * Test-only helper to clear internal state between runs.
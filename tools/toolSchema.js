@@ -30,14 +30,15 @@ const toolsSchema = [
     type: 'function',
     function: {
       name: 'fill',
-      description: 'Fill in a field by CSS selector',
+      description: 'Fill in a field by CSS selector, or by ref from get_dom or the accessibility outline',
       parameters: {
         type: 'object',
         properties: {
           selector: { type: 'string' },
+          ref: { type: 'string', description: 'Element ref from get_dom or get_a11y_tree (e.g., "e12"); used instead of selector' },
           text: { type: 'string' },
         },
-        required: ['selector', 'text'],
+        required: ['text'],
       },
     },
   },
@@ -45,11 +46,12 @@ const toolsSchema = [
     type: 'function',
     function: {
       name: 'click',
-      description: 'Click a button or link by CSS selector. If this click opens an OAuth window/new tab, prefer using click_and_follow_popup instead.',
+      description: 'Click a button or link by CSS selector, or by ref from get_dom or the accessibility outline. If this click opens an OAuth window/new tab, prefer using click_and_follow_popup instead.',
       parameters: {
         type: 'object',
         properties: {
           selector: { type: 'string' },
+          ref: { type: 'string', description: 'Element ref from get_dom or get_a11y_tree (e.g., "e12"); used instead of selector' },
           waitFor: {
             type: 'string',
             enum: ['load', 'domcontentloaded', 'networkidle'],
@@ -61,7 +63,6 @@ const toolsSchema = [
             description: 'Milliseconds to wait after click',
           },
         },
-        required: ['selector'],
       },
     },
   },
@@ -69,7 +70,7 @@ const toolsSchema = [
     type: 'function',
     function: {
       name: 'get_dom',
-      description: 'Return trimmed HTML from the current page',
+      description: 'Return trimmed HTML from the current page. Interactive elements carry data-tn-ref="e12" refs that action tools accept as ref.',
       parameters: {
         type: 'object',
         properties: {
@@ -83,6 +84,25 @@ const toolsSchema = [
             default: true,
             description: 'Whether to exclude noisy tags like script/style/etc.',
           },
+          mode: {
+            type: 'string',
+            enum: ['html', 'aria'],
+            description: 'html = trimmed HTML, aria = accessibility outline with refs; defaults to the configured DOM mode',
+          },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_a11y_tree',
+      description:
+        'Return a compact accessibility outline of the page (role, name and state per element) instead of HTML. Interactive elements carry refs such as [ref=e12] that click and fill accept directly.',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of a region to outline; omit for the whole page' },
         },
       },
     },
@@ -110,13 +130,13 @@ const toolsSchema = [
         type: 'object',
         properties: {
           selector: { type: 'string' },
+          ref: { type: 'string', description: 'Element ref from get_dom or get_a11y_tree (e.g., "e12"); used instead of selector' },
           delayMs: {
             type: 'number',
             default: 1000,
             description: 'Optional delay after expanding menu (in ms)',
           }
         },
-        required: ['selector'],
       },
     },
   },
@@ -137,6 +157,114 @@ const toolsSchema = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'press_key',
+      description: 'Press a key or key chord such as Enter, Escape, Tab, Shift+Tab, ArrowDown or Control+A. Targets the element given by selector/text, otherwise whatever has focus.',
+      parameters: {
+        type: 'object',
+        properties: {
+          key: { type: 'string', description: 'Playwright key name, e.g. "Enter", "Escape", "Tab", "ArrowDown", "Control+A"' },
+          selector: { type: 'string', description: 'Optional CSS selector of the element to press the key in' },
+          text: { type: 'string', description: 'Optional visible text/accessible name of the element, when there is no selector' },
+          times: { type: 'number', default: 1, description: 'How many times to press the key (max 50)' },
+        },
+        required: ['key'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'hover',
+      description: 'Move the mouse over an element to reveal hover menus, tooltips or hidden actions',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string' },
+          text: { type: 'string', description: 'Visible text of the element, when there is no selector' },
+          delayMs: { type: 'number', default: 300, description: 'Milliseconds to wait after hovering' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'select_option',
+      description: 'Choose an option in a native <select> dropdown, by option value or visible label, or by index',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of the <select>' },
+          text: { type: 'string', description: 'Label/accessible name of the <select>, when there is no selector' },
+          value: { type: 'string', description: 'Option value or visible label to choose' },
+          index: { type: 'number', description: 'Zero-based option index, instead of value' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'drag_and_drop',
+      description: 'Drag one element and drop it onto another (sortable lists, kanban boards, upload drop zones)',
+      parameters: {
+        type: 'object',
+        properties: {
+          source: { type: 'string', description: 'CSS selector of the element to drag' },
+          sourceText: { type: 'string', description: 'Visible text of the element to drag, when there is no selector' },
+          target: { type: 'string', description: 'CSS selector of the drop target' },
+          targetText: { type: 'string', description: 'Visible text of the drop target, when there is no selector' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'scroll',
+      description: 'Scroll the page or a scrollable element (e.g., a virtualized list or table) to load more rows. Returns the new scroll position and whether the end was reached.',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of the scrollable element; omit to scroll the page' },
+          direction: { type: 'string', enum: ['down', 'up', 'left', 'right'], default: 'down' },
+          amount: { type: 'number', default: 600, description: 'Pixels to scroll' },
+          to: { type: 'string', enum: ['top', 'bottom'], description: 'Jump to the top or bottom instead of scrolling by an amount' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'check',
+      description: 'Tick a checkbox, radio button or switch (no-op when it is already checked)',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string' },
+          text: { type: 'string', description: 'Label of the checkbox, when there is no selector' },
+        },
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'uncheck',
+      description: 'Clear a checkbox or switch (no-op when it is already unchecked)',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string' },
+          text: { type: 'string', description: 'Label of the checkbox, when there is no selector' },
+        },
+      },
+    },
+  },
   // {
   //   type: 'function',
   //   function: {
@@ -250,6 +378,7 @@ const toolsSchema = [
             type: 'string',
             description: 'CSS selector for the file input or a button that opens a file chooser'
           },
+          ref: { type: 'string', description: 'Element ref from get_dom or get_a11y_tree (e.g., "e12"); used instead of selector' },
           fileName: {
             type: 'string',
             description: 'File name located in missions/files (e.g., "sample.pdf")'
@@ -264,7 +393,7 @@ const toolsSchema = [
             default: 15000
           }
         },
-        required: ['selector', 'fileName']
+        required: ['fileName']
       }
     }
   },
@@ -281,6 +410,7 @@ const toolsSchema = [
             type: 'string',
             description: 'An element to click that triggers a download'
           },
+          ref: { type: 'string', description: 'Element ref from get_dom or get_a11y_tree (e.g., "e12"); used instead of selector' },
           url: {
             type: 'string',
             description: 'Direct URL to download without clicking the page'
@@ -317,6 +447,96 @@ const toolsSchema = [
       }
     }
   },
+  {
+    type: 'function',
+    function: {
+      name: 'mock_route',
+      description:
+        'Stub network requests whose URL matches a pattern: answer with a fixture from missions/fixtures or inline JSON, simulate an HTTP error status, abort the request, or add latency. Add the mock before the action that triggers the request.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: {
+            type: 'string',
+            description: 'URL pattern: a substring ("/api/orders"), a glob ("**/api/orders*") or a /regex/'
+          },
+          method: { type: 'string', description: 'Only mock this HTTP method (e.g., "GET")' },
+          status: { type: 'number', description: 'HTTP status to return (default 200)' },
+          fixture: { type: 'string', description: 'File in missions/fixtures to return as the body (e.g., "orders-empty.json")' },
+          json: { description: 'Inline JSON body to return' },
+          body: { type: 'string', description: 'Inline text body to return' },
+          delayMs: { type: 'number', description: 'Delay before responding; without a response the real request continues after the delay' },
+          abort: { type: 'boolean', default: false, description: 'Fail the request as a network error' },
+          times: { type: 'number', description: 'Only mock the first <times> matching requests' }
+        },
+        required: ['url']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'clear_mocks',
+      description: 'Remove network mocks added with mock_route: the ones for a URL pattern, or all of them.',
+      parameters: {
+        type: 'object',
+        properties: {
+          url: { type: 'string', description: 'Pattern passed to mock_route; omit to remove every mock' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'audit_accessibility',
+      description:
+        'Check the current page (or one region of it) for accessibility problems such as missing alt text, unlabeled form fields, nameless buttons/links and low color contrast. Returns violations grouped by rule with their impact and example selectors.',
+      parameters: {
+        type: 'object',
+        properties: {
+          selector: { type: 'string', description: 'CSS selector of the region to audit (e.g., "form#checkout"); omit to audit the whole page' }
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'compare_screenshot',
+      description:
+        'Visual regression check: screenshot the page (or one element) and compare it pixel by pixel with the stored baseline of the same name. The first comparison stores the baseline. Returns match/mismatch with the share of differing pixels.',
+      parameters: {
+        type: 'object',
+        properties: {
+          name: { type: 'string', description: 'Stable snapshot name within this mission (e.g., "checkout-summary")' },
+          selector: { type: 'string', description: 'CSS selector of the element to capture; omit for the viewport' },
+          fullPage: { type: 'boolean', description: 'Capture the whole scrollable page instead of the viewport' },
+          ignore: {
+            type: 'array',
+            items: { type: 'string' },
+            description: 'Regions to ignore: CSS selectors (e.g., ".clock") or boxes "x,y,width,height" in CSS pixels of the screenshot',
+          },
+          threshold: { type: 'number', description: 'Share of pixels (0 to 1) allowed to differ; defaults to the configured threshold' },
+        },
+        required: ['name'],
+      },
+    },
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'look',
+      description:
+        'Look at the page: a screenshot of the viewport is attached to your next turn as an image. Use it when layout, icons, images, canvas or styling matter and the DOM alone is ambiguous.',
+      parameters: {
+        type: 'object',
+        properties: {
+          fullPage: { type: 'boolean', description: 'Capture the whole scrollable page instead of the viewport' },
+        },
+      },
+    },
+  },
   {
     type: 'function',
     function: {
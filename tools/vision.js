@@ -0,0 +1,106 @@
+/**
+ * vision.js
+ * ---------
+ * Purpose:
+ *   Opt-in vision turns: turn a viewport screenshot into an image part that a
+ *   multimodal model can read, small enough to keep image tokens in check.
+ *
+ * Responsibilities:
+ *   - Downscale decoded RGBA images (box filter) to a maximum width.
+ *   - Re-encode the result as a PNG image part
+ *     ({ type:'image', mimeType, data, width, height }).
+ *   - Build the user message that carries the screenshot into the next turn.
+ *
+ * Related tests:
+ *   tests/toolsTests/vision.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (look tool)
+ *   - core/turnLoop.js (attach screenshots after tool calls)
+ *   - core/config.js (getVisionConfig)
+ */
+
+import { decodePng, encodePng } from './visualDiff.js';
+
+/** 'off' (default), 'look' (model asks via the look tool), 'auto' (also attach after page actions). */
+export const VISION_MODES = Object.freeze(['off', 'look', 'auto']);
+export const DEFAULT_VISION_MAX_WIDTH = 1024;
+
+/**
+ * Shrink an RGBA image so it is at most `maxWidth` wide, keeping the aspect
+ * ratio. Each target pixel averages the source pixels it covers.
+ *
+ * @param {{ width:number, height:number, data:Buffer|Uint8Array }} image
+ * @param {number} maxWidth
+ * @returns {{ width:number, height:number, data:Buffer }}
+ */
+export function downscaleImage(image, maxWidth) {
+  const { width, height } = image;
+  if (!(maxWidth > 0) || width <= maxWidth) {
+    return { width, height, data: Buffer.from(image.data) };
+  }
+  const scale = width / maxWidth;
+  const outW = maxWidth;
+  const outH = Math.max(1, Math.round(height / scale));
+  const out = Buffer.alloc(outW * outH * 4);
+
+  for (let y = 0; y < outH; y++) {
+    const y0 = Math.floor((y * height) / outH);
+    const y1 = Math.max(y0 + 1, Math.floor(((y + 1) * height) / outH));
+    for (let x = 0; x < outW; x++) {
+      const x0 = Math.floor((x * width) / outW);
+      const x1 = Math.max(x0 + 1, Math.floor(((x + 1) * width) / outW));
+      const sum = [0, 0, 0, 0];
+      for (let sy = y0; sy < y1; sy++) {
+        for (let sx = x0; sx < x1; sx++) {
+          const i = (sy * width + sx) * 4;
+          sum[0] += image.data[i];
+          sum[1] += image.data[i + 1];
+          sum[2] += image.data[i + 2];
+          sum[3] += image.data[i + 3];
+        }
+      }
+      const count = (y1 - y0) * (x1 - x0);
+      const o = (y * outW + x) * 4;
+      for (let c = 0; c < 4; c++) out[o + c] = Math.round(sum[c] / count);
+    }
+  }
+  return { width: outW, height: outH, data: out };
+}
+
+/**
+ * Prepare a screenshot PNG for a vision turn. Images already within
+ * `maxWidth` are passed through as-is.
+ *
+ * @param {Buffer} png
+ * @param {{ maxWidth?: number }} [opts]
+ * @returns {{ type:'image', mimeType:'image/png', data:Buffer, width:number, height:number }}
+ */
+export function toVisionImage(png, { maxWidth = DEFAULT_VISION_MAX_WIDTH } = {}) {
+  const decoded = decodePng(png);
+  if (decoded.width <= maxWidth) {
+    return { type: 'image', mimeType: 'image/png', data: png, width: decoded.width, height: decoded.height };
+  }
+  const small = downscaleImage(decoded, maxWidth);
+  return { type: 'image', mimeType: 'image/png', data: encodePng(small), width: small.width, height: small.height };
+}
+
+/**
+ * User message that carries a screenshot into the next model turn.
+ *
+ * @param {{ data:Buffer, mimeType?:string, width:number, height:number }} image
+ * @param {{ reason?: string }} [opts]
+ * @returns {{ role:'user', content:any[] }}
+ */
+export function buildVisionMessage(image, { reason = 'look' } = {}) {
+  const lead = reason === 'auto'
+    ? 'Screenshot of the current viewport after your last action'
+    : 'Screenshot of the current viewport you asked for';
+  return {
+    role: 'user',
+    content: [
+      { type: 'text', text: `${lead} (${image.width}x${image.height}). Use it together with the DOM.` },
+      { type: 'image', mimeType: image.mimeType || 'image/png', data: image.data, width: image.width, height: image.height },
+    ],
+  };
+}
@@ -0,0 +1,333 @@
+/**
+ * visualDiff.js
+ * -------------
+ * Purpose:
+ *   Visual regression checks: compare a screenshot with a stored baseline
+ *   pixel by pixel, without any image library.
+ *
+ * Responsibilities:
+ *   - Decode and encode 8-bit, non-interlaced PNGs (what Playwright writes).
+ *   - Diff two images with a per-pixel colour tolerance and ignore-regions,
+ *     and draw a diff image (changed pixels red, ignored regions blue).
+ *   - Keep the baseline store:
+ *       missions/baselines/<mission>/<name>.png         accepted baseline
+ *       missions/baselines/<mission>/<name>.actual.png  candidate from the last mismatch
+ *   - Accept candidates as new baselines (`testronaut baseline update`).
+ *
+ * Related tests:
+ *   tests/toolsTests/visualDiff.test.js
+ *
+ * Used by:
+ *   - tools/chromeBrowser.js (compare_screenshot tool)
+ *   - core/turnLoop.js (step events), core/agent.js (fail or warn on mismatch)
+ *   - bin/cli.js (`baseline update`)
+ */
+
+import fs from 'fs';
+import path from 'path';
+import zlib from 'zlib';
+import { artifactBaseName } from '../core/artifacts.js';
+
+export const VISUAL_MISMATCH_MODES = Object.freeze(['fail', 'warn']);
+export const DEFAULT_BASELINE_DIR = path.join('missions', 'baselines');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (let i = 0; i < buf.length; i++) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+}
+
+/**
+ * Decode a PNG into RGBA pixels.
+ * @param {Buffer} buffer
+ * @returns {{ width:number, height:number, data:Uint8Array }}
+ * @throws when the file is not a PNG this decoder supports
+ */
+export function decodePng(buffer) {
+  if (!Buffer.isBuffer(buffer) || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+  let palette = null, paletteAlpha = null;
+  const idat = [];
+  for (let offset = 8; offset + 8 <= buffer.length;) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    if (type === 'IHDR') {
+      width = data.readUInt32BE(0);
+      height = data.readUInt32BE(4);
+      bitDepth = data[8];
+      colorType = data[9];
+      interlace = data[12];
+    } else if (type === 'PLTE') palette = data;
+    else if (type === 'tRNS') paletteAlpha = data;
+    else if (type === 'IDAT') idat.push(data);
+    else if (type === 'IEND') break;
+    offset += 12 + length;
+  }
+  const channels = CHANNELS[colorType];
+  if (!width || !height || !channels) throw new Error('Unsupported PNG: bad header');
+  if (bitDepth !== 8 || interlace) throw new Error(`Unsupported PNG: ${bitDepth}-bit${interlace ? ', interlaced' : ''} (8-bit non-interlaced only)`);
+
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const stride = width * channels;
+  const pixels = Buffer.alloc(stride * height);
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)];
+    const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+    const out = y * stride;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= channels ? pixels[out + x - channels] : 0;
+      const up = y ? pixels[out - stride + x] : 0;
+      const upLeft = y && x >= channels ? pixels[out - stride + x - channels] : 0;
+      let value = line[x];
+      if (filter === 1) value += left;
+      else if (filter === 2) value += up;
+      else if (filter === 3) value += (left + up) >> 1;
+      else if (filter === 4) value += paeth(left, up, upLeft);
+      else if (filter !== 0) throw new Error(`Unsupported PNG: filter ${filter}`);
+      pixels[out + x] = value & 0xff;
+    }
+  }
+
+  const data = new Uint8Array(width * height * 4);
+  for (let i = 0, p = 0; i < width * height; i++, p += channels) {
+    const o = i * 4;
+    if (colorType === 6) {
+      data.set(pixels.subarray(p, p + 4), o);
+    } else if (colorType === 2) {
+      data.set(pixels.subarray(p, p + 3), o);
+      data[o + 3] = 255;
+    } else if (colorType === 3) {
+      const idx = pixels[p];
+      data[o] = palette?.[idx * 3] ?? 0;
+      data[o + 1] = palette?.[idx * 3 + 1] ?? 0;
+      data[o + 2] = palette?.[idx * 3 + 2] ?? 0;
+      data[o + 3] = paletteAlpha?.[idx] ?? 255;
+    } else {
+      data[o] = data[o + 1] = data[o + 2] = pixels[p];
+      data[o + 3] = colorType === 4 ? pixels[p + 1] : 255;
+    }
+  }
+  return { width, height, data };
+}
+
+function chunk(type, data) {
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Encode RGBA pixels as a PNG.
+ * @param {{ width:number, height:number, data:Uint8Array }} image
+ * @returns {Buffer}
+ */
+export function encodePng({ width, height, data }) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 6;  // RGBA
+  const stride = width * 4;
+  const raw = Buffer.alloc((stride + 1) * height);
+  for (let y = 0; y < height; y++) {
+    Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+  return Buffer.concat([
+    PNG_SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Clean up ignore-regions: `{ x, y, width, height }` in image pixels, clipped to the image.
+ * @param {any[]} regions
+ * @param {{ width:number, height:number }} size
+ * @returns {{ x:number, y:number, width:number, height:number }[]}
+ */
+export function normalizeRegions(regions, { width, height }) {
+  if (!Array.isArray(regions)) return [];
+  return regions.flatMap((r) => {
+    const nums = ['x', 'y', 'width', 'height'].map(k => Number(r?.[k]));
+    if (nums.some(n => !Number.isFinite(n))) return [];
+    const x = Math.max(0, Math.floor(nums[0]));
+    const y = Math.max(0, Math.floor(nums[1]));
+    const right = Math.min(width, Math.ceil(nums[0] + nums[2]));
+    const bottom = Math.min(height, Math.ceil(nums[1] + nums[3]));
+    return right > x && bottom > y ? [{ x, y, width: right - x, height: bottom - y }] : [];
+  });
+}
+
+/**
+ * Compare two decoded images.
+ * A pixel differs when any channel moves by more than `pixelTolerance` (0..1) of its range.
+ *
+ * @param {{ width:number, height:number, data:Uint8Array }} actual
+ * @param {{ width:number, height:number, data:Uint8Array }} baseline
+ * @param {{ pixelTolerance?:number, ignore?:object[] }} [opts]
+ * @returns {{ sizeMismatch:boolean, diffPixels:number, totalPixels:number, diffRatio:number, diff:{ width:number, height:number, data:Uint8Array }|null }}
+ */
+export function diffImages(actual, baseline, { pixelTolerance = 0.1, ignore = [] } = {}) {
+  if (actual.width !== baseline.width || actual.height !== baseline.height) {
+    const totalPixels = Math.max(actual.width * actual.height, baseline.width * baseline.height);
+    return { sizeMismatch: true, diffPixels: totalPixels, totalPixels, diffRatio: 1, diff: null };
+  }
+  const { width, height } = actual;
+  const ignored = new Uint8Array(width * height);
+  for (const r of normalizeRegions(ignore, actual)) {
+    for (let y = r.y; y < r.y + r.height; y++) ignored.fill(1, y * width + r.x, y * width + r.x + r.width);
+  }
+
+  const limit = Math.max(0, Math.min(1, pixelTolerance)) * 255;
+  const diff = new Uint8Array(width * height * 4);
+  let diffPixels = 0;
+  let compared = 0;
+  for (let i = 0; i < width * height; i++) {
+    const o = i * 4;
+    // faded grey copy of the screenshot as the diff background
+    const grey = 255 - Math.round((255 - (actual.data[o] * 0.3 + actual.data[o + 1] * 0.59 + actual.data[o + 2] * 0.11)) * 0.25);
+    if (ignored[i]) {
+      diff.set([grey * 0.6, grey * 0.8, 255, 255], o);
+      continue;
+    }
+    compared++;
+    let changed = false;
+    for (let c = 0; c < 4; c++) {
+      if (Math.abs(actual.data[o + c] - baseline.data[o + c]) > limit) { changed = true; break; }
+    }
+    if (changed) {
+      diffPixels++;
+      diff.set([255, 0, 0, 255], o);
+    } else {
+      diff.set([grey, grey, grey, 255], o);
+    }
+  }
+  return {
+    sizeMismatch: false,
+    diffPixels,
+    totalPixels: compared,
+    diffRatio: compared ? diffPixels / compared : 0,
+    diff: { width, height, data: diff },
+  };
+}
+
+/**
+ * Baseline file for a mission's named snapshot.
+ * @param {string} baselineDir
+ * @param {string} missionName
+ * @param {string} name
+ * @returns {string}
+ */
+export function baselinePath(baselineDir, missionName, name) {
+  return path.join(baselineDir, artifactBaseName(missionName || 'mission'), `${artifactBaseName(name || 'snapshot')}.png`);
+}
+
+/** Candidate written next to a baseline when a comparison fails. */
+export const candidatePath = (baselineFile) => baselineFile.replace(/\.png$/i, '.actual.png');
+
+/**
+ * Compare a screenshot with its baseline and update the store.
+ * - no baseline yet: the screenshot becomes the baseline (`created`)
+ * - within `threshold` (fraction of compared pixels allowed to differ): `match`
+ * - otherwise `mismatch`: the diff image goes to `diffFile` and the screenshot
+ *   to the candidate file, for review and `baseline update`
+ *
+ * @param {Buffer} actualPng
+ * @param {{ baselineFile:string, diffFile:string, threshold?:number, pixelTolerance?:number, ignore?:object[] }} opts
+ * @returns {{ status:'created'|'match'|'mismatch', diffPixels:number, diffRatio:number, width:number, height:number, baselineSize?:{ width:number, height:number }, diffFile?:string, candidateFile?:string }}
+ */
+export function compareWithBaseline(actualPng, { baselineFile, diffFile, threshold = 0, pixelTolerance = 0.1, ignore = [] }) {
+  const actual = decodePng(actualPng);
+  const candidateFile = candidatePath(baselineFile);
+  const base = { width: actual.width, height: actual.height };
+
+  if (!fs.existsSync(baselineFile)) {
+    fs.mkdirSync(path.dirname(baselineFile), { recursive: true });
+    fs.writeFileSync(baselineFile, actualPng);
+    return { status: 'created', diffPixels: 0, diffRatio: 0, ...base };
+  }
+
+  const baseline = decodePng(fs.readFileSync(baselineFile));
+  const result = diffImages(actual, baseline, { pixelTolerance, ignore });
+  const summary = { diffPixels: result.diffPixels, diffRatio: result.diffRatio, ...base };
+  if (!result.sizeMismatch && result.diffRatio <= threshold) {
+    fs.rmSync(candidateFile, { force: true });
+    return { status: 'match', ...summary };
+  }
+
+  fs.writeFileSync(candidateFile, actualPng);
+  if (result.sizeMismatch) {
+    return { status: 'mismatch', ...summary, baselineSize: { width: baseline.width, height: baseline.height }, candidateFile };
+  }
+  fs.mkdirSync(path.dirname(diffFile), { recursive: true });
+  fs.writeFileSync(diffFile, encodePng(result.diff));
+  return { status: 'mismatch', ...summary, diffFile, candidateFile };
+}
+
+/**
+ * Promote candidates (`*.actual.png`) to baselines.
+ * @param {string} baselineDir
+ * @param {{ missions?: string[] }} [opts] - only these missions (names or baseline folder names)
+ * @returns {string[]} accepted baseline files
+ */
+export function acceptBaselines(baselineDir, { missions = [] } = {}) {
+  if (!fs.existsSync(baselineDir)) return [];
+  const wanted = new Set(missions.map(m => artifactBaseName(m)));
+  const accepted = [];
+  for (const dir of fs.readdirSync(baselineDir, { withFileTypes: true })) {
+    if (!dir.isDirectory() || (wanted.size && !wanted.has(dir.name))) continue;
+    const missionDir = path.join(baselineDir, dir.name);
+    for (const file of fs.readdirSync(missionDir)) {
+      if (!file.endsWith('.actual.png')) continue;
+      const target = path.join(missionDir, file.replace(/\.actual\.png$/, '.png'));
+      fs.renameSync(path.join(missionDir, file), target);
+      accepted.push(target);
+    }
+  }
+  return accepted.sort();
+}
+
+const percent = (ratio) => `${(ratio * 100).toFixed(2)}%`;
+
+/**
+ * One-line step event for a compare_screenshot result.
+ * @param {{ name:string, status:string, diffRatio:number, threshold:number, width:number, height:number, baselineSize?:object, diff?:string, baseline?:string }} check
+ * @returns {string}
+ */
+export function formatVisualEvent(check) {
+  if (check.status === 'created') return `🖼️ Visual baseline created: ${check.name}${check.baseline ? ` (${check.baseline})` : ''}`;
+  if (check.status === 'match') return `🖼️ Visual match: ${check.name} (${percent(check.diffRatio)} of pixels differ)`;
+  if (check.baselineSize) {
+    return `❌ Visual mismatch: ${check.name} — size ${check.width}×${check.height} vs baseline ${check.baselineSize.width}×${check.baselineSize.height}`;
+  }
+  return `❌ Visual mismatch: ${check.name} — ${percent(check.diffRatio)} of pixels differ (threshold ${percent(check.threshold)})` +
+    (check.diff ? `; diff: ${check.diff}` : '');
+}